@@ -4,6 +4,8 @@
  * SPDX-License-Identifier: MIT
  */
 
+import * as core from "./core.js?v=0.7.4";
+
 // Global state
 /** @type {string|null} Root network address (compressed IPv6 string) */
 let rootNetwork = null;
@@ -17,431 +19,200 @@ let currentColorTarget = null;
 /** @type {HTMLButtonElement|null} Current button being colored */
 let currentColorButton = null;
 
-/** @type {string} Version marker for base64 encoding (current format) */
-const STATE_VERSION_1 = "v1";
-
-/** @type {string} Version marker for deflate-raw compression */
-const STATE_VERSION_2 = "v2";
-
-/** @type {string[]} Color palette for row highlighting */
-const COLORS = [
-  "#FFE5E5", // Soft Pink
-  "#E5F3FF", // Sky Blue
-  "#E5FFE5", // Mint Green
-  "#FFF5E5", // Peach
-  "#F5E5FF", // Lavender
-  "#E5FFFF", // Cyan
-  "#FFFFE5", // Cream
-  "#FFE5F5", // Rose
-  "#E5F5FF", // Ice Blue
-  "#F5FFE5", // Pale Lime
-  "#FFE5D5", // Apricot
-  "#E5E5FF", // Periwinkle
-  "#FFEED5", // Sand
-  "#D5FFE5", // Seafoam
-  "#FFD5E5", // Blush
-  "#E5FFED", // Aqua Mint
-];
-
-/**
- * Parse an IPv6 address string into a 16-byte array
- * @param {string} addr - IPv6 address string (may be compressed with ::)
- * @returns {Uint8Array|null} 16-byte array representing the address, or null if invalid
- */
-function parseIPv6(addr) {
-  addr = addr.trim().toLowerCase();
-
-  // Handle :: expansion
-  if (addr.includes("::")) {
-    const parts = addr.split("::");
-    if (parts.length > 2) return null;
-
-    const left = parts[0] ? parts[0].split(":") : [];
-    const right = parts[1] ? parts[1].split(":") : [];
-    const missing = 8 - left.length - right.length;
-
-    const groups = [...left];
-    for (let i = 0; i < missing; i++) groups.push("0");
-    groups.push(...right);
-
-    const bytes = new Uint8Array(16);
-    for (let i = 0; i < 8; i++) {
-      const val = parseInt(groups[i] || "0", 16);
-      if (isNaN(val) || val > 0xffff) return null;
-      bytes[i * 2] = (val >> 8) & 0xff;
-      bytes[i * 2 + 1] = val & 0xff;
-    }
-    return bytes;
-  } else {
-    const groups = addr.split(":");
-    if (groups.length !== 8) return null;
-
-    const bytes = new Uint8Array(16);
-    for (let i = 0; i < 8; i++) {
-      const val = parseInt(groups[i], 16);
-      if (isNaN(val) || val > 0xffff) return null;
-      bytes[i * 2] = (val >> 8) & 0xff;
-      bytes[i * 2 + 1] = val & 0xff;
-    }
-    return bytes;
-  }
-}
-
 /**
- * Convert a 16-byte array to a compressed IPv6 string (RFC 5952 compliant)
- * @param {Uint8Array} bytes - 16-byte array representing an IPv6 address
- * @returns {string} Compressed IPv6 address string
+ * Key the URL hash is encrypted with, set by encrypting the link or by opening
+ * an encrypted one. Kept only in memory so a reload asks for the passphrase again.
+ * While it is set the plan is not written to sessionStorage or the plan library
+ * @type {{key: CryptoKey, salt: Uint8Array}|null}
  */
-function formatIPv6(bytes) {
-  const groups = [];
-  for (let i = 0; i < 8; i++) {
-    groups.push((bytes[i * 2] << 8) | bytes[i * 2 + 1]);
-  }
-
-  // Find longest run of zeros
-  let maxStart = -1,
-    maxLen = 0;
-  let currStart = -1,
-    currLen = 0;
-
-  for (let i = 0; i < 8; i++) {
-    if (groups[i] === 0) {
-      if (currStart === -1) currStart = i;
-      currLen++;
-    } else {
-      if (currLen > maxLen) {
-        maxStart = currStart;
-        maxLen = currLen;
-      }
-      currStart = -1;
-      currLen = 0;
-    }
-  }
-  if (currLen > maxLen) {
-    maxStart = currStart;
-    maxLen = currLen;
-  }
-
-  // Build string with compression
-  if (maxLen > 1) {
-    const left = groups
-      .slice(0, maxStart)
-      .map((g) => g.toString(16))
-      .join(":");
-    const right = groups
-      .slice(maxStart + maxLen)
-      .map((g) => g.toString(16))
-      .join(":");
+let linkEncryption = null;
 
-    if (maxStart === 0 && maxStart + maxLen === 8) return "::";
-    if (maxStart === 0) return "::" + right;
-    if (maxStart + maxLen === 8) return left + "::";
-    return left + "::" + right;
-  }
-
-  return groups.map((g) => g.toString(16)).join(":");
-}
+/** @type {string|null} Last hash written by saveState, used to ignore our own hashchange events */
+let lastSavedHash = null;
 
-/**
- * Apply a prefix mask to get the network address
- * @param {Uint8Array} bytes - 16-byte array representing an IPv6 address
- * @param {number} prefix - Prefix length (0-128)
- * @returns {Uint8Array} 16-byte array of the network address
- */
-function applyPrefix(bytes, prefix) {
-  const result = new Uint8Array(16);
-  const fullBytes = Math.floor(prefix / 8);
-  const remainingBits = prefix % 8;
+/** @type {number} Default number of undo steps kept for a plan */
+const DEFAULT_HISTORY_LIMIT = 50;
 
-  for (let i = 0; i < fullBytes; i++) {
-    result[i] = bytes[i];
-  }
+/** @type {number} Upper bound for the configurable undo depth */
+const MAX_HISTORY_LIMIT = 500;
 
-  if (remainingBits > 0) {
-    const mask = (0xff << (8 - remainingBits)) & 0xff;
-    result[fullBytes] = bytes[fullBytes] & mask;
-  }
+/** @type {string} sessionStorage key holding the undo/redo stacks */
+const HISTORY_STORAGE_KEY = "ipv6-plan-history";
 
-  return result;
-}
+/** @type {string} localStorage key holding the configured undo depth */
+const HISTORY_LIMIT_STORAGE_KEY = "ipv6-plan-history-limit";
 
-/**
- * Calculate the address of a child subnet at the next nibble boundary
- * @param {Uint8Array} bytes - 16-byte array of the parent network address
- * @param {number} prefix - Current prefix length
- * @param {number} index - Child index (0-based)
- * @returns {Uint8Array} 16-byte array of the child subnet address
- */
-function getChildSubnet(bytes, prefix, index) {
-  const result = new Uint8Array(bytes);
+/** @type {string} IndexedDB database holding the local plan library */
+const PLAN_LIBRARY_DB = "ipv6-plan-library";
 
-  const isAligned = prefix % 4 === 0;
-  const nextNibble = isAligned ? prefix + 4 : Math.ceil(prefix / 4) * 4;
-  const bitsToAdd = nextNibble - prefix;
+/** @type {number} Version of the plan library database schema */
+const PLAN_LIBRARY_DB_VERSION = 1;
 
-  // Convert index to a value we can add to the address
-  // We need to shift the index to the correct bit position
-  let bitValue = BigInt(0);
-  for (let i = 0; i < 16; i++) {
-    bitValue = (bitValue << BigInt(8)) | BigInt(bytes[i]);
-  }
+/** @type {string} Object store holding saved plans */
+const PLAN_LIBRARY_STORE = "plans";
 
-  // Add the index shifted to the correct position
-  const shift = BigInt(128 - nextNibble);
-  bitValue = bitValue | (BigInt(index) << shift);
+/** @type {number|null} Library id of the open plan, or null if it has not been saved */
+let currentPlanId = null;
+/** @type {Promise<IDBDatabase>|null} Shared connection to the plan library */
+let planLibraryDb = null;
 
-  // Convert back to bytes
-  for (let i = 15; i >= 0; i--) {
-    result[i] = Number(bitValue & BigInt(0xff));
-    bitValue = bitValue >> BigInt(8);
-  }
+/** @type {string[]} Serialized plan snapshots that can be restored by undo (oldest first) */
+let undoStack = [];
+/** @type {string[]} Serialized plan snapshots that can be restored by redo (oldest first) */
+let redoStack = [];
+/** @type {number} Maximum number of snapshots kept in the undo stack */
+let historyLimit = DEFAULT_HISTORY_LIMIT;
 
-  return result;
-}
+/** @type {boolean} Whether this plan allows splitting /64s into /112, /126, /127 or /128 */
+let hostSplits = false;
 
 /**
- * Calculate the address of a child subnet at a specific target prefix
- * @param {Uint8Array} bytes - 16-byte array of the parent network address
- * @param {number} prefix - Current prefix length
- * @param {number} targetPrefix - Target prefix length
- * @param {number} index - Child index (0-based)
- * @returns {Uint8Array} 16-byte array of the child subnet address
+ * One row of the subnet table in display order
+ * @typedef {Object} TableRow
+ * @property {string} cidr - CIDR notation of the subnet
+ * @property {number} depth - Number of ancestors above the subnet
+ * @property {number} parent - Index of the parent row, or -1 for the root
+ * @property {number} end - Index just past the subnet's last descendant row
+ * @property {string} note - Note text
+ * @property {string} color - Row color, or empty
+ * @property {Object<string, *>} metadata - Structured metadata fields that are set (see METADATA_COLUMNS)
+ * @property {string} strategy - Allocation strategy in effect (own or inherited from an ancestor)
+ * @property {boolean} isLeaf - True if the subnet has not been split
+ * @property {boolean} collapsed - True if the subnet is split but its descendants are hidden
+ * @property {{count: number, annotated: number}|null} hidden - Descendants hidden by a collapse, or null
+ * @property {number} prefix - Prefix length
+ * @property {boolean} [context] - True if the row is only shown because a descendant matches the search
  */
-function getChildSubnetAtTarget(bytes, prefix, targetPrefix, index) {
-  const result = new Uint8Array(bytes);
 
-  // Convert address bytes to BigInt
-  let addressValue = BigInt(0);
-  for (let i = 0; i < 16; i++) {
-    addressValue = (addressValue << BigInt(8)) | BigInt(bytes[i]);
-  }
-
-  // Calculate shift: place index at the correct bit position for the split
-  // For nibble-aligned targets (e.g., /24, /28), use shift = 128 - target
-  // This puts child index at the start of the target prefix range
-  const shift = BigInt(128 - targetPrefix);
-  const indexValue = BigInt(index) << shift;
-  const totalValue = addressValue + indexValue;
-
-  // Convert back to bytes
-  let tempValue = totalValue;
-  for (let i = 15; i >= 0; i--) {
-    result[i] = Number(tempValue & BigInt(0xff));
-    tempValue = tempValue >> BigInt(8);
-  }
+/** @type {number} Row height in pixels assumed until a rendered row can be measured */
+const DEFAULT_ROW_HEIGHT = 41;
+
+/** @type {number} Rows rendered above and below the viewport so short scrolls need no update */
+const RENDER_OVERSCAN = 20;
+
+/** @type {TableRow[]} Every row of the current plan in display order */
+let tableRows = [];
+/** @type {{start: number, end: number}|null} Row indexes currently in the DOM (end exclusive) */
+let renderedRange = null;
+/** @type {Map<string, {key: string, tr: HTMLTableRowElement}>} Row elements reused across renders, keyed by CIDR */
+const rowElementCache = new Map();
+/** @type {Map<string, HTMLSelectElement>} Split select templates keyed by prefix and host split mode */
+const splitSelectTemplates = new Map();
+/** @type {Map<string, HTMLSelectElement>} Allocate select templates keyed by prefix and host split mode */
+const allocateSelectTemplates = new Map();
+/** @type {{top?: HTMLTableRowElement, bottom?: HTMLTableRowElement}} Spacer rows standing in for rows outside the window */
+const spacerRows = {};
+/** @type {number} Number of Join columns (deepest ancestry in the plan) */
+let joinColumnCount = 1;
+/** @type {number} Measured height of a table row in pixels */
+let rowHeight = DEFAULT_ROW_HEIGHT;
+/** @type {number|null} Pending animation frame for a scroll update */
+let visibleRowsFrame = null;
+/** @type {string} Current search text filtering the table (view state, not saved with the plan) */
+let tableFilter = "";
+/** @type {string|null} CIDR of the row highlighted by the last address lookup */
+let highlightedCidr = null;
+/** @type {Set<string>} Leaf rows ticked for Split All */
+const selectedCidrs = new Set();
+/** @type {Set<string>} Split subnets whose descendants are hidden (view state, not saved with the plan) */
+const collapsedCidrs = new Set();
+
+/** @type {number} Most rows the compare table shows; the change report lists every row */
+const MAX_COMPARE_ROWS = 2000;
+/** @type {import("./core.js").PlanDiff|null} Result of the last comparison, for the change report */
+let lastPlanDiff = null;
+/** @type {{before: string, after: string}} Names of the two plans in the last comparison */
+let lastPlanDiffLabels = { before: "Before", after: "After" };
+/** @type {{base: {label: string, plan: import("./core.js").Plan}, ours: {label: string, plan: import("./core.js").Plan}, theirs: {label: string, plan: import("./core.js").Plan}}|null} Plans loaded by the last Merge click */
+let pendingMerge = null;
+/** @type {Object<string, "ours"|"theirs">} Side chosen for each conflict of the pending merge, keyed by conflict id */
+let mergeResolutions = {};
 
-  return result;
+/**
+ * The plan on screen in the form core.js works on. The tree is shared, not
+ * copied, so core edits apply to the page's plan
+ * @returns {import("./core.js").Plan} Current plan
+ */
+function getCurrentPlan() {
+  return {
+    network: rootNetwork,
+    prefix: rootPrefix,
+    tree: subnetTree,
+    hostSplits,
+  };
 }
 
 /**
- * Calculate nibble boundaries between two prefix lengths
- * @param {number} startPrefix - Starting prefix length
- * @param {number} endPrefix - Ending prefix length
- * @returns {number[]} Array of prefix lengths representing nibble boundaries
+ * Link a child node under its parent in the current plan (see core.linkChildNode)
+ * @param {Object} parentNode - Node of the parent subnet
+ * @param {string} childCidr - CIDR of the child subnet
+ * @returns {Object} The child's node (new nodes inherit from the parent)
  */
-function getNibbleBoundaries(startPrefix, endPrefix) {
-  if (startPrefix >= endPrefix) {
-    return [startPrefix];
-  }
-
-  const boundaries = [];
-  let current = Math.ceil(startPrefix / 4) * 4;
-
-  // Skip the start prefix if it's exactly on a nibble boundary
-  if (current === startPrefix) {
-    current += 4;
-  }
-
-  // Add all nibble boundaries up to but not including endPrefix
-  while (current < endPrefix) {
-    boundaries.push(current);
-    current += 4;
-  }
-
-  // Handle endPrefix
-  if (endPrefix === 30) {
-    // For /30 specifically, include it even though it's not nibble-aligned
-    // This is a common target prefix in subnet planning
-    boundaries.push(endPrefix);
-  } else if (endPrefix % 4 === 0) {
-    // Nibble-aligned: include it
-    boundaries.push(endPrefix);
-  } else {
-    // Not nibble-aligned: include target itself
-    boundaries.push(endPrefix);
-  }
-
-  return boundaries;
+function linkChildNode(parentNode, childCidr) {
+  return core.linkChildNode(getCurrentPlan(), parentNode, childCidr);
 }
 
 /**
- * Create one level of child subnets under a parent
+ * Create one level of children in the current plan (see core.createIntermediateLevel)
  * @param {string} parentCidr - CIDR notation of the parent subnet
  * @param {number} targetPrefix - Target prefix length for children
+ * @param {number} [maxChildren=Infinity] - Create only the first N children (used below /64)
  * @returns {string[]} Array of created child CIDRs
  */
-function createIntermediateLevel(parentCidr, targetPrefix) {
-  const [addr, prefix] = parentCidr.split("/");
-  const prefixNum = parseInt(prefix);
-
-  if (targetPrefix <= prefixNum) {
-    return [];
-  }
-
-  const bytes = parseIPv6(addr);
-  if (!bytes) {
-    return [];
-  }
-
-  const bitsToSplit = targetPrefix - prefixNum;
-  const numChildren = Math.pow(2, bitsToSplit);
-
-  const parentNode = getSubnetNode(parentCidr);
-  const parentNote = parentNode._note;
-  const parentColor = parentNode._color;
-
-  const children = [];
-
-  for (let i = 0; i < numChildren; i++) {
-    // Use original bytes (not masked) for child address calculation
-    const childBytes = getChildSubnetAtTarget(
-      bytes,
-      prefixNum,
-      targetPrefix,
-      i,
-    );
-    const childAddr = formatIPv6(childBytes);
-    const childCidr = `${childAddr}/${targetPrefix}`;
-
-    // Create standalone node in tree with inherited metadata
-    if (!subnetTree[childCidr]) {
-      subnetTree[childCidr] = {
-        _note: parentNote,
-        _color: parentColor,
-      };
-    }
-
-    // Add child node to parent
-    parentNode[childCidr] = {
-      _note: parentNote,
-      _color: parentColor,
-    };
-
-    children.push(childCidr);
-  }
-
-  return children;
+function createIntermediateLevel(
+  parentCidr,
+  targetPrefix,
+  maxChildren = Infinity,
+) {
+  return core.createIntermediateLevel(
+    getCurrentPlan(),
+    parentCidr,
+    targetPrefix,
+    maxChildren,
+  );
 }
 
 /**
- * Recursively create all intermediate levels between parent and target
+ * Create the levels down to a target in the current plan (see core.createIntermediateLevels)
  * @param {string} parentCidr - CIDR notation of the parent subnet
  * @param {number} targetPrefix - Target prefix length for final level
  * @returns {string[]} Array of all created child CIDRs at all levels
  */
 function createIntermediateLevels(parentCidr, targetPrefix) {
-  const [addr, prefix] = parentCidr.split("/");
-  const prefixNum = parseInt(prefix);
-
-  const boundaries = getNibbleBoundaries(prefixNum, targetPrefix);
-
-  if (boundaries.length === 1) {
-    // Single boundary, create directly
-    return createIntermediateLevel(parentCidr, boundaries[0]);
-  }
-
-  // Multiple boundaries, create each level recursively
-  let allChildren = [];
-
-  function createLevelRecursive(
+  return core.createIntermediateLevels(
+    getCurrentPlan(),
     parentCidr,
-    boundaryIndex,
-    parentNote,
-    parentColor,
-  ) {
-    if (boundaryIndex >= boundaries.length) {
-      return;
-    }
-
-    const boundary = boundaries[boundaryIndex];
-    const children = createIntermediateLevel(parentCidr, boundary);
-
-    if (children.length > 0) {
-      allChildren = allChildren.concat(children);
-
-      // Get the parent node's note and color for the next level
-      const parentNode = getSubnetNode(parentCidr);
-      const note = parentNode._note || parentNote;
-      const color = parentNode._color || parentColor;
-
-      // Recursively create next level for each child
-      children.forEach((childCidr) => {
-        // Ensure the child node exists as a standalone node in the tree
-        // with the correct metadata before recursion
-        if (!subnetTree[childCidr]) {
-          subnetTree[childCidr] = { _note: note || "", _color: color || "" };
-        } else {
-          // If the child node already exists but has empty metadata, inherit from parent
-          if (subnetTree[childCidr]._note === "" && note !== "") {
-            subnetTree[childCidr]._note = note;
-          }
-          if (subnetTree[childCidr]._color === "" && color !== "") {
-            subnetTree[childCidr]._color = color;
-          }
-        }
-        createLevelRecursive(childCidr, boundaryIndex + 1, note, color);
-      });
-    }
-  }
-
-  // Get initial parent metadata
-  const initialParent = getSubnetNode(parentCidr);
-  const initialNote = initialParent._note;
-  const initialColor = initialParent._color;
-
-  // Start creating levels from the initial parent
-  createLevelRecursive(parentCidr, 0, initialNote, initialColor);
-
-  return allChildren;
+    targetPrefix,
+  );
 }
 
 /**
- * Calculate the number of subnets contained within a prefix
- * @param {number} prefix - Prefix length
- * @returns {string} Formatted count string (e.g., "256 /48s" or "Host Subnet")
- */
-function getSubnetCount(prefix) {
-  if (prefix >= 48) {
-    // Show /64 count
-    const count = Math.pow(2, 64 - prefix);
-    if (prefix === 64) return "Host Subnet";
-    return `${count.toLocaleString()} /64s`;
-  } else {
-    // Show /48 count
-    const count = Math.pow(2, 48 - prefix);
-    return `${count.toLocaleString()} /48s`;
-  }
+ * Get the host split targets allowed by the current plan (see core.getHostSplitTargets)
+ * @param {number} prefix - Prefix length of the subnet being split
+ * @returns {number[]} Allowed target prefixes (empty unless splits below /64 are enabled)
+ */
+function getHostSplitTargets(prefix) {
+  return core.getHostSplitTargets(getCurrentPlan(), prefix);
 }
 
 /**
- * Compare two CIDR addresses numerically by their IPv6 address bytes
- * @param {string} a - First CIDR notation string
- * @param {string} b - Second CIDR notation string
- * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ * Resolve a split target in the current plan (see core.getSplitTarget)
+ * @param {string} cidr - CIDR notation of the subnet to split
+ * @param {number|null} [targetPrefix=null] - Target prefix length, or null for the default
+ * @returns {number|null} Target prefix, or null if the subnet cannot be split to it
  */
-function compareCIDR(a, b) {
-  const [addrA] = a.split("/");
-  const [addrB] = b.split("/");
-
-  const bytesA = parseIPv6(addrA);
-  const bytesB = parseIPv6(addrB);
+function getSplitTarget(cidr, targetPrefix = null) {
+  return core.getSplitTarget(getCurrentPlan(), cidr, targetPrefix);
+}
 
-  for (let i = 0; i < 16; i++) {
-    if (bytesA[i] !== bytesB[i]) {
-      return bytesA[i] - bytesB[i];
-    }
-  }
-  return 0;
+/**
+ * Create split children in the current plan without recording history, saving or rendering (see core.createSplitChildren)
+ * @param {string} cidr - CIDR notation of the subnet to split
+ * @param {number} target - Target prefix from getSplitTarget()
+ * @returns {void}
+ */
+function createSplitChildren(cidr, target) {
+  return core.createSplitChildren(getCurrentPlan(), cidr, target);
 }
 
 /**
@@ -452,771 +223,2945 @@ function compareCIDR(a, b) {
  * @returns {void}
  */
 async function splitSubnet(cidr, targetPrefix = null) {
-  const [addr, prefix] = cidr.split("/");
-  const prefixNum = parseInt(prefix);
+  const target = getSplitTarget(cidr, targetPrefix);
+  if (target === null) return;
+
+  recordHistory();
+  createSplitChildren(cidr, target);
 
-  if (prefixNum >= 64) return;
+  await saveState();
+  render();
+}
+
+/**
+ * Get the leaves at a depth in the current plan (see core.getLeavesAtDepth)
+ * @param {string} parentCidr - CIDR of the parent subnet
+ * @param {number} depth - Levels below the parent (1 for its children)
+ * @returns {string[]} Leaf CIDRs at that depth in address order
+ */
+function getLeavesAtDepth(parentCidr, depth) {
+  return core.getLeavesAtDepth(getCurrentPlan(), parentCidr, depth);
+}
 
-  const bytes = parseIPv6(addr);
+/**
+ * Preview a bulk split of the current plan (see core.previewBulkSplit)
+ * @param {string[]} cidrs - Candidate subnets
+ * @param {number} targetPrefix - Target prefix length for every subnet
+ * @returns {{cidrs: string[], rows: number}} Subnets that will be split and rows added
+ */
+function previewBulkSplit(cidrs, targetPrefix) {
+  return core.previewBulkSplit(getCurrentPlan(), cidrs, targetPrefix);
+}
 
-  // Determine target prefix (nibble-aligned by default)
-  let target = targetPrefix;
-  if (target === null) {
-    const isAligned = prefixNum % 4 === 0;
-    target = isAligned ? prefixNum + 4 : Math.ceil(prefixNum / 4) * 4;
+/**
+ * Split several leaf subnets to the same target prefix as one undo step,
+ * saving and rendering once. Subnets that are split already or cannot reach
+ * the target are skipped
+ * @param {string[]} cidrs - Subnets to split
+ * @param {number} targetPrefix - Target prefix length for every subnet
+ * @returns {Promise<number>} Number of subnets split
+ * @throws {Error} If none of the subnets can be split to the target
+ */
+async function bulkSplitSubnets(cidrs, targetPrefix) {
+  const preview = previewBulkSplit(cidrs, targetPrefix);
+  if (preview.cidrs.length === 0) {
+    throw new Error(`None of the subnets can be split to /${targetPrefix}`);
   }
 
-  if (target <= prefixNum || target > 64) return;
+  recordHistory();
+  preview.cidrs.forEach((cidr) => createSplitChildren(cidr, targetPrefix));
+  selectedCidrs.clear();
 
-  const bitsToSplit = target - prefixNum;
-  const numChildren = Math.pow(2, bitsToSplit);
+  await saveState();
+  render();
+  return preview.cidrs.length;
+}
 
-  const node = getSubnetNode(cidr);
+/**
+ * Select or deselect a leaf row for Split All (row checkbox handler)
+ * @param {string} cidr - CIDR of the row
+ * @param {boolean} selected - True to add the row to the selection
+ * @returns {void}
+ */
+function setRowSelected(cidr, selected) {
+  if (selected) {
+    selectedCidrs.add(cidr);
+  } else {
+    selectedCidrs.delete(cidr);
+  }
+  previewBulkSplitFromInput();
+}
 
-  // Determine if we need intermediate levels
-  const boundaries = getNibbleBoundaries(prefixNum, target);
-
-  if (boundaries.length === 1 && boundaries[0] === target) {
-    // Single boundary at target, create children directly
-    const parentNote = node._note;
-    const parentColor = node._color;
-    for (let i = 0; i < numChildren; i++) {
-      const childBytes = getChildSubnetAtTarget(bytes, prefixNum, target, i);
-      const childAddr = formatIPv6(childBytes);
-      const childCidr = `${childAddr}/${target}`;
-
-      // Create standalone node in tree with inherited metadata
-      if (!subnetTree[childCidr]) {
-        subnetTree[childCidr] = {
-          _note: parentNote,
-          _color: parentColor,
-        };
-      }
+/**
+ * Read the Split All inputs: the selected rows when the parent box is empty,
+ * otherwise the leaves at the chosen depth under the parent
+ * @returns {{cidrs: string[], targetPrefix: number, source: string}} Candidates, target and a description of where they came from
+ * @throws {Error} If the inputs are incomplete or invalid
+ */
+function readBulkSplitInput() {
+  const parentText = document.getElementById("bulkSplitParent").value.trim();
+  const depth = parseInt(document.getElementById("bulkSplitDepth").value);
+  const targetPrefix = parseInt(
+    document.getElementById("bulkSplitTarget").value,
+  );
 
-      // Add child node to parent
-      node[childCidr] = {
-        _note: parentNote,
-        _color: parentColor,
-      };
+  if (!Number.isInteger(targetPrefix)) {
+    throw new Error("Enter the prefix length to split to");
+  }
+
+  if (!parentText) {
+    const cidrs = [...selectedCidrs]
+      .filter((cidr) => subnetTree[cidr])
+      .sort(core.compareCIDR);
+    if (cidrs.length === 0) {
+      throw new Error("Enter a parent subnet or select rows to split");
     }
-  } else {
-    // Multiple boundaries, create intermediate levels
-    createIntermediateLevels(cidr, target);
+    return { cidrs, targetPrefix, source: "selected rows" };
   }
 
-  await saveState();
-  render();
+  const parent = core.parseCIDR(parentText);
+  if (!parent) {
+    throw new Error(`${parentText} is not a valid IPv6 CIDR`);
+  }
+  const parentCidr = `${core.formatIPv6(parent.bytes)}/${parent.prefix}`;
+  if (!subnetTree[parentCidr]) {
+    throw new Error(`${parentCidr} is not in the plan`);
+  }
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new Error("Depth must be a whole number of at least 1");
+  }
+  return {
+    cidrs: getLeavesAtDepth(parentCidr, depth),
+    targetPrefix,
+    source: `leaves ${depth} level${depth === 1 ? "" : "s"} below ${parentCidr}`,
+  };
+}
+
+/**
+ * Show how many subnets Split All would split and how many rows it would add
+ * (input handler for the Split All boxes)
+ * @returns {{cidrs: string[], rows: number}|null} Preview, or null if the inputs are incomplete
+ */
+function previewBulkSplitFromInput() {
+  const status = document.getElementById("bulkSplitStatus");
+  if (!status) return null;
+
+  let input;
+  try {
+    input = readBulkSplitInput();
+  } catch (e) {
+    status.textContent =
+      selectedCidrs.size > 0 ? `${selectedCidrs.size} rows selected` : "";
+    return null;
+  }
+
+  const preview = previewBulkSplit(input.cidrs, input.targetPrefix);
+  status.textContent = `Splits ${preview.cidrs.length.toLocaleString()} of ${input.cidrs.length.toLocaleString()} ${input.source} to /${input.targetPrefix}, adding ${preview.rows.toLocaleString()} rows`;
+  return preview;
+}
+
+/**
+ * Split every subnet chosen in the Split All boxes (Apply button handler)
+ * @returns {Promise<number|null>} Number of subnets split, or null on error
+ */
+async function applyBulkSplitFromInput() {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
+
+  try {
+    const { cidrs, targetPrefix } = readBulkSplitInput();
+    const count = await bulkSplitSubnets(cidrs, targetPrefix);
+    previewBulkSplitFromInput();
+    return count;
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return null;
+  }
 }
 
 /**
- * Get or create a subnet node in the tree structure
+ * Get or create a subnet node in the current plan (see core.getSubnetNode)
  * @param {string} cidr - CIDR notation string (e.g., "3fff::/24")
  * @returns {Object} Subnet node object with _note and _color properties
  */
 function getSubnetNode(cidr) {
-  if (!subnetTree[cidr]) {
-    subnetTree[cidr] = { _note: "", _color: "" };
-  }
-  return subnetTree[cidr];
+  return core.getSubnetNode(getCurrentPlan(), cidr);
 }
 
 /**
- * Check if a subnet has been split into child subnets
+ * Check if a subnet of the current plan is split (see core.isSplit)
  * @param {string} cidr - CIDR notation string
  * @returns {boolean} True if the subnet has child subnets, false otherwise
  */
 function isSplit(cidr) {
-  const node = subnetTree[cidr];
-  if (!node) return false;
-
-  const keys = Object.keys(node).filter((k) => !k.startsWith("_"));
-  return keys.length > 0;
+  return core.isSplit(getCurrentPlan(), cidr);
 }
 
 /**
  * Join sibling subnets back to their parent network
  * Recursively deletes all descendants of the parent (not just direct children)
+ * Asks for confirmation first if any descendant has its own annotations
  * @param {string} cidr - CIDR notation of a child subnet (used to identify the parent)
  * @param {number} targetPrefix - Target prefix length to join back to
- * @returns {void}
+ * @returns {Promise<boolean>} True if joined, false if the confirmation was declined
  */
 async function joinSubnet(cidr, targetPrefix) {
   const [addr, currentPrefix] = cidr.split("/");
   const currentPrefixNum = parseInt(currentPrefix);
 
   // Find parent CIDR at the target prefix
-  const bytes = parseIPv6(addr);
-  const masked = applyPrefix(bytes, targetPrefix);
-  const parentCidr = `${formatIPv6(masked)}/${targetPrefix}`;
+  const bytes = core.parseIPv6(addr);
+  const masked = core.applyPrefix(bytes, targetPrefix);
+  const parentCidr = `${core.formatIPv6(masked)}/${targetPrefix}`;
+
+  // Joining deletes the branch, so make sure annotations are meant to go
+  const { annotated } = summarizeDescendants(parentCidr);
+  if (
+    annotated > 0 &&
+    !confirm(
+      `Join ${parentCidr}? ${annotated} ${annotated === 1 ? "subnet" : "subnets"} inside it ${annotated === 1 ? "has its" : "have their"} own notes, colors or metadata, which will be deleted. Use the arrow next to ${parentCidr} to hide them instead.`,
+    )
+  ) {
+    return false;
+  }
+
+  recordHistory();
 
   // Recursively delete all descendants from parent node
   deleteDescendants(parentCidr);
 
   await saveState();
   render();
+  return true;
+}
+
+/**
+ * Count the descendants a Join would delete in the current plan (see core.summarizeDescendants)
+ * @param {string} cidr - CIDR of the subnet
+ * @returns {{count: number, annotated: number}} Descendant counts
+ */
+function summarizeDescendants(cidr) {
+  return core.summarizeDescendants(getCurrentPlan(), cidr);
+}
+
+/**
+ * Hide or show the descendants of a split subnet without changing the plan
+ * @param {string} cidr - CIDR of the subnet
+ * @param {boolean} [collapsed] - True to hide, false to show (toggles when omitted)
+ * @returns {void}
+ */
+function setCollapsed(cidr, collapsed = !collapsedCidrs.has(cidr)) {
+  if (collapsed) {
+    collapsedCidrs.add(cidr);
+  } else {
+    collapsedCidrs.delete(cidr);
+  }
+  render();
 }
 
 /**
- * Recursively delete all descendants of a subnet node
- * Deletes both child references from parent and top-level entries from subnetTree
+ * Delete the descendants of a subnet in the current plan and forget their collapsed branches (see core.deleteDescendants)
  * @param {string} cidr - CIDR notation of the parent subnet
  * @returns {void}
  */
 function deleteDescendants(cidr) {
-  const node = subnetTree[cidr];
-  if (!node) return;
-
-  const children = Object.keys(node).filter((k) => !k.startsWith("_"));
-
-  children.forEach((childCidr) => {
-    deleteDescendants(childCidr);
-    delete node[childCidr];
-    delete subnetTree[childCidr];
+  collapsedCidrs.forEach((collapsed) => {
+    if (collapsed === cidr || core.cidrContains(cidr, collapsed)) {
+      collapsedCidrs.delete(collapsed);
+    }
   });
+  core.deleteDescendants(getCurrentPlan(), cidr);
 }
 
 /**
- * Render the subnet table based on current state
- * @returns {void}
+ * Flatten the subnet tree into display rows in address order
+ * Each row records its parent row index and the index just past its last
+ * descendant, so Join rowspans can be computed in constant time per cell
+ * @param {string} rootCidr - CIDR of the root subnet
+ * @returns {TableRow[]} Rows in display order
  */
-function render() {
-  const tbody = document.getElementById("tableBody");
-  tbody.innerHTML = "";
-
-  if (!rootNetwork) {
-    tbody.innerHTML =
-      '<tr><td colspan="6" class="empty-state">Enter a network address and click Go to start planning</td></tr>';
-    return;
-  }
-
-  const rootCidr = `${rootNetwork}/${rootPrefix}`;
+function collectTableRows(rootCidr) {
   const rows = [];
 
-  function collectRows(cidr, depth = 0, ancestry = []) {
-    const [addr, prefix] = cidr.split("/");
-    const prefixNum = parseInt(prefix);
+  function visit(cidr, depth, parent, inheritedStrategy) {
     const node = getSubnetNode(cidr);
+    const strategy = node._strategy || inheritedStrategy;
     const children = Object.keys(node).filter((k) => !k.startsWith("_"));
-    const isLeaf = children.length === 0;
-
-    rows.push({
+    const collapsed = children.length > 0 && collapsedCidrs.has(cidr);
+    const index = rows.length;
+    const row = {
       cidr,
       depth,
-      ancestry: [...ancestry],
+      parent,
+      end: index + 1,
       note: node._note || "",
       color: node._color || "",
-      isLeaf,
-      prefix: prefixNum,
-    });
+      metadata: core.getSubnetMetadata(node),
+      strategy,
+      isLeaf: children.length === 0,
+      collapsed,
+      hidden: collapsed ? summarizeDescendants(cidr) : null,
+      prefix: parseInt(cidr.split("/")[1]),
+    };
+    rows.push(row);
+    if (collapsed) return;
 
-    if (!isLeaf) {
-      children.sort(compareCIDR).forEach((childCidr) => {
-        collectRows(childCidr, depth + 1, [...ancestry, cidr]);
-      });
-    }
+    children.sort(core.compareCIDR).forEach((childCidr) => {
+      visit(childCidr, depth + 1, index, strategy);
+    });
+    row.end = rows.length;
   }
 
-  collectRows(rootCidr);
-
-  // Calculate rowspans for join buttons
-  const rowspans = new Map();
-
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-
-    for (let level = 0; level < row.ancestry.length; level++) {
-      const ancestorCidr = row.ancestry[level];
-      const key = `${ancestorCidr}-${level}`;
-
-      if (!rowspans.has(key)) {
-        // Find the first child of this ancestor at this level
-        const firstChildIdx = i;
-
-        // Count all rows that are descendants of this ancestor
-        // These are rows where ancestry[level] === ancestorCidr
-        let count = 0;
-        for (let j = firstChildIdx; j < rows.length; j++) {
-          // Check if this row is a descendant of the ancestor
-          if (
-            rows[j].ancestry.length > level &&
-            rows[j].ancestry[level] === ancestorCidr
-          ) {
-            count++;
-          } else if (
-            rows[j].ancestry.length <= level ||
-            rows[j].ancestry[level] !== ancestorCidr
-          ) {
-            // We've moved past all descendants of this ancestor
-            break;
-          }
-        }
-
-        rowspans.set(key, { row: firstChildIdx, count });
-      }
-    }
-  }
+  visit(rootCidr, 0, -1, core.DEFAULT_ALLOCATION_STRATEGY);
+  return rows;
+}
 
-  // Calculate max ancestry depth for join columns
-  const maxAncestryDepth = Math.max(1, ...rows.map((r) => r.ancestry.length));
+/**
+ * Turn search text into a row predicate
+ * - `#RRGGBB` matches rows with that color
+ * - A CIDR matches that subnet and every subnet inside it
+ * - An IPv6 address matches every subnet containing it
+ * - Anything else is a case-insensitive substring of the CIDR, note or metadata
+ * @param {string} query - Search text
+ * @returns {((row: TableRow) => boolean)|null} Predicate, or null when the search is empty
+ */
+function parseTableFilter(query) {
+  const text = query.trim();
+  if (!text) return null;
 
-  // Update header colspan to match
-  const joinHeader = document.getElementById("joinHeader");
-  if (joinHeader) {
-    joinHeader.colSpan = maxAncestryDepth;
+  if (/^#[0-9a-fA-F]{6}$/.test(text)) {
+    const color = text.toUpperCase();
+    return (row) => row.color.toUpperCase() === color;
   }
 
-  // Render rows
-  rows.forEach((row, idx) => {
-    const tr = document.createElement("tr");
-    if (row.color) {
-      tr.classList.add("colored");
-      tr.style.setProperty("--row-color", row.color);
+  if (text.includes("/")) {
+    const subnet = core.parseCIDR(text);
+    if (subnet) {
+      return (row) =>
+        row.cidr === subnet.cidr || core.cidrContains(subnet.cidr, row.cidr);
     }
-
-    // Subnet column
-    const subnetTd = document.createElement("td");
-    subnetTd.className = "subnet-cell";
-    subnetTd.textContent = row.cidr;
-    subnetTd.style.paddingLeft = `${row.depth * 12 + 8}px`;
-    tr.appendChild(subnetTd);
-
-    // Contains column
-    const containsTd = document.createElement("td");
-    containsTd.className = "contains-cell";
-    containsTd.textContent = getSubnetCount(row.prefix);
-    tr.appendChild(containsTd);
-
-    // Note column
-    const noteTd = document.createElement("td");
-    const noteLabel = document.createElement("label");
-    noteLabel.className = "sr-only";
-    noteLabel.textContent = `Note for ${row.cidr}`;
-    noteLabel.htmlFor = `note-${row.cidr.replace(/[\/:]/g, "-")}`;
-    const noteInput = document.createElement("input");
-    noteInput.type = "text";
-    noteInput.className = "note-input";
-    noteInput.id = `note-${row.cidr.replace(/[\/:]/g, "-")}`;
-    noteInput.value = row.note;
-    noteInput.addEventListener("input", async () => {
-      const node = getSubnetNode(row.cidr);
-      node._note = noteInput.value;
-      await saveState();
-    });
-    noteTd.appendChild(noteLabel);
-    noteTd.appendChild(noteInput);
-    tr.appendChild(noteTd);
-
-    // Color button column
-    const colorTd = document.createElement("td");
-    colorTd.className = "button-cell";
-    const colorBtn = document.createElement("button");
-    colorBtn.className = "color-button";
-    colorBtn.ariaLabel = `Change color for ${row.cidr}`;
-    if (row.color) {
-      colorBtn.style.background = row.color;
-      colorBtn.ariaLabel += ` (currently ${row.color})`;
+  } else if (text.includes(":")) {
+    const address = core.parseIPv6(text);
+    if (address) {
+      return (row) => {
+        const network = core.parseCIDR(row.cidr);
+        return core
+          .applyPrefix(address, row.prefix)
+          .every((byte, i) => byte === network.bytes[i]);
+      };
     }
-    colorBtn.addEventListener("click", () =>
-      showColorPicker(row.cidr, colorBtn),
-    );
-    colorTd.appendChild(colorBtn);
-    tr.appendChild(colorTd);
-
-    // Split button column
-    const splitTd = document.createElement("td");
-    splitTd.className = "button-cell";
-
-    const splitContainer = document.createElement("div");
-    splitContainer.className = "split-container";
-
-    const splitSelect = document.createElement("select");
-    splitSelect.className = "split-select";
-    splitSelect.ariaLabel = `Select split target prefix for ${row.cidr}`;
-
-    const isAligned = row.prefix % 4 === 0;
-    const nextNibble = isAligned
-      ? row.prefix + 4
-      : Math.ceil(row.prefix / 4) * 4;
-
-    const autoOption = document.createElement("option");
-    autoOption.value = "auto";
-    autoOption.textContent = `Auto (→/${nextNibble})`;
-    autoOption.style.fontWeight = "bold";
-    splitSelect.appendChild(autoOption);
+  }
 
-    for (let p = row.prefix + 1; p <= 64; p++) {
-      if (p === nextNibble) continue;
-      const numChildren = Math.pow(2, p - row.prefix);
-      if (numChildren > 1024) continue;
+  const needle = text.toLowerCase();
+  return (row) =>
+    [
+      row.cidr,
+      row.note,
+      ...Object.entries(row.metadata).map(([field, value]) =>
+        core.formatMetadataValue(field, value),
+      ),
+    ].some((value) => value.toLowerCase().includes(needle));
+}
 
-      const option = document.createElement("option");
-      option.value = p.toString();
-      option.textContent = `→/${p}`;
-      splitSelect.appendChild(option);
+/**
+ * Keep only matching rows and their ancestors, re-linking parent and end indexes
+ * Rows are in display order, so a kept row's ancestors are always kept before it
+ * @param {TableRow[]} rows - Full row list from collectTableRows
+ * @param {(row: TableRow) => boolean} matches - Row predicate from parseTableFilter
+ * @returns {{rows: TableRow[], matchCount: number}} Filtered rows and the number of direct matches
+ */
+function filterTableRows(rows, matches) {
+  const keep = new Array(rows.length).fill(false);
+  const isMatch = rows.map((row) => matches(row));
+  let matchCount = 0;
+
+  isMatch.forEach((match, index) => {
+    if (!match) return;
+    matchCount++;
+    for (let i = index; i !== -1 && !keep[i]; i = rows[i].parent) {
+      keep[i] = true;
     }
+  });
 
-    splitSelect.disabled = row.prefix >= 64 || !row.isLeaf;
-    splitContainer.appendChild(splitSelect);
-
-    const splitBtn = document.createElement("button");
-    splitBtn.className = "split-button";
-    splitBtn.textContent = "Split";
-    splitBtn.ariaLabel = `Split ${row.cidr} into smaller subnets`;
-    splitBtn.disabled = row.prefix >= 64 || !row.isLeaf;
-    splitBtn.addEventListener("click", () => {
-      const selectedValue = splitSelect.value;
-      const targetPrefix =
-        selectedValue === "auto" ? null : parseInt(selectedValue);
-      splitSubnet(row.cidr, targetPrefix);
-    });
-    splitContainer.appendChild(splitBtn);
+  // keptBefore[i] is the filtered index of the first kept row at or after i
+  const keptBefore = new Array(rows.length + 1);
+  keptBefore[0] = 0;
+  keep.forEach((kept, i) => {
+    keptBefore[i + 1] = keptBefore[i] + (kept ? 1 : 0);
+  });
 
-    splitTd.appendChild(splitContainer);
-    tr.appendChild(splitTd);
+  const filtered = [];
+  rows.forEach((row, i) => {
+    if (!keep[i]) return;
+    filtered.push({
+      ...row,
+      parent: row.parent === -1 ? -1 : keptBefore[row.parent],
+      end: keptBefore[row.end],
+      context: !isMatch[i],
+    });
+  });
 
-    // Join button columns (one per ancestry level)
-    // Order: most specific (deepest/highest prefix like /24) on LEFT,
-    //        least specific (root/lowest prefix like /20) on RIGHT
+  return { rows: filtered, matchCount };
+}
 
-    // First, add empty cells for unused columns on the left
-    const emptyCols = maxAncestryDepth - row.ancestry.length;
-    for (let i = 0; i < emptyCols; i++) {
-      const emptyTd = document.createElement("td");
-      emptyTd.className = "button-cell";
-      tr.appendChild(emptyTd);
-    }
+/**
+ * Filter the table to rows matching the search text (search box handler)
+ * @param {string} query - Search text (empty shows every row)
+ * @returns {void}
+ */
+function setTableFilter(query) {
+  tableFilter = query;
+  render();
+}
 
-    // Then add join buttons in reverse order (deepest ancestor first, root last)
-    for (let i = row.ancestry.length - 1; i >= 0; i--) {
-      const ancestorCidr = row.ancestry[i];
-      const key = `${ancestorCidr}-${i}`;
-      const spanInfo = rowspans.get(key);
-
-      if (spanInfo && spanInfo.row === idx) {
-        const joinTd = document.createElement("td");
-        joinTd.className = "button-cell join-cell";
-        joinTd.rowSpan = spanInfo.count;
-
-        const [, ancestorPrefix] = ancestorCidr.split("/");
-        const joinBtn = document.createElement("button");
-        joinBtn.className = "join-button";
-        joinBtn.textContent = `/${ancestorPrefix}`;
-        joinBtn.ariaLabel = `Join subnets back together to form a /${ancestorPrefix} network`;
-        joinBtn.addEventListener("click", () =>
-          joinSubnet(row.cidr, parseInt(ancestorPrefix)),
-        );
-        joinTd.appendChild(joinBtn);
-        tr.appendChild(joinTd);
-      }
-      // If spanInfo exists but this isn't the first row, the cell is covered by rowspan - don't add anything
-    }
+/**
+ * Clear the search box and show every row again
+ * @returns {void}
+ */
+function clearTableFilter() {
+  const input = document.getElementById("searchInput");
+  if (input) input.value = "";
+  setTableFilter("");
+}
 
-    tbody.appendChild(tr);
-  });
+/**
+ * Find the subnet of the current plan containing an address (see core.findSubnetForAddress)
+ * @param {string} text - IPv6 address, optionally in brackets or with a zone or /128
+ * @returns {AddressLookup} Matching subnet and its ancestry
+ * @throws {Error} If there is no plan, the address is invalid or it is outside the root
+ */
+function findSubnetForAddress(text) {
+  return core.findSubnetForAddress(getCurrentPlan(), text);
 }
 
 /**
- * Show color picker popup for a subnet row
- * @param {string} cidr - CIDR notation of the subnet to color
- * @param {HTMLButtonElement} button - Button element that triggered the picker
- * @returns {void}
+ * Look up the address typed into the lookup box, list its ancestry and
+ * scroll to the matching row (Find button and Enter key handler)
+ * @returns {AddressLookup|null} Lookup result, or null if the lookup failed
  */
-function showColorPicker(cidr, button) {
-  currentColorTarget = cidr;
-  currentColorButton = button;
+function lookupAddressFromInput() {
+  const input = document.getElementById("lookupInput");
+  const resultDiv = document.getElementById("lookupResult");
+  resultDiv.textContent = "";
 
-  // Remove any existing picker before creating new one
-  const existingPicker = document.querySelector(
-    "body > div[data-color-picker='true']",
+  let result;
+  try {
+    result = findSubnetForAddress(input.value);
+  } catch (e) {
+    resultDiv.textContent = e.message;
+    highlightedCidr = null;
+    render();
+    return null;
+  }
+
+  const messages = {
+    found: `${result.address} is in ${result.cidr}`,
+    unsplit: `${result.address} is only covered by ${result.cidr}, which has not been split down to /64`,
+    unlisted: `${result.address} is inside ${result.cidr} but not in any of its listed subnets`,
+  };
+  const summary = document.createElement("p");
+  summary.textContent = messages[result.status];
+  resultDiv.appendChild(summary);
+
+  const list = document.createElement("ol");
+  list.className = "lookup-path";
+  result.path.forEach(({ cidr, note }) => {
+    const item = document.createElement("li");
+    const subnet = document.createElement(
+      cidr === result.cidr ? "strong" : "span",
+    );
+    subnet.textContent = cidr;
+    item.appendChild(subnet);
+    if (note) item.appendChild(document.createTextNode(` — ${note}`));
+    list.appendChild(item);
+  });
+  resultDiv.appendChild(list);
+
+  highlightedCidr = result.cidr;
+  scrollToRow(result.cidr);
+  return result;
+}
+
+/**
+ * Scroll the window so a subnet's row is in view and render it
+ * Expands collapsed ancestors and clears the search filter if it hides the row
+ * @param {string} cidr - CIDR of the row to show
+ * @returns {void}
+ */
+function scrollToRow(cidr) {
+  collapsedCidrs.forEach((collapsed) => {
+    if (core.cidrContains(collapsed, cidr)) collapsedCidrs.delete(collapsed);
+  });
+  render();
+  let index = tableRows.findIndex((row) => row.cidr === cidr);
+  if (index === -1 && tableFilter) {
+    clearTableFilter();
+    index = tableRows.findIndex((row) => row.cidr === cidr);
+  }
+  if (index === -1) return;
+
+  // Rows outside the window are not in the DOM, so scroll by row position
+  const tbody = document.getElementById("tableBody");
+  const tbodyTop = tbody.getBoundingClientRect().top + window.scrollY;
+  const viewportHeight =
+    window.innerHeight || document.documentElement.clientHeight || 0;
+  window.scrollTo({
+    top: Math.max(0, tbodyTop + index * rowHeight - viewportHeight / 2),
+  });
+  renderVisibleRows();
+}
+
+/**
+ * Render the subnet table based on current state
+ * Rebuilds the row model, then only the rows in and near the viewport are
+ * placed in the DOM (see renderVisibleRows)
+ * @returns {void}
+ */
+function render() {
+  const tbody = document.getElementById("tableBody");
+
+  if (!rootNetwork) {
+    tableRows = [];
+    renderedRange = null;
+    rowElementCache.clear();
+    tbody.innerHTML =
+      '<tr><td colspan="12" class="empty-state">Enter a network address and click Go to start planning</td></tr>';
+    return;
+  }
+
+  tableRows = collectTableRows(`${rootNetwork}/${rootPrefix}`);
+
+  // Drop cached rows for subnets that were joined away
+  const current = new Set(tableRows.map((row) => row.cidr));
+  rowElementCache.forEach((_, cidr) => {
+    if (!current.has(cidr)) rowElementCache.delete(cidr);
+  });
+
+  const matches = parseTableFilter(tableFilter);
+  const searchStatus = document.getElementById("searchStatus");
+  if (matches) {
+    const total = tableRows.length;
+    const filtered = filterTableRows(tableRows, matches);
+    tableRows = filtered.rows;
+    if (searchStatus) {
+      searchStatus.textContent = `${filtered.matchCount.toLocaleString()} of ${total.toLocaleString()} subnets match`;
+    }
+  } else if (searchStatus) {
+    searchStatus.textContent = "";
+  }
+
+  if (tableRows.length === 0) {
+    renderedRange = null;
+    tbody.dataset.rowCount = 0;
+    tbody.innerHTML =
+      '<tr><td colspan="12" class="empty-state">No subnets match the search</td></tr>';
+    return;
+  }
+
+  // Calculate max ancestry depth for join columns
+  joinColumnCount = 1;
+  tableRows.forEach((row) => {
+    if (row.depth > joinColumnCount) joinColumnCount = row.depth;
+  });
+
+  // Update header colspan to match
+  const joinHeader = document.getElementById("joinHeader");
+  if (joinHeader) {
+    joinHeader.colSpan = joinColumnCount;
+  }
+
+  // The DOM only holds a window of rows, so expose the full count
+  tbody.dataset.rowCount = tableRows.length;
+  const table = document.getElementById("subnetTable");
+  if (table) table.setAttribute("aria-rowcount", tableRows.length + 1);
+
+  renderedRange = null;
+  renderVisibleRows();
+}
+
+/**
+ * Work out which rows are in or near the viewport
+ * @param {HTMLElement} tbody - Table body holding the rows
+ * @returns {{start: number, end: number}} Half-open range of row indexes to render
+ */
+function getVisibleRange(tbody) {
+  const top = tbody.getBoundingClientRect().top;
+  const viewportHeight =
+    window.innerHeight || document.documentElement.clientHeight || 0;
+
+  const first = Math.max(0, Math.floor(-top / rowHeight));
+  const visibleCount = Math.ceil(viewportHeight / rowHeight) + 1;
+
+  return {
+    start: Math.max(0, first - RENDER_OVERSCAN),
+    end: Math.min(tableRows.length, first + visibleCount + RENDER_OVERSCAN),
+  };
+}
+
+/**
+ * Place the rows in and near the viewport into the table body
+ * Spacer rows stand in for everything above and below the window. Row
+ * elements are reused from rowElementCache and only inserted or removed when
+ * they enter or leave the window, so a focused note input keeps its focus
+ * @param {boolean} [remeasured=false] - Set when called again after measuring the row height
+ * @returns {void}
+ */
+function renderVisibleRows(remeasured = false) {
+  const tbody = document.getElementById("tableBody");
+  if (!tbody || tableRows.length === 0) return;
+
+  const { start, end } = getVisibleRange(tbody);
+  if (
+    renderedRange &&
+    renderedRange.start === start &&
+    renderedRange.end === end
+  ) {
+    return;
+  }
+  renderedRange = { start, end };
+
+  const elements = [];
+  if (start > 0) {
+    elements.push(getSpacerRow("top", start * rowHeight));
+  }
+  for (let i = start; i < end; i++) {
+    elements.push(getRowElement(i, start, end));
+  }
+  if (end < tableRows.length) {
+    elements.push(getSpacerRow("bottom", (tableRows.length - end) * rowHeight));
+  }
+
+  // Remove rows that left the window first, so rows that stay are never moved
+  const wanted = new Set(elements);
+  Array.from(tbody.children).forEach((el) => {
+    if (!wanted.has(el)) el.remove();
+  });
+
+  let next = tbody.firstElementChild;
+  elements.forEach((el) => {
+    if (el === next) {
+      next = next.nextElementSibling;
+    } else {
+      tbody.insertBefore(el, next);
+    }
+  });
+
+  // Spacer heights assume every row is as tall as the first rendered one
+  const sample = tbody.querySelector("tr[aria-rowindex]");
+  const measured = sample ? sample.getBoundingClientRect().height : 0;
+  if (measured > 0 && Math.abs(measured - rowHeight) > 0.5 && !remeasured) {
+    rowHeight = measured;
+    renderedRange = null;
+    renderVisibleRows(true);
+  }
+}
+
+/**
+ * Re-render the visible window on the next animation frame (scroll and resize handler)
+ * @returns {void}
+ */
+function scheduleVisibleRowsUpdate() {
+  if (visibleRowsFrame !== null) return;
+  visibleRowsFrame = requestAnimationFrame(() => {
+    visibleRowsFrame = null;
+    renderVisibleRows();
+  });
+}
+
+/**
+ * Get the spacer row standing in for rows above or below the rendered window
+ * @param {"top"|"bottom"} position - Which spacer to return
+ * @param {number} height - Height in pixels of the rows it replaces
+ * @returns {HTMLTableRowElement} Spacer row
+ */
+function getSpacerRow(position, height) {
+  let spacer = spacerRows[position];
+  if (!spacer) {
+    spacer = document.createElement("tr");
+    spacer.className = "spacer-row";
+    spacer.setAttribute("aria-hidden", "true");
+    spacer.appendChild(document.createElement("td"));
+    spacerRows[position] = spacer;
+  }
+  spacer.firstChild.colSpan =
+    6 + core.METADATA_COLUMNS.length + joinColumnCount;
+  spacer.style.height = `${height}px`;
+  return spacer;
+}
+
+/**
+ * Get the row element for a row index, reusing the cached one when its subnet
+ * is unchanged, and refresh its note and Join cells for the current window
+ * @param {number} index - Index into tableRows
+ * @param {number} start - First row index in the rendered window
+ * @param {number} end - Index just past the last row in the rendered window
+ * @returns {HTMLTableRowElement} Row element
+ */
+function getRowElement(index, start, end) {
+  const row = tableRows[index];
+  const key = [row.depth, row.color, row.isLeaf, hostSplits].join("|");
+
+  let cached = rowElementCache.get(row.cidr);
+  if (!cached || cached.key !== key) {
+    cached = { key, tr: createRowElement(row) };
+    rowElementCache.set(row.cidr, cached);
+  }
+
+  const tr = cached.tr;
+  tr.setAttribute("aria-rowindex", index + 2);
+  tr.classList.toggle("search-context", row.context === true);
+  tr.classList.toggle("lookup-highlight", row.cidr === highlightedCidr);
+
+  // Notes can change under a cached row through undo or import
+  const noteInput = tr.querySelector(".note-input");
+  if (noteInput.value !== row.note && document.activeElement !== noteInput) {
+    noteInput.value = row.note;
+  }
+  tr.querySelectorAll(".meta-input").forEach((input) => {
+    const value = core.formatMetadataValue(
+      input.dataset.field,
+      row.metadata[input.dataset.field],
+    );
+    if (input.value !== value && document.activeElement !== input) {
+      input.value = value;
+    }
+  });
+  const selectBox = tr.querySelector(".row-select");
+  if (selectBox) selectBox.checked = selectedCidrs.has(row.cidr);
+  const toggle = tr.querySelector(".collapse-toggle");
+  if (toggle) {
+    toggle.classList.toggle("collapsed", row.collapsed);
+    toggle.setAttribute("aria-expanded", String(!row.collapsed));
+    toggle.ariaLabel = `${row.collapsed ? "Show" : "Hide"} the subnets inside ${row.cidr}`;
+    const badge = tr.querySelector(".hidden-count");
+    badge.textContent = row.hidden
+      ? `${row.hidden.count.toLocaleString()} hidden${row.hidden.annotated > 0 ? `, ${row.hidden.annotated.toLocaleString()} annotated` : ""}`
+      : "";
+  }
+  const strategySelect = tr.querySelector(".strategy-select");
+  if (
+    strategySelect.value !== row.strategy &&
+    document.activeElement !== strategySelect
+  ) {
+    strategySelect.value = row.strategy;
+  }
+  if (row.metadata._status) {
+    tr.dataset.status = row.metadata._status;
+  } else {
+    delete tr.dataset.status;
+  }
+
+  updateJoinCells(tr, index, start, end);
+  return tr;
+}
+
+/**
+ * Build the subnet, contains, note, metadata, color, split and allocate cells for a row
+ * @param {TableRow} row - Row to build
+ * @returns {HTMLTableRowElement} New row element (Join cells are added by updateJoinCells)
+ */
+function createRowElement(row) {
+  const tr = document.createElement("tr");
+  if (row.color) {
+    tr.classList.add("colored");
+    tr.style.setProperty("--row-color", row.color);
+  }
+
+  // Subnet column (leaf rows get a checkbox for Split All)
+  const subnetTd = document.createElement("td");
+  subnetTd.className = "subnet-cell";
+  subnetTd.textContent = row.cidr;
+  subnetTd.style.paddingLeft = `${row.depth * 12 + 8}px`;
+  if (!row.isLeaf) {
+    // The arrow is drawn with CSS so the cell text stays the CIDR
+    const toggle = document.createElement("button");
+    toggle.className = "collapse-toggle";
+    toggle.addEventListener("click", () => setCollapsed(row.cidr));
+    subnetTd.prepend(toggle);
+
+    const badge = document.createElement("span");
+    badge.className = "hidden-count";
+    subnetTd.appendChild(badge);
+  } else {
+    const selectBox = document.createElement("input");
+    selectBox.type = "checkbox";
+    selectBox.className = "row-select";
+    selectBox.ariaLabel = `Select ${row.cidr} for Split All`;
+    selectBox.addEventListener("change", () =>
+      setRowSelected(row.cidr, selectBox.checked),
+    );
+    subnetTd.prepend(selectBox);
+  }
+  tr.appendChild(subnetTd);
+
+  // Contains column
+  const containsTd = document.createElement("td");
+  containsTd.className = "contains-cell";
+  containsTd.textContent = core.getSubnetCount(row.prefix);
+  tr.appendChild(containsTd);
+
+  // Note column
+  const noteTd = document.createElement("td");
+  const noteLabel = document.createElement("label");
+  noteLabel.className = "sr-only";
+  noteLabel.textContent = `Note for ${row.cidr}`;
+  noteLabel.htmlFor = `note-${row.cidr.replace(/[\/:]/g, "-")}`;
+  const noteInput = document.createElement("input");
+  noteInput.type = "text";
+  noteInput.className = "note-input";
+  noteInput.id = `note-${row.cidr.replace(/[\/:]/g, "-")}`;
+  noteInput.value = row.note;
+  // Record one undo step per editing session rather than per keystroke
+  let noteEditRecorded = false;
+  noteInput.addEventListener("focus", () => {
+    noteEditRecorded = false;
+  });
+  noteInput.addEventListener("input", async () => {
+    if (!noteEditRecorded) {
+      recordHistory();
+      noteEditRecorded = true;
+    }
+    const node = getSubnetNode(row.cidr);
+    node._note = noteInput.value;
+    await saveState();
+  });
+  noteTd.appendChild(noteLabel);
+  noteTd.appendChild(noteInput);
+  tr.appendChild(noteTd);
+
+  // Metadata columns (values are filled in by getRowElement)
+  core.METADATA_COLUMNS.forEach(({ field, label }) => {
+    tr.appendChild(createMetadataCell(row.cidr, field, label));
+  });
+
+  // Color button column
+  const colorTd = document.createElement("td");
+  colorTd.className = "button-cell";
+  const colorBtn = document.createElement("button");
+  colorBtn.className = "color-button";
+  colorBtn.ariaLabel = `Change color for ${row.cidr}`;
+  if (row.color) {
+    colorBtn.style.background = row.color;
+    colorBtn.ariaLabel += ` (currently ${row.color})`;
+  }
+  colorBtn.addEventListener("click", () => showColorPicker(row.cidr, colorBtn));
+  colorTd.appendChild(colorBtn);
+  tr.appendChild(colorTd);
+
+  // Split button column
+  const splitTd = document.createElement("td");
+  splitTd.className = "button-cell";
+
+  const splitContainer = document.createElement("div");
+  splitContainer.className = "split-container";
+
+  const splitSelect = getSplitSelectTemplate(row.prefix).cloneNode(true);
+  splitSelect.ariaLabel = `Select split target prefix for ${row.cidr}`;
+
+  const canSplit =
+    row.prefix < 64 || getHostSplitTargets(row.prefix).length > 0;
+  splitSelect.disabled = !canSplit || !row.isLeaf;
+  splitContainer.appendChild(splitSelect);
+
+  const splitBtn = document.createElement("button");
+  splitBtn.className = "split-button";
+  splitBtn.textContent = "Split";
+  splitBtn.ariaLabel = `Split ${row.cidr} into smaller subnets`;
+  splitBtn.disabled = !canSplit || !row.isLeaf;
+  splitBtn.addEventListener("click", () => {
+    const selectedValue = splitSelect.value;
+    if (selectedValue === "count" || selectedValue === "count-nibble") {
+      promptSplitByCount(row.cidr, selectedValue === "count-nibble");
+      return;
+    }
+    const targetPrefix =
+      selectedValue === "auto" ? null : parseInt(selectedValue);
+    splitSubnet(row.cidr, targetPrefix);
+  });
+  splitContainer.appendChild(splitBtn);
+
+  splitTd.appendChild(splitContainer);
+  tr.appendChild(splitTd);
+
+  // Allocate column
+  const allocateTd = document.createElement("td");
+  allocateTd.className = "button-cell";
+
+  const allocateContainer = document.createElement("div");
+  allocateContainer.className = "split-container";
+
+  const allocateSelect = getAllocateSelectTemplate(row.prefix).cloneNode(true);
+  allocateSelect.ariaLabel = `Select prefix to allocate inside ${row.cidr}`;
+  allocateSelect.disabled = allocateSelect.options.length === 0;
+
+  const strategySelect = document.createElement("select");
+  strategySelect.className = "strategy-select";
+  strategySelect.ariaLabel = `Allocation strategy for ${row.cidr}`;
+  Object.entries(core.ALLOCATION_STRATEGIES).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    strategySelect.appendChild(option);
+  });
+  strategySelect.value = row.strategy;
+  strategySelect.disabled = allocateSelect.disabled;
+  strategySelect.addEventListener("change", () =>
+    setAllocationStrategy(row.cidr, strategySelect.value),
   );
-  if (existingPicker) {
-    document.body.removeChild(existingPicker);
+  allocateContainer.appendChild(strategySelect);
+  allocateContainer.appendChild(allocateSelect);
+
+  const allocateBtn = document.createElement("button");
+  allocateBtn.className = "allocate-button";
+  allocateBtn.textContent = "Allocate";
+  allocateBtn.ariaLabel = `Allocate the next free subnet inside ${row.cidr}`;
+  allocateBtn.disabled = allocateSelect.disabled;
+  allocateBtn.addEventListener("click", () =>
+    promptAllocateNext(row.cidr, parseInt(allocateSelect.value)),
+  );
+  allocateContainer.appendChild(allocateBtn);
+
+  allocateTd.appendChild(allocateContainer);
+  tr.appendChild(allocateTd);
+
+  return tr;
+}
+
+/**
+ * Get the allocate target select for a prefix length, built once and cloned per row
+ * Unlike the split select it lists every longer prefix, since allocating only
+ * splits the branch leading to the allocated subnet. /64 is preselected
+ * @param {number} prefix - Prefix length of the row
+ * @returns {HTMLSelectElement} Template select element (clone before use)
+ */
+function getAllocateSelectTemplate(prefix) {
+  const cacheKey = `${prefix}|${hostSplits}`;
+  if (allocateSelectTemplates.has(cacheKey)) {
+    return allocateSelectTemplates.get(cacheKey);
   }
 
-  const picker = document.createElement("div");
-  picker.dataset.colorPicker = "true";
-  picker.style.position = "fixed";
-  picker.style.background = "white";
-  picker.style.border = "1px solid #ccc";
-  picker.style.borderRadius = "4px";
-  picker.style.padding = "10px";
-  picker.style.boxShadow = "0 2px 8px rgba(0,0,0,0.15)";
-  picker.style.zIndex = "1000";
-  picker.setAttribute("role", "dialog");
-  picker.setAttribute("aria-label", "Choose a color for the subnet");
-  picker.setAttribute("aria-modal", "true");
+  const allocateSelect = document.createElement("select");
+  allocateSelect.className = "allocate-select";
 
-  const rect = button.getBoundingClientRect();
-  picker.style.left = rect.left + "px";
-  picker.style.top = rect.bottom + 5 + "px";
+  const targets = [];
+  for (let p = prefix + 1; p <= 64; p++) targets.push(p);
+  targets.push(
+    ...core.HOST_SPLIT_PREFIXES.filter((p) => hostSplits && p > prefix),
+  );
 
-  // Add clear button
-  const clearBtn = document.createElement("button");
-  clearBtn.textContent = "Clear";
-  clearBtn.style.marginRight = "10px";
-  clearBtn.addEventListener("click", () => {
-    setColor("");
-    document.body.removeChild(picker);
+  targets.forEach((p) => {
+    const option = document.createElement("option");
+    option.value = p.toString();
+    option.textContent = `/${p}`;
+    option.selected = p === 64;
+    allocateSelect.appendChild(option);
   });
-  picker.appendChild(clearBtn);
 
-  // Add color options
-  const colorNames = [
-    "Soft Pink",
-    "Sky Blue",
-    "Mint Green",
-    "Peach",
-    "Lavender",
-    "Cyan",
-    "Cream",
-    "Rose",
-    "Ice Blue",
-    "Pale Lime",
-    "Apricot",
-    "Periwinkle",
-    "Sand",
-    "Seafoam",
-    "Blush",
-    "Aqua Mint",
-  ];
-  COLORS.forEach((color, index) => {
-    const opt = document.createElement("div");
-    opt.className = "color-option";
-    opt.style.background = color;
-    opt.style.display = "inline-block";
-    opt.style.margin = "2px";
-    opt.setAttribute("role", "button");
-    opt.setAttribute("aria-label", colorNames[index]);
-    opt.setAttribute("tabindex", "0");
-    opt.addEventListener("click", () => {
-      setColor(color);
-      document.body.removeChild(picker);
-    });
-    opt.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        setColor(color);
-        document.body.removeChild(picker);
-      }
+  allocateSelectTemplates.set(cacheKey, allocateSelect);
+  return allocateSelect;
+}
+
+/**
+ * Build the table cell editing one metadata field of a subnet
+ * Status is chosen from a list; the other fields are text inputs. Changes are
+ * saved when the input is committed (change event), not on every keystroke
+ * @param {string} cidr - CIDR of the row's subnet
+ * @param {string} field - Node key being edited (e.g. "_vlan")
+ * @param {string} label - Column label used for the accessible name
+ * @returns {HTMLTableCellElement} Metadata cell
+ */
+function createMetadataCell(cidr, field, label) {
+  const td = document.createElement("td");
+  td.className = "meta-cell";
+  const id = `${field.slice(1)}-${cidr.replace(/[\/:]/g, "-")}`;
+
+  const srLabel = document.createElement("label");
+  srLabel.className = "sr-only";
+  srLabel.textContent = `${label} for ${cidr}`;
+  srLabel.htmlFor = id;
+
+  let input;
+  if (field === "_status") {
+    input = document.createElement("select");
+    [
+      ["", "—"],
+      ...Object.values(core.SUBNET_STATUSES).map((s) => [s, s]),
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      input.appendChild(option);
     });
-    picker.appendChild(opt);
+  } else {
+    input = document.createElement("input");
+    input.type = "text";
+    if (field === "_vlan") input.inputMode = "numeric";
+  }
+  input.className = "meta-input";
+  input.id = id;
+  input.dataset.field = field;
+  input.addEventListener("change", async () => {
+    await setSubnetMetadata(cidr, field, input.value);
+    // Show the stored form (e.g. de-duplicated tags), or undo a rejected edit
+    input.value = core.formatMetadataValue(field, getSubnetNode(cidr)[field]);
   });
 
-  document.body.appendChild(picker);
+  td.appendChild(srLabel);
+  td.appendChild(input);
+  return td;
+}
 
-  // Close on outside click - use small delay to ensure DOM is painted
-  setTimeout(() => {
-    document.addEventListener(
-      "click",
-      function closePickerOnOutsideClick(e) {
-        if (!picker.contains(e.target) && e.target !== button) {
-          if (document.body.contains(picker)) {
-            document.body.removeChild(picker);
-          }
-          document.removeEventListener("click", closePickerOnOutsideClick);
-        }
-      },
-      { once: true },
+/**
+ * Set or clear a metadata field on a subnet from user input
+ * Invalid input is reported in the error area and leaves the node unchanged
+ * @param {string} cidr - CIDR of the subnet
+ * @param {string} field - Node key (e.g. "_owner")
+ * @param {string} raw - Text entered by the user (empty clears the field)
+ * @returns {Promise<boolean>} True if the value was valid
+ */
+async function setSubnetMetadata(cidr, field, raw) {
+  const errorDiv = document.getElementById("error");
+
+  let value;
+  try {
+    value = core.parseMetadataValue(field, raw);
+  } catch (e) {
+    errorDiv.textContent = `${cidr}: ${e.message}`;
+    return false;
+  }
+  errorDiv.textContent = "";
+
+  const node = getSubnetNode(cidr);
+  if (
+    core.formatMetadataValue(field, node[field]) ===
+    core.formatMetadataValue(field, value)
+  ) {
+    return true;
+  }
+
+  recordHistory();
+  if (value === undefined) {
+    delete node[field];
+  } else {
+    node[field] = value;
+  }
+
+  await saveState();
+  render();
+  return true;
+}
+
+/**
+ * Get the allocation strategy of a subnet in the current plan (see core.getAllocationStrategy)
+ * @param {string} cidr - CIDR of the subnet
+ * @param {boolean} [includeOwn=true] - Set to false to get only what the subnet inherits from its ancestors
+ * @returns {string} Key of ALLOCATION_STRATEGIES
+ */
+function getAllocationStrategy(cidr, includeOwn = true) {
+  return core.getAllocationStrategy(getCurrentPlan(), cidr, includeOwn);
+}
+
+/**
+ * Set the allocation strategy of a subnet (strategy select handler)
+ * The strategy is stored on the subnet only when it differs from the one
+ * inherited from its ancestors, and applies to its descendants that do not
+ * set their own
+ * @param {string} cidr - CIDR of the subnet
+ * @param {string} strategy - Key of ALLOCATION_STRATEGIES
+ * @returns {Promise<boolean>} True if the strategy was valid
+ */
+async function setAllocationStrategy(cidr, strategy) {
+  if (
+    !Object.prototype.hasOwnProperty.call(core.ALLOCATION_STRATEGIES, strategy)
+  ) {
+    document.getElementById("error").textContent =
+      `Unknown allocation strategy ${JSON.stringify(strategy)}`;
+    return false;
+  }
+
+  const node = getSubnetNode(cidr);
+  const inherited = getAllocationStrategy(cidr, false);
+  if ((node._strategy || inherited) === strategy) return true;
+
+  recordHistory();
+  if (strategy === inherited) {
+    delete node._strategy;
+  } else {
+    node._strategy = strategy;
+  }
+
+  await saveState();
+  render();
+  return true;
+}
+
+/**
+ * Find the next free subnet in the current plan (see core.findNextFreeSubnet)
+ * @param {string} parentCidr - CIDR of the subnet to allocate from
+ * @param {number} targetPrefix - Prefix length to allocate
+ * @returns {{cidr: string, splitFrom: string|null}|null} Free subnet and the leaf that must be split to create it, or null if none is free
+ * @throws {Error} If the target prefix cannot be allocated inside the parent
+ */
+function findNextFreeSubnet(parentCidr, targetPrefix) {
+  return core.findNextFreeSubnet(getCurrentPlan(), parentCidr, targetPrefix);
+}
+
+/**
+ * Allocate the next free subnet in the current plan as one undo step, then save and highlight it (see core.allocateNextSubnet)
+ * @param {string} parentCidr - CIDR of the subnet to allocate from
+ * @param {number} targetPrefix - Prefix length to allocate
+ * @param {string} [note=""] - Note for the allocation (empty keeps the inherited note)
+ * @returns {Promise<string>} CIDR of the allocated subnet
+ * @throws {Error} If the target is invalid or no free subnet of that size is left
+ */
+async function allocateNextSubnet(parentCidr, targetPrefix, note = "") {
+  recordHistory();
+  const cidr = core.allocateNextSubnet(
+    getCurrentPlan(),
+    parentCidr,
+    targetPrefix,
+    note,
+  );
+
+  await saveState();
+  highlightedCidr = cidr;
+  scrollToRow(cidr);
+  return cidr;
+}
+
+/**
+ * Ask for a note and allocate the next free subnet (Allocate button handler)
+ * Cancelling the prompt leaves the plan unchanged
+ * @param {string} parentCidr - CIDR of the row whose Allocate button was clicked
+ * @param {number} targetPrefix - Prefix length chosen in the row's select
+ * @returns {Promise<string|null>} CIDR of the allocated subnet, or null if cancelled or failed
+ */
+async function promptAllocateNext(parentCidr, targetPrefix) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
+
+  try {
+    const next = findNextFreeSubnet(parentCidr, targetPrefix);
+    if (!next) {
+      throw new Error(`No free /${targetPrefix} is left in ${parentCidr}`);
+    }
+
+    const note = prompt(`Note for the allocation of ${next.cidr}:`, "");
+    if (note === null) return null;
+
+    return await allocateNextSubnet(parentCidr, targetPrefix, note.trim());
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return null;
+  }
+}
+
+/**
+ * Apply a requirements plan to the current plan as one undo step, then save and render (see core.applyRequirementsPlan)
+ * @param {RequirementsPlan} plan - Plan from planRequirements()
+ * @returns {Promise<void>}
+ */
+async function applyRequirementsPlan(plan) {
+  recordHistory();
+  deleteDescendants(plan.root);
+  core.applyRequirementsPlan(getCurrentPlan(), plan);
+
+  await saveState();
+  render();
+}
+
+/**
+ * Format a fraction as a percentage for the planner preview
+ * @param {number} fraction - Value from 0 to 1
+ * @returns {string} Percentage rounded to one decimal place
+ */
+function formatPercent(fraction) {
+  if (fraction > 0 && fraction < 0.001) return "<0.1%";
+  return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+/**
+ * Plan the requirements typed into the planner box and show the proposed
+ * blocks with their utilization and headroom (Preview button handler)
+ * @returns {RequirementsPlan|null} Proposed plan, or null if planning failed
+ */
+function previewRequirementsFromInput() {
+  const resultDiv = document.getElementById("plannerResult");
+  resultDiv.textContent = "";
+
+  let plan;
+  try {
+    if (!rootNetwork) throw new Error("Load a network before planning");
+    const text = document.getElementById("plannerInput").value;
+    plan = core.planRequirements(
+      `${rootNetwork}/${rootPrefix}`,
+      core.parseRequirements(text),
+    );
+  } catch (e) {
+    resultDiv.textContent = e.message;
+    return null;
+  }
+
+  const table = document.createElement("table");
+  table.className = "planner-table";
+  const header = table.createTHead().insertRow();
+  ["Requirement", "Block", "Items", "Subnets per item", "Utilization"].forEach(
+    (label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      header.appendChild(th);
+    },
+  );
+  const body = table.createTBody();
+  plan.blocks.forEach((block) => {
+    const tr = body.insertRow();
+    [
+      block.name,
+      block.cidr,
+      `${block.count.toLocaleString()} of ${block.itemCapacity.toLocaleString()} /${block.itemPrefix}s (${(block.itemCapacity - block.count).toLocaleString()} spare)`,
+      `${block.perItem.toLocaleString()} of ${block.subnetCapacity.toLocaleString()} /64s (${(block.subnetCapacity - block.perItem).toLocaleString()} spare)`,
+      formatPercent(block.utilization),
+    ].forEach((text) => {
+      tr.insertCell().textContent = text;
+    });
+  });
+
+  const summary = document.createElement("p");
+  summary.textContent = `The blocks use ${formatPercent(plan.utilization)} of ${plan.root} and leave ${formatPercent(1 - plan.utilization)} free. ${
+    plan.nibbleAligned
+      ? "Every block and item is on a nibble boundary."
+      : "Nibble-aligned blocks do not fit, so exact sizes are used."
+  }`;
+
+  resultDiv.appendChild(table);
+  resultDiv.appendChild(summary);
+  return plan;
+}
+
+/**
+ * Plan the requirements typed into the planner box and build them under the
+ * root, asking first if the root is already split (Apply button handler)
+ * @returns {Promise<boolean>} True if the plan was applied
+ */
+async function applyRequirementsFromInput() {
+  const plan = previewRequirementsFromInput();
+  if (!plan) return false;
+
+  if (
+    isSplit(plan.root) &&
+    !confirm(
+      `Replace the subnets under ${plan.root} with the proposed plan? This can be undone.`,
+    )
+  ) {
+    return false;
+  }
+
+  await applyRequirementsPlan(plan);
+  return true;
+}
+
+/**
+ * Split by count in the current plan as one undo step, then save and render (see core.splitByCount)
+ * @param {string} cidr - CIDR of the subnet to split
+ * @param {number} count - Number of child subnets needed
+ * @param {{nibbleAligned?: boolean, names?: string[]}} [options] - Rounding and names for the first children
+ * @returns {Promise<{prefix: number, children: number, spare: number}>} The split that was made
+ * @throws {Error} If the subnet cannot hold that many children
+ */
+async function splitByCount(cidr, count, options = {}) {
+  recordHistory();
+  const split = core.splitByCount(getCurrentPlan(), cidr, count, options);
+
+  await saveState();
+  render();
+  return split;
+}
+
+/**
+ * Ask how many subnets are needed, show the resulting split and its spares,
+ * and split (Split button handler for the By count options)
+ * @param {string} cidr - CIDR of the row whose Split button was clicked
+ * @param {boolean} nibbleAligned - Round the target up to the next nibble boundary
+ * @returns {Promise<number|null>} Target prefix, or null if cancelled or failed
+ */
+async function promptSplitByCount(cidr, nibbleAligned) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
+
+  const answer = prompt(
+    `How many subnets does ${cidr} need? Add names after a colon to label the first ones (e.g. "12: Denver, Austin"):`,
+    "",
+  );
+  if (answer === null) return null;
+
+  try {
+    const { count, names } = core.parseSplitCount(answer);
+    const split = core.getSplitForCount(cidr, count, nibbleAligned);
+    if (
+      !confirm(
+        `Split ${cidr} into ${split.children.toLocaleString()} /${split.prefix}s for ${count.toLocaleString()} subnets (${split.spare.toLocaleString()} spare)?`,
+      )
+    ) {
+      return null;
+    }
+
+    await splitByCount(cidr, count, { nibbleAligned, names });
+    return split.prefix;
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return null;
+  }
+}
+
+/**
+ * Get the split target select for a prefix length, built once and cloned per row
+ * @param {number} prefix - Prefix length of the row
+ * @returns {HTMLSelectElement} Template select element (clone before use)
+ */
+function getSplitSelectTemplate(prefix) {
+  const cacheKey = `${prefix}|${hostSplits}`;
+  if (splitSelectTemplates.has(cacheKey)) {
+    return splitSelectTemplates.get(cacheKey);
+  }
+
+  const splitSelect = document.createElement("select");
+  splitSelect.className = "split-select";
+
+  const hostTargets = getHostSplitTargets(prefix);
+  const isAligned = prefix % 4 === 0;
+  const nextNibble =
+    prefix >= 64
+      ? hostTargets[0]
+      : isAligned
+        ? prefix + 4
+        : Math.ceil(prefix / 4) * 4;
+
+  const autoOption = document.createElement("option");
+  autoOption.value = "auto";
+  autoOption.textContent = nextNibble ? `Auto (→/${nextNibble})` : "Auto";
+  autoOption.style.fontWeight = "bold";
+  splitSelect.appendChild(autoOption);
+
+  for (let p = prefix + 1; p <= 64; p++) {
+    if (p === nextNibble) continue;
+    const numChildren = Math.pow(2, p - prefix);
+    if (numChildren > 1024) continue;
+
+    const option = document.createElement("option");
+    option.value = p.toString();
+    option.textContent = `→/${p}`;
+    splitSelect.appendChild(option);
+  }
+
+  hostTargets.slice(1).forEach((p) => {
+    const option = document.createElement("option");
+    option.value = p.toString();
+    // Large host splits only list the first MAX_HOST_SPLIT_CHILDREN subnets
+    option.textContent =
+      p - prefix > Math.log2(core.MAX_HOST_SPLIT_CHILDREN)
+        ? `→/${p} (first ${core.MAX_HOST_SPLIT_CHILDREN})`
+        : `→/${p}`;
+    splitSelect.appendChild(option);
+  });
+
+  // Split by count prompts for the number of subnets instead of a prefix
+  if (prefix < 64) {
+    [
+      ["count", "By count…"],
+      ["count-nibble", "By count, nibble…"],
+    ].forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      splitSelect.appendChild(option);
+    });
+  }
+
+  splitSelectTemplates.set(cacheKey, splitSelect);
+  return splitSelect;
+}
+
+/**
+ * Rebuild the Join cells of a row for the current rendered window
+ * A row gets a Join cell for each ancestor whose first child it is, spanning
+ * that ancestor's descendants. The first row of the window also gets cells
+ * for ancestors that started above it, and spans are clipped at the window end
+ * Order: most specific (deepest/highest prefix like /24) on LEFT,
+ *        least specific (root/lowest prefix like /20) on RIGHT
+ * @param {HTMLTableRowElement} tr - Row element
+ * @param {number} index - Index of the row in tableRows
+ * @param {number} start - First row index in the rendered window
+ * @param {number} end - Index just past the last row in the rendered window
+ * @returns {void}
+ */
+function updateJoinCells(tr, index, start, end) {
+  const row = tableRows[index];
+  const spans = [];
+
+  for (let a = row.parent; a !== -1; a = tableRows[a].parent) {
+    const firstChild = a + 1;
+    if (index === firstChild || (index === start && firstChild < start)) {
+      spans.push({
+        ancestor: a,
+        count: Math.min(tableRows[a].end, end) - index,
+      });
+    }
+  }
+
+  const joinKey = [
+    joinColumnCount,
+    ...spans.map((s) => `${tableRows[s.ancestor].cidr}:${s.count}`),
+  ].join("|");
+  if (tr.dataset.joinKey === joinKey) return;
+  tr.dataset.joinKey = joinKey;
+
+  tr.querySelectorAll(".join-column").forEach((td) => td.remove());
+
+  // First, add empty cells for unused columns on the left
+  const emptyCols = joinColumnCount - row.depth;
+  for (let i = 0; i < emptyCols; i++) {
+    const emptyTd = document.createElement("td");
+    emptyTd.className = "button-cell join-column";
+    tr.appendChild(emptyTd);
+  }
+
+  // Then add join buttons (deepest ancestor first, root last). Columns of
+  // ancestors without a cell here are covered by a rowspan from an earlier row
+  spans.forEach(({ ancestor, count }) => {
+    const ancestorPrefix = tableRows[ancestor].prefix;
+    const joinTd = document.createElement("td");
+    joinTd.className = "button-cell join-cell join-column";
+    joinTd.rowSpan = count;
+
+    const joinBtn = document.createElement("button");
+    joinBtn.className = "join-button";
+    joinBtn.textContent = `/${ancestorPrefix}`;
+    joinBtn.ariaLabel = `Join subnets back together to form a /${ancestorPrefix} network`;
+    joinBtn.addEventListener("click", () =>
+      joinSubnet(row.cidr, ancestorPrefix),
+    );
+    joinTd.appendChild(joinBtn);
+    tr.appendChild(joinTd);
+  });
+}
+
+/**
+ * Show color picker popup for a subnet row
+ * @param {string} cidr - CIDR notation of the subnet to color
+ * @param {HTMLButtonElement} button - Button element that triggered the picker
+ * @returns {void}
+ */
+function showColorPicker(cidr, button) {
+  currentColorTarget = cidr;
+  currentColorButton = button;
+
+  // Remove any existing picker before creating new one
+  const existingPicker = document.querySelector(
+    "body > div[data-color-picker='true']",
+  );
+  if (existingPicker) {
+    document.body.removeChild(existingPicker);
+  }
+
+  const picker = document.createElement("div");
+  picker.dataset.colorPicker = "true";
+  picker.style.position = "fixed";
+  picker.style.background = "white";
+  picker.style.border = "1px solid #ccc";
+  picker.style.borderRadius = "4px";
+  picker.style.padding = "10px";
+  picker.style.boxShadow = "0 2px 8px rgba(0,0,0,0.15)";
+  picker.style.zIndex = "1000";
+  picker.setAttribute("role", "dialog");
+  picker.setAttribute("aria-label", "Choose a color for the subnet");
+  picker.setAttribute("aria-modal", "true");
+
+  const rect = button.getBoundingClientRect();
+  picker.style.left = rect.left + "px";
+  picker.style.top = rect.bottom + 5 + "px";
+
+  // Add clear button
+  const clearBtn = document.createElement("button");
+  clearBtn.textContent = "Clear";
+  clearBtn.style.marginRight = "10px";
+  clearBtn.addEventListener("click", () => {
+    setColor("");
+    document.body.removeChild(picker);
+  });
+  picker.appendChild(clearBtn);
+
+  // Add color options
+  const colorNames = [
+    "Soft Pink",
+    "Sky Blue",
+    "Mint Green",
+    "Peach",
+    "Lavender",
+    "Cyan",
+    "Cream",
+    "Rose",
+    "Ice Blue",
+    "Pale Lime",
+    "Apricot",
+    "Periwinkle",
+    "Sand",
+    "Seafoam",
+    "Blush",
+    "Aqua Mint",
+  ];
+  core.COLORS.forEach((color, index) => {
+    const opt = document.createElement("div");
+    opt.className = "color-option";
+    opt.style.background = color;
+    opt.style.display = "inline-block";
+    opt.style.margin = "2px";
+    opt.setAttribute("role", "button");
+    opt.setAttribute("aria-label", colorNames[index]);
+    opt.setAttribute("tabindex", "0");
+    opt.addEventListener("click", () => {
+      setColor(color);
+      document.body.removeChild(picker);
+    });
+    opt.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        setColor(color);
+        document.body.removeChild(picker);
+      }
+    });
+    picker.appendChild(opt);
+  });
+
+  document.body.appendChild(picker);
+
+  // Close on outside click - use small delay to ensure DOM is painted
+  setTimeout(() => {
+    document.addEventListener(
+      "click",
+      function closePickerOnOutsideClick(e) {
+        if (!picker.contains(e.target) && e.target !== button) {
+          if (document.body.contains(picker)) {
+            document.body.removeChild(picker);
+          }
+          document.removeEventListener("click", closePickerOnOutsideClick);
+        }
+      },
+      { once: true },
+    );
+  }, 10);
+}
+
+/**
+ * Set the color for a subnet and update state
+ * @param {string} color - Color value to set (hex color or empty string to clear)
+ * @returns {void}
+ */
+async function setColor(color) {
+  recordHistory();
+  const node = getSubnetNode(currentColorTarget);
+  node._color = color;
+  currentColorButton.style.background = color || "white";
+  await saveState();
+  render();
+}
+
+/**
+ * Ask for the passphrase of an encrypted hash until it decrypts or the user
+ * cancels
+ * @param {string} encoded - URL-safe base64 payload after the e1 marker
+ * @returns {Promise<{hash: string, encryption: {key: CryptoKey, salt: Uint8Array}}|null>} Decrypted hash and key, or null if cancelled
+ */
+async function promptDecryptStateHash(encoded) {
+  let message = "This plan is encrypted. Enter the passphrase to open it:";
+  for (;;) {
+    const passphrase = prompt(message, "");
+    if (passphrase === null) return null;
+    try {
+      return await core.decryptStateHash(encoded, passphrase);
+    } catch (e) {
+      if (e.message === "Encrypted link is damaged") throw e;
+      message = "Wrong passphrase. Enter the passphrase to open this plan:";
+    }
+  }
+}
+
+/**
+ * Turn encryption of the URL hash on (asking for a passphrase) or off
+ * While it is on every save writes an encrypted hash, so Share and the address
+ * bar only ever hold the encrypted plan
+ * @returns {Promise<boolean>} True if encryption was turned on or off, false if cancelled
+ */
+async function toggleLinkEncryption() {
+  if (!rootNetwork) return false;
+
+  if (linkEncryption) {
+    if (
+      !confirm(
+        "Stop encrypting the link? Anyone with the URL will be able to read the plan.",
+      )
+    ) {
+      return false;
+    }
+    linkEncryption = null;
+  } else {
+    const passphrase = prompt(
+      "Passphrase to encrypt the link with (send it separately from the URL):",
+      "",
+    );
+    if (!passphrase) return false;
+    if (prompt("Enter the passphrase again:", "") !== passphrase) {
+      alert("The passphrases did not match. The link was not encrypted.");
+      return false;
+    }
+    linkEncryption = await core.createLinkEncryption(passphrase);
+  }
+
+  updateEncryptionButton();
+  await saveState();
+  return true;
+}
+
+/**
+ * Sync the Encrypt Link button with whether the hash is encrypted
+ * @returns {void}
+ */
+function updateEncryptionButton() {
+  const button = document.getElementById("encryptLinkButton");
+  if (!button) return;
+  button.textContent = linkEncryption ? "Remove Encryption" : "Encrypt Link";
+  button.classList.toggle("active", linkEncryption !== null);
+}
+
+/**
+ * Serialize the current plan to the JSON string stored in the URL hash
+ * @returns {string} JSON encoding of `{network, prefix, tree}`
+ */
+function serializePlan() {
+  return JSON.stringify(getPlanState());
+}
+
+/**
+ * Flatten the current plan's tree for saving (see core.serializeTree)
+ * @returns {Object<string, Object>} Annotations keyed by CIDR
+ */
+function serializeTree() {
+  return core.serializeTree(getCurrentPlan());
+}
+
+/**
+ * Get the state of the current plan (see core.getPlanState)
+ * @returns {{network: string|null, prefix: number|null, tree: Object<string, Object>}} Current plan state with a flat tree (see serializeTree)
+ */
+function getPlanState() {
+  return core.getPlanState(getCurrentPlan());
+}
+
+/**
+ * Replace the current plan with a decoded state object and sync the inputs
+ * The tree may be flat or in the older nested form (see buildSubnetTree)
+ * @param {{network: string|null, prefix: number|null, tree: Object<string, Object>, hostSplits?: boolean}} state - Plan state
+ * @returns {void}
+ */
+function applyState(state) {
+  // Collapsed branches belong to the plan on screen, so forget them for another root
+  if (state.network !== rootNetwork || state.prefix !== rootPrefix) {
+    collapsedCidrs.clear();
+  }
+  rootNetwork = state.network;
+  rootPrefix = state.prefix;
+  subnetTree = core.buildSubnetTree(
+    state.tree,
+    `${state.network}/${state.prefix}`,
+  );
+  hostSplits = state.hostSplits === true;
+  selectedCidrs.clear();
+
+  const toggle = document.getElementById("hostSplitToggle");
+  if (toggle) toggle.checked = hostSplits;
+  populatePrefixSelect();
+
+  if (rootNetwork) {
+    document.getElementById("networkInput").value = rootNetwork;
+    document.getElementById("prefixSelect").value = rootPrefix;
+  }
+}
+
+/**
+ * Save current state to URL hash for sharing/persistence
+ * @returns {Promise<void>}
+ */
+async function saveState() {
+  if (!rootNetwork) return;
+
+  const state = getPlanState();
+  let hash = await core.encodeStateHash(state);
+
+  if (linkEncryption) {
+    try {
+      hash = await core.encryptStateHash(hash, linkEncryption);
+    } catch (e) {
+      // Never fall back to a readable hash once the user asked for encryption
+      console.error("Encrypting the link failed, the URL was not updated:", e);
+      return;
+    }
+  }
+
+  lastSavedHash = hash;
+  window.location.hash = hash;
+  persistHistory();
+
+  // Keep the open library plan in step with the URL, unless the plan is
+  // encrypted and must not be stored readable
+  if (currentPlanId !== null && !linkEncryption)
+    updateLibraryPlan(currentPlanId, JSON.stringify(state));
+}
+
+/**
+ * Load state from URL hash
+ * The decoded plan is validated the same way as an imported plan file before
+ * it replaces the current one. A link that cannot be opened leaves the plan
+ * alone and says why in the error area
+ * @returns {Promise<boolean>} True if state was successfully loaded, false otherwise
+ */
+async function loadState() {
+  let hash = window.location.hash.slice(1);
+  if (!hash) return false;
+
+  const errorDiv = document.getElementById("error");
+  try {
+    let encryption = null;
+
+    // Encrypted links wrap one of the plain formats
+    if (hash.startsWith(core.STATE_ENCRYPTED)) {
+      const unlocked = await promptDecryptStateHash(
+        hash.slice(core.STATE_ENCRYPTED.length),
+      );
+      if (!unlocked) {
+        throw new Error(
+          "This plan is encrypted. Reload the page to enter the passphrase.",
+        );
+      }
+      ({ hash, encryption } = unlocked);
+    }
+
+    const state = await core.decodeStateHash(hash);
+    const errors = core.validatePlanState(state);
+    if (errors.length > 0) {
+      throw new Error(
+        `The plan in this link is invalid: ${core.formatValidationErrors(errors)}`,
+      );
+    }
+
+    applyState(state);
+    linkEncryption = encryption;
+    updateEncryptionButton();
+    restoreHistory();
+
+    if (errorDiv) errorDiv.textContent = "";
+    render();
+    return true;
+  } catch (e) {
+    console.warn("Failed to load state from hash:", e);
+    if (errorDiv) {
+      errorDiv.textContent = `Could not open the plan in this link. ${e.message}`;
+    }
+    return false;
+  }
+}
+
+/**
+ * Push a snapshot of the current plan onto the undo stack
+ * Call before mutating the tree; clears the redo stack
+ * @returns {void}
+ */
+function recordHistory() {
+  undoStack.push(serializePlan());
+  if (undoStack.length > historyLimit) {
+    undoStack.splice(0, undoStack.length - historyLimit);
+  }
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+/**
+ * Restore the most recent undo snapshot
+ * @returns {Promise<boolean>} True if a snapshot was restored, false if there was nothing to undo
+ */
+async function undo() {
+  if (undoStack.length === 0) return false;
+
+  redoStack.push(serializePlan());
+  applyState(JSON.parse(undoStack.pop()));
+
+  await saveState();
+  updateHistoryButtons();
+  render();
+  return true;
+}
+
+/**
+ * Re-apply the most recently undone snapshot
+ * @returns {Promise<boolean>} True if a snapshot was restored, false if there was nothing to redo
+ */
+async function redo() {
+  if (redoStack.length === 0) return false;
+
+  undoStack.push(serializePlan());
+  applyState(JSON.parse(redoStack.pop()));
+
+  await saveState();
+  updateHistoryButtons();
+  render();
+  return true;
+}
+
+/**
+ * Enable or disable the toolbar undo/redo buttons to match the stacks
+ * @returns {void}
+ */
+function updateHistoryButtons() {
+  const undoButton = document.getElementById("undoButton");
+  const redoButton = document.getElementById("redoButton");
+  if (undoButton) undoButton.disabled = undoStack.length === 0;
+  if (redoButton) redoButton.disabled = redoStack.length === 0;
+}
+
+/**
+ * Store the undo/redo stacks in sessionStorage so they survive a reload
+ * The current plan is stored alongside so stale history is never applied to a different plan
+ * While the link is encrypted the history stays in memory only, since the
+ * snapshots are readable plans
+ * @returns {void}
+ */
+function persistHistory() {
+  try {
+    // Also drop anything stored before encryption was turned on
+    if (linkEncryption) {
+      sessionStorage.removeItem(HISTORY_STORAGE_KEY);
+      return;
+    }
+    sessionStorage.setItem(
+      HISTORY_STORAGE_KEY,
+      JSON.stringify({
+        present: serializePlan(),
+        undo: undoStack,
+        redo: redoStack,
+        planId: currentPlanId,
+      }),
+    );
+  } catch (e) {
+    console.warn("Failed to persist undo history:", e);
+  }
+}
+
+/**
+ * Restore the undo/redo stacks (and the open library plan id) from sessionStorage
+ * if they belong to the loaded plan. Any other plan starts with empty history
+ * @returns {void}
+ */
+function restoreHistory() {
+  clearHistory();
+  currentPlanId = null;
+
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY));
+    if (
+      stored &&
+      stored.present === serializePlan() &&
+      Array.isArray(stored.undo) &&
+      Array.isArray(stored.redo)
+    ) {
+      undoStack = stored.undo.slice(-historyLimit);
+      redoStack = stored.redo;
+      // The tab was editing a library plan, so keep saving to it
+      if (Number.isInteger(stored.planId)) currentPlanId = stored.planId;
+    }
+  } catch (e) {
+    console.warn("Failed to restore undo history:", e);
+  }
+
+  updateHistoryButtons();
+}
+
+/**
+ * Discard all undo and redo snapshots
+ * @returns {void}
+ */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+/**
+ * Set how many undo steps are kept, trimming the oldest snapshots if needed
+ * @param {number} limit - Number of undo steps (1 to MAX_HISTORY_LIMIT)
+ * @returns {boolean} True if the limit was applied, false if it was out of range
+ */
+function setHistoryLimit(limit) {
+  const value = parseInt(limit);
+  const input = document.getElementById("historyLimitInput");
+
+  if (isNaN(value) || value < 1 || value > MAX_HISTORY_LIMIT) {
+    if (input) input.value = historyLimit;
+    return false;
+  }
+
+  historyLimit = value;
+  if (undoStack.length > historyLimit) {
+    undoStack.splice(0, undoStack.length - historyLimit);
+  }
+
+  try {
+    localStorage.setItem(HISTORY_LIMIT_STORAGE_KEY, String(historyLimit));
+  } catch (e) {
+    console.warn("Failed to store undo depth:", e);
+  }
+
+  persistHistory();
+  updateHistoryButtons();
+  return true;
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y keyboard shortcuts
+ * Text fields keep their native undo behavior
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {void}
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+  const target = e.target;
+  if (
+    target &&
+    (target.tagName === "INPUT" || target.tagName === "TEXTAREA") &&
+    target.type !== "checkbox"
+  ) {
+    return;
+  }
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+}
+
+/**
+ * Load a documentation prefix into the input fields
+ * @param {string} address - IPv6 address
+ * @param {number} prefix - Prefix length
+ * @returns {void}
+ */
+function loadDocPrefix(address, prefix) {
+  document.getElementById("networkInput").value = address;
+  document.getElementById("prefixSelect").value = prefix;
+  loadNetwork();
+}
+
+/**
+ * Load a network based on input field values
+ * @returns {void}
+ */
+async function loadNetwork() {
+  const input = document.getElementById("networkInput").value.trim();
+  const prefix = parseInt(document.getElementById("prefixSelect").value);
+  const errorDiv = document.getElementById("error");
+
+  errorDiv.textContent = "";
+
+  let plan;
+  try {
+    plan = core.createPlan(input, prefix, { hostSplits });
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return;
+  }
+
+  // Loading a new network replaces the plan, so keep the old one undoable
+  if (rootNetwork) recordHistory();
+  currentPlanId = null;
+
+  rootNetwork = plan.network;
+  rootPrefix = plan.prefix;
+  subnetTree = plan.tree;
+
+  await saveState();
+  render();
+}
+
+/**
+ * Copy the current shareable URL to clipboard
+ * @returns {void}
+ */
+function shareURL() {
+  const url = window.location.href;
+  navigator.clipboard
+    .writeText(url)
+    .then(() => {
+      alert("URL copied to clipboard!");
+    })
+    .catch(() => {
+      prompt("Copy this URL:", url);
+    });
+}
+
+/**
+ * Export the current subnet plan as a CSV file
+ * @returns {void}
+ */
+function exportCSV() {
+  if (!rootNetwork) {
+    alert("No network loaded to export");
+    return;
+  }
+
+  downloadFile(
+    generateCSV(),
+    `ipv6-subnet-plan-${rootNetwork}-${rootPrefix}.csv`,
+    "text/csv;charset=utf-8;",
+  );
+}
+
+/**
+ * Generate CSV text for the current plan with hierarchy shown as indentation
+ * @returns {string} CSV with Subnet, Contains and Note columns
+ */
+function generateCSV() {
+  return core.generateCSV(getCurrentPlan());
+}
+
+/**
+ * Trigger a browser download of generated text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested download filename
+ * @param {string} mimeType - MIME type of the content
+ * @returns {void}
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Build the versioned JSON plan file for the current plan
+ * @returns {{format: string, schemaVersion: number, network: string, prefix: number, tree: Object<string, SubnetNode>}} Plan file object
+ */
+function createPlanFile() {
+  return core.createPlanFile(getCurrentPlan());
+}
+
+/**
+ * Export the current subnet plan as a JSON file
+ * @returns {void}
+ */
+function exportJSON() {
+  if (!rootNetwork) {
+    alert("No network loaded to export");
+    return;
+  }
+
+  downloadFile(
+    JSON.stringify(createPlanFile(), null, 2),
+    `ipv6-subnet-plan-${rootNetwork}-${rootPrefix}.json`,
+    "application/json;charset=utf-8;",
+  );
+}
+
+/**
+ * Replace the current plan with the contents of a JSON plan file
+ * Shows validation problems in the error area instead of loading
+ * @param {string} text - Raw file contents
+ * @returns {Promise<boolean>} True if the plan was imported
+ */
+async function importJSON(text) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
+
+  let state;
+  try {
+    state = core.parsePlanFile(text);
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return false;
+  }
+
+  recordHistory();
+  applyState(state);
+  // An imported plan is a new plan, not an update to the open library plan
+  currentPlanId = null;
+
+  await saveState();
+  render();
+  return true;
+}
+
+/**
+ * Read the file chosen in a file input and pass its text to an importer
+ * Resets the input so the same file can be chosen again
+ * @param {HTMLInputElement} input - File input element
+ * @param {function(string): Promise<*>} importer - Import function receiving the file text
+ * @returns {Promise<void>}
+ */
+async function handleImportFile(input, importer) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  try {
+    await importer(await file.text());
+  } finally {
+    input.value = "";
+  }
+}
+
+/**
+ * Replace the current plan with one rebuilt from CSV text and report rejected rows
+ * @param {string} text - Raw CSV text
+ * @returns {Promise<boolean>} True if a plan was imported
+ */
+async function importCSV(text) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
+
+  let result;
+  try {
+    result = core.buildPlanFromCSV(text);
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return false;
+  }
+
+  recordHistory();
+  currentPlanId = null;
+  applyState({
+    network: result.network,
+    prefix: result.prefix,
+    tree: result.tree,
+    hostSplits: result.hostSplits,
+  });
+
+  if (result.errors.length > 0) {
+    errorDiv.textContent = [
+      `Imported ${result.imported} subnets. Skipped ${result.errors.length} rows:`,
+      ...result.errors.map((e) => `Row ${e.row} (${e.subnet}): ${e.reason}`),
+    ].join("\n");
+  }
+
+  await saveState();
+  render();
+  return true;
+}
+
+/**
+ * Open the IndexedDB plan library, creating its object store on first use
+ * The connection is opened once and shared
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openPlanLibrary() {
+  if (planLibraryDb) return planLibraryDb;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(
+      new Error(
+        "This browser does not support IndexedDB, so plans cannot be saved locally",
+      ),
+    );
+  }
+
+  planLibraryDb = new Promise((resolve, reject) => {
+    const request = indexedDB.open(PLAN_LIBRARY_DB, PLAN_LIBRARY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PLAN_LIBRARY_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed (e.g. blocked in private mode)
+  planLibraryDb.catch(() => {
+    planLibraryDb = null;
+  });
+
+  return planLibraryDb;
+}
+
+/**
+ * Run a single request against the plan library object store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request from the store
+ * @returns {Promise<*>} Result of the request
+ */
+async function planLibraryRequest(mode, makeRequest) {
+  const db = await openPlanLibrary();
+
+  return new Promise((resolve, reject) => {
+    const store = db
+      .transaction(PLAN_LIBRARY_STORE, mode)
+      .objectStore(PLAN_LIBRARY_STORE);
+    const request = makeRequest(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * List every plan in the library, sorted by name
+ * @returns {Promise<Array<{id: number, name: string, plan: string, created: string, updated: string}>>} Saved plan records
+ */
+async function listLibraryPlans() {
+  const records = await planLibraryRequest("readonly", (store) =>
+    store.getAll(),
+  );
+  return records.sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id);
+}
+
+/**
+ * Save the current plan to the library under a name
+ * Updates (and renames) the open library plan, or adds a new one if the
+ * current plan has not been saved yet
+ * Refused while the link is encrypted, since the library stores plans readable
+ * @param {string} name - Name to save the plan under
+ * @returns {Promise<number>} Library id of the saved plan
+ * @throws {Error} If the name is empty, there is no plan or the link is encrypted
+ */
+async function saveLibraryPlan(name) {
+  name = String(name ?? "").trim();
+  if (!name) throw new Error("Please enter a name for the plan");
+  if (!rootNetwork) throw new Error("There is no plan to save");
+  if (linkEncryption) {
+    throw new Error(
+      "The plan library is not encrypted. Remove the link encryption to save this plan",
+    );
+  }
+
+  const existing =
+    currentPlanId === null
+      ? null
+      : await planLibraryRequest("readonly", (store) =>
+          store.get(currentPlanId),
+        );
+
+  const now = new Date().toISOString();
+  const record = {
+    name,
+    plan: serializePlan(),
+    created: existing ? existing.created : now,
+    updated: now,
+  };
+  if (existing) record.id = existing.id;
+
+  currentPlanId = await planLibraryRequest("readwrite", (store) =>
+    store.put(record),
+  );
+  persistHistory();
+  return currentPlanId;
+}
+
+/**
+ * Write the serialized plan into its library record (called from saveState)
+ * Failures are logged rather than shown, since the URL hash still holds the plan
+ * @param {number} id - Library id of the open plan
+ * @param {string} plan - Serialized plan from serializePlan()
+ * @returns {Promise<void>}
+ */
+async function updateLibraryPlan(id, plan) {
+  try {
+    const record = await planLibraryRequest("readonly", (store) =>
+      store.get(id),
     );
-  }, 10);
+    if (!record) return;
+
+    record.plan = plan;
+    record.updated = new Date().toISOString();
+    await planLibraryRequest("readwrite", (store) => store.put(record));
+  } catch (e) {
+    console.warn("Failed to update saved plan:", e);
+  }
 }
 
 /**
- * Set the color for a subnet and update state
- * @param {string} color - Color value to set (hex color or empty string to clear)
- * @returns {void}
+ * Replace the current plan with one from the library
+ * @param {number} id - Library id of the plan to open
+ * @returns {Promise<Object>} The opened library record
  */
-async function setColor(color) {
-  const node = getSubnetNode(currentColorTarget);
-  node._color = color;
-  currentColorButton.style.background = color || "white";
+async function openLibraryPlan(id) {
+  const record = await planLibraryRequest("readonly", (store) => store.get(id));
+  if (!record) throw new Error("That plan is no longer in the library");
+
+  let state;
+  try {
+    state = JSON.parse(record.plan);
+  } catch (e) {
+    throw new Error(`Saved plan "${record.name}" could not be read`);
+  }
+  const errors = core.validatePlanState(state);
+  if (errors.length > 0) {
+    throw new Error(`Saved plan "${record.name}" is damaged: ${errors[0]}`);
+  }
+
+  if (rootNetwork) recordHistory();
+  applyState(state);
+  currentPlanId = record.id;
+
   await saveState();
   render();
+  return record;
 }
 
 /**
- * Compress text using deflate-raw compression via Compression Streams API
- * @param {string} text - Text to compress
- * @returns {Promise<string>} Base64-encoded compressed data
+ * Copy a library plan under a new name, leaving the current plan open
+ * @param {number} id - Library id of the plan to copy
+ * @returns {Promise<number>} Library id of the copy
  */
-async function compressToDeflateRaw(text) {
-  const encoder = new TextEncoder();
-  const uint8Array = encoder.encode(text);
-  const cs = new CompressionStream("deflate-raw");
-  const writer = cs.writable.getWriter();
-  const reader = cs.readable.getReader();
-  const chunks = [];
+async function duplicateLibraryPlan(id) {
+  const record = await planLibraryRequest("readonly", (store) => store.get(id));
+  if (!record) throw new Error("That plan is no longer in the library");
+
+  const names = (await listLibraryPlans()).map((r) => r.name);
+  const now = new Date().toISOString();
+
+  return planLibraryRequest("readwrite", (store) =>
+    store.add({
+      name: getCopyName(record.name, names),
+      plan: record.plan,
+      created: now,
+      updated: now,
+    }),
+  );
+}
 
-  writer.write(uint8Array);
-  writer.close();
+/**
+ * Remove a plan from the library
+ * Deleting the open plan keeps it on screen but it is no longer saved
+ * @param {number} id - Library id of the plan to delete
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryPlan(id) {
+  await planLibraryRequest("readwrite", (store) => store.delete(id));
 
-  let done = false;
-  while (!done) {
-    const { value, done: readerDone } = await reader.read();
-    done = readerDone;
-    if (value) chunks.push(value);
+  if (currentPlanId === id) {
+    currentPlanId = null;
+    persistHistory();
   }
+}
 
-  const blob = new Blob(chunks, { type: "application/octet-stream" });
-  const arrayBuffer = await blob.arrayBuffer();
-  const compressed = new Uint8Array(arrayBuffer);
-  return btoa(String.fromCharCode(...compressed));
+/**
+ * Pick a name for a copied plan that is not already in use
+ * @param {string} name - Name of the original plan
+ * @param {string[]} existingNames - Names already in the library
+ * @returns {string} "Name (copy)", or "Name (copy N)" if that is taken
+ */
+function getCopyName(name, existingNames) {
+  const taken = new Set(existingNames);
+  let copyName = `${name} (copy)`;
+  for (let n = 2; taken.has(copyName); n++) {
+    copyName = `${name} (copy ${n})`;
+  }
+  return copyName;
 }
 
 /**
- * Decompress deflate-raw compressed data via Compression Streams API
- * @param {string} base64 - Base64-encoded compressed data
- * @returns {Promise<string>} Decompressed text
+ * Reload the saved plans dropdown and show the open plan's name
+ * @returns {Promise<void>}
  */
-async function decompressFromDeflateRaw(base64) {
-  const binaryString = atob(base64);
-  const buffer = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    buffer[i] = binaryString.charCodeAt(i);
+async function refreshPlanLibrary() {
+  const select = document.getElementById("planLibrarySelect");
+  if (!select) return;
+
+  let plans = [];
+  try {
+    plans = await listLibraryPlans();
+  } catch (e) {
+    console.warn("Failed to list saved plans:", e);
   }
 
-  const ds = new DecompressionStream("deflate-raw");
-  const stream = new ReadableStream({
-    start(controller) {
-      controller.enqueue(buffer);
-      controller.close();
-    },
+  select.innerHTML = "";
+  if (plans.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No saved plans";
+    select.appendChild(option);
+  }
+  plans.forEach((plan) => {
+    const option = document.createElement("option");
+    option.value = plan.id;
+    option.textContent = plan.name;
+    select.appendChild(option);
   });
-  const decompressedStream = stream.pipeThrough(ds);
-  const decoder = new TextDecoder();
-  let result = "";
 
-  const reader = decompressedStream.getReader();
-  let done = false;
-  while (!done) {
-    const { value, done: readerDone } = await reader.read();
-    done = readerDone;
-    if (value) result += decoder.decode(value, { stream: !done });
+  const current = plans.find((plan) => plan.id === currentPlanId);
+  if (current) {
+    select.value = current.id;
+    document.getElementById("planNameInput").value = current.name;
   }
 
-  return result;
+  refreshPlanSources(plans);
 }
 
 /**
- * Check if browser supports Compression Streams API
- * @returns {boolean} True if deflate-raw compression is supported
+ * Get the library id chosen in the saved plans dropdown
+ * @returns {number} Selected library id
  */
-function supportsCompression() {
-  return (
-    "CompressionStream" in globalThis && "DecompressionStream" in globalThis
-  );
+function getSelectedPlanId() {
+  const id = parseInt(document.getElementById("planLibrarySelect").value);
+  if (isNaN(id)) throw new Error("Choose a saved plan first");
+  return id;
 }
 
 /**
- * Save current state to URL hash for sharing/persistence
- * @returns {Promise<void>}
+ * Run a plan library action from the toolbar, showing any error
+ * @param {function(): Promise<*>} action - Library operation to run
+ * @returns {Promise<boolean>} True if the action succeeded
  */
-async function saveState() {
-  if (!rootNetwork) return;
+async function runPlanLibraryAction(action) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
 
-  const state = {
-    network: rootNetwork,
-    prefix: rootPrefix,
-    tree: subnetTree,
-  };
+  try {
+    await action();
+    return true;
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return false;
+  } finally {
+    await refreshPlanLibrary();
+  }
+}
 
-  const json = JSON.stringify(state);
+/**
+ * Save the current plan under the name in the plan name input
+ * @returns {Promise<boolean>} True if the plan was saved
+ */
+function saveCurrentPlan() {
+  return runPlanLibraryAction(() =>
+    saveLibraryPlan(document.getElementById("planNameInput").value),
+  );
+}
 
-  if (supportsCompression()) {
-    try {
-      // Try deflate-raw compression with v2 marker
-      const compressed = await compressToDeflateRaw(json);
-      window.location.hash = `${STATE_VERSION_2}${compressed}`;
-      return;
-    } catch (e) {
-      console.warn("Compression failed, falling back to base64:", e);
-    }
-  }
+/**
+ * Open the plan chosen in the saved plans dropdown
+ * @returns {Promise<boolean>} True if the plan was opened
+ */
+function openSelectedPlan() {
+  return runPlanLibraryAction(() => openLibraryPlan(getSelectedPlanId()));
+}
 
-  // Fallback: base64 encoding with v1 marker
-  const compressed = btoa(encodeURIComponent(json));
-  window.location.hash = `${STATE_VERSION_1}${compressed}`;
+/**
+ * Copy the plan chosen in the saved plans dropdown
+ * @returns {Promise<boolean>} True if the copy was created
+ */
+function duplicateSelectedPlan() {
+  return runPlanLibraryAction(() => duplicateLibraryPlan(getSelectedPlanId()));
 }
 
 /**
- * Load state from URL hash
- * @returns {Promise<boolean>} True if state was successfully loaded, false otherwise
+ * Delete the plan chosen in the saved plans dropdown after confirmation
+ * @returns {Promise<boolean>} True if the plan was deleted
  */
-async function loadState() {
-  const hash = window.location.hash.slice(1);
-  if (!hash) return false;
+function deleteSelectedPlan() {
+  return runPlanLibraryAction(async () => {
+    const select = document.getElementById("planLibrarySelect");
+    const id = getSelectedPlanId();
+    const name = select.options[select.selectedIndex].textContent;
+    if (!confirm(`Delete the saved plan "${name}"? This cannot be undone.`)) {
+      return;
+    }
+    await deleteLibraryPlan(id);
+  });
+}
 
-  try {
-    let json = "";
-
-    // Check version marker
-    if (hash.startsWith(STATE_VERSION_2)) {
-      // v2: deflate-raw compressed
-      const compressed = hash.slice(STATE_VERSION_2.length);
-      json = await decompressFromDeflateRaw(compressed);
-    } else if (hash.startsWith(STATE_VERSION_1)) {
-      // v1: base64 encoded (legacy format)
-      const compressed = hash.slice(STATE_VERSION_1.length);
-      json = decodeURIComponent(atob(compressed));
-    } else {
-      // No version marker: assume legacy format (backward compatibility)
-      json = decodeURIComponent(atob(hash));
+/**
+ * List the saved plans in every compare and merge dropdown after the fixed
+ * sources, keeping each dropdown's choice if that plan still exists
+ * @param {Array<{id: number, name: string}>} plans - Saved plan records
+ * @returns {void}
+ */
+function refreshPlanSources(plans) {
+  document.querySelectorAll("select.plan-source").forEach((select) => {
+    const selected = select.value;
+    select.querySelector("optgroup")?.remove();
+    if (plans.length > 0) {
+      const group = document.createElement("optgroup");
+      group.label = "Saved plans";
+      plans.forEach((plan) => {
+        const option = document.createElement("option");
+        option.value = `library:${plan.id}`;
+        option.textContent = plan.name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
     }
+    select.value = selected;
+    if (select.selectedIndex === -1) select.selectedIndex = 0;
+  });
+}
+
+/**
+ * Load a plan from the source chosen in a compare or merge dropdown: the
+ * current plan, a share link, a JSON plan file or a saved plan
+ * Encrypted links ask for their passphrase
+ * @param {string} idPrefix - Start of the ids of the dropdown, link input and file input (e.g. "compareBefore")
+ * @param {string} purpose - What the plan is for, ending the error messages (e.g. "to compare (After)")
+ * @returns {Promise<{label: string, plan: import("./core.js").Plan}>} Name and validated plan
+ * @throws {Error} If the source is empty, cancelled or holds an invalid plan
+ */
+async function readPlanSource(idPrefix, purpose) {
+  const source = document.getElementById(`${idPrefix}Source`).value;
 
-    const state = JSON.parse(json);
+  if (source === "current") {
+    if (!rootNetwork) throw new Error(`Load a network ${purpose}`);
+    return { label: "Current plan", plan: getCurrentPlan() };
+  }
 
-    rootNetwork = state.network;
-    rootPrefix = state.prefix;
-    subnetTree = state.tree;
+  if (source === "link") {
+    const link = document.getElementById(`${idPrefix}Link`).value.trim();
+    if (!link) throw new Error(`Paste a share link ${purpose}`);
+    let hash = core.getShareLinkHash(link);
+    if (hash.startsWith(core.STATE_ENCRYPTED)) {
+      const unlocked = await promptDecryptStateHash(
+        hash.slice(core.STATE_ENCRYPTED.length),
+      );
+      if (!unlocked) throw new Error("The encrypted link was not opened");
+      hash = unlocked.hash;
+    }
+    return {
+      label: "Share link",
+      plan: core.planFromState(await core.decodeStateHash(hash)),
+    };
+  }
 
-    document.getElementById("networkInput").value = rootNetwork;
-    document.getElementById("prefixSelect").value = rootPrefix;
+  if (source === "file") {
+    const input = document.getElementById(`${idPrefix}File`);
+    const file = input.files && input.files[0];
+    if (!file) throw new Error(`Choose a JSON plan file ${purpose}`);
+    return {
+      label: file.name,
+      plan: core.planFromState(core.parsePlanFile(await file.text())),
+    };
+  }
 
-    render();
-    return true;
+  const id = parseInt(source.replace(/^library:/, ""));
+  const record = await planLibraryRequest("readonly", (store) => store.get(id));
+  if (!record) throw new Error("That plan is no longer in the library");
+  let state;
+  try {
+    state = JSON.parse(record.plan);
   } catch (e) {
-    console.warn("Failed to load state from hash:", e);
-    return false;
+    throw new Error(`Saved plan "${record.name}" could not be read`);
   }
+  return { label: record.name, plan: core.planFromState(state) };
 }
 
 /**
- * Load a documentation prefix into the input fields
- * @param {string} address - IPv6 address
- * @param {number} prefix - Prefix length
+ * Show the last comparison as one merged table: added, removed and changed
+ * subnets with their unchanged ancestors for context, or every subnet when
+ * Show unchanged is ticked
  * @returns {void}
  */
-function loadDocPrefix(address, prefix) {
-  document.getElementById("networkInput").value = address;
-  document.getElementById("prefixSelect").value = prefix;
-  loadNetwork();
+function renderPlanDiff() {
+  const resultDiv = document.getElementById("compareResult");
+  resultDiv.textContent = "";
+  if (!lastPlanDiff) return;
+
+  const showUnchanged = document.getElementById(
+    "compareShowUnchanged",
+  )?.checked;
+  const rows = lastPlanDiff.rows;
+
+  // Keep the unchanged ancestors of each change so its place in the tree shows
+  const context = new Set();
+  if (!showUnchanged) {
+    const ancestors = [];
+    rows.forEach((row, i) => {
+      ancestors.length = row.depth;
+      if (row.status !== "unchanged") {
+        ancestors.forEach((index) => context.add(index));
+      }
+      ancestors.push(i);
+    });
+  }
+  const shown = rows.filter(
+    (row, i) => showUnchanged || row.status !== "unchanged" || context.has(i),
+  );
+
+  const summary = document.createElement("p");
+  summary.textContent = `${lastPlanDiffLabels.before} (${lastPlanDiff.before}) → ${lastPlanDiffLabels.after} (${lastPlanDiff.after}): ${core.summarizePlanDiff(lastPlanDiff)}.`;
+  resultDiv.appendChild(summary);
+
+  lastPlanDiff.planChanges.forEach((change) => {
+    const p = document.createElement("p");
+    p.textContent = `${change.label}: ${change.before} → ${change.after}`;
+    resultDiv.appendChild(p);
+  });
+
+  if (shown.length === 0) return;
+
+  const table = document.createElement("table");
+  table.className = "planner-table compare-table";
+  const header = table.createTHead().insertRow();
+  ["Subnet", "Change", "Details"].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    header.appendChild(th);
+  });
+
+  const labels = { added: "Added", removed: "Removed", changed: "Changed" };
+  const body = table.createTBody();
+  shown.slice(0, MAX_COMPARE_ROWS).forEach((row) => {
+    const tr = body.insertRow();
+    tr.className =
+      row.status === "unchanged" ? "diff-context" : `diff-${row.status}`;
+
+    const subnetCell = tr.insertCell();
+    subnetCell.textContent = row.cidr;
+    subnetCell.style.paddingLeft = `${8 + row.depth * 16}px`;
+
+    tr.insertCell().textContent = labels[row.status] || "";
+
+    const show = (value) => (value === "" ? "(none)" : value);
+    tr.insertCell().textContent =
+      row.status === "changed"
+        ? row.changes
+            .map(
+              (change) =>
+                `${change.label}: ${show(change.before)} → ${show(change.after)}`,
+            )
+            .join("; ")
+        : row.note;
+  });
+  resultDiv.appendChild(table);
+
+  if (shown.length > MAX_COMPARE_ROWS) {
+    const note = document.createElement("p");
+    note.textContent = `Showing the first ${MAX_COMPARE_ROWS.toLocaleString()} of ${shown.length.toLocaleString()} rows. Download the report for every change.`;
+    resultDiv.appendChild(note);
+  }
 }
 
 /**
- * Load a network based on input field values
- * @returns {void}
+ * Load the two plans chosen in the compare form and show their differences
+ * (Compare button handler)
+ * @returns {Promise<import("./core.js").PlanDiff|null>} Differences, or null if a plan could not be loaded
  */
-async function loadNetwork() {
-  const input = document.getElementById("networkInput").value.trim();
-  const prefix = parseInt(document.getElementById("prefixSelect").value);
-  const errorDiv = document.getElementById("error");
-
-  errorDiv.textContent = "";
+async function comparePlansFromInput() {
+  const resultDiv = document.getElementById("compareResult");
+  resultDiv.textContent = "";
 
-  // Validate
-  if (!input) {
-    errorDiv.textContent = "Please enter an IPv6 address";
-    return;
+  try {
+    const before = await readPlanSource("compareBefore", "to compare (Before)");
+    const after = await readPlanSource("compareAfter", "to compare (After)");
+    lastPlanDiff = core.diffPlans(before.plan, after.plan);
+    lastPlanDiffLabels = { before: before.label, after: after.label };
+  } catch (e) {
+    lastPlanDiff = null;
+    resultDiv.textContent = e.message;
+    return null;
   }
 
-  const bytes = parseIPv6(input);
-  if (!bytes) {
-    errorDiv.textContent = "Invalid IPv6 address";
-    return;
-  }
+  renderPlanDiff();
+  return lastPlanDiff;
+}
 
-  if (prefix < 16 || prefix > 64) {
-    errorDiv.textContent = "Prefix must be between /16 and /64";
-    return;
+/**
+ * Download the last comparison as a plain-text change report
+ * @returns {boolean} True if a report was downloaded
+ */
+function downloadPlanDiffReport() {
+  if (!lastPlanDiff) {
+    alert("Compare two plans before downloading a report");
+    return false;
   }
 
-  // Apply prefix mask
-  const masked = applyPrefix(bytes, prefix);
-  rootNetwork = formatIPv6(masked);
-  rootPrefix = prefix;
+  downloadFile(
+    core.formatPlanDiff(lastPlanDiff, lastPlanDiffLabels),
+    `ipv6-plan-changes-${lastPlanDiff.after.replace("/", "-")}.txt`,
+    "text/plain;charset=utf-8;",
+  );
+  return true;
+}
 
-  // Initialize tree
-  subnetTree = {};
-  const rootCidr = `${rootNetwork}/${rootPrefix}`;
-  subnetTree[rootCidr] = { _note: "", _color: "" };
+/**
+ * Load the base, our plan and their plan chosen in the merge form, merge them
+ * and show the conflicts to resolve (Merge button handler)
+ * Each plan is copied, so editing the current plan afterwards does not change
+ * the pending merge
+ * @returns {Promise<import("./core.js").PlanMerge|null>} Merge result, or null if a plan could not be loaded
+ */
+async function previewMergeFromInput() {
+  const resultDiv = document.getElementById("mergeResult");
+  resultDiv.textContent = "";
 
-  await saveState();
-  render();
+  try {
+    const plans = {};
+    for (const [side, name] of [
+      ["base", "Base"],
+      ["ours", "Ours"],
+      ["theirs", "Theirs"],
+    ]) {
+      const { label, plan } = await readPlanSource(
+        `merge${name}`,
+        `to merge (${name})`,
+      );
+      plans[side] = {
+        label,
+        plan: core.planFromState(core.getPlanState(plan)),
+      };
+    }
+    core.mergePlans(plans.base.plan, plans.ours.plan, plans.theirs.plan);
+    pendingMerge = plans;
+    mergeResolutions = {};
+  } catch (e) {
+    pendingMerge = null;
+    resultDiv.textContent = e.message;
+    return null;
+  }
+
+  return renderMerge();
 }
 
 /**
- * Copy the current shareable URL to clipboard
- * @returns {void}
+ * Choose a side for one conflict of the pending merge and show the result
+ * Choosing a side for a split can add or remove conflicts inside that subnet
+ * @param {string} id - Conflict id from mergePlans()
+ * @param {"ours"|"theirs"} side - Side to keep
+ * @returns {import("./core.js").PlanMerge|null} Updated merge result, or null if there is no pending merge
  */
-function shareURL() {
-  const url = window.location.href;
-  navigator.clipboard
-    .writeText(url)
-    .then(() => {
-      alert("URL copied to clipboard!");
-    })
-    .catch(() => {
-      prompt("Copy this URL:", url);
-    });
+function resolveMergeConflict(id, side) {
+  if (!pendingMerge) return null;
+  mergeResolutions[id] = side;
+  return renderMerge();
 }
 
 /**
- * Export the current subnet plan as a CSV file
- * @returns {void}
+ * Merge the pending plans with the chosen sides and show what is left to
+ * resolve: one row per conflict with a choice between our and their value
+ * @returns {import("./core.js").PlanMerge|null} Merge result, or null if there is no pending merge
  */
-function exportCSV() {
-  if (!rootNetwork) {
-    alert("No network loaded to export");
-    return;
-  }
-
-  const rootCidr = `${rootNetwork}/${rootPrefix}`;
-  const rows = [];
+function renderMerge() {
+  const resultDiv = document.getElementById("mergeResult");
+  resultDiv.textContent = "";
+  if (!pendingMerge) return null;
+
+  const { base, ours, theirs } = pendingMerge;
+  const merge = core.mergePlans(
+    base.plan,
+    ours.plan,
+    theirs.plan,
+    mergeResolutions,
+  );
+  const unresolved = merge.conflicts.filter((c) => c.resolution === null);
 
-  function collectRows(cidr, depth = 0) {
-    const node = getSubnetNode(cidr);
-    const children = Object.keys(node).filter((k) => !k.startsWith("_"));
-    const [addr, prefix] = cidr.split("/");
+  const summary = document.createElement("p");
+  if (merge.plan) {
+    summary.textContent = `Ready to merge ${theirs.label} into ${ours.label}: ${core.summarizePlanDiff(
+      core.diffPlans(ours.plan, merge.plan),
+    )}. Click Apply Merge to replace the current plan.`;
+  } else {
+    summary.textContent = `${unresolved.length.toLocaleString()} of ${merge.conflicts.length.toLocaleString()} conflicts to resolve. Choose a side for each, then click Apply Merge.`;
+  }
+  resultDiv.appendChild(summary);
+  if (merge.conflicts.length === 0) return merge;
+
+  const table = document.createElement("table");
+  table.className = "planner-table merge-table";
+  const header = table.createTHead().insertRow();
+  [
+    "Subnet",
+    "Field",
+    `Base (${base.label})`,
+    `Ours (${ours.label})`,
+    `Theirs (${theirs.label})`,
+  ].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    header.appendChild(th);
+  });
 
-    rows.push({
-      cidr,
-      depth,
-      note: node._note || "",
-      contains: getSubnetCount(parseInt(prefix)),
+  const show = (value) => (value === "" ? "(none)" : value);
+  const body = table.createTBody();
+  merge.conflicts.forEach((conflict, index) => {
+    const tr = body.insertRow();
+    if (conflict.resolution === null) tr.className = "merge-unresolved";
+    tr.insertCell().textContent = conflict.cidr;
+    tr.insertCell().textContent = conflict.label;
+    tr.insertCell().textContent = show(conflict.base);
+
+    ["ours", "theirs"].forEach((side) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = `mergeConflict${index}`;
+      input.value = side;
+      input.checked = conflict.resolution === side;
+      input.addEventListener("change", () =>
+        resolveMergeConflict(conflict.id, side),
+      );
+      label.appendChild(input);
+      label.append(` ${show(conflict[side])}`);
+      tr.insertCell().appendChild(label);
     });
+  });
+  resultDiv.appendChild(table);
+  return merge;
+}
 
-    children.sort(compareCIDR).forEach((childCidr) => {
-      collectRows(childCidr, depth + 1);
-    });
+/**
+ * Replace the current plan with the pending merge once every conflict is
+ * resolved (Apply Merge button handler). Recorded as one undo step
+ * @returns {Promise<boolean>} True if the merged plan was applied
+ */
+async function applyMergeFromInput() {
+  const merge = renderMerge();
+  if (!merge) {
+    document.getElementById("mergeResult").textContent =
+      "Click Merge to load the plans first";
+    return false;
+  }
+  if (!merge.plan) {
+    const message = document.createElement("p");
+    message.textContent = "Resolve every conflict before applying the merge";
+    document.getElementById("mergeResult").prepend(message);
+    return false;
   }
 
-  collectRows(rootCidr);
+  if (rootNetwork) recordHistory();
+  applyState(core.getPlanState(merge.plan));
+  const { ours, theirs } = pendingMerge;
+  pendingMerge = null;
+  mergeResolutions = {};
 
-  let csv = "Subnet,Contains,Note\n";
-  rows.forEach((row) => {
-    const indent = "  ".repeat(row.depth);
-    const subnet = indent + row.cidr;
-    const note = row.note.replace(/"/g, '""');
-    csv += `"${subnet}","${row.contains}","${note}"\n`;
-  });
+  await saveState();
+  render();
+  document.getElementById("mergeResult").textContent =
+    `Merged ${theirs.label} into ${ours.label}. Undo restores the plan from before the merge.`;
+  return true;
+}
 
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const link = document.createElement("a");
-  const url = URL.createObjectURL(blob);
+/**
+ * Download BIND reverse zone skeletons for the subnets typed into the
+ * Reverse DNS box, or for the ticked rows when it is empty (Export Zones
+ * button handler)
+ * @returns {boolean} True if the zones were downloaded
+ */
+function exportReverseZonesFromInput() {
+  const errorDiv = document.getElementById("error");
+  errorDiv.textContent = "";
 
-  link.setAttribute("href", url);
-  link.setAttribute(
-    "download",
-    `ipv6-subnet-plan-${rootNetwork}-${rootPrefix}.csv`,
-  );
-  link.style.visibility = "hidden";
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  try {
+    if (!rootNetwork) {
+      throw new Error("Load a network before exporting reverse zones");
+    }
+    const text = document.getElementById("reverseZoneInput").value;
+    let cidrs = text.split(/[\s,]+/).filter(Boolean);
+    if (cidrs.length === 0) {
+      cidrs = [...selectedCidrs].filter((cidr) => subnetTree[cidr]);
+    }
+    if (cidrs.length === 0) {
+      throw new Error("Enter subnets or tick rows to export reverse zones");
+    }
+
+    downloadFile(
+      core.generateReverseZones(getCurrentPlan(), cidrs),
+      `ipv6-reverse-zones-${rootNetwork}-${rootPrefix}.txt`,
+      "text/plain;charset=utf-8;",
+    );
+    return true;
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    return false;
+  }
 }
 
 /**
- * Populate the prefix select dropdown with options from /16 to /64
+ * Populate the prefix select dropdown with options from /16 to /64,
+ * plus the host split prefixes when splits below /64 are enabled
  * @returns {void}
  */
 function populatePrefixSelect() {
   const select = document.getElementById("prefixSelect");
+  const selected = select.value;
+  const prefixes = [];
   for (let i = 16; i <= 64; i++) {
+    prefixes.push(i);
+  }
+  if (hostSplits) prefixes.push(...core.HOST_SPLIT_PREFIXES);
+
+  select.innerHTML = "";
+  prefixes.forEach((i) => {
     const option = document.createElement("option");
     option.value = i;
     option.textContent = "/" + i;
     select.appendChild(option);
+  });
+
+  if (prefixes.includes(parseInt(selected))) select.value = selected;
+}
+
+/**
+ * Turn splitting below /64 on or off for the current plan
+ * Turning it off is refused while the plan still has subnets longer than /64
+ * @param {boolean} enabled - Whether /64s may be split into /112, /126, /127 or /128
+ * @returns {Promise<boolean>} True if the setting was changed (or already matched)
+ */
+async function setHostSplits(enabled) {
+  const errorDiv = document.getElementById("error");
+  const toggle = document.getElementById("hostSplitToggle");
+  enabled = Boolean(enabled);
+
+  if (enabled === hostSplits) return true;
+
+  const hasHostSubnets =
+    rootPrefix > 64 ||
+    Object.keys(subnetTree).some((cidr) => core.parseCIDR(cidr)?.prefix > 64);
+  if (!enabled && hasHostSubnets) {
+    errorDiv.textContent =
+      "Join the subnets longer than /64 before turning off splits below /64";
+    if (toggle) toggle.checked = true;
+    return false;
+  }
+
+  if (rootNetwork) recordHistory();
+  hostSplits = enabled;
+  errorDiv.textContent = "";
+  if (toggle) toggle.checked = hostSplits;
+  populatePrefixSelect();
+
+  await saveState();
+  render();
+  return true;
+}
+
+/**
+ * Read the configured undo depth from localStorage and show it in the toolbar
+ * @returns {void}
+ */
+function loadHistoryLimit() {
+  try {
+    const stored = parseInt(localStorage.getItem(HISTORY_LIMIT_STORAGE_KEY));
+    if (stored >= 1 && stored <= MAX_HISTORY_LIMIT) {
+      historyLimit = stored;
+    }
+  } catch (e) {
+    console.warn("Failed to read undo depth:", e);
   }
+
+  const input = document.getElementById("historyLimitInput");
+  if (input) input.value = historyLimit;
 }
 
 /**
@@ -1225,18 +3170,33 @@ function populatePrefixSelect() {
  */
 async function init() {
   populatePrefixSelect();
+  loadHistoryLimit();
 
   if (!(await loadState())) {
+    // Keep the reason a link could not be opened visible over the default plan
+    const loadError = document.getElementById("error").textContent;
     document.getElementById("networkInput").value = "3fff::";
     document.getElementById("prefixSelect").value = "20";
-    loadNetwork();
+    await loadNetwork();
+    document.getElementById("error").textContent = loadError;
   }
+
+  await refreshPlanLibrary();
 }
 
 document.addEventListener("DOMContentLoaded", () => init());
 
+// Only the rows near the viewport are rendered, so follow scrolling and resizing
+window.addEventListener("scroll", scheduleVisibleRowsUpdate, { passive: true });
+window.addEventListener("resize", scheduleVisibleRowsUpdate);
+
+// Add undo/redo keyboard shortcuts
+document.addEventListener("keydown", handleHistoryShortcut);
+
 // Add hashchange event handler for browser back/forward navigation
 window.addEventListener("hashchange", async () => {
+  // Hashes written by saveState already match the in-memory plan
+  if (window.location.hash.slice(1) === lastSavedHash) return;
   await loadState();
 });
 
@@ -1244,37 +3204,119 @@ window.addEventListener("hashchange", async () => {
 window.loadNetwork = loadNetwork;
 window.loadDocPrefix = loadDocPrefix;
 window.shareURL = shareURL;
+window.toggleLinkEncryption = toggleLinkEncryption;
 window.exportCSV = exportCSV;
+window.exportJSON = exportJSON;
+window.importJSON = importJSON;
+window.importCSV = importCSV;
+window.setHostSplits = setHostSplits;
+window.saveCurrentPlan = saveCurrentPlan;
+window.openSelectedPlan = openSelectedPlan;
+window.duplicateSelectedPlan = duplicateSelectedPlan;
+window.deleteSelectedPlan = deleteSelectedPlan;
+window.handleImportFile = handleImportFile;
+window.undo = undo;
+window.redo = redo;
+window.setHistoryLimit = setHistoryLimit;
+window.setTableFilter = setTableFilter;
+window.clearTableFilter = clearTableFilter;
+window.lookupAddressFromInput = lookupAddressFromInput;
+window.previewRequirementsFromInput = previewRequirementsFromInput;
+window.applyRequirementsFromInput = applyRequirementsFromInput;
+window.previewBulkSplitFromInput = previewBulkSplitFromInput;
+window.setCollapsed = setCollapsed;
+window.applyBulkSplitFromInput = applyBulkSplitFromInput;
+window.comparePlansFromInput = comparePlansFromInput;
+window.renderPlanDiff = renderPlanDiff;
+window.downloadPlanDiffReport = downloadPlanDiffReport;
+window.previewMergeFromInput = previewMergeFromInput;
+window.applyMergeFromInput = applyMergeFromInput;
+window.exportReverseZonesFromInput = exportReverseZonesFromInput;
 window.subnetTree = subnetTree;
 
 // ES6 exports for testing (works in both browser modules and Vitest)
 export {
-  parseIPv6,
-  formatIPv6,
-  applyPrefix,
-  getChildSubnet,
-  getChildSubnetAtTarget,
-  getNibbleBoundaries,
   createIntermediateLevel,
   createIntermediateLevels,
-  getSubnetCount,
-  compareCIDR,
+  getHostSplitTargets,
   splitSubnet,
+  getSplitTarget,
+  getLeavesAtDepth,
+  previewBulkSplit,
+  bulkSplitSubnets,
+  setRowSelected,
+  previewBulkSplitFromInput,
+  applyBulkSplitFromInput,
   getSubnetNode,
+  linkChildNode,
   isSplit,
   joinSubnet,
+  summarizeDescendants,
+  setCollapsed,
   deleteDescendants,
   render,
-  compressToDeflateRaw,
-  decompressFromDeflateRaw,
-  supportsCompression,
+  collectTableRows,
+  renderVisibleRows,
+  setSubnetMetadata,
   saveState,
   loadState,
+  toggleLinkEncryption,
+  serializePlan,
+  serializeTree,
+  getPlanState,
+  applyState,
+  recordHistory,
+  clearHistory,
+  undo,
+  redo,
+  setHistoryLimit,
   loadNetwork,
   loadDocPrefix,
   shareURL,
   exportCSV,
+  generateCSV,
+  importCSV,
+  exportJSON,
+  createPlanFile,
+  importJSON,
   populatePrefixSelect,
-  COLORS,
+  setHostSplits,
+  listLibraryPlans,
+  saveLibraryPlan,
+  openLibraryPlan,
+  duplicateLibraryPlan,
+  deleteLibraryPlan,
+  getCopyName,
+  refreshPlanLibrary,
+  saveCurrentPlan,
+  deleteSelectedPlan,
+  parseTableFilter,
+  filterTableRows,
+  setTableFilter,
+  clearTableFilter,
+  findSubnetForAddress,
+  lookupAddressFromInput,
+  findNextFreeSubnet,
+  getAllocationStrategy,
+  setAllocationStrategy,
+  allocateNextSubnet,
+  promptAllocateNext,
+  applyRequirementsPlan,
+  previewRequirementsFromInput,
+  applyRequirementsFromInput,
+  splitByCount,
+  promptSplitByCount,
+  scrollToRow,
+  refreshPlanSources,
+  readPlanSource,
+  comparePlansFromInput,
+  renderPlanDiff,
+  downloadPlanDiffReport,
+  previewMergeFromInput,
+  resolveMergeConflict,
+  renderMerge,
+  applyMergeFromInput,
+  exportReverseZonesFromInput,
+  getCurrentPlan,
   subnetTree,
 };
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * IPv6 Subnet Planner - Command Line
+ * Builds, edits and exports plans from scripts and CI pipelines with core.js,
+ * and opens or creates share links. Plans are kept in the same JSON plan files
+ * the web UI exports
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { realpathSync } from "node:fs";
+import { readFile, writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  STATE_ENCRYPTED,
+  createLinkEncryption,
+  createPlan,
+  createPlanFile,
+  decodeStateHash,
+  decryptStateHash,
+  encodeStateHash,
+  encryptStateHash,
+  formatPlanListing,
+  generateCSV,
+  generateReverseZones,
+  getPlanState,
+  getShareLinkHash,
+  joinSubnet,
+  parsePlanFile,
+  planFromState,
+  setSubnetNote,
+  splitSubnet,
+} from "./core.js";
+
+/** @type {string} Page share URLs point to unless --base-url is given */
+const DEFAULT_BASE_URL = "https://v6plan.jasontally.com/";
+
+/** @type {string} Help text printed by --help and after usage errors */
+const USAGE = `Usage: ipv6plan <command> [arguments] [options]
+
+Commands:
+  create <cidr>          Start a plan with <cidr> as its root
+  split <cidr> [prefix]  Split a subnet (default: to the next nibble boundary)
+  join <cidr>            Delete every subnet inside <cidr>
+  note <cidr> <text>     Set the note of a subnet
+  decode <link>          Open a share URL or hash as a plan file or listing
+  encode                 Print the share URL of a plan
+  export                 Print the plan as JSON, CSV or an indented listing
+  reverse <cidr>...      Print BIND ip6.arpa zone skeletons for subnets of the plan
+
+Options:
+  -p, --plan <file>      Plan file to read and update (default: read stdin, write stdout)
+  -f, --format <format>  Output of decode and export: json (default), tree or csv;
+                         output of encode: url (default) or hash
+      --base-url <url>   Page the share URL points to (default: ${DEFAULT_BASE_URL})
+      --passphrase <pw>  Passphrase of an encrypted link (decode) or to encrypt with
+                         (encode); IPV6PLAN_PASSPHRASE is used when not given
+      --host-splits      Allow splits below /64 (create only)
+  -h, --help             Show this help
+`;
+
+/**
+ * Input and output used by a CLI run, replaceable in tests
+ * @typedef {Object} CliIO
+ * @property {function(): Promise<string>} readStdin - Read all of standard input
+ * @property {function(string): void} stdout - Write to standard output
+ * @property {function(string): void} stderr - Write to standard error
+ */
+
+/** @type {CliIO} Process streams */
+const processIO = {
+  readStdin: async () => {
+    if (process.stdin.isTTY) {
+      throw new Error(
+        "No plan given. Use --plan <file> or pipe a plan file in",
+      );
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString("utf8");
+  },
+  stdout: (text) => process.stdout.write(text),
+  stderr: (text) => process.stderr.write(text),
+};
+
+/**
+ * Create an error for a malformed command line
+ * @param {string} message - What is wrong with the arguments
+ * @returns {Error} Error carrying exit code 2
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+/**
+ * Split a CIDR argument into the network and prefix createPlan takes
+ * @param {string|undefined} text - Argument such as "3fff::/20"
+ * @returns {{network: string, prefix: number}} Network address and prefix length
+ * @throws {Error} If the argument is missing or has no numeric prefix
+ */
+function parseRootArgument(text) {
+  const match = /^([^/]+)\/(\d+)$/.exec(text || "");
+  if (!match) throw usageError("Expected a root CIDR such as 3fff::/20");
+  return { network: match[1], prefix: parseInt(match[2]) };
+}
+
+/**
+ * Parse an optional split target given as "24" or "/24"
+ * @param {string|undefined} text - Prefix argument
+ * @returns {number|null} Prefix length, or null for the default target
+ * @throws {Error} If the argument is not a prefix length
+ */
+function parsePrefixArgument(text) {
+  if (text === undefined) return null;
+  const match = /^\/?(\d+)$/.exec(text);
+  if (!match) throw usageError(`"${text}" is not a prefix length`);
+  return parseInt(match[1]);
+}
+
+/**
+ * Read the plan named by --plan, or a plan file piped to standard input
+ * @param {{plan?: string}} options - Parsed options
+ * @param {CliIO} io - Input and output
+ * @returns {Promise<import("./core.js").Plan>} Validated plan
+ * @throws {Error} If the file cannot be read or is not a valid plan file
+ */
+async function readPlan(options, io) {
+  const text = options.plan
+    ? await readFile(options.plan, "utf8")
+    : await io.readStdin();
+  return planFromState(parsePlanFile(text));
+}
+
+/**
+ * Write a plan file to --plan, or to standard output when there is none
+ * @param {import("./core.js").Plan} plan - Plan to write
+ * @param {{plan?: string}} options - Parsed options
+ * @param {CliIO} io - Input and output
+ * @returns {Promise<void>}
+ */
+async function writePlan(plan, options, io) {
+  const text = `${JSON.stringify(createPlanFile(plan), null, 2)}\n`;
+  if (options.plan) {
+    await writeFile(options.plan, text);
+  } else {
+    io.stdout(text);
+  }
+}
+
+/**
+ * Get the passphrase from --passphrase or the IPV6PLAN_PASSPHRASE variable
+ * @param {{passphrase?: string}} options - Parsed options
+ * @returns {string|null} Passphrase, or null if none was given
+ */
+function getPassphrase(options) {
+  return options.passphrase ?? process.env.IPV6PLAN_PASSPHRASE ?? null;
+}
+
+/**
+ * Decode a share link the way the page loads its URL hash, decrypting it
+ * first if it is encrypted
+ * @param {string} link - Share URL or hash
+ * @param {{passphrase?: string}} options - Parsed options
+ * @returns {Promise<import("./core.js").Plan>} Validated plan
+ * @throws {Error} If the link is damaged, encrypted without a passphrase or holds an invalid plan
+ */
+async function decodeLink(link, options) {
+  let hash = getShareLinkHash(link);
+  if (hash.startsWith(STATE_ENCRYPTED)) {
+    const passphrase = getPassphrase(options);
+    if (passphrase === null) {
+      throw new Error(
+        "This link is encrypted. Give its passphrase with --passphrase",
+      );
+    }
+    ({ hash } = await decryptStateHash(
+      hash.slice(STATE_ENCRYPTED.length),
+      passphrase,
+    ));
+  }
+  return planFromState(await decodeStateHash(hash));
+}
+
+/**
+ * Format a plan for output
+ * @param {import("./core.js").Plan} plan - Plan to print
+ * @param {string} format - "json", "tree" or "csv"
+ * @returns {string} Output text ending in a newline
+ */
+function formatPlan(plan, format) {
+  if (format === "csv") return generateCSV(plan);
+  if (format === "tree") return formatPlanListing(plan);
+  return `${JSON.stringify(createPlanFile(plan), null, 2)}\n`;
+}
+
+/**
+ * Read the --format option
+ * @param {{format?: string}} options - Parsed options
+ * @param {string[]} formats - Formats the command supports, the default first
+ * @returns {string} Chosen format
+ * @throws {Error} If the format is not supported by the command
+ */
+function getFormat(options, formats) {
+  const format = options.format || formats[0];
+  if (!formats.includes(format)) {
+    throw usageError(
+      `Unknown format "${format}" (use ${formats.slice(0, -1).join(", ")} or ${formats.at(-1)})`,
+    );
+  }
+  return format;
+}
+
+/**
+ * Require a positional argument
+ * @param {string[]} positionals - Arguments after the command
+ * @param {number} index - Position of the argument
+ * @param {string} name - Name shown in the error
+ * @returns {string} The argument
+ * @throws {Error} If the argument is missing
+ */
+function requireArgument(positionals, index, name) {
+  if (positionals[index] === undefined) {
+    throw usageError(`Missing ${name}`);
+  }
+  return positionals[index];
+}
+
+/**
+ * Run one command and write its output
+ * @param {string} command - Command name
+ * @param {string[]} positionals - Arguments after the command
+ * @param {{plan?: string, format?: string, "base-url"?: string, passphrase?: string, "host-splits"?: boolean}} options - Parsed options
+ * @param {CliIO} io - Input and output
+ * @returns {Promise<void>}
+ * @throws {Error} If the command fails
+ */
+async function runCommand(command, positionals, options, io) {
+  switch (command) {
+    case "create": {
+      const { network, prefix } = parseRootArgument(positionals[0]);
+      const plan = createPlan(network, prefix, {
+        hostSplits: options["host-splits"] === true,
+      });
+      await writePlan(plan, options, io);
+      return;
+    }
+    case "split": {
+      const cidr = requireArgument(positionals, 0, "subnet to split");
+      const target = parsePrefixArgument(positionals[1]);
+      const plan = await readPlan(options, io);
+      splitSubnet(plan, cidr, target);
+      await writePlan(plan, options, io);
+      return;
+    }
+    case "join": {
+      const cidr = requireArgument(positionals, 0, "subnet to join");
+      const plan = await readPlan(options, io);
+      joinSubnet(plan, cidr);
+      await writePlan(plan, options, io);
+      return;
+    }
+    case "note": {
+      const cidr = requireArgument(positionals, 0, "subnet");
+      const note = requireArgument(positionals, 1, "note text");
+      const plan = await readPlan(options, io);
+      setSubnetNote(plan, cidr, note);
+      await writePlan(plan, options, io);
+      return;
+    }
+    case "decode": {
+      const link = requireArgument(positionals, 0, "share URL or hash");
+      const format = getFormat(options, ["json", "tree", "csv"]);
+      const plan = await decodeLink(link, options);
+      if (format === "json") {
+        await writePlan(plan, options, io);
+      } else {
+        io.stdout(formatPlan(plan, format));
+      }
+      return;
+    }
+    case "encode": {
+      const format = getFormat(options, ["url", "hash"]);
+      const plan = await readPlan(options, io);
+      let hash = await encodeStateHash(getPlanState(plan));
+      const passphrase = getPassphrase(options);
+      if (passphrase !== null) {
+        if (!passphrase) throw new Error("The passphrase is empty");
+        hash = await encryptStateHash(
+          hash,
+          await createLinkEncryption(passphrase),
+        );
+      }
+      const baseUrl = (options["base-url"] ?? DEFAULT_BASE_URL).replace(
+        /#.*$/,
+        "",
+      );
+      io.stdout(format === "hash" ? `${hash}\n` : `${baseUrl}#${hash}\n`);
+      return;
+    }
+    case "export": {
+      const format = getFormat(options, ["json", "tree", "csv"]);
+      const plan = await readPlan(options, io);
+      io.stdout(formatPlan(plan, format));
+      return;
+    }
+    case "reverse": {
+      requireArgument(positionals, 0, "subnet to generate reverse zones for");
+      const plan = await readPlan(options, io);
+      io.stdout(generateReverseZones(plan, positionals));
+      return;
+    }
+    default:
+      throw usageError(`Unknown command "${command}"`);
+  }
+}
+
+/**
+ * Run the command line tool
+ * @param {string[]} args - Arguments after the program name
+ * @param {CliIO} [io=processIO] - Input and output
+ * @returns {Promise<number>} Exit code: 0 on success, 1 if the command failed, 2 for a usage error
+ */
+async function runCli(args, io = processIO) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+          plan: { type: "string", short: "p" },
+          format: { type: "string", short: "f" },
+          "base-url": { type: "string" },
+          passphrase: { type: "string" },
+          "host-splits": { type: "boolean" },
+          help: { type: "boolean", short: "h" },
+        },
+      });
+    } catch (e) {
+      throw usageError(e.message);
+    }
+
+    const [command, ...positionals] = parsed.positionals;
+    if (parsed.values.help) {
+      io.stdout(USAGE);
+      return 0;
+    }
+    if (!command) {
+      io.stderr(USAGE);
+      return 2;
+    }
+
+    await runCommand(command, positionals, parsed.values, io);
+    return 0;
+  } catch (e) {
+    io.stderr(`ipv6plan: ${e.message}\n`);
+    if (e.exitCode === 2) io.stderr("Run ipv6plan --help for usage\n");
+    return e.exitCode || 1;
+  }
+}
+
+// Run when executed directly (including through the npm bin link), not when imported
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href
+) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
+
+export { runCli, USAGE };
@@ -0,0 +1,3704 @@
+/**
+ * IPv6 Subnet Planner - Core
+ * Subnet math, the subnet tree, saved state, share links and exports, with no
+ * DOM access so plans can be scripted from Node. app.js builds the web UI on it
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+/** @type {string} Version marker for base64 encoding (current format) */
+const STATE_VERSION_1 = "v1";
+
+/** @type {string} Version marker for deflate-raw compression */
+const STATE_VERSION_2 = "v2";
+
+/** @type {string} Version marker for the compact binary encoding, deflate-raw compressed */
+const STATE_VERSION_3 = "v3";
+
+/** @type {number} Layout version written as the first byte of a binary state */
+const BINARY_STATE_LAYOUT = 1;
+
+/** @type {string} Marker for a passphrase-encrypted hash wrapping one of the formats above */
+const STATE_ENCRYPTED = "e1";
+
+/** @type {number} PBKDF2-SHA-256 iterations used to turn a link passphrase into a key */
+const LINK_KEY_ITERATIONS = 600000;
+
+/** @type {number} Bytes of random salt stored in an encrypted hash */
+const LINK_SALT_BYTES = 16;
+
+/** @type {number} Bytes of AES-GCM nonce stored in an encrypted hash */
+const LINK_IV_BYTES = 12;
+
+/** @type {string} Format identifier written to exported JSON plan files */
+const PLAN_FILE_FORMAT = "ipv6-subnet-plan";
+
+/** @type {number} Schema version of exported JSON plan files */
+const PLAN_SCHEMA_VERSION = 4;
+
+/** @type {number[]} Prefixes a /64 (or longer) can be split into when splits below /64 are enabled */
+const HOST_SPLIT_PREFIXES = [112, 126, 127, 128];
+
+/** @type {number} Most children a single split below /64 creates (the rest of the range stays unlisted) */
+const MAX_HOST_SPLIT_CHILDREN = 256;
+
+/**
+ * Structured fields stored on subnet nodes next to _note and _color
+ * Fields are only present on a node when set, so plans without metadata keep
+ * their existing shape and share links
+ * @type {{field: string, label: string, rule: string}[]}
+ */
+const METADATA_COLUMNS = [
+  { field: "_vlan", label: "VLAN", rule: "a whole number from 1 to 4094" },
+  { field: "_site", label: "Site", rule: "a non-empty string" },
+  { field: "_owner", label: "Owner", rule: "a non-empty string" },
+  {
+    field: "_status",
+    label: "Status",
+    rule: "one of Reserved, Allocated, Deprecated",
+  },
+  { field: "_tags", label: "Tags", rule: "a list of non-empty strings" },
+];
+
+/** @type {string[]} Node keys holding structured metadata */
+const METADATA_FIELDS = METADATA_COLUMNS.map((column) => column.field);
+
+/** @type {Object<string, string>} Allowed subnet status values and their display labels */
+const SUBNET_STATUSES = {
+  reserved: "Reserved",
+  allocated: "Allocated",
+  deprecated: "Deprecated",
+};
+
+/** @type {number} Highest usable 802.1Q VLAN ID */
+const MAX_VLAN_ID = 4094;
+
+/**
+ * RFC 3531 allocation strategies for Allocate, keyed by the value stored in
+ * a node's _strategy. Rightmost hands out children in address order,
+ * leftmost in bit-reversed order (bisection) and centermost from the middle
+ * bits outward, leaving room for earlier allocations to grow
+ * @type {Object<string, string>}
+ */
+const ALLOCATION_STRATEGIES = {
+  rightmost: "Rightmost",
+  leftmost: "Leftmost",
+  centermost: "Centermost",
+};
+
+/**
+ * Underscore fields a subnet node may carry; anything else in saved state is
+ * dropped when the tree is built
+ * @type {string[]}
+ */
+const NODE_FIELDS = ["_note", "_color", "_strategy", ...METADATA_FIELDS];
+
+/**
+ * Node fields in the order the binary state encoding writes them
+ * A field's position is its bit in each node's field mask, so new fields may
+ * only be appended
+ * @type {string[]}
+ */
+const BINARY_STATE_FIELDS = [
+  "_note",
+  "_color",
+  "_strategy",
+  ...METADATA_FIELDS,
+];
+
+/** @type {string} Strategy used when neither a subnet nor its ancestors set one */
+const DEFAULT_ALLOCATION_STRATEGY = "rightmost";
+
+/** @type {number} Most items the auto-planner or a split by count lays out at once */
+const MAX_PLANNED_ITEMS = 65536;
+
+/**
+ * One line of the auto-planner's requirements list
+ * @typedef {Object} Requirement
+ * @property {string} name - Name used as the note of the block and its items
+ * @property {number} count - Number of items needed (e.g., sites)
+ * @property {number} perItem - Number of /64 subnets each item needs (e.g., VLANs)
+ * @property {number} growth - Factor applied to count and perItem to leave headroom
+ */
+
+/**
+ * Block proposed by the auto-planner for one requirement
+ * @typedef {Object} PlannedBlock
+ * @property {string} name - Requirement name
+ * @property {number} count - Items needed
+ * @property {number} perItem - /64 subnets needed per item
+ * @property {string} cidr - CIDR of the block holding every item
+ * @property {number} prefix - Prefix length of the block
+ * @property {number} itemPrefix - Prefix length of each item
+ * @property {number} itemCapacity - Number of items that fit in the block
+ * @property {number} subnetCapacity - Number of /64s in each item
+ * @property {number} utilization - Fraction of the block's /64s that are needed
+ */
+
+/**
+ * Proposed layout of a requirements list under the root
+ * @typedef {Object} RequirementsPlan
+ * @property {string} root - CIDR of the plan root
+ * @property {PlannedBlock[]} blocks - Blocks in requirement order
+ * @property {boolean} nibbleAligned - True if every item and block is on a nibble boundary
+ * @property {number} utilization - Fraction of the root covered by the blocks
+ */
+
+/**
+ * Result of looking up an address in the plan
+ * @typedef {Object} AddressLookup
+ * @property {string} address - The address in RFC 5952 form
+ * @property {string} cidr - Most specific planned subnet containing the address
+ * @property {{cidr: string, note: string}[]} path - Ancestry from the root down to cidr
+ * @property {"found"|"unsplit"|"unlisted"} status - "unsplit" if cidr is a leaf shorter than /64, "unlisted" if cidr is split but none of its listed children contain the address
+ */
+
+/**
+ * Node of the subnet tree: its own annotations under underscore keys and its
+ * listed children under their CIDRs
+ * @typedef {Object<string, *>} SubnetNode
+ */
+
+/**
+ * A subnet plan. Every subnet has one node in tree, keyed by its CIDR, and a
+ * parent's child keys refer to the same node objects
+ * @typedef {Object} Plan
+ * @property {string} network - Root network address (e.g., "3fff::")
+ * @property {number} prefix - Root prefix length
+ * @property {Object<string, SubnetNode>} tree - Every subnet's node keyed by CIDR
+ * @property {boolean} hostSplits - True if /64s may be split further
+ */
+
+/** @type {string[]} Color palette for row highlighting */
+const COLORS = [
+  "#FFE5E5", // Soft Pink
+  "#E5F3FF", // Sky Blue
+  "#E5FFE5", // Mint Green
+  "#FFF5E5", // Peach
+  "#F5E5FF", // Lavender
+  "#E5FFFF", // Cyan
+  "#FFFFE5", // Cream
+  "#FFE5F5", // Rose
+  "#E5F5FF", // Ice Blue
+  "#F5FFE5", // Pale Lime
+  "#FFE5D5", // Apricot
+  "#E5E5FF", // Periwinkle
+  "#FFEED5", // Sand
+  "#D5FFE5", // Seafoam
+  "#FFD5E5", // Blush
+  "#E5FFED", // Aqua Mint
+];
+
+// Addresses and CIDRs
+
+/**
+ * Parse an IPv6 address string into a 16-byte array
+ * @param {string} addr - IPv6 address string (may be compressed with ::)
+ * @returns {Uint8Array|null} 16-byte array representing the address, or null if invalid
+ */
+function parseIPv6(addr) {
+  addr = addr.trim().toLowerCase();
+
+  // Handle :: expansion
+  if (addr.includes("::")) {
+    const parts = addr.split("::");
+    if (parts.length > 2) return null;
+
+    const left = parts[0] ? parts[0].split(":") : [];
+    const right = parts[1] ? parts[1].split(":") : [];
+    const missing = 8 - left.length - right.length;
+
+    const groups = [...left];
+    for (let i = 0; i < missing; i++) groups.push("0");
+    groups.push(...right);
+
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      const val = parseInt(groups[i] || "0", 16);
+      if (isNaN(val) || val > 0xffff) return null;
+      bytes[i * 2] = (val >> 8) & 0xff;
+      bytes[i * 2 + 1] = val & 0xff;
+    }
+    return bytes;
+  } else {
+    const groups = addr.split(":");
+    if (groups.length !== 8) return null;
+
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      const val = parseInt(groups[i], 16);
+      if (isNaN(val) || val > 0xffff) return null;
+      bytes[i * 2] = (val >> 8) & 0xff;
+      bytes[i * 2 + 1] = val & 0xff;
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Convert a 16-byte array to a compressed IPv6 string (RFC 5952 compliant)
+ * @param {Uint8Array} bytes - 16-byte array representing an IPv6 address
+ * @returns {string} Compressed IPv6 address string
+ */
+function formatIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 8; i++) {
+    groups.push((bytes[i * 2] << 8) | bytes[i * 2 + 1]);
+  }
+
+  // Find longest run of zeros
+  let maxStart = -1,
+    maxLen = 0;
+  let currStart = -1,
+    currLen = 0;
+
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] === 0) {
+      if (currStart === -1) currStart = i;
+      currLen++;
+    } else {
+      if (currLen > maxLen) {
+        maxStart = currStart;
+        maxLen = currLen;
+      }
+      currStart = -1;
+      currLen = 0;
+    }
+  }
+  if (currLen > maxLen) {
+    maxStart = currStart;
+    maxLen = currLen;
+  }
+
+  // Build string with compression
+  if (maxLen > 1) {
+    const left = groups
+      .slice(0, maxStart)
+      .map((g) => g.toString(16))
+      .join(":");
+    const right = groups
+      .slice(maxStart + maxLen)
+      .map((g) => g.toString(16))
+      .join(":");
+
+    if (maxStart === 0 && maxStart + maxLen === 8) return "::";
+    if (maxStart === 0) return "::" + right;
+    if (maxStart + maxLen === 8) return left + "::";
+    return left + "::" + right;
+  }
+
+  return groups.map((g) => g.toString(16)).join(":");
+}
+
+/**
+ * Apply a prefix mask to get the network address
+ * @param {Uint8Array} bytes - 16-byte array representing an IPv6 address
+ * @param {number} prefix - Prefix length (0-128)
+ * @returns {Uint8Array} 16-byte array of the network address
+ */
+function applyPrefix(bytes, prefix) {
+  const result = new Uint8Array(16);
+  const fullBytes = Math.floor(prefix / 8);
+  const remainingBits = prefix % 8;
+
+  for (let i = 0; i < fullBytes; i++) {
+    result[i] = bytes[i];
+  }
+
+  if (remainingBits > 0) {
+    const mask = (0xff << (8 - remainingBits)) & 0xff;
+    result[fullBytes] = bytes[fullBytes] & mask;
+  }
+
+  return result;
+}
+
+/**
+ * Calculate the address of a child subnet at the next nibble boundary
+ * @param {Uint8Array} bytes - 16-byte array of the parent network address
+ * @param {number} prefix - Current prefix length
+ * @param {number} index - Child index (0-based)
+ * @returns {Uint8Array} 16-byte array of the child subnet address
+ */
+function getChildSubnet(bytes, prefix, index) {
+  const result = new Uint8Array(bytes);
+
+  const isAligned = prefix % 4 === 0;
+  const nextNibble = isAligned ? prefix + 4 : Math.ceil(prefix / 4) * 4;
+  const bitsToAdd = nextNibble - prefix;
+
+  // Convert index to a value we can add to the address
+  // We need to shift the index to the correct bit position
+  let bitValue = BigInt(0);
+  for (let i = 0; i < 16; i++) {
+    bitValue = (bitValue << BigInt(8)) | BigInt(bytes[i]);
+  }
+
+  // Add the index shifted to the correct position
+  const shift = BigInt(128 - nextNibble);
+  bitValue = bitValue | (BigInt(index) << shift);
+
+  // Convert back to bytes
+  for (let i = 15; i >= 0; i--) {
+    result[i] = Number(bitValue & BigInt(0xff));
+    bitValue = bitValue >> BigInt(8);
+  }
+
+  return result;
+}
+
+/**
+ * Calculate the address of a child subnet at a specific target prefix
+ * @param {Uint8Array} bytes - 16-byte array of the parent network address
+ * @param {number} prefix - Current prefix length
+ * @param {number} targetPrefix - Target prefix length
+ * @param {number} index - Child index (0-based)
+ * @returns {Uint8Array} 16-byte array of the child subnet address
+ */
+function getChildSubnetAtTarget(bytes, prefix, targetPrefix, index) {
+  const result = new Uint8Array(bytes);
+
+  // Convert address bytes to BigInt
+  let addressValue = BigInt(0);
+  for (let i = 0; i < 16; i++) {
+    addressValue = (addressValue << BigInt(8)) | BigInt(bytes[i]);
+  }
+
+  // Calculate shift: place index at the correct bit position for the split
+  // For nibble-aligned targets (e.g., /24, /28), use shift = 128 - target
+  // This puts child index at the start of the target prefix range
+  const shift = BigInt(128 - targetPrefix);
+  const indexValue = BigInt(index) << shift;
+  const totalValue = addressValue + indexValue;
+
+  // Convert back to bytes
+  let tempValue = totalValue;
+  for (let i = 15; i >= 0; i--) {
+    result[i] = Number(tempValue & BigInt(0xff));
+    tempValue = tempValue >> BigInt(8);
+  }
+
+  return result;
+}
+
+/**
+ * Calculate nibble boundaries between two prefix lengths
+ * @param {number} startPrefix - Starting prefix length
+ * @param {number} endPrefix - Ending prefix length
+ * @returns {number[]} Array of prefix lengths representing nibble boundaries
+ */
+function getNibbleBoundaries(startPrefix, endPrefix) {
+  if (startPrefix >= endPrefix) {
+    return [startPrefix];
+  }
+
+  const boundaries = [];
+  let current = Math.ceil(startPrefix / 4) * 4;
+
+  // Skip the start prefix if it's exactly on a nibble boundary
+  if (current === startPrefix) {
+    current += 4;
+  }
+
+  // Add all nibble boundaries up to but not including endPrefix
+  while (current < endPrefix) {
+    boundaries.push(current);
+    current += 4;
+  }
+
+  // Handle endPrefix
+  if (endPrefix === 30) {
+    // For /30 specifically, include it even though it's not nibble-aligned
+    // This is a common target prefix in subnet planning
+    boundaries.push(endPrefix);
+  } else if (endPrefix % 4 === 0) {
+    // Nibble-aligned: include it
+    boundaries.push(endPrefix);
+  } else {
+    // Not nibble-aligned: include target itself
+    boundaries.push(endPrefix);
+  }
+
+  return boundaries;
+}
+
+/**
+ * Calculate the number of subnets contained within a prefix
+ * @param {number} prefix - Prefix length
+ * @returns {string} Formatted count string (e.g., "256 /48s" or "Host Subnet")
+ */
+function getSubnetCount(prefix) {
+  if (prefix > 64) {
+    // Below /64 count addresses, naming the RFC 6164 and loopback sizes
+    if (prefix === 128) return "1 address (loopback)";
+    if (prefix === 127) return "2 addresses (point-to-point)";
+    return `${(2n ** BigInt(128 - prefix)).toLocaleString()} addresses`;
+  } else if (prefix >= 48) {
+    // Show /64 count
+    const count = Math.pow(2, 64 - prefix);
+    if (prefix === 64) return "Host Subnet";
+    return `${count.toLocaleString()} /64s`;
+  } else {
+    // Show /48 count
+    const count = Math.pow(2, 48 - prefix);
+    return `${count.toLocaleString()} /48s`;
+  }
+}
+
+/**
+ * Compare two CIDR addresses numerically by their IPv6 address bytes
+ * @param {string} a - First CIDR notation string
+ * @param {string} b - Second CIDR notation string
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareCIDR(a, b) {
+  const [addrA] = a.split("/");
+  const [addrB] = b.split("/");
+
+  const bytesA = parseIPv6(addrA);
+  const bytesB = parseIPv6(addrB);
+
+  for (let i = 0; i < 16; i++) {
+    if (bytesA[i] !== bytesB[i]) {
+      return bytesA[i] - bytesB[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parse a CIDR string into its network address bytes and prefix length
+ * @param {string} cidr - CIDR notation string (e.g., "3fff::/24")
+ * @returns {{bytes: Uint8Array, prefix: number, cidr: string}|null} Masked network bytes, prefix and canonical CIDR, or null if invalid
+ */
+function parseCIDR(cidr) {
+  if (typeof cidr !== "string") return null;
+
+  const parts = cidr.trim().split("/");
+  if (parts.length !== 2 || !/^\d{1,3}$/.test(parts[1])) return null;
+
+  const prefix = parseInt(parts[1]);
+  if (prefix > 128) return null;
+
+  const bytes = parseIPv6(parts[0]);
+  if (!bytes) return null;
+
+  const masked = applyPrefix(bytes, prefix);
+  return { bytes: masked, prefix, cidr: `${formatIPv6(masked)}/${prefix}` };
+}
+
+/**
+ * Check whether one subnet strictly contains another
+ * @param {string} parentCidr - CIDR notation of the candidate parent
+ * @param {string} childCidr - CIDR notation of the candidate child
+ * @returns {boolean} True if childCidr is a more specific subnet inside parentCidr
+ */
+function cidrContains(parentCidr, childCidr) {
+  const parent = parseCIDR(parentCidr);
+  const child = parseCIDR(childCidr);
+  if (!parent || !child || child.prefix <= parent.prefix) return false;
+
+  const masked = applyPrefix(child.bytes, parent.prefix);
+  return masked.every((byte, i) => byte === parent.bytes[i]);
+}
+
+// Subnet tree
+
+/**
+ * Create an empty plan for a root network
+ * @param {string} network - IPv6 address inside the root (host bits are cleared)
+ * @param {number} prefix - Root prefix length
+ * @param {{hostSplits?: boolean}} [options] - Allow splits below /64 (and a root longer than /64)
+ * @returns {Plan} Plan holding only the root subnet
+ * @throws {Error} If the address or prefix is invalid
+ */
+function createPlan(network, prefix, options = {}) {
+  const hostSplits = options.hostSplits === true;
+  const input = String(network ?? "").trim();
+  if (!input) throw new Error("Please enter an IPv6 address");
+
+  const bytes = parseIPv6(input);
+  if (!bytes) throw new Error("Invalid IPv6 address");
+
+  if (
+    !(prefix >= 16 && prefix <= 64) &&
+    !(hostSplits && HOST_SPLIT_PREFIXES.includes(prefix))
+  ) {
+    throw new Error("Prefix must be between /16 and /64");
+  }
+
+  const root = formatIPv6(applyPrefix(bytes, prefix));
+  return {
+    network: root,
+    prefix,
+    tree: { [`${root}/${prefix}`]: { _note: "", _color: "" } },
+    hostSplits,
+  };
+}
+
+/**
+ * Create a plan from saved state (a share link, plan file or getPlanState())
+ * @param {*} state - Plan state with a flat or nested tree
+ * @returns {Plan} Plan with linked nodes
+ * @throws {Error} If the state fails validatePlanState
+ */
+function planFromState(state) {
+  const errors = validatePlanState(state);
+  if (errors.length > 0) {
+    throw new Error(`Invalid plan: ${formatValidationErrors(errors)}`);
+  }
+  return {
+    network: state.network,
+    prefix: state.prefix,
+    tree: buildSubnetTree(state.tree, `${state.network}/${state.prefix}`),
+    hostSplits: state.hostSplits === true,
+  };
+}
+
+/**
+ * Get the node of a subnet that must already be in the plan
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @returns {SubnetNode} The subnet's node
+ * @throws {Error} If the subnet is not in the plan
+ */
+function requireSubnetNode(plan, cidr) {
+  if (!Object.prototype.hasOwnProperty.call(plan.tree, cidr)) {
+    throw new Error(`${cidr} is not in the plan`);
+  }
+  return plan.tree[cidr];
+}
+
+/**
+ * Get or create a subnet node in the tree structure
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR notation string (e.g., "3fff::/24")
+ * @returns {Object} Subnet node object with _note and _color properties
+ */
+function getSubnetNode(plan, cidr) {
+  if (!plan.tree[cidr]) {
+    plan.tree[cidr] = { _note: "", _color: "" };
+  }
+  return plan.tree[cidr];
+}
+
+/**
+ * Check if a subnet has been split into child subnets
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR notation string
+ * @returns {boolean} True if the subnet has child subnets, false otherwise
+ */
+function isSplit(plan, cidr) {
+  const node = plan.tree[cidr];
+  if (!node) return false;
+
+  const keys = Object.keys(node).filter((k) => !k.startsWith("_"));
+  return keys.length > 0;
+}
+
+/**
+ * Get or create the node of a child subnet and link it under its parent
+ * Every subnet has exactly one node: the parent's CIDR key refers to the same
+ * object as plan.tree[childCidr], so notes cannot diverge between copies
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {Object} parentNode - Node of the parent subnet
+ * @param {string} childCidr - CIDR of the child subnet
+ * @returns {Object} The child's node (new nodes inherit from the parent)
+ */
+function linkChildNode(plan, parentNode, childCidr) {
+  if (!plan.tree[childCidr]) {
+    plan.tree[childCidr] = createChildNode(parentNode);
+  }
+  parentNode[childCidr] = plan.tree[childCidr];
+  return parentNode[childCidr];
+}
+
+/**
+ * Create a node for a new child subnet that inherits its parent's note, color
+ * and structured metadata
+ * An Allocated status is not inherited: the parent is handed out as a whole
+ * and its children are free space within that allocation
+ * @param {Object} parentNode - Node of the subnet being split
+ * @returns {Object} New child node (tags are copied, not shared)
+ */
+function createChildNode(parentNode) {
+  const child = { _note: parentNode._note, _color: parentNode._color };
+  METADATA_FIELDS.forEach((field) => {
+    if (field === "_status" && parentNode._status === "allocated") return;
+    if (parentNode[field] !== undefined) {
+      child[field] = Array.isArray(parentNode[field])
+        ? [...parentNode[field]]
+        : parentNode[field];
+    }
+  });
+  return child;
+}
+
+/**
+ * Create one level of child subnets under a parent
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} parentCidr - CIDR notation of the parent subnet
+ * @param {number} targetPrefix - Target prefix length for children
+ * @param {number} [maxChildren=Infinity] - Create only the first N children (used below /64)
+ * @returns {string[]} Array of created child CIDRs
+ */
+function createIntermediateLevel(
+  plan,
+  parentCidr,
+  targetPrefix,
+  maxChildren = Infinity,
+) {
+  const [addr, prefix] = parentCidr.split("/");
+  const prefixNum = parseInt(prefix);
+
+  if (targetPrefix <= prefixNum) {
+    return [];
+  }
+
+  const bytes = parseIPv6(addr);
+  if (!bytes) {
+    return [];
+  }
+
+  const bitsToSplit = targetPrefix - prefixNum;
+  const numChildren = Math.min(Math.pow(2, bitsToSplit), maxChildren);
+
+  const parentNode = getSubnetNode(plan, parentCidr);
+
+  const children = [];
+
+  for (let i = 0; i < numChildren; i++) {
+    // Use original bytes (not masked) for child address calculation
+    const childBytes = getChildSubnetAtTarget(
+      bytes,
+      prefixNum,
+      targetPrefix,
+      i,
+    );
+    const childAddr = formatIPv6(childBytes);
+    const childCidr = `${childAddr}/${targetPrefix}`;
+
+    linkChildNode(plan, parentNode, childCidr);
+    children.push(childCidr);
+  }
+
+  return children;
+}
+
+/**
+ * Recursively create all intermediate levels between parent and target
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} parentCidr - CIDR notation of the parent subnet
+ * @param {number} targetPrefix - Target prefix length for final level
+ * @returns {string[]} Array of all created child CIDRs at all levels
+ */
+function createIntermediateLevels(plan, parentCidr, targetPrefix) {
+  const [addr, prefix] = parentCidr.split("/");
+  const prefixNum = parseInt(prefix);
+
+  const boundaries = getNibbleBoundaries(prefixNum, targetPrefix);
+
+  if (boundaries.length === 1) {
+    // Single boundary, create directly
+    return createIntermediateLevel(plan, parentCidr, boundaries[0]);
+  }
+
+  // Multiple boundaries, create each level recursively
+  let allChildren = [];
+
+  function createLevelRecursive(
+    parentCidr,
+    boundaryIndex,
+    parentNote,
+    parentColor,
+  ) {
+    if (boundaryIndex >= boundaries.length) {
+      return;
+    }
+
+    const boundary = boundaries[boundaryIndex];
+    const children = createIntermediateLevel(plan, parentCidr, boundary);
+
+    if (children.length > 0) {
+      allChildren = allChildren.concat(children);
+
+      // Get the parent node's note and color for the next level
+      const parentNode = getSubnetNode(plan, parentCidr);
+      const note = parentNode._note || parentNote;
+      const color = parentNode._color || parentColor;
+
+      // Recursively create next level for each child
+      children.forEach((childCidr) => {
+        // createIntermediateLevel linked the child; if its metadata is empty, inherit from parent
+        if (plan.tree[childCidr]._note === "" && note !== "") {
+          plan.tree[childCidr]._note = note;
+        }
+        if (plan.tree[childCidr]._color === "" && color !== "") {
+          plan.tree[childCidr]._color = color;
+        }
+        createLevelRecursive(childCidr, boundaryIndex + 1, note, color);
+      });
+    }
+  }
+
+  // Get initial parent metadata
+  const initialParent = getSubnetNode(plan, parentCidr);
+  const initialNote = initialParent._note;
+  const initialColor = initialParent._color;
+
+  // Start creating levels from the initial parent
+  createLevelRecursive(parentCidr, 0, initialNote, initialColor);
+
+  return allChildren;
+}
+
+/**
+ * Get the prefixes a subnet of /64 or longer may be split into
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {number} prefix - Prefix length of the subnet being split
+ * @returns {number[]} Allowed target prefixes (empty unless splits below /64 are enabled)
+ */
+function getHostSplitTargets(plan, prefix) {
+  if (!plan.hostSplits || prefix < 64) return [];
+  return HOST_SPLIT_PREFIXES.filter((p) => p > prefix);
+}
+
+/**
+ * Resolve the prefix a split of a subnet creates
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR notation of the subnet to split
+ * @param {number|null} [targetPrefix=null] - Target prefix length, or null for the default
+ * @returns {number|null} Target prefix, or null if the subnet cannot be split to it
+ */
+function getSplitTarget(plan, cidr, targetPrefix = null) {
+  const prefixNum = parseInt(cidr.split("/")[1]);
+
+  if (prefixNum >= 64) {
+    // Below /64 only the host split prefixes are allowed
+    const targets = getHostSplitTargets(plan, prefixNum);
+    const hostTarget = targetPrefix === null ? targets[0] : targetPrefix;
+    return targets.includes(hostTarget) ? hostTarget : null;
+  }
+
+  // Determine target prefix (nibble-aligned by default)
+  let target = targetPrefix;
+  if (target === null) {
+    const isAligned = prefixNum % 4 === 0;
+    target = isAligned ? prefixNum + 4 : Math.ceil(prefixNum / 4) * 4;
+  }
+
+  if (target <= prefixNum || target > 64) return null;
+  return target;
+}
+
+/**
+ * Create the children of a subnet at a resolved target prefix without
+ * checking it (see splitSubnet)
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR notation of the subnet to split
+ * @param {number} target - Target prefix from getSplitTarget()
+ * @returns {void}
+ */
+function createSplitChildren(plan, cidr, target) {
+  const [addr, prefix] = cidr.split("/");
+  const prefixNum = parseInt(prefix);
+
+  if (prefixNum >= 64) {
+    // The split is capped because a /64 holds far too many /127s or /128s to list
+    createIntermediateLevel(plan, cidr, target, MAX_HOST_SPLIT_CHILDREN);
+    return;
+  }
+
+  const bytes = parseIPv6(addr);
+
+  const bitsToSplit = target - prefixNum;
+  const numChildren = Math.pow(2, bitsToSplit);
+
+  const node = getSubnetNode(plan, cidr);
+
+  // Determine if we need intermediate levels
+  const boundaries = getNibbleBoundaries(prefixNum, target);
+
+  if (boundaries.length === 1 && boundaries[0] === target) {
+    // Single boundary at target, create children directly
+    for (let i = 0; i < numChildren; i++) {
+      const childBytes = getChildSubnetAtTarget(bytes, prefixNum, target, i);
+      const childAddr = formatIPv6(childBytes);
+      linkChildNode(plan, node, `${childAddr}/${target}`);
+    }
+  } else {
+    // Multiple boundaries, create intermediate levels
+    createIntermediateLevels(plan, cidr, target);
+  }
+}
+
+/**
+ * Count the rows a split adds, including intermediate nibble levels
+ * @param {string} cidr - CIDR notation of the subnet to split
+ * @param {number} target - Target prefix from getSplitTarget()
+ * @returns {number} Number of new rows
+ */
+function countSplitRows(cidr, target) {
+  const prefixNum = parseInt(cidr.split("/")[1]);
+
+  if (prefixNum >= 64) {
+    return Math.min(2 ** (target - prefixNum), MAX_HOST_SPLIT_CHILDREN);
+  }
+  return getNibbleBoundaries(prefixNum, target).reduce(
+    (rows, boundary) => rows + 2 ** (boundary - prefixNum),
+    0,
+  );
+}
+
+/**
+ * Get the leaf subnets a given number of levels below a parent
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} parentCidr - CIDR of the parent subnet
+ * @param {number} depth - Levels below the parent (1 for its children)
+ * @returns {string[]} Leaf CIDRs at that depth in address order
+ */
+function getLeavesAtDepth(plan, parentCidr, depth) {
+  let level = [parentCidr];
+  for (let i = 0; i < depth; i++) {
+    level = level.flatMap((cidr) =>
+      Object.keys(plan.tree[cidr] || {})
+        .filter((key) => !key.startsWith("_"))
+        .sort(compareCIDR),
+    );
+  }
+  return level.filter((cidr) => !isSplit(plan, cidr));
+}
+
+/**
+ * Preview a bulk split: the subnets that can be split to the target and the
+ * rows that splitting them would add
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string[]} cidrs - Candidate subnets
+ * @param {number} targetPrefix - Target prefix length for every subnet
+ * @returns {{cidrs: string[], rows: number}} Subnets that will be split and rows added
+ */
+function previewBulkSplit(plan, cidrs, targetPrefix) {
+  const splittable = cidrs.filter(
+    (cidr) =>
+      plan.tree[cidr] &&
+      !isSplit(plan, cidr) &&
+      getSplitTarget(plan, cidr, targetPrefix) === targetPrefix,
+  );
+  return {
+    cidrs: splittable,
+    rows: splittable.reduce(
+      (rows, cidr) => rows + countSplitRows(cidr, targetPrefix),
+      0,
+    ),
+  };
+}
+
+/**
+ * Check whether a node carries annotations of its own rather than the ones
+ * it inherited when its parent was split
+ * @param {Object} node - Child node
+ * @param {Object} parentNode - Node of its parent
+ * @returns {boolean} True if the note, color, metadata or strategy differ from what splitting the parent gives
+ */
+function hasOwnAnnotations(node, parentNode) {
+  if (node._strategy) return true;
+  const inherited = createChildNode(parentNode);
+  return ["_note", "_color", ...METADATA_FIELDS].some(
+    (field) =>
+      JSON.stringify(node[field] ?? "") !==
+      JSON.stringify(inherited[field] ?? ""),
+  );
+}
+
+/**
+ * Count the descendants of a subnet and those with their own annotations
+ * (see hasOwnAnnotations), which a Join would delete
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @returns {{count: number, annotated: number}} Descendant counts
+ */
+function summarizeDescendants(plan, cidr) {
+  const summary = { count: 0, annotated: 0 };
+  const node = plan.tree[cidr];
+  if (!node) return summary;
+
+  Object.keys(node)
+    .filter((k) => !k.startsWith("_"))
+    .forEach((childCidr) => {
+      const child = plan.tree[childCidr] || node[childCidr];
+      const below = summarizeDescendants(plan, childCidr);
+      summary.count += 1 + below.count;
+      summary.annotated +=
+        (hasOwnAnnotations(child, node) ? 1 : 0) + below.annotated;
+    });
+  return summary;
+}
+
+/**
+ * Recursively delete all descendants of a subnet node
+ * Deletes both child references from parent and top-level entries from plan.tree
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR notation of the parent subnet
+ * @returns {void}
+ */
+function deleteDescendants(plan, cidr) {
+  const node = plan.tree[cidr];
+  if (!node) return;
+
+  const children = Object.keys(node).filter((k) => !k.startsWith("_"));
+
+  children.forEach((childCidr) => {
+    deleteDescendants(plan, childCidr);
+    delete node[childCidr];
+    delete plan.tree[childCidr];
+  });
+}
+
+/**
+ * Create the path of parent subnets from an ancestor down to an imported or allocated subnet
+ * Each step splits the current leaf to its next nibble boundary (or the target)
+ * with createIntermediateLevel, so only the branch containing the subnet is expanded
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} ancestorCidr - CIDR of an existing ancestor (usually the root)
+ * @param {string} cidr - CIDR of the subnet to create
+ * @returns {string|null} CIDR of a conflicting split subnet, or null on success
+ */
+function insertImportedSubnet(plan, ancestorCidr, cidr) {
+  const target = parseCIDR(cidr).prefix;
+  let current = ancestorCidr;
+
+  while (current !== cidr) {
+    const node = getSubnetNode(plan, current);
+    const currentPrefix = parseCIDR(current).prefix;
+    let children = Object.keys(node).filter((k) => !k.startsWith("_"));
+
+    if (currentPrefix >= 64) {
+      // Splits below /64 list only some children, so add the subnet itself
+      // unless its siblings were split to a different size
+      if (!children.some((c) => c === cidr || cidrContains(c, cidr))) {
+        if (children.some((c) => parseCIDR(c).prefix !== target)) {
+          return current;
+        }
+        linkChildNode(plan, node, cidr);
+        children = [cidr];
+      }
+    } else if (children.length === 0) {
+      const [boundary] = getNibbleBoundaries(currentPrefix, target);
+      children = createIntermediateLevel(plan, current, boundary);
+    }
+
+    const next = children.find((c) => c === cidr || cidrContains(c, cidr));
+    if (!next) return current;
+    current = next;
+  }
+
+  return null;
+}
+
+/**
+ * Find the most specific planned subnet containing an address
+ * Walks the plan's tree from the root, following the child that contains the
+ * address at each level
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} text - IPv6 address, optionally in brackets or with a zone or /128
+ * @returns {AddressLookup} Matching subnet and its ancestry
+ * @throws {Error} If there is no plan, the address is invalid or it is outside the root
+ */
+function findSubnetForAddress(plan, text) {
+  if (!plan.network)
+    throw new Error("Load a network before looking up addresses");
+
+  const input = text
+    .trim()
+    .replace(/^\[(.*)\]$/, "$1")
+    .replace(/(%[^/]*)?(\/128)?$/, "");
+  if (!input) throw new Error("Please enter an IPv6 address");
+
+  const bytes = input.includes(":") ? parseIPv6(input) : null;
+  if (!bytes) throw new Error(`${input} is not a valid IPv6 address`);
+  const address = formatIPv6(bytes);
+
+  const contains = (cidr) => {
+    const network = parseCIDR(cidr);
+    return applyPrefix(bytes, network.prefix).every(
+      (byte, i) => byte === network.bytes[i],
+    );
+  };
+
+  const rootCidr = `${plan.network}/${plan.prefix}`;
+  if (!contains(rootCidr)) {
+    throw new Error(`${address} is outside the plan root ${rootCidr}`);
+  }
+
+  const path = [];
+  let cidr = rootCidr;
+  let status = "unlisted";
+  for (;;) {
+    const node = getSubnetNode(plan, cidr);
+    path.push({ cidr, note: node._note || "" });
+
+    const children = Object.keys(node).filter((k) => !k.startsWith("_"));
+    if (children.length === 0) {
+      status = parseCIDR(cidr).prefix < 64 ? "unsplit" : "found";
+      break;
+    }
+
+    const next = children.find(contains);
+    if (!next) break;
+    cidr = next;
+  }
+
+  return { address, cidr, path, status };
+}
+
+// Metadata
+
+/**
+ * Get the structured metadata fields that are set on a node
+ * @param {Object} node - Subnet node
+ * @returns {Object<string, *>} Set fields keyed by node key (e.g. "_vlan")
+ */
+function getSubnetMetadata(node) {
+  const metadata = {};
+  METADATA_FIELDS.forEach((field) => {
+    if (node[field] !== undefined) metadata[field] = node[field];
+  });
+  return metadata;
+}
+
+/**
+ * Parse user input for a metadata field into its stored form
+ * @param {string} field - Node key (e.g. "_vlan")
+ * @param {string} raw - Text typed into the table or read from a CSV cell
+ * @returns {number|string|string[]|undefined} Stored value, or undefined to clear the field
+ * @throws {Error} If the value is not valid for the field
+ */
+function parseMetadataValue(field, raw) {
+  const text = String(raw ?? "").trim();
+  if (text === "") return undefined;
+
+  const { label, rule } = METADATA_COLUMNS.find((c) => c.field === field);
+  const invalid = () => new Error(`${label} must be ${rule}`);
+
+  if (field === "_vlan") {
+    const vlan = /^\d+$/.test(text) ? parseInt(text) : NaN;
+    if (!(vlan >= 1 && vlan <= MAX_VLAN_ID)) throw invalid();
+    return vlan;
+  }
+  if (field === "_status") {
+    const status = text.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SUBNET_STATUSES, status)) {
+      throw invalid();
+    }
+    return status;
+  }
+  if (field === "_tags") {
+    const tags = [
+      ...new Set(
+        text
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+      ),
+    ];
+    return tags.length > 0 ? tags : undefined;
+  }
+  return text;
+}
+
+/**
+ * Format a stored metadata value for the table and CSV export
+ * @param {string} field - Node key (e.g. "_status")
+ * @param {number|string|string[]|undefined} value - Stored value
+ * @returns {string} Display text (empty if the field is not set)
+ */
+function formatMetadataValue(field, value) {
+  if (value === undefined) return "";
+  if (field === "_status") return SUBNET_STATUSES[value] || "";
+  if (field === "_tags") return value.join(", ");
+  return String(value);
+}
+
+/**
+ * Check a stored metadata value against its field's rule
+ * @param {string} field - Node key (e.g. "_tags")
+ * @param {*} value - Value found on the node
+ * @returns {boolean} True if the value could have been produced by parseMetadataValue
+ */
+function isValidMetadataValue(field, value) {
+  switch (field) {
+    case "_vlan":
+      return Number.isInteger(value) && value >= 1 && value <= MAX_VLAN_ID;
+    case "_status":
+      return (
+        typeof value === "string" &&
+        Object.prototype.hasOwnProperty.call(SUBNET_STATUSES, value)
+      );
+    case "_tags":
+      return (
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((tag) => typeof tag === "string" && tag.trim() !== "")
+      );
+    default:
+      return typeof value === "string" && value.trim() !== "";
+  }
+}
+
+/**
+ * Apply metadata parsed from a CSV row to a node, clearing fields left empty
+ * @param {Object} node - Subnet node
+ * @param {Object<string, *>} metadata - Parsed values keyed by node key (undefined clears)
+ * @returns {void}
+ */
+function applyImportedMetadata(node, metadata) {
+  Object.entries(metadata).forEach(([field, value]) => {
+    if (value === undefined) {
+      delete node[field];
+    } else {
+      node[field] = value;
+    }
+  });
+}
+
+// Allocation
+
+/**
+ * Get the allocation strategy in effect for a subnet
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @param {boolean} [includeOwn=true] - Set to false to get only what the subnet inherits from its ancestors
+ * @returns {string} Key of ALLOCATION_STRATEGIES
+ */
+function getAllocationStrategy(plan, cidr, includeOwn = true) {
+  let strategy = DEFAULT_ALLOCATION_STRATEGY;
+  let current = `${plan.network}/${plan.prefix}`;
+
+  while (current !== cidr) {
+    const node = getSubnetNode(plan, current);
+    strategy = node._strategy || strategy;
+    current = Object.keys(node).find(
+      (k) => !k.startsWith("_") && (k === cidr || cidrContains(k, cidr)),
+    );
+    if (!current) return strategy;
+  }
+
+  return (includeOwn && plan.tree[cidr]?._strategy) || strategy;
+}
+
+/**
+ * Get the bit positions of a split field in the order a strategy assigns them
+ * Position 0 is the most significant (leftmost) bit of the field
+ * @param {number} bits - Width of the field (child prefix minus parent prefix)
+ * @param {string} strategy - Key of ALLOCATION_STRATEGIES
+ * @returns {number[]} Bit positions, first assigned first
+ */
+function getStrategyBitOrder(bits, strategy) {
+  const positions = [...Array(bits).keys()];
+  if (strategy === "leftmost") return positions;
+  if (strategy !== "centermost") return positions.reverse();
+
+  // Start in the middle and alternate right and left
+  const center = Math.floor((bits - 1) / 2);
+  const order = [center];
+  for (let d = 1; order.length < bits; d++) {
+    if (center + d < bits) order.push(center + d);
+    if (center - d >= 0) order.push(center - d);
+  }
+  return order;
+}
+
+/**
+ * Sort sibling subnets into the order a strategy hands them out
+ * Each child's index within the parent is mapped back to the allocation
+ * number that produces it: the n-th allocation sets the bits of n on the
+ * positions from getStrategyBitOrder, lowest bit of n on the first position
+ * @param {string} parentCidr - CIDR of the parent
+ * @param {string[]} children - Child CIDRs (all the same size for a complete split)
+ * @param {string} strategy - Key of ALLOCATION_STRATEGIES
+ * @returns {string[]} Children in allocation order
+ */
+function orderByStrategy(parentCidr, children, strategy) {
+  const parent = parseCIDR(parentCidr);
+  const toBigInt = (bytes) =>
+    bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  const parentValue = toBigInt(parent.bytes);
+
+  const rank = (childCidr) => {
+    const child = parseCIDR(childCidr);
+    const bits = child.prefix - parent.prefix;
+    const index =
+      (toBigInt(child.bytes) - parentValue) >> BigInt(128 - child.prefix);
+    let result = 0n;
+    getStrategyBitOrder(bits, strategy).forEach((position, i) => {
+      if ((index >> BigInt(bits - 1 - position)) & 1n)
+        result |= 1n << BigInt(i);
+    });
+    return result;
+  };
+
+  const ranks = new Map(children.map((c) => [c, rank(c)]));
+  return [...children].sort((a, b) =>
+    ranks.get(a) < ranks.get(b) ? -1 : ranks.get(a) > ranks.get(b) ? 1 : 0,
+  );
+}
+
+/**
+ * Find the first free subnet of a given size inside a parent
+ * A subnet is free when neither it, its descendants nor the nodes between it
+ * and the parent carry a status of their own: Allocated always counts as
+ * taken, and Reserved or Deprecated count unless inherited from the parent
+ * (so allocating inside a Reserved block works). Branches already split
+ * finer than the target are skipped. When the first free space is an unsplit
+ * leaf larger than the target, the result names the leaf to split.
+ * Children of each subnet are tried in the order of its allocation strategy
+ * (own or inherited, see orderByStrategy)
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} parentCidr - CIDR of the subnet to allocate from
+ * @param {number} targetPrefix - Prefix length to allocate
+ * @returns {{cidr: string, splitFrom: string|null}|null} Free subnet and the leaf that must be split to create it, or null if none is free
+ * @throws {Error} If the target prefix cannot be allocated inside the parent
+ */
+function findNextFreeSubnet(plan, parentCidr, targetPrefix) {
+  const parent = parseCIDR(parentCidr);
+  const parentNode = getSubnetNode(plan, parentCidr);
+  const validTarget =
+    targetPrefix > parent.prefix &&
+    (targetPrefix <= 64 ||
+      (plan.hostSplits && HOST_SPLIT_PREFIXES.includes(targetPrefix)));
+  if (!validTarget) {
+    throw new Error(`Cannot allocate a /${targetPrefix} inside ${parentCidr}`);
+  }
+  if (parentNode._status === "deprecated") {
+    throw new Error(`${parentCidr} is deprecated and cannot be allocated from`);
+  }
+
+  const isTaken = (node) =>
+    node._status === "allocated" ||
+    (node._status !== undefined && node._status !== parentNode._status);
+  const childrenOf = (node) =>
+    Object.keys(node)
+      .filter((k) => !k.startsWith("_"))
+      .sort(compareCIDR);
+  const hasTakenDescendant = (cidr) =>
+    childrenOf(getSubnetNode(plan, cidr)).some(
+      (child) =>
+        isTaken(getSubnetNode(plan, child)) || hasTakenDescendant(child),
+    );
+
+  function search(cidr, inheritedStrategy) {
+    const node = getSubnetNode(plan, cidr);
+    if (cidr !== parentCidr && isTaken(node)) return null;
+    const strategy = node._strategy || inheritedStrategy;
+
+    const prefix = parseCIDR(cidr).prefix;
+    if (prefix === targetPrefix) {
+      return hasTakenDescendant(cidr) ? null : { cidr, splitFrom: null };
+    }
+
+    const children = childrenOf(node);
+    if (children.length === 0) {
+      const bytes = parseCIDR(cidr).bytes;
+      const first = getChildSubnetAtTarget(bytes, prefix, targetPrefix, 0);
+      return { cidr: `${formatIPv6(first)}/${targetPrefix}`, splitFrom: cidr };
+    }
+
+    for (const child of orderByStrategy(cidr, children, strategy)) {
+      if (parseCIDR(child).prefix > targetPrefix) continue;
+      const found = search(child, strategy);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return search(parentCidr, getAllocationStrategy(plan, parentCidr));
+}
+
+// Requirements planner and split by count
+
+/**
+ * Parse the auto-planner's requirements list, one requirement per line as
+ * "name, count, subnets per item, growth factor" (growth defaults to 1)
+ * @param {string} text - Requirements text (CSV quoting is allowed in names)
+ * @returns {Requirement[]} Parsed requirements in input order
+ * @throws {Error} If a line is malformed or the list is empty
+ */
+function parseRequirements(text) {
+  const requirements = [];
+
+  parseCSV(text).forEach((fields, index) => {
+    const line = index + 1;
+    const values = fields.map((field) => field.trim());
+    if (values.every((value) => value === "")) return;
+
+    const [name, count, perItem, growth = "1"] = values;
+    if (values.length < 3 || values.length > 4) {
+      throw new Error(
+        `Line ${line}: expected name, count, subnets per item and an optional growth factor`,
+      );
+    }
+    if (!name) {
+      throw new Error(`Line ${line}: name must not be empty`);
+    }
+    if (!/^\d+$/.test(count) || parseInt(count) < 1) {
+      throw new Error(
+        `Line ${line}: count must be a whole number of at least 1`,
+      );
+    }
+    if (!/^\d+$/.test(perItem) || parseInt(perItem) < 1) {
+      throw new Error(
+        `Line ${line}: subnets per item must be a whole number of at least 1`,
+      );
+    }
+    if (!/^\d+(\.\d+)?$/.test(growth) || parseFloat(growth) < 1) {
+      throw new Error(
+        `Line ${line}: growth factor must be a number of at least 1`,
+      );
+    }
+
+    requirements.push({
+      name,
+      count: parseInt(count),
+      perItem: parseInt(perItem),
+      growth: parseFloat(growth),
+    });
+  });
+
+  if (requirements.length === 0) {
+    throw new Error("Enter at least one requirement");
+  }
+  return requirements;
+}
+
+/**
+ * Get the number of bits needed to number a quantity of items
+ * @param {number} quantity - Items to fit (at least 1)
+ * @returns {number} Smallest n with 2^n >= quantity
+ */
+function getBitsFor(quantity) {
+  let bits = 0;
+  while (2 ** bits < quantity) bits++;
+  return bits;
+}
+
+/**
+ * Size and place one block per requirement under the root without changing
+ * the plan. Each item gets enough /64s for perItem × growth and each block
+ * enough items for count × growth. Both are rounded out to nibble
+ * boundaries, matching the levels getNibbleBoundaries creates, unless the
+ * aligned blocks do not fit, in which case exact power-of-two sizes are used.
+ * Blocks are placed largest first so every block stays aligned.
+ * @param {string} rootCidr - CIDR of the plan root
+ * @param {Requirement[]} requirements - Parsed requirements
+ * @returns {RequirementsPlan} Proposed layout
+ * @throws {Error} If the root is longer than /64, an item is larger than /64 allows or the blocks do not fit
+ */
+function planRequirements(rootCidr, requirements) {
+  const { prefix: rootPrefix } = parseCIDR(rootCidr);
+  if (rootPrefix > 64) {
+    throw new Error(
+      "The planner lays out /64 subnets; the root must be /64 or shorter",
+    );
+  }
+  const rootBytes = parseIPv6(rootCidr.split("/")[0]);
+  const rootSize = 2n ** BigInt(64 - rootPrefix);
+
+  const sizeBlocks = (nibbleAligned) =>
+    requirements.map((req) => {
+      const items = Math.ceil(req.count * req.growth);
+      if (items > MAX_PLANNED_ITEMS) {
+        throw new Error(
+          `${req.name} needs ${items.toLocaleString()} items, more than the ${MAX_PLANNED_ITEMS.toLocaleString()} the planner lays out`,
+        );
+      }
+      let itemPrefix = 64 - getBitsFor(Math.ceil(req.perItem * req.growth));
+      let prefix = itemPrefix - getBitsFor(items);
+      if (nibbleAligned) {
+        itemPrefix = Math.floor(itemPrefix / 4) * 4;
+        prefix = Math.floor((itemPrefix - getBitsFor(items)) / 4) * 4;
+      }
+      return { req, prefix, itemPrefix };
+    });
+
+  const totalSize = (blocks) =>
+    blocks.reduce((sum, block) => sum + 2n ** BigInt(64 - block.prefix), 0n);
+
+  let nibbleAligned = true;
+  let sized = sizeBlocks(true);
+  if (totalSize(sized) > rootSize) {
+    nibbleAligned = false;
+    sized = sizeBlocks(false);
+  }
+  const used = totalSize(sized);
+  if (used > rootSize) {
+    throw new Error(
+      `The requirements need ${used.toLocaleString()} /64s but ${rootCidr} only has ${rootSize.toLocaleString()}`,
+    );
+  }
+
+  // Largest blocks first: each offset is then a multiple of the next block's size
+  const order = sized
+    .map((block, index) => index)
+    .sort((a, b) => sized[a].prefix - sized[b].prefix || a - b);
+  const cidrs = [];
+  let offset = 0n;
+  order.forEach((index) => {
+    const size = 2n ** BigInt(64 - sized[index].prefix);
+    const bytes = getChildSubnetAtTarget(
+      rootBytes,
+      rootPrefix,
+      sized[index].prefix,
+      Number(offset / size),
+    );
+    cidrs[index] = `${formatIPv6(bytes)}/${sized[index].prefix}`;
+    offset += size;
+  });
+
+  const blocks = sized.map(({ req, prefix, itemPrefix }, index) => {
+    const itemCapacity = 2 ** (itemPrefix - prefix);
+    const subnetCapacity = 2 ** (64 - itemPrefix);
+    return {
+      name: req.name,
+      count: req.count,
+      perItem: req.perItem,
+      cidr: cidrs[index],
+      prefix,
+      itemPrefix,
+      itemCapacity,
+      subnetCapacity,
+      utilization: (req.count * req.perItem) / (itemCapacity * subnetCapacity),
+    };
+  });
+
+  return {
+    root: rootCidr,
+    blocks,
+    nibbleAligned,
+    utilization: Number(used) / Number(rootSize),
+  };
+}
+
+/**
+ * Parse the answer to the split by count prompt: a number ("12"), a list of
+ * names ("Denver, Austin") or a number followed by names ("12: Denver, Austin")
+ * @param {string} text - Prompt answer (CSV quoting is allowed in names)
+ * @returns {{count: number, names: string[]}} Subnets needed and names for the first ones
+ * @throws {Error} If the count is not a whole number or fewer names are allowed than given
+ */
+function parseSplitCount(text) {
+  const match = text.trim().match(/^(\d+)\s*(?::(.*))?$/s);
+  const namesText = match ? (match[2] ?? "") : text;
+  const names = (parseCSV(namesText.trim())[0] ?? [])
+    .map((name) => name.trim())
+    .filter((name) => name !== "");
+
+  if (!match && /^[\d\s.,-]*$/.test(text)) {
+    throw new Error("Enter a whole number of subnets or a list of names");
+  }
+  const count = match ? parseInt(match[1]) : names.length;
+  if (count < 2) {
+    throw new Error("A split needs at least 2 subnets");
+  }
+  if (names.length > count) {
+    throw new Error(
+      `${count} subnets were requested but ${names.length} names were given`,
+    );
+  }
+  return { count, names };
+}
+
+/**
+ * Work out the split that gives a subnet at least a number of children
+ * @param {string} cidr - CIDR of the subnet to split
+ * @param {number} count - Number of child subnets needed
+ * @param {boolean} [nibbleAligned=false] - Round the target up to the next nibble boundary
+ * @returns {{prefix: number, children: number, spare: number}} Target prefix, children it creates and children left over
+ * @throws {Error} If the subnet cannot hold that many children above /64
+ */
+function getSplitForCount(cidr, count, nibbleAligned = false) {
+  const { prefix } = parseCIDR(cidr);
+  let target = prefix + getBitsFor(count);
+  if (nibbleAligned) target = Math.ceil(target / 4) * 4;
+
+  const children = 2 ** (target - prefix);
+  if (target > 64 || children > MAX_PLANNED_ITEMS) {
+    throw new Error(
+      `${cidr} cannot be split into ${count.toLocaleString()} subnets${nibbleAligned ? " on a nibble boundary" : ""}`,
+    );
+  }
+  return { prefix: target, children, spare: children - count };
+}
+
+// Editing
+
+/**
+ * Split a leaf subnet into child subnets at the target prefix
+ * Creates intermediate levels at nibble boundaries when necessary, the same
+ * way the Split button does
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet to split
+ * @param {number|null} [targetPrefix=null] - Target prefix length, or null for the next nibble boundary
+ * @returns {string[]} CIDRs of the new direct children in address order
+ * @throws {Error} If the subnet is not a leaf of the plan or cannot be split to the target
+ */
+function splitSubnet(plan, cidr, targetPrefix = null) {
+  requireSubnetNode(plan, cidr);
+  if (isSplit(plan, cidr)) throw new Error(`${cidr} is already split`);
+
+  const target = getSplitTarget(plan, cidr, targetPrefix);
+  if (target === null) {
+    throw new Error(
+      targetPrefix === null
+        ? `${cidr} cannot be split further`
+        : `${cidr} cannot be split to /${targetPrefix}`,
+    );
+  }
+
+  createSplitChildren(plan, cidr, target);
+  return Object.keys(plan.tree[cidr])
+    .filter((key) => !key.startsWith("_"))
+    .sort(compareCIDR);
+}
+
+/**
+ * Join a split subnet back into one by deleting everything below it
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet to join
+ * @returns {number} Number of subnets deleted
+ * @throws {Error} If the subnet is not in the plan
+ */
+function joinSubnet(plan, cidr) {
+  requireSubnetNode(plan, cidr);
+  const { count } = summarizeDescendants(plan, cidr);
+  deleteDescendants(plan, cidr);
+  return count;
+}
+
+/**
+ * Set the note of a subnet
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @param {string} note - New note (empty clears it)
+ * @returns {void}
+ * @throws {Error} If the subnet is not in the plan
+ */
+function setSubnetNote(plan, cidr, note) {
+  requireSubnetNode(plan, cidr)._note = String(note);
+}
+
+/**
+ * Set the row color of a subnet
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @param {string} color - #RRGGBB color, or empty to clear it
+ * @returns {void}
+ * @throws {Error} If the subnet is not in the plan or the color is not #RRGGBB
+ */
+function setSubnetColor(plan, cidr, color) {
+  const node = requireSubnetNode(plan, cidr);
+  if (color !== "" && !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`Color must be empty or a #RRGGBB value (got "${color}")`);
+  }
+  node._color = color.toUpperCase();
+}
+
+/**
+ * Set or clear a metadata field of a subnet from text, as typed in its cell
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet
+ * @param {string} field - Node key (e.g. "_owner")
+ * @param {string} raw - Field text (empty clears the field)
+ * @returns {void}
+ * @throws {Error} If the subnet is not in the plan or the value is invalid
+ */
+function setSubnetField(plan, cidr, field, raw) {
+  const node = requireSubnetNode(plan, cidr);
+  if (!METADATA_FIELDS.includes(field)) {
+    throw new Error(`Unknown metadata field "${field}"`);
+  }
+  const value = parseMetadataValue(field, raw);
+  if (value === undefined) {
+    delete node[field];
+  } else {
+    node[field] = value;
+  }
+}
+
+/**
+ * Allocate the next free subnet of a given size inside a parent
+ * Splits the branch down to the allocated subnet if needed, marks it
+ * Allocated and sets its note (see findNextFreeSubnet)
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} parentCidr - CIDR of the subnet to allocate from
+ * @param {number} targetPrefix - Prefix length to allocate
+ * @param {string} [note=""] - Note for the allocation (empty keeps the inherited note)
+ * @returns {string} CIDR of the allocated subnet
+ * @throws {Error} If the target is invalid or no free subnet of that size is left
+ */
+function allocateNextSubnet(plan, parentCidr, targetPrefix, note = "") {
+  const next = findNextFreeSubnet(plan, parentCidr, targetPrefix);
+  if (!next) {
+    throw new Error(`No free /${targetPrefix} is left in ${parentCidr}`);
+  }
+
+  if (next.splitFrom) insertImportedSubnet(plan, next.splitFrom, next.cidr);
+
+  const node = getSubnetNode(plan, next.cidr);
+  node._status = "allocated";
+  if (note) node._note = note;
+  return next.cidr;
+}
+
+/**
+ * Replace the subnets under the root with a proposed layout: each block is
+ * created with intermediate levels at nibble boundaries, split into its items
+ * and noted with the requirement name, and the first count items are numbered
+ * @param {Plan} plan - Plan to change
+ * @param {RequirementsPlan} layout - Layout from planRequirements()
+ * @returns {void}
+ */
+function applyRequirementsPlan(plan, layout) {
+  deleteDescendants(plan, layout.root);
+
+  layout.blocks.forEach((block) => {
+    insertImportedSubnet(plan, layout.root, block.cidr);
+    getSubnetNode(plan, block.cidr)._note = block.name;
+    if (block.itemPrefix === block.prefix) return;
+
+    createIntermediateLevels(plan, block.cidr, block.itemPrefix)
+      .filter((cidr) => parseCIDR(cidr).prefix === block.itemPrefix)
+      .sort(compareCIDR)
+      .slice(0, block.count)
+      .forEach((cidr, index) => {
+        plan.tree[cidr]._note = `${block.name} ${index + 1}`;
+      });
+  });
+}
+
+/**
+ * Split a leaf subnet into enough children for a count and note the first
+ * ones with the given names
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - CIDR of the subnet to split
+ * @param {number} count - Number of child subnets needed
+ * @param {{nibbleAligned?: boolean, names?: string[]}} [options] - Rounding and names for the first children
+ * @returns {{prefix: number, children: number, spare: number}} The split that was made
+ * @throws {Error} If the subnet cannot hold that many children or is not a leaf of the plan
+ */
+function splitByCount(plan, cidr, count, options = {}) {
+  const { nibbleAligned = false, names = [] } = options;
+  const split = getSplitForCount(cidr, count, nibbleAligned);
+
+  splitSubnet(plan, cidr, split.prefix);
+
+  Object.keys(plan.tree)
+    .filter(
+      (key) =>
+        parseCIDR(key).prefix === split.prefix && cidrContains(cidr, key),
+    )
+    .sort(compareCIDR)
+    .slice(0, names.length)
+    .forEach((child, index) => {
+      plan.tree[child]._note = names[index];
+    });
+
+  return split;
+}
+
+// Saved state
+
+/**
+ * Flatten the tree for saving: one entry per subnet holding only its own
+ * annotations. Child links are left out because they follow from the CIDRs
+ * (see buildSubnetTree), and an empty note or color is left out as well
+ * @param {Plan} plan - Plan to save
+ * @returns {Object<string, Object>} Annotations keyed by CIDR
+ */
+function serializeTree(plan) {
+  const flat = {};
+  Object.keys(plan.tree).forEach((cidr) => {
+    const node = plan.tree[cidr];
+    const entry = {};
+    Object.keys(node).forEach((key) => {
+      if (!key.startsWith("_")) return;
+      if ((key === "_note" || key === "_color") && node[key] === "") return;
+      entry[key] = node[key];
+    });
+    flat[cidr] = entry;
+  });
+  return flat;
+}
+
+/**
+ * Get the plan state object shared by the URL hash and JSON plan files
+ * @param {Plan} plan - Plan to save
+ * @returns {{network: string|null, prefix: number|null, tree: Object<string, Object>}} Current plan state with a flat tree (see serializeTree)
+ */
+function getPlanState(plan) {
+  const state = {
+    network: plan.network,
+    prefix: plan.prefix,
+    tree: serializeTree(plan),
+  };
+  // Only written when enabled so existing plans keep their hashes
+  if (plan.hostSplits) state.hostSplits = true;
+  return state;
+}
+
+/**
+ * Build the in-memory tree from saved state, linking each subnet under the
+ * most specific other subnet containing it
+ * Accepts the flat form written by serializeTree() and the older nested form
+ * in which every child was stored twice, at the top level and under its
+ * parent. For nested trees only subnets reachable from the root are kept and
+ * the top-level copy wins when the two disagree. Nodes are built from scratch
+ * with only NODE_FIELDS copied, so keys such as __proto__ in untrusted state
+ * cannot reach the prototype chain
+ * @param {Object<string, Object>} tree - Saved tree (flat or nested)
+ * @param {string} rootCidr - CIDR of the plan root
+ * @returns {Object<string, SubnetNode>} Tree with one node per CIDR
+ */
+function buildSubnetTree(tree, rootCidr) {
+  const sources = new Map();
+  const hasOwn = (object, key) =>
+    Object.prototype.hasOwnProperty.call(object, key);
+  const isNested = Object.values(tree).some(
+    (node) => node && Object.keys(node).some((key) => !key.startsWith("_")),
+  );
+
+  if (isNested && hasOwn(tree, rootCidr)) {
+    const visit = (cidr, node) => {
+      if (sources.has(cidr) || !node || typeof node !== "object") return;
+      sources.set(cidr, (hasOwn(tree, cidr) && tree[cidr]) || node);
+      Object.keys(node)
+        .filter((key) => !key.startsWith("_"))
+        .forEach((child) =>
+          visit(child, (hasOwn(tree, child) && tree[child]) || node[child]),
+        );
+    };
+    visit(rootCidr, tree[rootCidr]);
+  } else {
+    Object.keys(tree).forEach((cidr) => sources.set(cidr, tree[cidr]));
+  }
+
+  const result = {};
+  const entries = [];
+  sources.forEach((source, cidr) => {
+    const parsed = parseCIDR(cidr);
+    if (!parsed || !source || typeof source !== "object") return;
+
+    const node = { _note: "", _color: "" };
+    NODE_FIELDS.forEach((key) => {
+      if (!hasOwn(source, key)) return;
+      node[key] = Array.isArray(source[key]) ? [...source[key]] : source[key];
+    });
+    result[cidr] = node;
+
+    const value = parsed.bytes.reduce(
+      (v, byte) => (v << 8n) | BigInt(byte),
+      0n,
+    );
+    entries.push({ cidr, prefix: parsed.prefix, value });
+  });
+
+  // In address order with parents before children, the ancestors of each
+  // subnet are exactly the subnets on the stack that still contain it
+  entries.sort((a, b) =>
+    a.value === b.value ? a.prefix - b.prefix : a.value < b.value ? -1 : 1,
+  );
+  const stack = [];
+  entries.forEach((entry) => {
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const shift = BigInt(128 - top.prefix);
+      if (
+        entry.prefix > top.prefix &&
+        entry.value >> shift === top.value >> shift
+      ) {
+        break;
+      }
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      result[stack[stack.length - 1].cidr][entry.cidr] = result[entry.cidr];
+    }
+    stack.push(entry);
+  });
+
+  return result;
+}
+
+// Share links
+
+/**
+ * Compress text using deflate-raw compression via Compression Streams API
+ * @param {string} text - Text to compress
+ * @returns {Promise<string>} Base64-encoded compressed data
+ */
+async function compressToDeflateRaw(text) {
+  const compressed = await transformBytes(
+    new TextEncoder().encode(text),
+    new CompressionStream("deflate-raw"),
+  );
+  return bytesToBase64(compressed);
+}
+
+/**
+ * Decompress deflate-raw compressed data via Compression Streams API
+ * @param {string} base64 - Base64-encoded compressed data
+ * @returns {Promise<string>} Decompressed text
+ */
+async function decompressFromDeflateRaw(base64) {
+  const bytes = await transformBytes(
+    base64ToBytes(base64),
+    new DecompressionStream("deflate-raw"),
+  );
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} transform - Stream to pipe through
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  const reader = transform.readable.getReader();
+
+  // Write and read together so damaged input rejects once, from this call
+  const writing = writer.write(bytes).then(() => writer.close());
+  const reading = (async () => {
+    const chunks = [];
+    let done = false;
+    while (!done) {
+      const { value, done: readerDone } = await reader.read();
+      done = readerDone;
+      if (value) chunks.push(value);
+    }
+    return chunks;
+  })();
+  const [, chunks] = await Promise.all([writing, reading]);
+
+  const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Encode bytes as base64
+ * Works in slices so large plans do not exceed the argument limit of
+ * String.fromCharCode
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {boolean} [urlSafe=false] - Use the URL-safe alphabet without padding
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes, urlSafe = false) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const base64 = btoa(binary);
+  if (!urlSafe) return base64;
+  return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode base64 in either the standard or the URL-safe alphabet
+ * @param {string} base64 - Base64 text, padding optional
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Append an unsigned LEB128 varint to a byte list
+ * @param {number[]} out - Bytes written so far
+ * @param {number|bigint} value - Non-negative integer
+ * @returns {void}
+ */
+function writeVarint(out, value) {
+  let rest = BigInt(value);
+  do {
+    const byte = Number(rest & 0x7fn);
+    rest >>= 7n;
+    out.push(rest > 0n ? byte | 0x80 : byte);
+  } while (rest > 0n);
+}
+
+/**
+ * Read an unsigned LEB128 varint
+ * @param {{bytes: Uint8Array, pos: number}} reader - Input and read position (advanced)
+ * @returns {bigint} Decoded value
+ * @throws {Error} If the input ends inside the varint
+ */
+function readBigVarint(reader) {
+  let value = 0n;
+  let shift = 0n;
+  let byte;
+  do {
+    if (reader.pos >= reader.bytes.length) {
+      throw new Error("Share link is truncated");
+    }
+    byte = reader.bytes[reader.pos++];
+    value |= BigInt(byte & 0x7f) << shift;
+    shift += 7n;
+  } while (byte & 0x80);
+  return value;
+}
+
+/**
+ * Read an unsigned LEB128 varint that must fit in a safe integer
+ * @param {{bytes: Uint8Array, pos: number}} reader - Input and read position (advanced)
+ * @returns {number} Decoded value
+ * @throws {Error} If the input ends inside the varint or the value is too large
+ */
+function readVarint(reader) {
+  const value = readBigVarint(reader);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error("Share link contains a number that is too large");
+  }
+  return Number(value);
+}
+
+/**
+ * Check whether a node field holds the same value as another, treating an
+ * empty note or color the same as a missing one
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both encode the same way
+ */
+function sameFieldValue(a, b) {
+  return JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+}
+
+/**
+ * Encode a plan state as compact bytes for the v3 share link
+ *
+ * Layout (varints are unsigned LEB128):
+ * - layout version byte, flags byte (bit 0: hostSplits), root prefix byte and
+ *   the root address bytes up to the prefix
+ * - string table: count, then each UTF-8 string as length and bytes
+ * - one record per subnet in depth-first address order: a field mask with a
+ *   bit per BINARY_STATE_FIELDS entry that differs from what the node would
+ *   inherit on a split, the values of those fields, the children's prefix
+ *   relative to this subnet (0 for a leaf), and for split subnets the child
+ *   count and each child's index gap from the previous child (0 when they are
+ *   consecutive) followed by the child records
+ *
+ * Text is stored as string table indexes plus one (0 is empty), palette
+ * colors as their COLORS index plus one and other colors as a string index
+ * after the palette codes, and statuses and strategies as their position
+ * plus one
+ * @param {{network: string, prefix: number, tree: Object<string, Object>, hostSplits?: boolean}} state - Plan state (flat or nested tree)
+ * @returns {Uint8Array} Encoded bytes
+ * @throws {Error} If the tree has children of mixed prefixes or fields this encoding cannot hold
+ */
+function encodeStateBinary(state) {
+  const root = parseCIDR(`${state.network}/${state.prefix}`);
+  const tree = buildSubnetTree(state.tree, root.cidr);
+  const strings = [];
+  const stringIndex = new Map();
+  const records = [];
+  const statuses = Object.keys(SUBNET_STATUSES);
+  const strategies = Object.keys(ALLOCATION_STRATEGIES);
+
+  const addString = (text) => {
+    if (!stringIndex.has(text)) {
+      stringIndex.set(text, strings.length);
+      strings.push(text);
+    }
+    return stringIndex.get(text);
+  };
+  const toValue = (bytes) =>
+    bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+  const encodeNode = (cidr, node, parentNode) => {
+    const inherited = parentNode
+      ? createChildNode(parentNode)
+      : { _note: "", _color: "" };
+    Object.keys(node).forEach((key) => {
+      if (key.startsWith("_") && !BINARY_STATE_FIELDS.includes(key)) {
+        throw new Error(
+          `Subnet ${cidr} has a field the v3 encoding cannot hold`,
+        );
+      }
+    });
+
+    let mask = 0;
+    const values = [];
+    BINARY_STATE_FIELDS.forEach((field, bit) => {
+      const value = node[field];
+      if (sameFieldValue(value, inherited[field])) return;
+      mask |= 1 << bit;
+
+      if (value === undefined || value === "") {
+        values.push(0);
+      } else if (field === "_color") {
+        const palette = COLORS.indexOf(value);
+        values.push(
+          palette >= 0 ? palette + 1 : COLORS.length + 1 + addString(value),
+        );
+      } else if (field === "_status" || field === "_strategy") {
+        const position = (field === "_status" ? statuses : strategies).indexOf(
+          value,
+        );
+        if (position < 0) {
+          throw new Error(`Subnet ${cidr} has an unknown ${field.slice(1)}`);
+        }
+        values.push(position + 1);
+      } else if (field === "_vlan") {
+        values.push(value);
+      } else if (field === "_tags") {
+        values.push(value.length, ...value.map(addString));
+      } else {
+        values.push(addString(value) + 1);
+      }
+    });
+    writeVarint(records, mask);
+    values.forEach((value) => writeVarint(records, value));
+
+    const { bytes, prefix } = parseCIDR(cidr);
+    const children = Object.keys(node)
+      .filter((key) => !key.startsWith("_"))
+      .map((child) => ({ cidr: child, ...parseCIDR(child) }));
+    if (children.length === 0) {
+      writeVarint(records, 0);
+      return;
+    }
+
+    const childPrefix = children[0].prefix;
+    if (children.some((child) => child.prefix !== childPrefix)) {
+      throw new Error(`Subnet ${cidr} has children of different sizes`);
+    }
+    children.sort((a, b) => compareCIDR(a.cidr, b.cidr));
+    const parentValue = toValue(bytes);
+    const shift = BigInt(128 - childPrefix);
+
+    writeVarint(records, childPrefix - prefix);
+    writeVarint(records, children.length);
+    let next = 0n;
+    children.forEach((child) => {
+      const index = (toValue(child.bytes) - parentValue) >> shift;
+      writeVarint(records, index - next);
+      next = index + 1n;
+    });
+    children.forEach((child) => encodeNode(child.cidr, tree[child.cidr], node));
+  };
+  encodeNode(root.cidr, tree[root.cidr], null);
+
+  const out = [
+    BINARY_STATE_LAYOUT,
+    state.hostSplits === true ? 1 : 0,
+    root.prefix,
+    ...root.bytes.slice(0, Math.ceil(root.prefix / 8)),
+  ];
+  writeVarint(out, strings.length);
+  const encoder = new TextEncoder();
+  strings.forEach((text) => {
+    const utf8 = encoder.encode(text);
+    writeVarint(out, utf8.length);
+    out.push(...utf8);
+  });
+
+  const result = new Uint8Array(out.length + records.length);
+  result.set(out);
+  result.set(records, out.length);
+  return result;
+}
+
+/**
+ * Decode bytes written by encodeStateBinary()
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {{network: string, prefix: number, tree: Object<string, Object>, hostSplits?: boolean}} Plan state with a flat tree, as getPlanState() returns it
+ * @throws {Error} If the bytes are truncated, from a newer layout or inconsistent
+ */
+function decodeStateBinary(bytes) {
+  const reader = { bytes, pos: 0 };
+  const readByte = () => {
+    if (reader.pos >= bytes.length) throw new Error("Share link is truncated");
+    return bytes[reader.pos++];
+  };
+
+  if (readByte() !== BINARY_STATE_LAYOUT) {
+    throw new Error(
+      "Share link uses a newer format. Please use a newer version of the planner.",
+    );
+  }
+  const flags = readByte();
+  const rootPrefix = readByte();
+  if (rootPrefix > 128) throw new Error("Share link has an invalid root");
+  const rootBytes = new Uint8Array(16);
+  for (let i = 0; i < Math.ceil(rootPrefix / 8); i++) rootBytes[i] = readByte();
+
+  const strings = [];
+  const decoder = new TextDecoder();
+  const stringCount = readVarint(reader);
+  for (let i = 0; i < stringCount; i++) {
+    const length = readVarint(reader);
+    if (reader.pos + length > bytes.length) {
+      throw new Error("Share link is truncated");
+    }
+    strings.push(
+      decoder.decode(bytes.subarray(reader.pos, reader.pos + length)),
+    );
+    reader.pos += length;
+  }
+  const readString = (index) => {
+    if (index >= strings.length) {
+      throw new Error("Share link refers to a missing note");
+    }
+    return strings[index];
+  };
+  const readEnum = (keys) => {
+    const position = readVarint(reader);
+    if (position > keys.length)
+      throw new Error("Share link has an unknown value");
+    return position === 0 ? undefined : keys[position - 1];
+  };
+
+  const statuses = Object.keys(SUBNET_STATUSES);
+  const strategies = Object.keys(ALLOCATION_STRATEGIES);
+  const tree = {};
+
+  const decodeNode = (nodeBytes, prefix, parentNode) => {
+    const node = parentNode
+      ? createChildNode(parentNode)
+      : { _note: "", _color: "" };
+    const mask = readVarint(reader);
+    BINARY_STATE_FIELDS.forEach((field, bit) => {
+      if (!(mask & (1 << bit))) return;
+
+      let value;
+      if (field === "_color") {
+        const code = readVarint(reader);
+        if (code > 0 && code <= COLORS.length) value = COLORS[code - 1];
+        else if (code > COLORS.length) {
+          value = readString(code - COLORS.length - 1);
+        }
+      } else if (field === "_status") {
+        value = readEnum(statuses);
+      } else if (field === "_strategy") {
+        value = readEnum(strategies);
+      } else if (field === "_vlan") {
+        value = readVarint(reader) || undefined;
+      } else if (field === "_tags") {
+        const count = readVarint(reader);
+        if (count > 0) {
+          value = [];
+          for (let i = 0; i < count; i++) {
+            value.push(readString(readVarint(reader)));
+          }
+        }
+      } else {
+        const index = readVarint(reader);
+        value = index === 0 ? undefined : readString(index - 1);
+      }
+
+      if (value !== undefined) node[field] = value;
+      else if (field === "_note" || field === "_color") node[field] = "";
+      else delete node[field];
+    });
+
+    const entry = {};
+    Object.keys(node).forEach((key) => {
+      if ((key === "_note" || key === "_color") && node[key] === "") return;
+      entry[key] = Array.isArray(node[key]) ? [...node[key]] : node[key];
+    });
+    tree[`${formatIPv6(nodeBytes)}/${prefix}`] = entry;
+
+    const bits = readVarint(reader);
+    if (bits === 0) return;
+    const childPrefix = prefix + bits;
+    if (childPrefix > 128) throw new Error("Share link has an invalid split");
+
+    const count = readVarint(reader);
+    const indexes = [];
+    let next = 0n;
+    for (let i = 0; i < count; i++) {
+      const index = next + readBigVarint(reader);
+      if (index >= 1n << BigInt(bits)) {
+        throw new Error("Share link has an invalid split");
+      }
+      indexes.push(index);
+      next = index + 1n;
+    }
+    indexes.forEach((index) => {
+      const childBytes = getChildSubnetAtTarget(
+        nodeBytes,
+        prefix,
+        childPrefix,
+        index,
+      );
+      decodeNode(childBytes, childPrefix, node);
+    });
+  };
+  decodeNode(rootBytes, rootPrefix, null);
+
+  if (reader.pos !== bytes.length) {
+    throw new Error("Share link has unexpected data at the end");
+  }
+
+  const state = { network: formatIPv6(rootBytes), prefix: rootPrefix, tree };
+  if (flags & 1) state.hostSplits = true;
+  return state;
+}
+
+/**
+ * Encode a plan state as a v3 share link hash (without the leading #)
+ * @param {{network: string, prefix: number, tree: Object<string, Object>, hostSplits?: boolean}} state - Plan state
+ * @returns {Promise<string>} Hash text starting with the v3 marker
+ */
+async function encodeStateV3(state) {
+  const compressed = await transformBytes(
+    encodeStateBinary(state),
+    new CompressionStream("deflate-raw"),
+  );
+  return `${STATE_VERSION_3}${bytesToBase64(compressed, true)}`;
+}
+
+/**
+ * Decode the part of a v3 hash after its marker
+ * @param {string} encoded - URL-safe base64 of the compressed bytes
+ * @returns {Promise<{network: string, prefix: number, tree: Object<string, Object>, hostSplits?: boolean}>} Plan state
+ */
+async function decodeStateV3(encoded) {
+  let bytes;
+  try {
+    bytes = await transformBytes(
+      base64ToBytes(encoded),
+      new DecompressionStream("deflate-raw"),
+    );
+  } catch (e) {
+    throw new Error("Share link is damaged or incomplete");
+  }
+  return decodeStateBinary(bytes);
+}
+
+/**
+ * Check if the runtime supports Compression Streams API
+ * @returns {boolean} True if deflate-raw compression is supported
+ */
+function supportsCompression() {
+  return (
+    "CompressionStream" in globalThis && "DecompressionStream" in globalThis
+  );
+}
+
+/**
+ * Encode a plan state as URL hash text, as the web UI saves it
+ * Uses the v3 binary format where compression streams are available, then v2
+ * (compressed JSON) and finally v1 (base64 JSON)
+ * @param {{network: string, prefix: number, tree: Object<string, Object>, hostSplits?: boolean}} state - Plan state from getPlanState()
+ * @returns {Promise<string>} Hash text without the leading #
+ */
+async function encodeStateHash(state) {
+  const json = JSON.stringify(state);
+
+  if (supportsCompression()) {
+    try {
+      // Compact binary encoding with v3 marker
+      return await encodeStateV3(state);
+    } catch (e) {
+      console.warn("Binary encoding failed, falling back to JSON:", e);
+    }
+
+    try {
+      // Try deflate-raw compression with v2 marker
+      return `${STATE_VERSION_2}${await compressToDeflateRaw(json)}`;
+    } catch (e) {
+      console.warn("Compression failed, falling back to base64:", e);
+    }
+  }
+
+  // Fallback: base64 encoding with v1 marker
+  return `${STATE_VERSION_1}${btoa(encodeURIComponent(json))}`;
+}
+
+/**
+ * Decode an unencrypted URL hash into a plan state
+ * Reads v3, v2 and v1 hashes and unmarked legacy base64 JSON. The result is
+ * not validated yet (see validatePlanState)
+ * @param {string} hash - Hash text without the leading #
+ * @returns {Promise<*>} Decoded plan state
+ * @throws {Error} With a user-facing message if the hash cannot be decoded
+ */
+async function decodeStateHash(hash) {
+  // v3: compact binary, deflate-raw compressed
+  if (hash.startsWith(STATE_VERSION_3)) {
+    return decodeStateV3(hash.slice(STATE_VERSION_3.length));
+  }
+
+  try {
+    let json;
+    if (hash.startsWith(STATE_VERSION_2)) {
+      // v2: deflate-raw compressed
+      json = await decompressFromDeflateRaw(hash.slice(STATE_VERSION_2.length));
+    } else if (hash.startsWith(STATE_VERSION_1)) {
+      // v1: base64 encoded (legacy format)
+      json = decodeURIComponent(atob(hash.slice(STATE_VERSION_1.length)));
+    } else {
+      // No version marker: assume legacy format (backward compatibility)
+      json = decodeURIComponent(atob(hash));
+    }
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error("Share link is damaged or incomplete");
+  }
+}
+
+/**
+ * Take the hash out of a share URL as pasted into a ticket or chat
+ * Accepts a full URL, a hash with or without its # and percent-encoded text
+ * @param {string} link - Share URL or hash
+ * @returns {string} Hash text without the leading #
+ * @throws {Error} If there is no hash in the link
+ */
+function getShareLinkHash(link) {
+  let hash = link.trim();
+  if (hash.includes("#")) {
+    hash = hash.slice(hash.indexOf("#") + 1);
+  } else if (/^[a-z][a-z\d+.-]*:\/\//i.test(hash)) {
+    hash = "";
+  }
+  if (/%[0-9a-f]{2}/i.test(hash)) {
+    try {
+      hash = decodeURIComponent(hash);
+    } catch (e) {
+      // Leave it as is; decoding reports a damaged link
+    }
+  }
+  if (!hash) throw new Error("The link has no plan after #");
+  return hash;
+}
+
+/**
+ * Derive the AES-GCM key for an encrypted link from its passphrase
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Uint8Array} salt - Random salt stored in the link
+ * @returns {Promise<CryptoKey>} Non-extractable key for encrypt and decrypt
+ */
+async function deriveLinkKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt,
+      iterations: LINK_KEY_ITERATIONS,
+      hash: "SHA-256",
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Create a key for encrypting links with a new random salt
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<{key: CryptoKey, salt: Uint8Array}>} Key and the salt it was derived with
+ */
+async function createLinkEncryption(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(LINK_SALT_BYTES));
+  return { key: await deriveLinkKey(passphrase, salt), salt };
+}
+
+/**
+ * Encrypt a plain hash (v1, v2 or v3) for an encrypted link
+ * The result is the e1 marker followed by URL-safe base64 of the salt, a
+ * fresh nonce and the AES-GCM ciphertext of the plain hash
+ * @param {string} hash - Plain hash without the leading #
+ * @param {{key: CryptoKey, salt: Uint8Array}} encryption - Key from createLinkEncryption() or decryptStateHash()
+ * @returns {Promise<string>} Encrypted hash
+ */
+async function encryptStateHash(hash, encryption) {
+  const iv = crypto.getRandomValues(new Uint8Array(LINK_IV_BYTES));
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      encryption.key,
+      new TextEncoder().encode(hash),
+    ),
+  );
+
+  const payload = new Uint8Array(
+    LINK_SALT_BYTES + LINK_IV_BYTES + ciphertext.length,
+  );
+  payload.set(encryption.salt);
+  payload.set(iv, LINK_SALT_BYTES);
+  payload.set(ciphertext, LINK_SALT_BYTES + LINK_IV_BYTES);
+  return `${STATE_ENCRYPTED}${bytesToBase64(payload, true)}`;
+}
+
+/**
+ * Decrypt the part of an encrypted hash after its marker
+ * @param {string} encoded - URL-safe base64 payload
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<{hash: string, encryption: {key: CryptoKey, salt: Uint8Array}}>} Plain hash and the key, so later saves stay encrypted
+ * @throws {Error} If the link is damaged or the passphrase is wrong
+ */
+async function decryptStateHash(encoded, passphrase) {
+  let payload;
+  try {
+    payload = base64ToBytes(encoded);
+  } catch (e) {
+    throw new Error("Encrypted link is damaged");
+  }
+  // An AES-GCM ciphertext is never shorter than its 16-byte tag
+  if (payload.length < LINK_SALT_BYTES + LINK_IV_BYTES + 16) {
+    throw new Error("Encrypted link is damaged");
+  }
+
+  const salt = payload.slice(0, LINK_SALT_BYTES);
+  const iv = payload.slice(LINK_SALT_BYTES, LINK_SALT_BYTES + LINK_IV_BYTES);
+  const key = await deriveLinkKey(passphrase, salt);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv },
+      key,
+      payload.slice(LINK_SALT_BYTES + LINK_IV_BYTES),
+    );
+  } catch (e) {
+    throw new Error("Wrong passphrase or damaged link");
+  }
+
+  return {
+    hash: new TextDecoder().decode(new Uint8Array(plain)),
+    encryption: { key, salt },
+  };
+}
+
+// Plan files and validation
+
+/**
+ * Build the versioned JSON plan file for a plan
+ * @param {Plan} plan - Plan to export
+ * @returns {{format: string, schemaVersion: number, network: string, prefix: number, tree: Object<string, SubnetNode>}} Plan file object
+ */
+function createPlanFile(plan) {
+  return {
+    format: PLAN_FILE_FORMAT,
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    ...getPlanState(plan),
+  };
+}
+
+/**
+ * Join validation problems into one message, listing the first few
+ * @param {string[]} errors - Problems from validatePlanState
+ * @returns {string} Problems separated by semicolons
+ */
+function formatValidationErrors(errors) {
+  const shown = errors.slice(0, 5).join("; ");
+  const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : "";
+  return `${shown}${more}`;
+}
+
+/**
+ * Validate a decoded plan state object
+ * Checks the root network, prefix range, CIDR keys, containment of children and metadata types
+ * @param {*} state - Candidate `{network, prefix, tree}` object
+ * @returns {string[]} List of problems found (empty if the state is valid)
+ */
+function validatePlanState(state) {
+  const errors = [];
+
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return ["Plan must be an object with network, prefix and tree fields"];
+  }
+
+  const { network, prefix, tree } = state;
+
+  if (state.hostSplits !== undefined && typeof state.hostSplits !== "boolean") {
+    errors.push("hostSplits must be true or false");
+  }
+  const allowHostSplits = state.hostSplits === true;
+
+  if (
+    !Number.isInteger(prefix) ||
+    ((prefix < 16 || prefix > 64) &&
+      !(allowHostSplits && HOST_SPLIT_PREFIXES.includes(prefix)))
+  ) {
+    errors.push(
+      `Prefix must be an integer between 16 and 64 (got ${JSON.stringify(prefix)})`,
+    );
+  }
+
+  const root =
+    typeof network === "string" ? parseCIDR(`${network}/${prefix}`) : null;
+  if (!root) {
+    errors.push(
+      `Network ${JSON.stringify(network)} is not a valid IPv6 address`,
+    );
+  } else if (root.cidr !== `${network}/${prefix}`) {
+    errors.push(
+      `Network ${network}/${prefix} is not in canonical form (expected ${root.cidr})`,
+    );
+  }
+
+  if (!tree || typeof tree !== "object" || Array.isArray(tree)) {
+    errors.push("Tree must be an object keyed by CIDR");
+    return errors;
+  }
+
+  if (errors.length > 0) return errors;
+
+  const rootCidr = root.cidr;
+  if (!Object.prototype.hasOwnProperty.call(tree, rootCidr)) {
+    errors.push(`Tree is missing the root subnet ${rootCidr}`);
+  }
+
+  Object.keys(tree).forEach((cidr) => {
+    const parsed = parseCIDR(cidr);
+    if (!parsed || parsed.cidr !== cidr) {
+      errors.push(`Tree key ${JSON.stringify(cidr)} is not a canonical CIDR`);
+      return;
+    }
+    if (cidr !== rootCidr && !cidrContains(rootCidr, cidr)) {
+      errors.push(`Subnet ${cidr} is outside the root ${rootCidr}`);
+      return;
+    }
+    if (parsed.prefix > 64 && !allowHostSplits) {
+      errors.push(
+        `Subnet ${cidr} is longer than /64 but splits below /64 are not enabled`,
+      );
+      return;
+    }
+    validatePlanNode(tree, cidr, tree[cidr], errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Validate one subnet node's metadata and child references
+ * @param {Object<string, SubnetNode>} tree - Tree being validated
+ * @param {string} cidr - CIDR of the node
+ * @param {*} node - Candidate node object
+ * @param {string[]} errors - List to append problems to
+ * @returns {void}
+ */
+function validatePlanNode(tree, cidr, node, errors) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    errors.push(`Subnet ${cidr} must be an object`);
+    return;
+  }
+
+  Object.keys(node).forEach((key) => {
+    if (key === "_note") {
+      if (typeof node._note !== "string") {
+        errors.push(`Note for ${cidr} must be a string`);
+      }
+    } else if (key === "_color") {
+      if (
+        typeof node._color !== "string" ||
+        !/^(#[0-9a-fA-F]{6})?$/.test(node._color)
+      ) {
+        errors.push(`Color for ${cidr} must be empty or a #RRGGBB hex value`);
+      }
+    } else if (key === "_strategy") {
+      if (
+        !Object.prototype.hasOwnProperty.call(
+          ALLOCATION_STRATEGIES,
+          node._strategy,
+        )
+      ) {
+        errors.push(
+          `Allocation strategy for ${cidr} must be one of ${Object.keys(ALLOCATION_STRATEGIES).join(", ")}`,
+        );
+      }
+    } else if (METADATA_FIELDS.includes(key)) {
+      if (!isValidMetadataValue(key, node[key])) {
+        const { label, rule } = METADATA_COLUMNS.find((c) => c.field === key);
+        errors.push(`${label} for ${cidr} must be ${rule}`);
+      }
+    } else if (key.startsWith("_")) {
+      errors.push(`Subnet ${cidr} has unknown property ${JSON.stringify(key)}`);
+    } else {
+      const child = parseCIDR(key);
+      if (!child || child.cidr !== key) {
+        errors.push(
+          `Child key ${JSON.stringify(key)} under ${cidr} is not a canonical CIDR`,
+        );
+      } else if (!cidrContains(cidr, key)) {
+        errors.push(`Child ${key} is not inside its parent ${cidr}`);
+      } else if (!Object.prototype.hasOwnProperty.call(tree, key)) {
+        errors.push(`Child ${key} of ${cidr} has no entry in the tree`);
+      } else if (
+        !node[key] ||
+        typeof node[key] !== "object" ||
+        Array.isArray(node[key])
+      ) {
+        errors.push(`Child ${key} under ${cidr} must be an object`);
+      }
+    }
+  });
+}
+
+/**
+ * Parse and validate the contents of a JSON plan file
+ * @param {string} text - Raw file contents
+ * @returns {{network: string, prefix: number, tree: Object<string, SubnetNode>}} Validated plan state
+ * @throws {Error} With a user-facing message if the file is malformed, invalid or from a newer schema version
+ */
+function parsePlanFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`File is not valid JSON: ${e.message}`);
+  }
+
+  if (!data || typeof data !== "object" || data.format !== PLAN_FILE_FORMAT) {
+    throw new Error(
+      `File is not an IPv6 subnet plan (expected "format": "${PLAN_FILE_FORMAT}")`,
+    );
+  }
+
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error("Plan file is missing a valid schemaVersion");
+  }
+
+  if (data.schemaVersion > PLAN_SCHEMA_VERSION) {
+    throw new Error(
+      `Plan file uses schema version ${data.schemaVersion}, but this planner only supports up to version ${PLAN_SCHEMA_VERSION}. Please use a newer version of the planner.`,
+    );
+  }
+
+  const state = { network: data.network, prefix: data.prefix, tree: data.tree };
+  if (data.hostSplits !== undefined) state.hostSplits = data.hostSplits;
+  const errors = validatePlanState(state);
+  if (errors.length > 0) {
+    throw new Error(`Invalid plan file: ${formatValidationErrors(errors)}`);
+  }
+
+  return state;
+}
+
+// CSV
+
+/**
+ * Generate CSV text for a plan with hierarchy shown as indentation
+ * @param {Plan} plan - Plan to export
+ * @returns {string} CSV with Subnet, Contains and Note columns
+ */
+function generateCSV(plan) {
+  const rootCidr = `${plan.network}/${plan.prefix}`;
+  const rows = [];
+
+  function collectRows(cidr, depth = 0) {
+    const node = getSubnetNode(plan, cidr);
+    const children = Object.keys(node).filter((k) => !k.startsWith("_"));
+    const [addr, prefix] = cidr.split("/");
+
+    rows.push({
+      cidr,
+      depth,
+      note: node._note || "",
+      contains: getSubnetCount(parseInt(prefix)),
+      metadata: METADATA_FIELDS.map((field) =>
+        formatMetadataValue(field, node[field]),
+      ),
+    });
+
+    children.sort(compareCIDR).forEach((childCidr) => {
+      collectRows(childCidr, depth + 1);
+    });
+  }
+
+  collectRows(rootCidr);
+
+  const metadataHeader = METADATA_COLUMNS.map((column) => column.label);
+  let csv = ["Subnet", "Contains", "Note", ...metadataHeader].join(",") + "\n";
+  rows.forEach((row) => {
+    const indent = "  ".repeat(row.depth);
+    const subnet = indent + row.cidr;
+    const fields = [subnet, row.contains, row.note, ...row.metadata];
+    csv += fields.map((f) => `"${f.replace(/"/g, '""')}"`).join(",") + "\n";
+  });
+
+  return csv;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} Array of rows, each an array of field strings
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark added by some spreadsheet applications
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Build a plan from CSV rows with Subnet, Contains and Note columns plus optional
+ * Color, VLAN, Site, Owner, Status and Tags
+ * The root is the least specific subnet; intermediate parents are created at nibble
+ * boundaries the same way splitSubnet does
+ * @param {string} text - Raw CSV text (e.g., from exportCSV or a spreadsheet)
+ * @returns {{network: string, prefix: number, tree: Object<string, SubnetNode>, hostSplits: boolean, imported: number, errors: {row: number, subnet: string, reason: string}[]}} Built plan and rejected rows
+ * @throws {Error} If the CSV has no Subnet column or no usable root subnet
+ */
+function buildPlanFromCSV(text) {
+  const rows = parseCSV(text);
+  if (rows.length === 0) {
+    throw new Error("CSV file is empty");
+  }
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const columns = {
+    subnet: header.indexOf("subnet"),
+    note: header.indexOf("note"),
+    color: header.indexOf("color"),
+  };
+  const metadataColumns = METADATA_COLUMNS.map((column) => ({
+    ...column,
+    index: header.indexOf(column.label.toLowerCase()),
+  })).filter((column) => column.index !== -1);
+  if (columns.subnet === -1) {
+    throw new Error(
+      "CSV must start with a header row containing a Subnet column",
+    );
+  }
+
+  const errors = [];
+  const entries = [];
+  const seen = new Map();
+
+  rows.slice(1).forEach((fields, index) => {
+    const rowNumber = index + 2;
+    const subnet = (fields[columns.subnet] || "").trim();
+    if (fields.every((f) => f.trim() === "")) return;
+
+    const parsed = parseCIDR(subnet);
+    if (!parsed) {
+      errors.push({ row: rowNumber, subnet, reason: "not a valid CIDR" });
+      return;
+    }
+    if (parsed.prefix > 64 && !HOST_SPLIT_PREFIXES.includes(parsed.prefix)) {
+      errors.push({
+        row: rowNumber,
+        subnet,
+        reason: `is longer than /64 (only /${HOST_SPLIT_PREFIXES.join(", /")} are supported)`,
+      });
+      return;
+    }
+    if (
+      formatIPv6(parseIPv6(subnet.split("/")[0])) !== formatIPv6(parsed.bytes)
+    ) {
+      errors.push({
+        row: rowNumber,
+        subnet,
+        reason: `has host bits set (did you mean ${parsed.cidr}?)`,
+      });
+      return;
+    }
+    if (seen.has(parsed.cidr)) {
+      errors.push({
+        row: rowNumber,
+        subnet,
+        reason: `overlaps row ${seen.get(parsed.cidr)} (duplicate subnet)`,
+      });
+      return;
+    }
+    seen.set(parsed.cidr, rowNumber);
+
+    let color =
+      columns.color === -1 ? "" : (fields[columns.color] || "").trim();
+    if (color && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      errors.push({
+        row: rowNumber,
+        subnet,
+        reason: `color ${JSON.stringify(color)} is not a #RRGGBB value and was ignored`,
+      });
+      color = "";
+    }
+
+    // Present columns set (or clear) their field; absent ones keep what the
+    // subnet inherited from its parent
+    const metadata = {};
+    metadataColumns.forEach(({ field, label, rule, index }) => {
+      try {
+        metadata[field] = parseMetadataValue(field, fields[index]);
+      } catch (e) {
+        errors.push({
+          row: rowNumber,
+          subnet,
+          reason: `${label} ${JSON.stringify(fields[index].trim())} is not ${rule} and was ignored`,
+        });
+      }
+    });
+
+    entries.push({
+      row: rowNumber,
+      cidr: parsed.cidr,
+      prefix: parsed.prefix,
+      note: columns.note === -1 ? "" : fields[columns.note] || "",
+      color: color.toUpperCase(),
+      metadata,
+    });
+  });
+
+  if (entries.length === 0) {
+    throw new Error("CSV contains no valid subnets");
+  }
+
+  // Parents before children so intermediate levels inherit the right metadata
+  entries.sort((a, b) => a.prefix - b.prefix || compareCIDR(a.cidr, b.cidr));
+
+  const root = entries[0];
+  if (root.prefix < 16) {
+    throw new Error(`Root subnet ${root.cidr} must be /16 or longer`);
+  }
+
+  const plan = {
+    network: formatIPv6(parseCIDR(root.cidr).bytes),
+    prefix: root.prefix,
+    tree: { [root.cidr]: { _note: root.note, _color: root.color } },
+    hostSplits: entries.some((entry) => entry.prefix > 64),
+  };
+  applyImportedMetadata(plan.tree[root.cidr], root.metadata);
+  let imported = 1;
+
+  entries.slice(1).forEach((entry) => {
+    if (!cidrContains(root.cidr, entry.cidr)) {
+      errors.push({
+        row: entry.row,
+        subnet: entry.cidr,
+        reason: `is outside the root ${root.cidr}`,
+      });
+      return;
+    }
+
+    const conflict = insertImportedSubnet(plan, root.cidr, entry.cidr);
+    if (conflict) {
+      errors.push({
+        row: entry.row,
+        subnet: entry.cidr,
+        reason: `overlaps ${conflict}, which is already split differently`,
+      });
+      return;
+    }
+
+    const node = getSubnetNode(plan, entry.cidr);
+    node._note = entry.note;
+    node._color = entry.color;
+    applyImportedMetadata(node, entry.metadata);
+    imported++;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return { ...plan, imported, errors };
+}
+
+// Comparing plans
+
+/**
+ * Subnet fields compared between two plans, with the labels reports use
+ * @type {{field: string, label: string}[]}
+ */
+const DIFF_FIELDS = [
+  { field: "_note", label: "Note" },
+  { field: "_color", label: "Color" },
+  ...METADATA_COLUMNS.map(({ field, label }) => ({ field, label })),
+  { field: "_strategy", label: "Strategy" },
+];
+
+/**
+ * One field that differs between the two versions of a subnet
+ * @typedef {Object} FieldChange
+ * @property {string} field - Node key (e.g. "_note")
+ * @property {string} label - Label for the field (e.g. "Note")
+ * @property {string} before - Value in the first plan as text, empty if unset
+ * @property {string} after - Value in the second plan as text, empty if unset
+ */
+
+/**
+ * One subnet of two compared plans
+ * @typedef {Object} PlanDiffRow
+ * @property {string} cidr - CIDR of the subnet
+ * @property {number} depth - Number of ancestors above the subnet in either plan
+ * @property {"added"|"removed"|"changed"|"unchanged"} status - How the subnet differs
+ * @property {string} note - Note in the second plan, or in the first if it was removed
+ * @property {FieldChange[]} changes - Fields that differ (only for "changed")
+ */
+
+/**
+ * Differences between two plans
+ * @typedef {Object} PlanDiff
+ * @property {string} before - Root CIDR of the first plan
+ * @property {string} after - Root CIDR of the second plan
+ * @property {{label: string, before: string, after: string}[]} planChanges - Plan settings that differ (root and splits below /64)
+ * @property {PlanDiffRow[]} rows - Every subnet of either plan in tree order
+ * @property {{added: number, removed: number, changed: number, unchanged: number}} counts - Number of rows of each status
+ */
+
+/**
+ * Format a node field for a diff
+ * @param {string} field - Node key
+ * @param {*} value - Field value
+ * @returns {string} Value as text, empty if unset
+ */
+function formatDiffValue(field, value) {
+  if (field === "_note" || field === "_color") return value || "";
+  if (field === "_strategy") return ALLOCATION_STRATEGIES[value] || "";
+  return formatMetadataValue(field, value);
+}
+
+/**
+ * Compare two plans subnet by subnet
+ * Subnets are matched by CIDR, so a subnet is added or removed when a split
+ * or join created or deleted it, and changed when its note, color, metadata
+ * or allocation strategy differ
+ * @param {Plan} before - Earlier plan
+ * @param {Plan} after - Later plan
+ * @returns {PlanDiff} Merged rows of both plans with their changes
+ */
+function diffPlans(before, after) {
+  const diff = {
+    before: `${before.network}/${before.prefix}`,
+    after: `${after.network}/${after.prefix}`,
+    planChanges: [],
+    rows: [],
+    counts: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+  };
+  if (diff.before !== diff.after) {
+    diff.planChanges.push({
+      label: "Root",
+      before: diff.before,
+      after: diff.after,
+    });
+  }
+  if (before.hostSplits !== after.hostSplits) {
+    diff.planChanges.push({
+      label: "Splits below /64",
+      before: before.hostSplits ? "On" : "Off",
+      after: after.hostSplits ? "On" : "Off",
+    });
+  }
+
+  const has = (plan, cidr) =>
+    Object.prototype.hasOwnProperty.call(plan.tree, cidr);
+  const cidrs = [
+    ...new Set([...Object.keys(before.tree), ...Object.keys(after.tree)]),
+  ].sort(
+    (a, b) => compareCIDR(a, b) || parseCIDR(a).prefix - parseCIDR(b).prefix,
+  );
+
+  // Address order puts every subnet right after its ancestors
+  const ancestors = [];
+  cidrs.forEach((cidr) => {
+    while (ancestors.length > 0 && !cidrContains(ancestors.at(-1), cidr)) {
+      ancestors.pop();
+    }
+
+    const oldNode = has(before, cidr) ? before.tree[cidr] : null;
+    const newNode = has(after, cidr) ? after.tree[cidr] : null;
+    let status = "unchanged";
+    let changes = [];
+    if (!oldNode) {
+      status = "added";
+    } else if (!newNode) {
+      status = "removed";
+    } else {
+      changes = DIFF_FIELDS.filter(
+        ({ field }) => !sameFieldValue(oldNode[field], newNode[field]),
+      ).map(({ field, label }) => ({
+        field,
+        label,
+        before: formatDiffValue(field, oldNode[field]),
+        after: formatDiffValue(field, newNode[field]),
+      }));
+      if (changes.length > 0) status = "changed";
+    }
+
+    diff.counts[status]++;
+    diff.rows.push({
+      cidr,
+      depth: ancestors.length,
+      status,
+      note: (newNode || oldNode)._note || "",
+      changes,
+    });
+    ancestors.push(cidr);
+  });
+
+  return diff;
+}
+
+/**
+ * Summarize the counts of a diff
+ * @param {PlanDiff} diff - Result of diffPlans
+ * @returns {string} Summary such as "2 added, 1 removed, 3 changed", or "No changes"
+ */
+function summarizePlanDiff(diff) {
+  const { added, removed, changed } = diff.counts;
+  if (added + removed + changed + diff.planChanges.length === 0) {
+    return "No changes";
+  }
+  return `${added.toLocaleString("en-US")} added, ${removed.toLocaleString("en-US")} removed, ${changed.toLocaleString("en-US")} changed`;
+}
+
+/**
+ * Write a plain-text change report for a diff: the plan settings that differ,
+ * then every added, removed and changed subnet in address order
+ * @param {PlanDiff} diff - Result of diffPlans
+ * @param {{before?: string, after?: string}} [labels] - Names of the two plans (e.g. "Current plan")
+ * @returns {string} Report text
+ */
+function formatPlanDiff(diff, labels = {}) {
+  const show = (value) => (value === "" ? "(none)" : value);
+  const lines = [
+    "IPv6 Subnet Plan Changes",
+    `From: ${labels.before || "Before"} (${diff.before})`,
+    `To: ${labels.after || "After"} (${diff.after})`,
+    summarizePlanDiff(diff),
+  ];
+
+  if (diff.planChanges.length > 0) {
+    lines.push("");
+    diff.planChanges.forEach((change) => {
+      lines.push(`${change.label}: ${change.before} → ${change.after}`);
+    });
+  }
+
+  const marks = { added: "+", removed: "-", changed: "~" };
+  const changed = diff.rows.filter((row) => row.status !== "unchanged");
+  if (changed.length > 0) lines.push("");
+  changed.forEach((row) => {
+    const note = row.status !== "changed" && row.note ? `  ${row.note}` : "";
+    lines.push(`${marks[row.status]} ${row.cidr}${note}`);
+    row.changes.forEach((change) => {
+      lines.push(
+        `    ${change.label}: ${show(change.before)} → ${show(change.after)}`,
+      );
+    });
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// Merging plans
+
+/**
+ * A change both edited plans made differently, to be settled by picking a side
+ * @typedef {Object} MergeConflict
+ * @property {string} id - Key of the conflict in the resolutions object: the CIDR for a split, or "CIDR field" for a field
+ * @property {string} cidr - Subnet the conflict is on
+ * @property {string|null} field - Node key of a conflicting field, or null for conflicting splits
+ * @property {string} label - Label of the field, or "Split"
+ * @property {string} base - Value in the common base as text
+ * @property {string} ours - Value in our plan as text
+ * @property {string} theirs - Value in their plan as text
+ * @property {"ours"|"theirs"|null} resolution - Side chosen in the resolutions, or null if unresolved
+ */
+
+/**
+ * Result of a three-way merge
+ * @typedef {Object} PlanMerge
+ * @property {Plan|null} plan - Merged plan, or null while a conflict is unresolved
+ * @property {MergeConflict[]} conflicts - Every conflict in tree order, resolved or not
+ */
+
+/**
+ * Get the direct children of a node
+ * @param {SubnetNode|null} node - Subnet node, or null if the subnet is missing
+ * @returns {string[]} Child CIDRs in address order
+ */
+function getNodeChildren(node) {
+  if (!node) return [];
+  return Object.keys(node)
+    .filter((key) => !key.startsWith("_"))
+    .sort(compareCIDR);
+}
+
+/**
+ * Describe how a subnet is split for a merge conflict
+ * @param {string[]} children - Direct children of the subnet
+ * @param {boolean} changedInside - Whether subnets inside it changed since the base
+ * @returns {string} Description such as "Split into 16 /24s"
+ */
+function describeSplit(children, changedInside) {
+  const split =
+    children.length === 0
+      ? "Not split"
+      : `Split into ${children.length.toLocaleString("en-US")} /${parseCIDR(children[0]).prefix}s`;
+  return changedInside ? `${split} with changes inside` : split;
+}
+
+/**
+ * Merge two plans edited from the same base
+ * Changes made on only one side are combined: a split or join on one side
+ * is kept, and a field changed on one side takes that side's value. A
+ * conflict is reported when both sides changed a field to different values,
+ * both split or joined the same subnet differently, or one side joined (or
+ * re-split) a subnet the other side changed something inside. Each conflict
+ * is settled by choosing "ours" or "theirs" under its id in resolutions; a
+ * split conflict takes that side's whole subtree below the subnet
+ * @param {Plan} base - Plan both sides started from
+ * @param {Plan} ours - One edited version (e.g. the plan on screen)
+ * @param {Plan} theirs - The other edited version
+ * @param {Object<string, "ours"|"theirs">} [resolutions={}] - Chosen side for each conflict id
+ * @returns {PlanMerge} Merged plan once every conflict is resolved, and the conflicts
+ * @throws {Error} If the plans do not share the same root
+ */
+function mergePlans(base, ours, theirs, resolutions = {}) {
+  const rootCidr = `${base.network}/${base.prefix}`;
+  [ours, theirs].forEach((plan) => {
+    if (`${plan.network}/${plan.prefix}` !== rootCidr) {
+      throw new Error(
+        `Only plans with the same root can be merged (${rootCidr} and ${plan.network}/${plan.prefix})`,
+      );
+    }
+  });
+
+  const sides = { ours, theirs };
+  const has = (plan, cidr) =>
+    Object.prototype.hasOwnProperty.call(plan.tree, cidr);
+  const getNode = (plan, cidr) => (has(plan, cidr) ? plan.tree[cidr] : null);
+
+  // Subnets each side added, removed or changed since the base
+  const changed = {};
+  Object.keys(sides).forEach((side) => {
+    changed[side] = diffPlans(base, sides[side])
+      .rows.filter((row) => row.status !== "unchanged")
+      .map((row) => row.cidr);
+  });
+  const changedInside = (side, cidr) =>
+    changed[side].some((other) => cidrContains(cidr, other));
+
+  const flat = {};
+  const conflicts = [];
+
+  /**
+   * Record a conflict and return the side chosen for it
+   * @param {Omit<MergeConflict, "resolution">} conflict - Conflict details
+   * @returns {"ours"|"theirs"|null} Chosen side, or null if unresolved
+   */
+  const addConflict = (conflict) => {
+    const choice = resolutions[conflict.id];
+    const resolution = choice === "ours" || choice === "theirs" ? choice : null;
+    conflicts.push({ ...conflict, resolution });
+    return resolution;
+  };
+
+  /**
+   * Merge the fields of a subnet both sides have
+   * @param {string} cidr - Subnet CIDR
+   * @param {SubnetNode} baseNode - Node in the base (or what a new child inherits)
+   * @param {SubnetNode} oursNode - Node in our plan
+   * @param {SubnetNode} theirsNode - Node in their plan
+   * @returns {Object} Merged fields
+   */
+  const mergeFields = (cidr, baseNode, oursNode, theirsNode) => {
+    const merged = {};
+    DIFF_FIELDS.forEach(({ field, label }) => {
+      const [b, o, t] = [baseNode[field], oursNode[field], theirsNode[field]];
+      let value = o;
+      if (sameFieldValue(o, b)) {
+        value = t;
+      } else if (!sameFieldValue(t, b) && !sameFieldValue(o, t)) {
+        const side = addConflict({
+          id: `${cidr} ${field}`,
+          cidr,
+          field,
+          label,
+          base: formatDiffValue(field, b),
+          ours: formatDiffValue(field, o),
+          theirs: formatDiffValue(field, t),
+        });
+        if (side === "theirs") value = t;
+      }
+      if (value !== undefined) merged[field] = value;
+    });
+    return merged;
+  };
+
+  /**
+   * Merge a subnet and everything below it
+   * @param {string} cidr - Subnet CIDR
+   * @param {SubnetNode|null} baseNode - Node in the base (or what a new child inherits), unused when copying
+   * @param {"ours"|"theirs"|null} only - Side to copy the subnet and its subtree from, or null to merge both
+   */
+  const visit = (cidr, baseNode, only) => {
+    if (only) {
+      const node = sides[only].tree[cidr];
+      flat[cidr] = {};
+      NODE_FIELDS.forEach((field) => {
+        if (node[field] !== undefined) flat[cidr][field] = node[field];
+      });
+      getNodeChildren(node).forEach((child) => visit(child, null, only));
+      return;
+    }
+
+    const oursNode = getNode(ours, cidr);
+    const theirsNode = getNode(theirs, cidr);
+    flat[cidr] = mergeFields(cidr, baseNode, oursNode, theirsNode);
+
+    const baseChildren = getNodeChildren(getNode(base, cidr));
+    const oursChildren = getNodeChildren(oursNode);
+    const theirsChildren = getNodeChildren(theirsNode);
+    const same = (a, b) => a.join() === b.join();
+    let children = oursChildren;
+
+    if (!same(oursChildren, theirsChildren)) {
+      const oursSplit = !same(oursChildren, baseChildren);
+      const theirsSplit = !same(theirsChildren, baseChildren);
+      // Changing an existing split drops the old children and whatever the
+      // other side changed inside them
+      const dropsChanges =
+        baseChildren.length > 0 &&
+        (oursSplit
+          ? changedInside("theirs", cidr)
+          : changedInside("ours", cidr));
+
+      if ((oursSplit && theirsSplit) || dropsChanges) {
+        const side =
+          addConflict({
+            id: cidr,
+            cidr,
+            field: null,
+            label: "Split",
+            base: describeSplit(baseChildren, false),
+            ours: describeSplit(
+              oursChildren,
+              !oursSplit && changedInside("ours", cidr),
+            ),
+            theirs: describeSplit(
+              theirsChildren,
+              !theirsSplit && changedInside("theirs", cidr),
+            ),
+          }) || "ours";
+        getNodeChildren(sides[side].tree[cidr]).forEach((child) =>
+          visit(child, null, side),
+        );
+        return;
+      }
+      children = oursSplit ? oursChildren : theirsChildren;
+    }
+
+    children.forEach((child) => {
+      const inOurs = has(ours, child);
+      const inTheirs = has(theirs, child);
+      if (inOurs && inTheirs) {
+        visit(child, getNode(base, child) || createChildNode(baseNode), null);
+      } else {
+        visit(child, null, inOurs ? "ours" : "theirs");
+      }
+    });
+  };
+
+  visit(rootCidr, base.tree[rootCidr], null);
+
+  if (conflicts.some((conflict) => conflict.resolution === null)) {
+    return { plan: null, conflicts };
+  }
+  const hostSplits =
+    (base.hostSplits === ours.hostSplits
+      ? theirs.hostSplits
+      : ours.hostSplits) ||
+    Object.keys(flat).some((cidr) => parseCIDR(cidr).prefix > 64);
+  return {
+    plan: planFromState({
+      network: base.network,
+      prefix: base.prefix,
+      tree: flat,
+      hostSplits,
+    }),
+    conflicts,
+  };
+}
+
+// Reverse DNS
+
+/** @type {string[]} SOA and NS lines written into every reverse zone, to be replaced before loading */
+const REVERSE_ZONE_TEMPLATE = [
+  "$TTL 3600",
+  "@\tIN\tSOA\tns1.example.com. hostmaster.example.com. (",
+  "\t\t\t1\t\t; serial",
+  "\t\t\t3600\t\t; refresh",
+  "\t\t\t900\t\t; retry",
+  "\t\t\t1209600\t\t; expire",
+  "\t\t\t3600 )\t\t; negative caching TTL",
+  "@\tIN\tNS\tns1.example.com.",
+  "@\tIN\tNS\tns2.example.com.",
+];
+
+/**
+ * Get the ip6.arpa zones that delegate a subnet
+ * Reverse zones can only be cut at nibble (4-bit) boundaries, so a prefix
+ * that is not a multiple of 4 is covered by the zones of its subnets at the
+ * next nibble boundary: a /21 by eight /24 zones, a /34 by four /36 zones
+ * @param {string} cidr - Subnet in CIDR notation
+ * @returns {Array<{cidr: string, origin: string}>} Nibble-aligned subnets and their zone names (with the trailing dot)
+ * @throws {Error} If cidr is not a valid IPv6 CIDR
+ */
+function getReverseZones(cidr) {
+  const parsed = parseCIDR(cidr);
+  if (!parsed) throw new Error(`${cidr} is not a valid IPv6 CIDR`);
+
+  const bytes = applyPrefix(parsed.bytes, parsed.prefix);
+  const zonePrefix = Math.ceil(parsed.prefix / 4) * 4;
+  const zones = [];
+  for (let i = 0; i < 2 ** (zonePrefix - parsed.prefix); i++) {
+    const zoneBytes = getChildSubnetAtTarget(
+      bytes,
+      parsed.prefix,
+      zonePrefix,
+      i,
+    );
+    const nibbles = [];
+    for (let n = 0; n < zonePrefix / 4; n++) {
+      const byte = zoneBytes[n >> 1];
+      nibbles.push(((n % 2 === 0 ? byte >> 4 : byte) & 0xf).toString(16));
+    }
+    zones.push({
+      cidr: `${formatIPv6(zoneBytes)}/${zonePrefix}`,
+      origin: `${nibbles.reverse().join(".")}.ip6.arpa.`,
+    });
+  }
+  return zones;
+}
+
+/**
+ * Make a note safe to write after ";" in a zone file
+ * A line break would end the comment and turn the rest of the note into a record
+ * @param {string} note - Subnet note
+ * @returns {string} Note with control characters replaced by spaces
+ */
+function toZoneComment(note) {
+  return note.replace(/[\u0000-\u001f\u007f]+/g, " ");
+}
+
+/**
+ * Write the skeleton of one reverse zone: a comment naming the subnet and its
+ * note, $ORIGIN, placeholder SOA and NS records, and the planned subnets
+ * inside the zone with their own notes as comments
+ * @param {Plan} plan - Plan holding the subnet
+ * @param {string} cidr - Subnet the zone was generated for
+ * @param {{cidr: string, origin: string}} zone - One of getReverseZones(cidr)
+ * @param {number} total - Number of zones covering the subnet
+ * @param {number} index - Position of this zone among them
+ * @returns {string[]} Zone file lines
+ */
+function formatReverseZone(plan, cidr, zone, total, index) {
+  // The deepest planned subnet that covers the whole zone gives its note
+  let covering = cidr;
+  for (;;) {
+    const node = plan.tree[covering];
+    const child = Object.keys(node).find(
+      (key) =>
+        !key.startsWith("_") &&
+        (key === zone.cidr || cidrContains(key, zone.cidr)),
+    );
+    if (!child) break;
+    covering = child;
+  }
+  const note = toZoneComment(plan.tree[covering]._note || "");
+
+  const subnet =
+    total === 1
+      ? cidr
+      : `${zone.cidr} (${index + 1} of ${total} covering ${cidr})`;
+  const lines = [
+    `; Zone ${zone.origin} for ${subnet}${note ? `  ${note}` : ""}`,
+    `$ORIGIN ${zone.origin}`,
+    ...REVERSE_ZONE_TEMPLATE,
+  ];
+
+  // Subnets inside the zone whose note was set on them rather than inherited
+  const planned = [];
+  const visit = (current, depth) => {
+    const node = plan.tree[current];
+    Object.keys(node)
+      .filter((key) => !key.startsWith("_") && cidrContains(zone.cidr, key))
+      .sort(compareCIDR)
+      .forEach((child) => {
+        const childNode = plan.tree[child];
+        if (
+          childNode._note &&
+          !sameFieldValue(childNode._note, createChildNode(node)._note)
+        ) {
+          planned.push(
+            `;   ${"  ".repeat(depth)}${child}  ${toZoneComment(childNode._note)}`,
+          );
+        }
+        visit(child, depth + 1);
+      });
+  };
+  visit(covering, 0);
+  if (planned.length > 0) lines.push("", "; Planned subnets", ...planned);
+
+  return lines;
+}
+
+/**
+ * Generate BIND zone file skeletons for the reverse zones of subnets
+ * Each zone starts with a "; Zone" comment and $ORIGIN so the text can be
+ * split into one file per zone. The header lists a named.conf stanza for
+ * every zone. Zones shared by overlapping subnets are written once
+ * @param {Plan} plan - Plan holding the subnets
+ * @param {string[]} cidrs - Subnets to generate zones for
+ * @returns {string} Zone files text
+ * @throws {Error} If a CIDR is invalid or not in the plan
+ */
+function generateReverseZones(plan, cidrs) {
+  const subnets = cidrs.map((text) => {
+    const parsed = parseCIDR(text);
+    if (!parsed) throw new Error(`${text} is not a valid IPv6 CIDR`);
+    const cidr = `${formatIPv6(applyPrefix(parsed.bytes, parsed.prefix))}/${parsed.prefix}`;
+    requireSubnetNode(plan, cidr);
+    return cidr;
+  });
+  subnets.sort(
+    (a, b) => compareCIDR(a, b) || parseCIDR(a).prefix - parseCIDR(b).prefix,
+  );
+
+  const origins = new Set();
+  const zones = [];
+  subnets.forEach((cidr) => {
+    const covering = getReverseZones(cidr);
+    covering.forEach((zone, index) => {
+      if (origins.has(zone.origin)) return;
+      origins.add(zone.origin);
+      zones.push(formatReverseZone(plan, cidr, zone, covering.length, index));
+    });
+  });
+
+  const header = [
+    `; Reverse DNS zones for ${plan.network}/${plan.prefix} from IPv6 Subnet Planner`,
+    '; Save each zone (from its "; Zone" line) as its own file and replace the',
+    "; example.com SOA and NS placeholders before loading it",
+    ";",
+    "; named.conf:",
+    ...[...origins].map((origin) => {
+      const name = origin.slice(0, -1);
+      return `; zone "${name}" { type master; file "${name}.zone"; };`;
+    }),
+  ];
+  return (
+    [header, ...zones].map((lines) => lines.join("\n")).join("\n\n") + "\n"
+  );
+}
+
+// Text listing
+
+/**
+ * List a plan as indented text, one subnet per line with the annotations it
+ * sets itself. Values a subnet only inherited from its parent, and cleared
+ * ones, are left out so a reviewer sees where each note or tag was set
+ * @param {Plan} plan - Plan to list
+ * @returns {string} Listing such as "3fff::/20  Lab  [VLAN 10; Site DEN]", one line per subnet
+ */
+function formatPlanListing(plan) {
+  const lines = [];
+
+  function listSubnet(cidr, depth, parentNode) {
+    const node = plan.tree[cidr];
+    const inherited = parentNode ? createChildNode(parentNode) : {};
+    // Set here rather than copied from the parent, and not empty
+    const own = (field) =>
+      (node[field] ?? "") !== "" &&
+      !sameFieldValue(node[field], inherited[field]);
+
+    const details = METADATA_COLUMNS.filter(({ field }) => own(field)).map(
+      ({ field, label }) =>
+        `${label} ${formatMetadataValue(field, node[field])}`,
+    );
+    if (own("_color")) details.push(`Color ${node._color}`);
+    if (node._strategy) {
+      details.push(`Strategy ${ALLOCATION_STRATEGIES[node._strategy]}`);
+    }
+
+    let line = "  ".repeat(depth) + cidr;
+    if (own("_note")) line += `  ${node._note}`;
+    if (details.length > 0) line += `  [${details.join("; ")}]`;
+    lines.push(line);
+
+    Object.keys(node)
+      .filter((key) => !key.startsWith("_"))
+      .sort(compareCIDR)
+      .forEach((child) => listSubnet(child, depth + 1, node));
+  }
+
+  listSubnet(`${plan.network}/${plan.prefix}`, 0, null);
+  return lines.join("\n") + "\n";
+}
+
+export {
+  STATE_VERSION_1,
+  STATE_VERSION_2,
+  STATE_VERSION_3,
+  BINARY_STATE_LAYOUT,
+  STATE_ENCRYPTED,
+  LINK_KEY_ITERATIONS,
+  LINK_SALT_BYTES,
+  LINK_IV_BYTES,
+  PLAN_FILE_FORMAT,
+  PLAN_SCHEMA_VERSION,
+  HOST_SPLIT_PREFIXES,
+  MAX_HOST_SPLIT_CHILDREN,
+  METADATA_COLUMNS,
+  METADATA_FIELDS,
+  SUBNET_STATUSES,
+  MAX_VLAN_ID,
+  ALLOCATION_STRATEGIES,
+  NODE_FIELDS,
+  BINARY_STATE_FIELDS,
+  DEFAULT_ALLOCATION_STRATEGY,
+  MAX_PLANNED_ITEMS,
+  COLORS,
+  parseIPv6,
+  formatIPv6,
+  applyPrefix,
+  getChildSubnet,
+  getChildSubnetAtTarget,
+  getNibbleBoundaries,
+  getSubnetCount,
+  compareCIDR,
+  parseCIDR,
+  cidrContains,
+  createPlan,
+  planFromState,
+  getSubnetNode,
+  isSplit,
+  linkChildNode,
+  createChildNode,
+  createIntermediateLevel,
+  createIntermediateLevels,
+  getHostSplitTargets,
+  getSplitTarget,
+  createSplitChildren,
+  countSplitRows,
+  getLeavesAtDepth,
+  previewBulkSplit,
+  hasOwnAnnotations,
+  summarizeDescendants,
+  deleteDescendants,
+  insertImportedSubnet,
+  findSubnetForAddress,
+  getSubnetMetadata,
+  parseMetadataValue,
+  formatMetadataValue,
+  isValidMetadataValue,
+  applyImportedMetadata,
+  getAllocationStrategy,
+  getStrategyBitOrder,
+  orderByStrategy,
+  findNextFreeSubnet,
+  parseRequirements,
+  getBitsFor,
+  planRequirements,
+  parseSplitCount,
+  getSplitForCount,
+  splitSubnet,
+  joinSubnet,
+  setSubnetNote,
+  setSubnetColor,
+  setSubnetField,
+  allocateNextSubnet,
+  applyRequirementsPlan,
+  splitByCount,
+  serializeTree,
+  getPlanState,
+  buildSubnetTree,
+  compressToDeflateRaw,
+  decompressFromDeflateRaw,
+  transformBytes,
+  bytesToBase64,
+  base64ToBytes,
+  writeVarint,
+  readBigVarint,
+  readVarint,
+  sameFieldValue,
+  encodeStateBinary,
+  decodeStateBinary,
+  encodeStateV3,
+  decodeStateV3,
+  supportsCompression,
+  encodeStateHash,
+  decodeStateHash,
+  deriveLinkKey,
+  createLinkEncryption,
+  encryptStateHash,
+  decryptStateHash,
+  createPlanFile,
+  formatValidationErrors,
+  validatePlanState,
+  validatePlanNode,
+  parsePlanFile,
+  generateCSV,
+  parseCSV,
+  buildPlanFromCSV,
+  formatPlanListing,
+  getShareLinkHash,
+  DIFF_FIELDS,
+  diffPlans,
+  summarizePlanDiff,
+  formatPlanDiff,
+  mergePlans,
+  REVERSE_ZONE_TEMPLATE,
+  getReverseZones,
+  generateReverseZones,
+};
@@ -42,6 +42,12 @@ const VERSION_LOCATIONS = [
       { regex: /app\.js\?v=[\d.]+/g, template: "app.js?v={{version}}" },
     ],
   },
+  {
+    file: "app.js",
+    patterns: [
+      { regex: /core\.js\?v=[\d.]+/g, template: "core.js?v={{version}}" },
+    ],
+  },
   {
     file: "README.md",
     patterns: [
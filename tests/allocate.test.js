@@ -0,0 +1,196 @@
+/**
+ * IPv6 Subnet Planner Tests - Allocate Next Free Subnet
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  findNextFreeSubnet,
+  allocateNextSubnet,
+  promptAllocateNext,
+  splitSubnet,
+  getSubnetNode,
+  undo,
+  subnetTree,
+} from "../app.js";
+
+describe("Allocate Next Free Subnet", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="48">/48</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "2001:db8::",
+      prefix: 48,
+      tree: { "2001:db8::/48": { _note: "Campus", _color: "" } },
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("findNextFreeSubnet", () => {
+    it("should split an unsplit parent down to the first subnet", () => {
+      expect(findNextFreeSubnet("2001:db8::/48", 64)).toEqual({
+        cidr: "2001:db8::/64",
+        splitFrom: "2001:db8::/48",
+      });
+    });
+
+    it("should skip allocated, reserved and deprecated subnets", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      getSubnetNode("2001:db8::/52")._status = "allocated";
+      getSubnetNode("2001:db8:0:1000::/52")._status = "reserved";
+      getSubnetNode("2001:db8:0:2000::/52")._status = "deprecated";
+
+      expect(findNextFreeSubnet("2001:db8::/48", 52)).toEqual({
+        cidr: "2001:db8:0:3000::/52",
+        splitFrom: null,
+      });
+    });
+
+    it("should skip subnets with allocated descendants", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await splitSubnet("2001:db8::/52", 56);
+      getSubnetNode("2001:db8:0:f00::/56")._status = "allocated";
+
+      expect(findNextFreeSubnet("2001:db8::/48", 52).cidr).toBe(
+        "2001:db8:0:1000::/52",
+      );
+      expect(findNextFreeSubnet("2001:db8::/48", 56).cidr).toBe(
+        "2001:db8::/56",
+      );
+    });
+
+    it("should allocate inside a reserved block from its children", async () => {
+      getSubnetNode("2001:db8::/48")._status = "reserved";
+      await splitSubnet("2001:db8::/48", 52);
+
+      expect(findNextFreeSubnet("2001:db8::/48", 52).cidr).toBe(
+        "2001:db8::/52",
+      );
+    });
+
+    it("should skip branches split finer than the target", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await splitSubnet("2001:db8::/52", 56);
+
+      expect(findNextFreeSubnet("2001:db8::/48", 52).cidr).toBe(
+        "2001:db8::/52",
+      );
+      getSubnetNode("2001:db8::/56")._status = "allocated";
+      expect(findNextFreeSubnet("2001:db8::/48", 52).cidr).toBe(
+        "2001:db8:0:1000::/52",
+      );
+    });
+
+    it("should return null when the parent is full", async () => {
+      await splitSubnet("2001:db8::/48", 50);
+      [
+        "2001:db8::/50",
+        "2001:db8:0:4000::/50",
+        "2001:db8:0:8000::/50",
+        "2001:db8:0:c000::/50",
+      ].forEach((cidr) => {
+        getSubnetNode(cidr)._status = "allocated";
+      });
+
+      expect(findNextFreeSubnet("2001:db8::/48", 50)).toBeNull();
+    });
+
+    it("should reject targets that cannot be allocated", () => {
+      expect(() => findNextFreeSubnet("2001:db8::/48", 48)).toThrow(
+        "Cannot allocate a /48 inside 2001:db8::/48",
+      );
+      expect(() => findNextFreeSubnet("2001:db8::/48", 127)).toThrow(
+        /Cannot allocate a \/127/,
+      );
+    });
+  });
+
+  describe("allocateNextSubnet", () => {
+    it("should split only the branch leading to the allocation", async () => {
+      const cidr = await allocateNextSubnet("2001:db8::/48", 64, "VLAN 10");
+
+      expect(cidr).toBe("2001:db8::/64");
+      expect(subnetTree[cidr]).toMatchObject({
+        _note: "VLAN 10",
+        _status: "allocated",
+      });
+      expect(subnetTree["2001:db8:0:1::/64"]._status).toBeUndefined();
+      expect(subnetTree["2001:db8:0:1000::/52"]).toBeDefined();
+      expect(
+        Object.keys(subnetTree["2001:db8:0:1000::/52"]).filter(
+          (k) => !k.startsWith("_"),
+        ),
+      ).toEqual([]);
+
+      expect(await allocateNextSubnet("2001:db8::/48", 64)).toBe(
+        "2001:db8:0:1::/64",
+      );
+      expect(subnetTree["2001:db8:0:1::/64"]._note).toBe("Campus");
+    });
+
+    it("should be undone as one step", async () => {
+      await allocateNextSubnet("2001:db8::/48", 64);
+      await undo();
+
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/48"]);
+    });
+
+    it("should not pass the Allocated status on when the subnet is split", async () => {
+      const cidr = await allocateNextSubnet("2001:db8::/48", 56, "Denver");
+      await splitSubnet(cidr, 60);
+
+      expect(subnetTree["2001:db8::/60"]._status).toBeUndefined();
+      expect(subnetTree["2001:db8::/60"]._note).toBe("Denver");
+      expect(await allocateNextSubnet(cidr, 60)).toBe("2001:db8::/60");
+    });
+  });
+
+  describe("promptAllocateNext", () => {
+    it("should ask for a note naming the subnet", async () => {
+      const promptSpy = vi.spyOn(window, "prompt").mockReturnValue(" Lab ");
+
+      expect(await promptAllocateNext("2001:db8::/48", 64)).toBe(
+        "2001:db8::/64",
+      );
+      expect(promptSpy).toHaveBeenCalledWith(
+        "Note for the allocation of 2001:db8::/64:",
+        "",
+      );
+      expect(subnetTree["2001:db8::/64"]._note).toBe("Lab");
+      expect(document.querySelector(".lookup-highlight")).not.toBeNull();
+    });
+
+    it("should leave the plan alone when cancelled", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue(null);
+
+      expect(await promptAllocateNext("2001:db8::/48", 64)).toBeNull();
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/48"]);
+    });
+
+    it("should report a full parent in the error area", async () => {
+      await splitSubnet("2001:db8::/48", 49);
+      getSubnetNode("2001:db8::/49")._status = "allocated";
+      getSubnetNode("2001:db8:0:8000::/49")._status = "allocated";
+      const promptSpy = vi.spyOn(window, "prompt");
+
+      expect(await promptAllocateNext("2001:db8::/48", 49)).toBeNull();
+      expect(promptSpy).not.toHaveBeenCalled();
+      expect(document.getElementById("error").textContent).toBe(
+        "No free /49 is left in 2001:db8::/48",
+      );
+    });
+  });
+});
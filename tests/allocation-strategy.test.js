@@ -0,0 +1,171 @@
+/**
+ * IPv6 Subnet Planner Tests - RFC 3531 Allocation Strategies
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  applyState,
+  getAllocationStrategy,
+  setAllocationStrategy,
+  allocateNextSubnet,
+  splitSubnet,
+  getPlanState,
+  render,
+  undo,
+  subnetTree,
+} from "../app.js";
+import {
+  getStrategyBitOrder,
+  orderByStrategy,
+  validatePlanState,
+} from "../core.js";
+
+/**
+ * Allocate several subnets in a row and return them
+ * @param {string} parentCidr - Subnet to allocate from
+ * @param {number} prefix - Size to allocate
+ * @param {number} count - Number of allocations
+ * @returns {Promise<string[]>} Allocated CIDRs in order
+ */
+async function allocateMany(parentCidr, prefix, count) {
+  const cidrs = [];
+  for (let i = 0; i < count; i++) {
+    cidrs.push(await allocateNextSubnet(parentCidr, prefix));
+  }
+  return cidrs;
+}
+
+describe("Allocation Strategies", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="48">/48</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "2001:db8::",
+      prefix: 48,
+      tree: { "2001:db8::/48": { _note: "", _color: "" } },
+    });
+  });
+
+  describe("getStrategyBitOrder", () => {
+    it("should assign bits right to left, left to right or from the middle", () => {
+      expect(getStrategyBitOrder(4, "rightmost")).toEqual([3, 2, 1, 0]);
+      expect(getStrategyBitOrder(4, "leftmost")).toEqual([0, 1, 2, 3]);
+      expect(getStrategyBitOrder(4, "centermost")).toEqual([1, 2, 0, 3]);
+      expect(getStrategyBitOrder(5, "centermost")).toEqual([2, 3, 1, 4, 0]);
+    });
+  });
+
+  describe("orderByStrategy", () => {
+    const children = [
+      "2001:db8::/50",
+      "2001:db8:0:4000::/50",
+      "2001:db8:0:8000::/50",
+      "2001:db8:0:c000::/50",
+    ];
+
+    it("should keep address order for rightmost", () => {
+      expect(orderByStrategy("2001:db8::/48", children, "rightmost")).toEqual(
+        children,
+      );
+    });
+
+    it("should bisect for leftmost", () => {
+      expect(orderByStrategy("2001:db8::/48", children, "leftmost")).toEqual([
+        "2001:db8::/50",
+        "2001:db8:0:8000::/50",
+        "2001:db8:0:4000::/50",
+        "2001:db8:0:c000::/50",
+      ]);
+    });
+  });
+
+  describe("allocateNextSubnet", () => {
+    it("should hand out children in RFC 3531 leftmost order", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await setAllocationStrategy("2001:db8::/48", "leftmost");
+
+      expect(await allocateMany("2001:db8::/48", 52, 4)).toEqual([
+        "2001:db8::/52",
+        "2001:db8:0:8000::/52",
+        "2001:db8:0:4000::/52",
+        "2001:db8:0:c000::/52",
+      ]);
+    });
+
+    it("should hand out children from the middle bits for centermost", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await setAllocationStrategy("2001:db8::/48", "centermost");
+
+      expect(await allocateMany("2001:db8::/48", 52, 4)).toEqual([
+        "2001:db8::/52",
+        "2001:db8:0:4000::/52",
+        "2001:db8:0:2000::/52",
+        "2001:db8:0:6000::/52",
+      ]);
+    });
+
+    it("should use the inherited strategy below the parent", async () => {
+      await setAllocationStrategy("2001:db8::/48", "leftmost");
+
+      expect(await allocateMany("2001:db8::/48", 64, 3)).toEqual([
+        "2001:db8::/64",
+        "2001:db8:0:8::/64",
+        "2001:db8:0:4::/64",
+      ]);
+    });
+  });
+
+  describe("setAllocationStrategy", () => {
+    it("should store the strategy only where it differs from the inherited one", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await setAllocationStrategy("2001:db8::/48", "leftmost");
+      await setAllocationStrategy("2001:db8:0:1000::/52", "centermost");
+
+      expect(getAllocationStrategy("2001:db8:0:2000::/52")).toBe("leftmost");
+      expect(getAllocationStrategy("2001:db8:0:1000::/52")).toBe("centermost");
+
+      await setAllocationStrategy("2001:db8:0:1000::/52", "leftmost");
+      expect(subnetTree["2001:db8:0:1000::/52"]._strategy).toBeUndefined();
+      expect(getPlanState().tree["2001:db8::/48"]._strategy).toBe("leftmost");
+    });
+
+    it("should be undoable", async () => {
+      await setAllocationStrategy("2001:db8::/48", "centermost");
+      await undo();
+
+      expect(subnetTree["2001:db8::/48"]._strategy).toBeUndefined();
+    });
+
+    it("should show the strategy in effect in each row", async () => {
+      await splitSubnet("2001:db8::/48", 52);
+      await setAllocationStrategy("2001:db8::/48", "leftmost");
+      render();
+
+      const selects = document.querySelectorAll(".strategy-select");
+      expect(selects[1].value).toBe("leftmost");
+    });
+  });
+
+  describe("validatePlanState", () => {
+    it("should reject unknown strategies", () => {
+      const tree = {
+        "2001:db8::/48": { _note: "", _color: "", _strategy: "random" },
+      };
+      expect(
+        validatePlanState({ network: "2001:db8::", prefix: 48, tree }),
+      ).toEqual([
+        "Allocation strategy for 2001:db8::/48 must be one of rightmost, leftmost, centermost",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * IPv6 Subnet Planner Tests - Binary State Encoding (v3)
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  applyState,
+  getPlanState,
+  splitSubnet,
+  createIntermediateLevels,
+  getSubnetNode,
+  saveState,
+  loadState,
+  subnetTree,
+} from "../app.js";
+import {
+  encodeStateBinary,
+  decodeStateBinary,
+  encodeStateV3,
+  compressToDeflateRaw,
+  bytesToBase64,
+  base64ToBytes,
+} from "../core.js";
+
+/**
+ * Replace the URL hash without firing hashchange, after letting events from
+ * earlier saves run
+ * @param {string} hash - Hash text without the leading #
+ * @returns {Promise<void>}
+ */
+async function setHash(hash) {
+  await new Promise((resolve) => setTimeout(resolve));
+  window.history.replaceState(null, "", `#${hash}`);
+}
+
+describe("Binary State Encoding", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <input type="checkbox" id="hostSplitToggle" />
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Lab", _color: "" } },
+    });
+  });
+
+  describe("encodeStateBinary and decodeStateBinary", () => {
+    it("should round-trip notes, colors, metadata and strategies", async () => {
+      await splitSubnet("3fff::/20", 24);
+      await splitSubnet("3fff:100::/24", 28);
+      Object.assign(getSubnetNode("3fff:100::/24"), {
+        _note: "Denver ✓",
+        _color: "#E5F3FF",
+        _vlan: 100,
+        _site: "DEN",
+        _status: "allocated",
+        _tags: ["dmz", "iot"],
+        _strategy: "centermost",
+      });
+      getSubnetNode("3fff:110::/28")._color = "#abcdef";
+      getSubnetNode("3fff:120::/28")._note = "";
+      delete getSubnetNode("3fff:130::/28")._vlan;
+      const state = getPlanState();
+
+      expect(decodeStateBinary(encodeStateBinary(state))).toEqual(state);
+    });
+
+    it("should store inherited values only on the parent", async () => {
+      const before = encodeStateBinary(getPlanState()).length;
+      await splitSubnet("3fff::/20", 24);
+      const after = encodeStateBinary(getPlanState()).length;
+
+      // The root's leaf marker becomes a split size and a child count, then
+      // each of the 16 children adds an index gap, a mask and a leaf marker
+      expect(after - before).toBe(1 + 16 * 3);
+    });
+
+    it("should keep sparse host splits and gaps between children", async () => {
+      applyState({
+        network: "3fff::",
+        prefix: 60,
+        tree: { "3fff::/60": {} },
+        hostSplits: true,
+      });
+      await splitSubnet("3fff::/60", 64);
+      await splitSubnet("3fff::/64", 127);
+      const sparse = {
+        network: "3fff::",
+        prefix: 20,
+        tree: {
+          "3fff::/20": {},
+          "3fff:300::/24": { _note: "Third" },
+          "3fff:f00::/24": {},
+        },
+      };
+
+      const state = getPlanState();
+      expect(Object.keys(state.tree).length).toBeGreaterThan(256);
+      expect(decodeStateBinary(encodeStateBinary(state))).toEqual(state);
+      expect(decodeStateBinary(encodeStateBinary(sparse))).toEqual(sparse);
+    });
+
+    it("should be much smaller than the JSON for a large plan", () => {
+      createIntermediateLevels("3fff::/20", 28);
+      getSubnetNode("3fff:120::/28")._note = "Denver DC";
+      const state = getPlanState();
+
+      const json = JSON.stringify(state);
+      expect(encodeStateBinary(state).length).toBeLessThan(json.length / 5);
+    });
+
+    it("should reject trees it cannot represent", () => {
+      expect(() =>
+        encodeStateBinary({
+          network: "3fff::",
+          prefix: 20,
+          tree: { "3fff::/20": {}, "3fff::/24": {}, "3fff:800::/21": {} },
+        }),
+      ).toThrow("Subnet 3fff::/20 has children of different sizes");
+    });
+
+    it("should reject truncated, trailing and newer data", () => {
+      const bytes = encodeStateBinary(getPlanState());
+
+      expect(() => decodeStateBinary(bytes.subarray(0, 5))).toThrow(
+        "Share link is truncated",
+      );
+      expect(() => decodeStateBinary(new Uint8Array([...bytes, 0]))).toThrow(
+        "Share link has unexpected data at the end",
+      );
+      expect(() => decodeStateBinary(new Uint8Array([2, ...bytes]))).toThrow(
+        /newer format/,
+      );
+    });
+  });
+
+  describe("base64", () => {
+    it("should use the URL-safe alphabet without padding when asked", () => {
+      const bytes = new Uint8Array([251, 255, 191]);
+
+      expect(bytesToBase64(bytes)).toBe("+/+/");
+      expect(bytesToBase64(bytes, true)).toBe("-_-_");
+      expect(bytesToBase64(new Uint8Array([1]), true)).toBe("AQ");
+      expect([...base64ToBytes("-_-_")]).toEqual([251, 255, 191]);
+      expect([...base64ToBytes("AQ")]).toEqual([1]);
+    });
+  });
+
+  describe("share links", () => {
+    it("should save the v3 format and load it back", async () => {
+      createIntermediateLevels("3fff::/20", 28);
+      getSubnetNode("3fff:100::/24")._color = "#E5FFE5";
+      await saveState();
+      const expected = getPlanState();
+
+      expect(window.location.hash).toMatch(/^#v3[A-Za-z0-9_-]+$/);
+
+      applyState({ network: "3fff::", prefix: 20, tree: { "3fff::/20": {} } });
+      expect(await loadState()).toBe(true);
+      expect(getPlanState()).toEqual(expected);
+    });
+
+    it("should produce a much shorter hash than v2", async () => {
+      createIntermediateLevels("3fff::/20", 28);
+      const state = getPlanState();
+
+      const v3 = await encodeStateV3(state);
+      const v2 = `v2${await compressToDeflateRaw(JSON.stringify(state))}`;
+      expect(v3.length).toBeLessThan(v2.length / 2);
+    });
+
+    it("should still load v2, v1 and unmarked hashes", async () => {
+      const state = {
+        network: "3fff::",
+        prefix: 20,
+        tree: {
+          "3fff::/20": { _note: "Old", _color: "", "3fff::/21": {} },
+          "3fff::/21": { _note: "Left", _color: "" },
+        },
+      };
+      const json = JSON.stringify(state);
+      const hashes = [
+        `v2${await compressToDeflateRaw(json)}`,
+        `v1${btoa(encodeURIComponent(json))}`,
+        btoa(encodeURIComponent(json)),
+      ];
+
+      for (const hash of hashes) {
+        applyState({
+          network: "3fff::",
+          prefix: 20,
+          tree: { "3fff::/20": {} },
+        });
+        await setHash(hash);
+
+        expect(await loadState()).toBe(true);
+        expect(subnetTree["3fff::/21"]._note).toBe("Left");
+      }
+    });
+
+    it("should leave the plan alone for a damaged v3 hash", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      await setHash("v3AAAA");
+
+      expect(await loadState()).toBe(false);
+      expect(subnetTree["3fff::/20"]._note).toBe("Lab");
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * IPv6 Subnet Planner Tests - Bulk Split
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  splitSubnet,
+  getSplitTarget,
+  getLeavesAtDepth,
+  previewBulkSplit,
+  bulkSplitSubnets,
+  setRowSelected,
+  previewBulkSplitFromInput,
+  applyBulkSplitFromInput,
+  undo,
+  render,
+  subnetTree,
+} from "../app.js";
+import { countSplitRows, compareCIDR } from "../core.js";
+
+describe("Bulk Split", () => {
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="32">/32</option></select>
+      <input id="bulkSplitParent" />
+      <input id="bulkSplitDepth" value="1" />
+      <input id="bulkSplitTarget" />
+      <span id="bulkSplitStatus"></span>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "2001:db8::",
+      prefix: 32,
+      tree: { "2001:db8::/32": { _note: "", _color: "" } },
+    });
+    await splitSubnet("2001:db8::/32", 36);
+  });
+
+  describe("getSplitTarget and countSplitRows", () => {
+    it("should resolve the default target and reject impossible ones", () => {
+      expect(getSplitTarget("2001:db8::/32")).toBe(36);
+      expect(getSplitTarget("2001:db8::/32", 32)).toBeNull();
+      expect(getSplitTarget("2001:db8::/64", 112)).toBeNull();
+    });
+
+    it("should count intermediate levels", () => {
+      expect(countSplitRows("3fff::/20", 24)).toBe(16);
+      expect(countSplitRows("3fff::/20", 30)).toBe(1296);
+    });
+  });
+
+  describe("getLeavesAtDepth", () => {
+    it("should return the leaves a number of levels down in address order", async () => {
+      await splitSubnet("2001:db8::/36", 40);
+
+      const children = getLeavesAtDepth("2001:db8::/32", 1);
+      expect(children.length).toBe(15);
+      expect(children[0]).toBe("2001:db8:1000::/36");
+      expect(getLeavesAtDepth("2001:db8::/32", 2)).toEqual(
+        Object.keys(subnetTree["2001:db8::/36"])
+          .filter((k) => !k.startsWith("_"))
+          .sort(compareCIDR),
+      );
+    });
+  });
+
+  describe("bulkSplitSubnets", () => {
+    it("should split every leaf and undo as one step", async () => {
+      const leaves = getLeavesAtDepth("2001:db8::/32", 1);
+
+      expect(previewBulkSplit(leaves, 40).rows).toBe(256);
+      expect(await bulkSplitSubnets(leaves, 40)).toBe(16);
+
+      expect(document.getElementById("tableBody").dataset.rowCount).toBe("273");
+      expect(
+        subnetTree["2001:db8:f000::/36"]["2001:db8:ff00::/40"],
+      ).toBeDefined();
+
+      await undo();
+      expect(getLeavesAtDepth("2001:db8::/32", 1).length).toBe(16);
+      expect(subnetTree["2001:db8::/40"]).toBeUndefined();
+    });
+
+    it("should skip subnets that are split already or cannot reach the target", async () => {
+      await splitSubnet("2001:db8::/36", 40);
+      const preview = previewBulkSplit(
+        ["2001:db8::/36", "2001:db8:1000::/36", "2001:db8::/40"],
+        38,
+      );
+
+      expect(preview).toEqual({ cidrs: ["2001:db8:1000::/36"], rows: 4 });
+      await expect(bulkSplitSubnets(["2001:db8::/36"], 40)).rejects.toThrow(
+        "None of the subnets can be split to /40",
+      );
+    });
+  });
+
+  describe("Split All inputs", () => {
+    it("should preview the leaves under a parent", () => {
+      document.getElementById("bulkSplitParent").value = "2001:DB8::/32";
+      document.getElementById("bulkSplitTarget").value = "44";
+
+      expect(previewBulkSplitFromInput().rows).toBe(16 * 16 + 16 * 256);
+      expect(document.getElementById("bulkSplitStatus").textContent).toBe(
+        "Splits 16 of 16 leaves 1 level below 2001:db8::/32 to /44, adding 4,352 rows",
+      );
+    });
+
+    it("should split the ticked rows when no parent is given", async () => {
+      render();
+      const boxes = document.querySelectorAll(".row-select");
+      expect(boxes.length).toBe(16);
+      boxes[2].checked = true;
+      boxes[2].dispatchEvent(new Event("change"));
+      setRowSelected("2001:db8:5000::/36", true);
+      document.getElementById("bulkSplitTarget").value = "40";
+
+      expect(await applyBulkSplitFromInput()).toBe(2);
+      expect(subnetTree["2001:db8:2000::/40"]).toBeDefined();
+      expect(subnetTree["2001:db8:5000::/40"]).toBeDefined();
+      expect(subnetTree["2001:db8:3000::/40"]).toBeUndefined();
+      expect(document.querySelectorAll(".row-select:checked").length).toBe(0);
+    });
+
+    it("should report missing input in the error area", async () => {
+      document.getElementById("bulkSplitTarget").value = "40";
+
+      expect(await applyBulkSplitFromInput()).toBeNull();
+      expect(document.getElementById("error").textContent).toBe(
+        "Enter a parent subnet or select rows to split",
+      );
+    });
+  });
+});
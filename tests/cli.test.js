@@ -0,0 +1,266 @@
+/**
+ * IPv6 Subnet Planner Tests - Command Line Tool
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { runCli } from "../cli.js";
+import {
+  createPlan,
+  encodeStateHash,
+  formatPlanListing,
+  getPlanState,
+  setSubnetNote,
+  splitSubnet,
+} from "../core.js";
+
+/**
+ * Run the CLI with captured output
+ * @param {string[]} args - Command line arguments
+ * @param {string} [stdin=""] - Text piped to standard input
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+async function run(args, stdin = "") {
+  const result = { code: 0, stdout: "", stderr: "" };
+  result.code = await runCli(args, {
+    readStdin: async () => stdin,
+    stdout: (text) => (result.stdout += text),
+    stderr: (text) => (result.stderr += text),
+  });
+  return result;
+}
+
+describe("Command Line Tool", () => {
+  let dir;
+  let planPath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "ipv6plan-"));
+    planPath = join(dir, "plan.json");
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("should build a plan file step by step", async () => {
+    expect((await run(["create", "3fff::/20", "--plan", planPath])).code).toBe(
+      0,
+    );
+    expect(
+      (await run(["split", "3fff::/20", "/24", "-p", planPath])).code,
+    ).toBe(0);
+    expect(
+      (await run(["note", "3fff:100::/24", "Denver DC", "-p", planPath])).code,
+    ).toBe(0);
+
+    const file = JSON.parse(await readFile(planPath, "utf8"));
+    expect(file).toMatchObject({
+      format: "ipv6-subnet-plan",
+      network: "3fff::",
+      prefix: 20,
+    });
+    expect(Object.keys(file.tree)).toHaveLength(17);
+    expect(file.tree["3fff:100::/24"]).toEqual({ _note: "Denver DC" });
+  });
+
+  it("should pipe plans from stdin to stdout", async () => {
+    const created = await run(["create", "3fff:abc::/20"]);
+    const split = await run(["split", "3fff::/20"], created.stdout);
+    const joined = await run(["join", "3fff::/20"], split.stdout);
+
+    expect(Object.keys(JSON.parse(split.stdout).tree)).toHaveLength(17);
+    expect(JSON.parse(joined.stdout).tree).toEqual({ "3fff::/20": {} });
+  });
+
+  it("should export CSV and JSON", async () => {
+    const created = await run(["create", "3fff::/20"]);
+    const split = await run(["split", "3fff::/20", "24"], created.stdout);
+
+    const csv = await run(["export", "--format", "csv"], split.stdout);
+    expect(csv.stdout.split("\n")[0]).toBe(
+      "Subnet,Contains,Note,VLAN,Site,Owner,Status,Tags",
+    );
+    expect(csv.stdout).toContain('"  3fff:f00::/24"');
+
+    const json = await run(["export"], split.stdout);
+    expect(json.stdout).toBe(split.stdout);
+  });
+
+  it("should decode a share link hash into a plan file", async () => {
+    const plan = createPlan("3fff::", 20);
+    splitSubnet(plan, "3fff::/20", 28);
+    setSubnetNote(plan, "3fff:120::/28", "Lab");
+    const hash = await encodeStateHash(getPlanState(plan));
+
+    const decoded = await run(["decode", `#${hash}`]);
+
+    expect(decoded.code).toBe(0);
+    expect(JSON.parse(decoded.stdout).tree["3fff:120::/28"]).toEqual({
+      _note: "Lab",
+    });
+  });
+
+  describe("share links", () => {
+    /**
+     * Build a small annotated plan and return its plan file text
+     * @returns {Promise<string>} Plan file JSON
+     */
+    async function annotatedPlan() {
+      const created = await run(["create", "3fff::/20"]);
+      const split = await run(["split", "3fff::/20", "24"], created.stdout);
+      return (await run(["note", "3fff:100::/24", "Denver DC"], split.stdout))
+        .stdout;
+    }
+
+    it("should turn a plan into a share URL and back", async () => {
+      const planFile = await annotatedPlan();
+
+      const url = (await run(["encode"], planFile)).stdout.trim();
+      expect(url).toMatch(/^https:\/\/v6plan\.jasontally\.com\/#v3[\w-]+$/);
+      expect((await run(["decode", url])).stdout).toBe(planFile);
+
+      const custom = await run(
+        ["encode", "--base-url", "http://localhost:8080/#old"],
+        planFile,
+      );
+      expect(custom.stdout).toMatch(/^http:\/\/localhost:8080\/#v3/);
+      const hash = await run(["encode", "--format", "hash"], planFile);
+      expect(hash.stdout).toMatch(/^v3[\w-]+\n$/);
+    });
+
+    it("should print a readable indented listing", async () => {
+      const url = (await run(["encode"], await annotatedPlan())).stdout;
+
+      const listing = (await run(["decode", url, "-f", "tree"])).stdout;
+
+      expect(listing.split("\n").slice(0, 4)).toEqual([
+        "3fff::/20",
+        "  3fff::/24",
+        "  3fff:100::/24  Denver DC",
+        "  3fff:200::/24",
+      ]);
+    });
+
+    it("should show only annotations a subnet sets itself", () => {
+      const plan = createPlan("3fff::", 20);
+      setSubnetNote(plan, "3fff::/20", "Lab");
+      plan.tree["3fff::/20"]._vlan = 10;
+      splitSubnet(plan, "3fff::/20", 24);
+      Object.assign(plan.tree["3fff:100::/24"], {
+        _note: "Denver",
+        _color: "#E5F3FF",
+        _tags: ["dmz", "iot"],
+        _strategy: "leftmost",
+      });
+
+      expect(formatPlanListing(plan).split("\n").slice(0, 3)).toEqual([
+        "3fff::/20  Lab  [VLAN 10]",
+        "  3fff::/24",
+        "  3fff:100::/24  Denver  [Tags dmz, iot; Color #E5F3FF; Strategy Leftmost]",
+      ]);
+    });
+
+    it("should decode v1 and legacy unmarked links like the page", async () => {
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: 20,
+        tree: {
+          "3fff::/20": { _note: "Old", _color: "", "3fff::/21": {} },
+          "3fff::/21": { _note: "Left", _color: "" },
+        },
+      });
+      const legacy = btoa(encodeURIComponent(json));
+      const v1 = `v1${legacy}`.replace(/=/g, "%3D");
+
+      for (const link of [`https://example.com/#${legacy}`, v1]) {
+        expect((await run(["decode", link, "--format", "tree"])).stdout).toBe(
+          "3fff::/20  Old\n  3fff::/21  Left\n",
+        );
+      }
+      expect((await run(["decode", "https://example.com/"])).stderr).toBe(
+        "ipv6plan: The link has no plan after #\n",
+      );
+      expect((await run(["decode", "v2AAAA"])).stderr).toBe(
+        "ipv6plan: Share link is damaged or incomplete\n",
+      );
+    });
+
+    it("should encrypt and decrypt links with a passphrase", async () => {
+      const planFile = await annotatedPlan();
+      const url = (await run(["encode", "--passphrase", "s3cret"], planFile))
+        .stdout;
+      expect(url).toMatch(/#e1/);
+
+      expect((await run(["decode", url])).stderr).toContain(
+        "This link is encrypted. Give its passphrase with --passphrase",
+      );
+      expect(
+        (await run(["decode", url, "--passphrase", "guess"])).stderr,
+      ).toContain("Wrong passphrase or damaged link");
+      expect(
+        (await run(["decode", url, "--passphrase", "s3cret"])).stdout,
+      ).toBe(planFile);
+    });
+  });
+
+  it("should print reverse zones for subnets of the plan", async () => {
+    const created = await run(["create", "3fff::/20"]);
+    const split = await run(["split", "3fff::/20", "22"], created.stdout);
+
+    const zones = await run(["reverse", "3fff:400::/22"], split.stdout);
+
+    expect(zones.code).toBe(0);
+    expect(zones.stdout.match(/^\$ORIGIN .*$/gm)).toEqual([
+      "$ORIGIN 4.0.f.f.f.3.ip6.arpa.",
+      "$ORIGIN 5.0.f.f.f.3.ip6.arpa.",
+      "$ORIGIN 6.0.f.f.f.3.ip6.arpa.",
+      "$ORIGIN 7.0.f.f.f.3.ip6.arpa.",
+    ]);
+    expect((await run(["reverse"], split.stdout)).stderr).toContain(
+      "Missing subnet to generate reverse zones for",
+    );
+  });
+
+  it("should report failures on stderr with an exit code", async () => {
+    const created = await run(["create", "3fff::/20"]);
+
+    expect(await run(["split", "3fff::/20", "72"], created.stdout)).toEqual({
+      code: 1,
+      stdout: "",
+      stderr: "ipv6plan: 3fff::/20 cannot be split to /72\n",
+    });
+    expect((await run(["create", "3fff::/8"])).stderr).toBe(
+      "ipv6plan: Prefix must be between /16 and /64\n",
+    );
+    expect((await run(["export"], "{}")).stderr).toContain(
+      "ipv6plan: File is not an IPv6 subnet plan",
+    );
+    expect((await run(["decode", "e1abc"])).stderr).toContain("encrypted");
+  });
+
+  it("should explain usage errors", async () => {
+    const unknown = await run(["frobnicate"]);
+    expect(unknown.code).toBe(2);
+    expect(unknown.stderr).toContain('Unknown command "frobnicate"');
+    expect(unknown.stderr).toContain("ipv6plan --help");
+
+    expect((await run(["create", "3fff::"])).code).toBe(2);
+    expect((await run(["note", "3fff::/20"])).stderr).toContain(
+      "Missing note text",
+    );
+    expect((await run(["export", "--bogus"])).code).toBe(2);
+    expect((await run(["export", "-f", "xml"])).stderr).toContain(
+      'Unknown format "xml" (use json, tree or csv)',
+    );
+
+    const help = await run(["--help"]);
+    expect(help.code).toBe(0);
+    expect(help.stdout).toContain("Usage: ipv6plan <command>");
+  });
+});
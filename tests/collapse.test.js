@@ -0,0 +1,138 @@
+/**
+ * IPv6 Subnet Planner Tests - Collapse and Join Confirmation
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  splitSubnet,
+  joinSubnet,
+  summarizeDescendants,
+  setCollapsed,
+  scrollToRow,
+  getSubnetNode,
+  subnetTree,
+} from "../app.js";
+import { hasOwnAnnotations } from "../core.js";
+
+describe("Collapse and Join Confirmation", () => {
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="48">/48</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "2001:db8::",
+      prefix: 48,
+      tree: { "2001:db8::/48": { _note: "Campus", _color: "" } },
+    });
+    await splitSubnet("2001:db8::/48", 52);
+    await splitSubnet("2001:db8::/52", 56);
+  });
+
+  afterEach(() => {
+    setCollapsed("2001:db8::/48", false);
+    setCollapsed("2001:db8::/52", false);
+    vi.restoreAllMocks();
+  });
+
+  describe("hasOwnAnnotations", () => {
+    it("should ignore inherited values and spot edited ones", () => {
+      const parent = getSubnetNode("2001:db8::/48");
+      const child = getSubnetNode("2001:db8:0:1000::/52");
+
+      expect(hasOwnAnnotations(child, parent)).toBe(false);
+      child._vlan = 20;
+      expect(hasOwnAnnotations(child, parent)).toBe(true);
+    });
+
+    it("should not count a missing Allocated status as an annotation", () => {
+      const parent = { _note: "", _color: "", _status: "allocated" };
+      expect(hasOwnAnnotations({ _note: "", _color: "" }, parent)).toBe(false);
+    });
+  });
+
+  describe("summarizeDescendants", () => {
+    it("should count every descendant and the annotated ones", () => {
+      getSubnetNode("2001:db8::/56")._note = "Lab";
+      getSubnetNode("2001:db8:0:2000::/52")._color = "#E5F3FF";
+
+      expect(summarizeDescendants("2001:db8::/48")).toEqual({
+        count: 32,
+        annotated: 2,
+      });
+    });
+  });
+
+  describe("setCollapsed", () => {
+    it("should hide descendants without deleting them", () => {
+      getSubnetNode("2001:db8::/56")._note = "Lab";
+      setCollapsed("2001:db8::/52");
+
+      const tbody = document.getElementById("tableBody");
+      expect(tbody.dataset.rowCount).toBe("17");
+      expect(subnetTree["2001:db8::/56"]._note).toBe("Lab");
+
+      const row = tbody.querySelectorAll("tr")[1];
+      expect(row.querySelector(".collapse-toggle").ariaExpanded).toBe("false");
+      expect(row.querySelector(".hidden-count").textContent).toBe(
+        "16 hidden, 1 annotated",
+      );
+
+      setCollapsed("2001:db8::/52");
+      expect(tbody.dataset.rowCount).toBe("33");
+      expect(row.querySelector(".hidden-count").textContent).toBe("");
+    });
+
+    it("should toggle from the row arrow", () => {
+      const toggle = document.querySelector(".collapse-toggle");
+      toggle.click();
+
+      expect(document.getElementById("tableBody").dataset.rowCount).toBe("1");
+      expect(
+        document
+          .querySelector(".subnet-cell")
+          .textContent.startsWith("2001:db8::/48"),
+      ).toBe(true);
+    });
+
+    it("should expand collapsed ancestors when scrolling to a hidden row", () => {
+      setCollapsed("2001:db8::/48", true);
+      scrollToRow("2001:db8::/56");
+
+      expect(document.getElementById("tableBody").dataset.rowCount).toBe("33");
+    });
+  });
+
+  describe("joinSubnet", () => {
+    it("should join without asking when nothing would be lost", async () => {
+      const confirmSpy = vi.spyOn(window, "confirm");
+
+      expect(await joinSubnet("2001:db8::/56", 52)).toBe(true);
+      expect(confirmSpy).not.toHaveBeenCalled();
+    });
+
+    it("should ask before deleting annotations and keep them when declined", async () => {
+      getSubnetNode("2001:db8::/56")._note = "Lab";
+      const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(false);
+
+      expect(await joinSubnet("2001:db8::/56", 48)).toBe(false);
+      expect(confirmSpy.mock.calls[0][0]).toContain(
+        "1 subnet inside it has its own notes, colors or metadata",
+      );
+      expect(subnetTree["2001:db8::/56"]._note).toBe("Lab");
+
+      confirmSpy.mockReturnValue(true);
+      expect(await joinSubnet("2001:db8::/56", 48)).toBe(true);
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/48"]);
+    });
+  });
+});
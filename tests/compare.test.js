@@ -0,0 +1,218 @@
+/**
+ * IPv6 Subnet Planner Tests - Comparing Plans
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { applyState, comparePlansFromInput, renderPlanDiff } from "../app.js";
+import {
+  createPlan,
+  encodeStateHash,
+  getPlanState,
+  planFromState,
+  setSubnetColor,
+  setSubnetNote,
+  splitSubnet,
+  joinSubnet,
+  diffPlans,
+  formatPlanDiff,
+} from "../core.js";
+
+/**
+ * Build a small plan and an edited copy of it
+ * @returns {{before: import("../core.js").Plan, after: import("../core.js").Plan}} The two versions
+ */
+function buildVersions() {
+  const before = createPlan("3fff::", 20);
+  splitSubnet(before, "3fff::/20", 22);
+  splitSubnet(before, "3fff:c00::/22", 24);
+  setSubnetNote(before, "3fff:400::/22", "Denver");
+
+  const after = planFromState(getPlanState(before));
+  joinSubnet(after, "3fff:c00::/22");
+  splitSubnet(after, "3fff::/22", 23);
+  setSubnetNote(after, "3fff::/23", "Lab");
+  setSubnetNote(after, "3fff:400::/22", "Denver DC");
+  setSubnetColor(after, "3fff:800::/22", "#E5F3FF");
+  after.tree["3fff:800::/22"]._vlan = 20;
+
+  return { before, after };
+}
+
+describe("Comparing Plans", () => {
+  describe("diffPlans", () => {
+    it("should merge both trees and mark what changed", () => {
+      const { before, after } = buildVersions();
+
+      const diff = diffPlans(before, after);
+
+      expect(diff.counts).toEqual({
+        added: 2,
+        removed: 4,
+        changed: 2,
+        unchanged: 3,
+      });
+      expect(diff.planChanges).toEqual([]);
+      expect(diff.rows.map((row) => [row.cidr, row.depth, row.status])).toEqual(
+        [
+          ["3fff::/20", 0, "unchanged"],
+          ["3fff::/22", 1, "unchanged"],
+          ["3fff::/23", 2, "added"],
+          ["3fff:200::/23", 2, "added"],
+          ["3fff:400::/22", 1, "changed"],
+          ["3fff:800::/22", 1, "changed"],
+          ["3fff:c00::/22", 1, "unchanged"],
+          ["3fff:c00::/24", 2, "removed"],
+          ["3fff:d00::/24", 2, "removed"],
+          ["3fff:e00::/24", 2, "removed"],
+          ["3fff:f00::/24", 2, "removed"],
+        ],
+      );
+      expect(diff.rows[2].note).toBe("Lab");
+      expect(diff.rows[5].changes).toEqual([
+        { field: "_color", label: "Color", before: "", after: "#E5F3FF" },
+        { field: "_vlan", label: "VLAN", before: "", after: "20" },
+      ]);
+    });
+
+    it("should report a different root and host split setting", () => {
+      const diff = diffPlans(
+        createPlan("3fff::", 20),
+        createPlan("2001:db8::", 32, { hostSplits: true }),
+      );
+
+      expect(diff.planChanges).toEqual([
+        { label: "Root", before: "3fff::/20", after: "2001:db8::/32" },
+        { label: "Splits below /64", before: "Off", after: "On" },
+      ]);
+      expect(diff.counts).toMatchObject({ added: 1, removed: 1 });
+    });
+  });
+
+  describe("formatPlanDiff", () => {
+    it("should list each change under a summary", () => {
+      const { before, after } = buildVersions();
+
+      const report = formatPlanDiff(diffPlans(before, after), {
+        before: "Current plan",
+        after: "Share link",
+      });
+
+      expect(report.split("\n")).toEqual([
+        "IPv6 Subnet Plan Changes",
+        "From: Current plan (3fff::/20)",
+        "To: Share link (3fff::/20)",
+        "2 added, 4 removed, 2 changed",
+        "",
+        "+ 3fff::/23  Lab",
+        "+ 3fff:200::/23",
+        "~ 3fff:400::/22",
+        "    Note: Denver → Denver DC",
+        "~ 3fff:800::/22",
+        "    Color: (none) → #E5F3FF",
+        "    VLAN: (none) → 20",
+        "- 3fff:c00::/24",
+        "- 3fff:d00::/24",
+        "- 3fff:e00::/24",
+        "- 3fff:f00::/24",
+        "",
+      ]);
+    });
+
+    it("should say when the plans match", () => {
+      const plan = createPlan("3fff::", 20);
+
+      expect(formatPlanDiff(diffPlans(plan, plan))).toBe(
+        "IPv6 Subnet Plan Changes\nFrom: Before (3fff::/20)\nTo: After (3fff::/20)\nNo changes\n",
+      );
+    });
+  });
+
+  describe("compare view", () => {
+    let after;
+
+    beforeEach(async () => {
+      document.body.innerHTML = `
+        <input id="networkInput" />
+        <select id="prefixSelect"><option value="20">/20</option></select>
+        <select id="compareBeforeSource">
+          <option value="current" selected>Current plan</option>
+          <option value="link">Share link</option>
+        </select>
+        <input id="compareBeforeLink" />
+        <select id="compareAfterSource">
+          <option value="current">Current plan</option>
+          <option value="link" selected>Share link</option>
+        </select>
+        <input id="compareAfterLink" />
+        <input type="checkbox" id="compareShowUnchanged" />
+        <div id="compareResult"></div>
+      `;
+      const versions = buildVersions();
+      applyState(getPlanState(versions.before));
+      after = versions.after;
+    });
+
+    it("should compare the current plan with a share link", async () => {
+      const hash = await encodeStateHash(getPlanState(after));
+      document.getElementById("compareAfterLink").value =
+        `https://v6plan.jasontally.com/#${hash}`;
+
+      const diff = await comparePlansFromInput();
+
+      expect(diff.counts.added).toBe(2);
+      const result = document.getElementById("compareResult");
+      expect(result.querySelector("p").textContent).toBe(
+        "Current plan (3fff::/20) → Share link (3fff::/20): 2 added, 4 removed, 2 changed.",
+      );
+      const rows = [...result.querySelectorAll("tbody tr")];
+      expect(rows.map((tr) => tr.className)).toEqual([
+        "diff-context",
+        "diff-context",
+        "diff-added",
+        "diff-added",
+        "diff-changed",
+        "diff-changed",
+        "diff-context",
+        "diff-removed",
+        "diff-removed",
+        "diff-removed",
+        "diff-removed",
+      ]);
+      expect(rows[4].cells[2].textContent).toBe("Note: Denver → Denver DC");
+    });
+
+    it("should hide unchanged rows that are not ancestors of a change", async () => {
+      const edited = planFromState(getPlanState(buildVersions().before));
+      setSubnetNote(edited, "3fff:d00::/24", "Spare");
+      document.getElementById("compareAfterLink").value = await encodeStateHash(
+        getPlanState(edited),
+      );
+      await comparePlansFromInput();
+
+      const cidrs = () =>
+        [...document.querySelectorAll("#compareResult tbody tr")].map(
+          (tr) => tr.cells[0].textContent,
+        );
+      expect(cidrs()).toEqual(["3fff::/20", "3fff:c00::/22", "3fff:d00::/24"]);
+
+      document.getElementById("compareShowUnchanged").checked = true;
+      renderPlanDiff();
+      expect(cidrs()).toHaveLength(9);
+    });
+
+    it("should show why a plan could not be loaded", async () => {
+      expect(await comparePlansFromInput()).toBeNull();
+      expect(document.getElementById("compareResult").textContent).toBe(
+        "Paste a share link to compare (After)",
+      );
+
+      document.getElementById("compareAfterLink").value = "v2AAAA";
+      expect(await comparePlansFromInput()).toBeNull();
+      expect(document.getElementById("compareResult").textContent).toBe(
+        "Share link is damaged or incomplete",
+      );
+    });
+  });
+});
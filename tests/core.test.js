@@ -0,0 +1,175 @@
+/**
+ * IPv6 Subnet Planner Tests - Core Library Without a DOM
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import {
+  createPlan,
+  planFromState,
+  splitSubnet,
+  joinSubnet,
+  setSubnetNote,
+  setSubnetColor,
+  setSubnetField,
+  allocateNextSubnet,
+  splitByCount,
+  getPlanState,
+  encodeStateHash,
+  decodeStateHash,
+  generateCSV,
+  buildPlanFromCSV,
+  createPlanFile,
+  parsePlanFile,
+} from "../core.js";
+
+describe("Core Library", () => {
+  it("should run without a DOM", () => {
+    expect(typeof document).toBe("undefined");
+    expect(typeof window).toBe("undefined");
+
+    const source = readFileSync(new URL("../core.js", import.meta.url), "utf8");
+    expect(source).not.toMatch(/\b(document|window|localStorage)\b/);
+  });
+
+  describe("createPlan", () => {
+    it("should clear host bits and start with only the root", () => {
+      const plan = createPlan("3fff:123::1", 20);
+
+      expect(plan).toEqual({
+        network: "3fff::",
+        prefix: 20,
+        tree: { "3fff::/20": { _note: "", _color: "" } },
+        hostSplits: false,
+      });
+    });
+
+    it("should reject what the network form rejects", () => {
+      expect(() => createPlan("", 20)).toThrow("Please enter an IPv6 address");
+      expect(() => createPlan("3fff::g", 20)).toThrow("Invalid IPv6 address");
+      expect(() => createPlan("3fff::", 126)).toThrow(
+        "Prefix must be between /16 and /64",
+      );
+      expect(createPlan("3fff::", 126, { hostSplits: true }).prefix).toBe(126);
+    });
+  });
+
+  describe("editing", () => {
+    it("should split, annotate and join subnets", () => {
+      const plan = createPlan("3fff::", 20);
+
+      const children = splitSubnet(plan, "3fff::/20", 24);
+      expect(children).toHaveLength(16);
+      expect(children[1]).toBe("3fff:100::/24");
+
+      setSubnetNote(plan, "3fff:100::/24", "Denver");
+      setSubnetColor(plan, "3fff:100::/24", "#e5f3ff");
+      setSubnetField(plan, "3fff:100::/24", "_vlan", "100");
+      setSubnetField(plan, "3fff:100::/24", "_tags", "dmz, iot");
+      expect(getPlanState(plan).tree["3fff:100::/24"]).toEqual({
+        _note: "Denver",
+        _color: "#E5F3FF",
+        _vlan: 100,
+        _tags: ["dmz", "iot"],
+      });
+
+      splitSubnet(plan, "3fff:100::/24");
+      expect(joinSubnet(plan, "3fff::/20")).toBe(32);
+      expect(Object.keys(plan.tree)).toEqual(["3fff::/20"]);
+      expect(plan.tree["3fff::/20"]).toEqual({ _note: "", _color: "" });
+    });
+
+    it("should share one node between a parent and the tree", () => {
+      const plan = createPlan("3fff::", 20);
+      splitSubnet(plan, "3fff::/20", 24);
+
+      setSubnetNote(plan, "3fff:100::/24", "Shared");
+      expect(plan.tree["3fff::/20"]["3fff:100::/24"]).toBe(
+        plan.tree["3fff:100::/24"],
+      );
+    });
+
+    it("should reject edits the UI would not allow", () => {
+      const plan = createPlan("3fff::", 20);
+      splitSubnet(plan, "3fff::/20", 24);
+
+      expect(() => splitSubnet(plan, "3fff::/20", 28)).toThrow(
+        "3fff::/20 is already split",
+      );
+      expect(() => splitSubnet(plan, "3fff::/24", 72)).toThrow(
+        "3fff::/24 cannot be split to /72",
+      );
+      expect(() => setSubnetNote(plan, "2001:db8::/32", "x")).toThrow(
+        "2001:db8::/32 is not in the plan",
+      );
+      expect(() => setSubnetColor(plan, "3fff::/24", "red")).toThrow(
+        "Color must be empty or a #RRGGBB value",
+      );
+      expect(() =>
+        setSubnetField(plan, "3fff::/24", "_vlan", "5000"),
+      ).toThrow();
+      expect(() => setSubnetField(plan, "3fff::/24", "_note", "x")).toThrow(
+        'Unknown metadata field "_note"',
+      );
+    });
+
+    it("should allocate and split by count", () => {
+      const plan = createPlan("3fff::", 20);
+
+      expect(allocateNextSubnet(plan, "3fff::/20", 28, "Lab")).toBe(
+        "3fff::/28",
+      );
+      expect(allocateNextSubnet(plan, "3fff::/20", 28)).toBe("3fff:10::/28");
+      expect(plan.tree["3fff::/28"]).toMatchObject({
+        _note: "Lab",
+        _status: "allocated",
+      });
+
+      const split = splitByCount(plan, "3fff:100::/24", 3, {
+        names: ["A", "B"],
+      });
+      expect(split).toEqual({ prefix: 26, children: 4, spare: 1 });
+      expect(plan.tree["3fff:100::/26"]._note).toBe("A");
+      expect(plan.tree["3fff:140::/26"]._note).toBe("B");
+    });
+  });
+
+  describe("saved state", () => {
+    it("should round-trip a plan through a share link hash", async () => {
+      const plan = createPlan("3fff::", 20);
+      splitSubnet(plan, "3fff::/20", 28);
+      setSubnetNote(plan, "3fff:120::/28", "Denver DC");
+
+      const hash = await encodeStateHash(getPlanState(plan));
+      expect(hash).toMatch(/^v3/);
+
+      const loaded = planFromState(await decodeStateHash(hash));
+      expect(loaded.tree["3fff:120::/28"]._note).toBe("Denver DC");
+      expect(loaded.tree["3fff:100::/24"]["3fff:120::/28"]).toBe(
+        loaded.tree["3fff:120::/28"],
+      );
+    });
+
+    it("should refuse invalid state", () => {
+      expect(() =>
+        planFromState({ network: "3fff::", prefix: 8, tree: {} }),
+      ).toThrow(/^Invalid plan: /);
+    });
+
+    it("should export and re-import CSV and plan files", () => {
+      const plan = createPlan("3fff::", 20);
+      splitSubnet(plan, "3fff::/20", 24);
+      setSubnetNote(plan, "3fff:f00::/24", "Last");
+
+      const csv = buildPlanFromCSV(generateCSV(plan));
+      expect(csv.errors).toEqual([]);
+      expect(csv.tree["3fff:f00::/24"]._note).toBe("Last");
+
+      const file = parsePlanFile(JSON.stringify(createPlanFile(plan)));
+      expect(file.tree["3fff:f00::/24"]).toEqual({ _note: "Last" });
+    });
+  });
+});
@@ -5,12 +5,21 @@
  */
 
 import { describe, it, expect, beforeEach } from "vitest";
-import { createIntermediateLevel, getSubnetNode, parseIPv6 } from "../app.js";
+import { applyState, createIntermediateLevel, getSubnetNode } from "../app.js";
+import { parseIPv6 } from "../core.js";
 
 describe("createIntermediateLevel", () => {
   beforeEach(() => {
     // Reset subnetTree before each test
-    global.subnetTree = {};
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"></select>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
   });
 
   it("should create 16 /24 children from /20 parent", () => {
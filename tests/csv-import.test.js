@@ -0,0 +1,198 @@
+/**
+ * IPv6 Subnet Planner Tests - CSV Import
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  importCSV,
+  generateCSV,
+  createIntermediateLevels,
+  getSubnetNode,
+  subnetTree,
+} from "../app.js";
+import { parseCSV, buildPlanFromCSV } from "../core.js";
+
+/**
+ * Get the child CIDRs of a node in a tree
+ * @param {Object} tree - Subnet tree
+ * @param {string} cidr - Parent CIDR
+ * @returns {string[]} Child CIDRs
+ */
+function childrenOf(tree, cidr) {
+  return Object.keys(tree[cidr]).filter((k) => !k.startsWith("_"));
+}
+
+describe("CSV Import", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table><tbody id="tableBody"></tbody></table>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
+  });
+
+  describe("parseCSV", () => {
+    it("should split simple rows and fields", () => {
+      expect(parseCSV("a,b,c\n1,2,3\n")).toEqual([
+        ["a", "b", "c"],
+        ["1", "2", "3"],
+      ]);
+    });
+
+    it("should handle quoted fields with commas, quotes and newlines", () => {
+      const rows = parseCSV('"x, y","say ""hi""","line1\nline2"\r\nz,,end');
+      expect(rows).toEqual([
+        ["x, y", 'say "hi"', "line1\nline2"],
+        ["z", "", "end"],
+      ]);
+    });
+
+    it("should strip a byte order mark", () => {
+      expect(parseCSV("\uFEFFSubnet\n3fff::/20")[0]).toEqual(["Subnet"]);
+    });
+  });
+
+  describe("buildPlanFromCSV", () => {
+    it("should round-trip the output of generateCSV", () => {
+      createIntermediateLevels("3fff::/20", 28);
+      getSubnetNode("3fff::/20")._note = "Lab";
+      getSubnetNode("3fff:100::/24")._note = 'Denver "DC", row 2';
+      getSubnetNode("3fff:110::/28")._note = "";
+
+      const result = buildPlanFromCSV(generateCSV());
+
+      expect(result.errors).toEqual([]);
+      expect(result.network).toBe("3fff::");
+      expect(result.prefix).toBe(20);
+      expect(result.imported).toBe(273);
+      expect(Object.keys(result.tree).sort()).toEqual(
+        Object.keys(subnetTree).sort(),
+      );
+      expect(result.tree["3fff:100::/24"]._note).toBe('Denver "DC", row 2');
+      expect(result.tree["3fff:110::/28"]._note).toBe("");
+    });
+
+    it("should not modify the current plan", () => {
+      getSubnetNode("3fff::/20")._note = "Current";
+
+      buildPlanFromCSV("Subnet,Note\n2001:db8::/32,Other");
+
+      expect(Object.keys(subnetTree)).toEqual(["3fff::/20"]);
+      expect(subnetTree["3fff::/20"]._note).toBe("Current");
+    });
+
+    it("should infer the root from the least specific subnet", () => {
+      const result = buildPlanFromCSV(
+        "Subnet,Note\n2001:db8:100::/40,Site A\n2001:db8::/32,ISP",
+      );
+
+      expect(result.network).toBe("2001:db8::");
+      expect(result.prefix).toBe(32);
+      expect(result.tree["2001:db8::/32"]._note).toBe("ISP");
+    });
+
+    it("should create nibble-aligned parents only along each imported path", () => {
+      const result = buildPlanFromCSV(
+        "Subnet,Note\n3fff::/20,Root\n3fff:123:4500::/40,Site",
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(childrenOf(result.tree, "3fff::/20").length).toBe(16);
+      expect(result.tree["3fff:100::/24"]).toBeDefined();
+      expect(result.tree["3fff:120::/28"]).toBeDefined();
+      expect(result.tree["3fff:123::/32"]).toBeDefined();
+      expect(result.tree["3fff:123:4000::/36"]).toBeDefined();
+      expect(result.tree["3fff:123:4500::/40"]._note).toBe("Site");
+      // Siblings off the path stay unsplit
+      expect(childrenOf(result.tree, "3fff:200::/24")).toEqual([]);
+    });
+
+    it("should inherit parent notes on intermediate levels", () => {
+      const result = buildPlanFromCSV(
+        "Subnet,Note\n3fff::/20,Root\n3fff:100::/28,Leaf",
+      );
+
+      expect(result.tree["3fff:100::/24"]._note).toBe("Root");
+      expect(result.tree["3fff:100::/28"]._note).toBe("Leaf");
+    });
+
+    it("should import the optional Color column", () => {
+      const result = buildPlanFromCSV(
+        "Subnet,Contains,Note,Color\n3fff::/20,,Root,#e5f3ff\n3fff::/24,,,",
+      );
+
+      expect(result.tree["3fff::/20"]._color).toBe("#E5F3FF");
+      expect(result.tree["3fff::/24"]._color).toBe("");
+    });
+
+    it("should report invalid, outside, duplicate and host-bit rows", () => {
+      const result = buildPlanFromCSV(
+        [
+          "Subnet,Note,Color",
+          "3fff::/20,Root,",
+          "not-a-subnet,Bad,",
+          "2001:db8::/32,Elsewhere,",
+          "3fff:100::/24,First,",
+          "3fff:100::/24,Again,",
+          "3fff:100::1/24,Host bits,",
+          "3fff::/24,Bad color,red",
+        ].join("\n"),
+      );
+
+      const reasons = result.errors.map((e) => `${e.row}: ${e.reason}`);
+      expect(reasons).toEqual([
+        "3: not a valid CIDR",
+        "4: is outside the root 3fff::/20",
+        "6: overlaps row 5 (duplicate subnet)",
+        "7: has host bits set (did you mean 3fff:100::/24?)",
+        '8: color "red" is not a #RRGGBB value and was ignored',
+      ]);
+      expect(result.tree["3fff::/24"]._note).toBe("Bad color");
+    });
+
+    it("should reject files without a Subnet column", () => {
+      expect(() => buildPlanFromCSV("Network,Note\n3fff::/20,x")).toThrow(
+        /Subnet column/,
+      );
+    });
+
+    it("should reject files without valid subnets", () => {
+      expect(() => buildPlanFromCSV("Subnet\nfoo\n")).toThrow(
+        /no valid subnets/,
+      );
+    });
+  });
+
+  describe("importCSV", () => {
+    it("should replace the plan and list skipped rows", async () => {
+      const imported = await importCSV(
+        "Subnet,Note\n2001:db8::/32,Docs\n2001:db9::/32,Outside",
+      );
+
+      expect(imported).toBe(true);
+      expect(subnetTree["2001:db8::/32"]._note).toBe("Docs");
+      expect(document.getElementById("error").textContent).toContain(
+        "Row 3 (2001:db9::/32): is outside the root 2001:db8::/32",
+      );
+    });
+
+    it("should keep the current plan when the file is unusable", async () => {
+      const imported = await importCSV("");
+
+      expect(imported).toBe(false);
+      expect(subnetTree["3fff::/20"]).toBeDefined();
+      expect(document.getElementById("error").textContent).toBe(
+        "CSV file is empty",
+      );
+    });
+  });
+});
@@ -167,9 +167,15 @@ test.describe("Stress Testing - Large Subnet Trees", () => {
     await splitBtn.click();
     await page.waitForTimeout(1000);
 
-    const subnetCells = page.locator(".subnet-cell");
     // 1 root + 16 /36 + 256 /40 + 512 /41 = 785 rows
-    await expect(subnetCells).toHaveCount(785);
+    await expect(page.locator("#tableBody")).toHaveAttribute(
+      "data-row-count",
+      "785",
+    );
+
+    // Only the rows near the viewport are in the DOM
+    const renderedRows = await page.locator(".subnet-cell").count();
+    expect(renderedRows).toBeLessThan(785);
   });
 
   test("should handle large URL hash", async ({ page }) => {
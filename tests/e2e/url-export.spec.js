@@ -154,7 +154,7 @@ test.describe("CSV Export", () => {
 });
 
 test.describe("Deflate-Raw Compression", () => {
-  test("should create URL with v2 marker when compression supported", async ({
+  test("should create URL with v3 marker when compression supported", async ({
     page,
   }) => {
     await page.goto("/");
@@ -170,12 +170,12 @@ test.describe("Deflate-Raw Compression", () => {
     // Wait for state to be saved
     await page.waitForTimeout(100);
 
-    // Get URL and check for v2 marker (modern browsers support compression)
+    // Get URL and check for v3 marker (modern browsers support compression)
     const url = page.url();
-    expect(url).toContain("#v2");
+    expect(url).toContain("#v3");
   });
 
-  test("should round-trip state through v2 compressed URL", async ({
+  test("should round-trip state through v3 compressed URL", async ({
     page,
   }) => {
     await page.goto("/");
@@ -191,7 +191,7 @@ test.describe("Deflate-Raw Compression", () => {
 
     // Get the current URL with compressed state
     const url = page.url();
-    expect(url).toContain("#v2");
+    expect(url).toContain("#v3");
 
     // Navigate to a blank page and back to the URL
     await page.goto("about:blank");
@@ -205,6 +205,30 @@ test.describe("Deflate-Raw Compression", () => {
     );
   });
 
+  test("should be backward compatible with v2 (deflate JSON) URLs", async ({
+    page,
+  }) => {
+    await page.goto("/");
+    const hash = await page.evaluate(async () => {
+      const json = JSON.stringify({
+        network: "2001:db8::",
+        prefix: 32,
+        tree: { "2001:db8::/32": { _note: "v2 test", _color: "" } },
+      });
+      const stream = new Blob([json])
+        .stream()
+        .pipeThrough(new CompressionStream("deflate-raw"));
+      const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      return btoa(String.fromCharCode(...bytes));
+    });
+
+    await page.goto(`/#v2${hash}`);
+    await page.reload();
+
+    await expect(page.locator("#networkInput")).toHaveValue("2001:db8::");
+    await expect(page.locator(".note-input").first()).toHaveValue("v2 test");
+  });
+
   test("should be backward compatible with v1 (base64) URLs", async ({
     page,
   }) => {
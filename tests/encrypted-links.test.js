@@ -0,0 +1,215 @@
+/**
+ * IPv6 Subnet Planner Tests - Passphrase-Encrypted Links
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  getPlanState,
+  toggleLinkEncryption,
+  splitSubnet,
+  getSubnetNode,
+  loadState,
+  undo,
+  subnetTree,
+} from "../app.js";
+import {
+  encryptStateHash,
+  decryptStateHash,
+  createLinkEncryption,
+} from "../core.js";
+
+/**
+ * Replace the URL hash without firing hashchange, after letting events from
+ * earlier saves run
+ * @param {string} hash - Hash text without the leading #
+ * @returns {Promise<void>}
+ */
+async function setHash(hash) {
+  await new Promise((resolve) => setTimeout(resolve));
+  window.history.replaceState(null, "", `#${hash}`);
+}
+
+describe("Passphrase-Encrypted Links", () => {
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <button id="encryptLinkButton">Encrypt Link</button>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Secret DC", _color: "" } },
+    });
+    // A plain hash turns any encryption left by an earlier test off
+    await setHash(
+      "v1" + btoa(encodeURIComponent(JSON.stringify(getPlanState()))),
+    );
+    await loadState();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("encryptStateHash and decryptStateHash", () => {
+    it("should round-trip a hash with the right passphrase", async () => {
+      const encryption = await createLinkEncryption("correct horse");
+      const encrypted = await encryptStateHash("v3abc", encryption);
+
+      expect(encrypted).toMatch(/^e1[A-Za-z0-9_-]+$/);
+      expect(encrypted).not.toContain("v3abc");
+      const { hash } = await decryptStateHash(
+        encrypted.slice(2),
+        "correct horse",
+      );
+      expect(hash).toBe("v3abc");
+    });
+
+    it("should use a fresh nonce for every encryption", async () => {
+      const encryption = await createLinkEncryption("pw");
+
+      expect(await encryptStateHash("v3abc", encryption)).not.toBe(
+        await encryptStateHash("v3abc", encryption),
+      );
+    });
+
+    it("should reject a wrong passphrase and a damaged link", async () => {
+      const encrypted = await encryptStateHash(
+        "v3abc",
+        await createLinkEncryption("right"),
+      );
+
+      await expect(
+        decryptStateHash(encrypted.slice(2), "wrong"),
+      ).rejects.toThrow("Wrong passphrase or damaged link");
+      await expect(decryptStateHash("AAAA", "right")).rejects.toThrow(
+        "Encrypted link is damaged",
+      );
+    });
+  });
+
+  describe("toggleLinkEncryption", () => {
+    it("should encrypt the hash for this and later saves", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+
+      expect(await toggleLinkEncryption()).toBe(true);
+      expect(window.location.hash).toMatch(/^#e1/);
+      expect(document.getElementById("encryptLinkButton").textContent).toBe(
+        "Remove Encryption",
+      );
+
+      await splitSubnet("3fff::/20", 24);
+      expect(window.location.hash).toMatch(/^#e1/);
+      const { hash } = await decryptStateHash(
+        window.location.hash.slice(3),
+        "hunter2",
+      );
+      expect(hash).toMatch(/^v3/);
+    });
+
+    it("should keep the plan and its undo history out of sessionStorage", async () => {
+      const stored = () =>
+        Object.keys(sessionStorage)
+          .map((key) => sessionStorage.getItem(key))
+          .join("\n");
+      await splitSubnet("3fff::/20", 22);
+      expect(stored()).toContain("Secret DC");
+
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+      await toggleLinkEncryption();
+      await splitSubnet("3fff::/22", 24);
+
+      expect(stored()).not.toContain("Secret DC");
+      expect(stored()).not.toContain("3fff:");
+
+      // Undo still works from memory
+      expect(await undo()).toBe(true);
+      expect(subnetTree["3fff::/22"]).toBeDefined();
+      expect(subnetTree["3fff::/24"]).toBeUndefined();
+      expect(stored()).not.toContain("Secret DC");
+    });
+
+    it("should not encrypt when the passphrases differ or are cancelled", async () => {
+      const alertSpy = vi.spyOn(window, "alert").mockImplementation(() => {});
+      vi.spyOn(window, "prompt")
+        .mockReturnValueOnce("one")
+        .mockReturnValueOnce("two")
+        .mockReturnValueOnce(null);
+
+      expect(await toggleLinkEncryption()).toBe(false);
+      expect(alertSpy).toHaveBeenCalledWith(
+        "The passphrases did not match. The link was not encrypted.",
+      );
+      expect(await toggleLinkEncryption()).toBe(false);
+      expect(window.location.hash).toMatch(/^#v1/);
+    });
+
+    it("should go back to a readable hash when turned off", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+      vi.spyOn(window, "confirm").mockReturnValue(true);
+      await toggleLinkEncryption();
+
+      expect(await toggleLinkEncryption()).toBe(true);
+      expect(window.location.hash).not.toMatch(/^#e1/);
+      expect(document.getElementById("encryptLinkButton").textContent).toBe(
+        "Encrypt Link",
+      );
+    });
+  });
+
+  describe("loadState", () => {
+    /**
+     * Encrypt the current plan and reset the tree so a load is visible
+     * @param {string} passphrase - Passphrase for the link
+     * @returns {Promise<string>} Encrypted hash
+     */
+    async function encryptedPlan(passphrase) {
+      getSubnetNode("3fff::/20")._note = "Encrypted note";
+      const plain =
+        "v1" + btoa(encodeURIComponent(JSON.stringify(getPlanState())));
+      const hash = await encryptStateHash(
+        plain,
+        await createLinkEncryption(passphrase),
+      );
+      applyState({ network: "3fff::", prefix: 20, tree: { "3fff::/20": {} } });
+      return hash;
+    }
+
+    it("should ask for the passphrase before loading the plan", async () => {
+      await setHash(await encryptedPlan("s3cret"));
+      const promptSpy = vi
+        .spyOn(window, "prompt")
+        .mockReturnValueOnce("guess")
+        .mockReturnValueOnce("s3cret");
+
+      expect(await loadState()).toBe(true);
+      expect(promptSpy.mock.calls.map((call) => call[0])).toEqual([
+        "This plan is encrypted. Enter the passphrase to open it:",
+        "Wrong passphrase. Enter the passphrase to open this plan:",
+      ]);
+      expect(subnetTree["3fff::/20"]._note).toBe("Encrypted note");
+
+      // Edits after opening stay encrypted
+      await splitSubnet("3fff::/20", 24);
+      expect(window.location.hash).toMatch(/^#e1/);
+    });
+
+    it("should leave the plan alone when the prompt is cancelled", async () => {
+      await setHash(await encryptedPlan("s3cret"));
+      vi.spyOn(window, "prompt").mockReturnValue(null);
+
+      expect(await loadState()).toBe(false);
+      expect(subnetTree["3fff::/20"]._note).toBe("");
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * IPv6 Subnet Planner Tests - Undo/Redo History
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  serializePlan,
+  recordHistory,
+  clearHistory,
+  undo,
+  redo,
+  setHistoryLimit,
+  getSubnetNode,
+  createIntermediateLevel,
+  deleteDescendants,
+  subnetTree,
+} from "../app.js";
+
+describe("Undo/Redo History", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table><tbody id="tableBody"></tbody></table>
+    `;
+    sessionStorage.clear();
+    localStorage.clear();
+    setHistoryLimit(50);
+
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
+    clearHistory();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("recordHistory and undo", () => {
+    it("should restore the tree as it was before a split", async () => {
+      const before = serializePlan();
+
+      recordHistory();
+      createIntermediateLevel("3fff::/20", 24);
+      expect(Object.keys(subnetTree).length).toBe(17);
+
+      const restored = await undo();
+
+      expect(restored).toBe(true);
+      expect(serializePlan()).toBe(before);
+      expect(Object.keys(subnetTree)).toEqual(["3fff::/20"]);
+    });
+
+    it("should restore notes and colors", async () => {
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "Backbone";
+      getSubnetNode("3fff::/20")._color = "#E5F3FF";
+
+      await undo();
+
+      expect(subnetTree["3fff::/20"]._note).toBe("");
+      expect(subnetTree["3fff::/20"]._color).toBe("");
+    });
+
+    it("should restore annotations removed by a join", async () => {
+      createIntermediateLevel("3fff::/20", 24);
+      getSubnetNode("3fff:100::/24")._note = "Denver DC";
+
+      recordHistory();
+      deleteDescendants("3fff::/20");
+      expect(subnetTree["3fff:100::/24"]).toBeUndefined();
+
+      await undo();
+
+      expect(subnetTree["3fff:100::/24"]._note).toBe("Denver DC");
+    });
+
+    it("should undo multiple steps in reverse order", async () => {
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "first";
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "second";
+
+      await undo();
+      expect(subnetTree["3fff::/20"]._note).toBe("first");
+
+      await undo();
+      expect(subnetTree["3fff::/20"]._note).toBe("");
+    });
+
+    it("should return false when there is nothing to undo", async () => {
+      expect(await undo()).toBe(false);
+    });
+  });
+
+  describe("redo", () => {
+    it("should re-apply an undone change", async () => {
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "Core";
+      const after = serializePlan();
+
+      await undo();
+      const restored = await redo();
+
+      expect(restored).toBe(true);
+      expect(serializePlan()).toBe(after);
+    });
+
+    it("should clear redo history when a new change is recorded", async () => {
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "Core";
+      await undo();
+
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "Edge";
+
+      expect(await redo()).toBe(false);
+      expect(subnetTree["3fff::/20"]._note).toBe("Edge");
+    });
+
+    it("should store the stacks once per undo and redo", async () => {
+      recordHistory();
+      getSubnetNode("3fff::/20")._note = "Core";
+      const setItem = vi.spyOn(Storage.prototype, "setItem");
+      const writes = () =>
+        setItem.mock.calls.filter(([key]) => key === "ipv6-plan-history");
+
+      await undo();
+      expect(writes()).toHaveLength(1);
+      expect(JSON.parse(writes()[0][1])).toMatchObject({ undo: [] });
+
+      await redo();
+      expect(writes()).toHaveLength(2);
+      expect(JSON.parse(writes()[1][1])).toMatchObject({ redo: [] });
+    });
+  });
+
+  describe("setHistoryLimit", () => {
+    it("should keep only the configured number of steps", async () => {
+      setHistoryLimit(2);
+
+      for (let i = 1; i <= 4; i++) {
+        recordHistory();
+        getSubnetNode("3fff::/20")._note = `step ${i}`;
+      }
+
+      expect(await undo()).toBe(true);
+      expect(await undo()).toBe(true);
+      expect(await undo()).toBe(false);
+      expect(subnetTree["3fff::/20"]._note).toBe("step 2");
+    });
+
+    it("should reject out of range limits", () => {
+      expect(setHistoryLimit(0)).toBe(false);
+      expect(setHistoryLimit(501)).toBe(false);
+      expect(setHistoryLimit("abc")).toBe(false);
+      expect(setHistoryLimit(10)).toBe(true);
+    });
+
+    it("should remember the limit in localStorage", () => {
+      setHistoryLimit(25);
+      expect(localStorage.getItem("ipv6-plan-history-limit")).toBe("25");
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * IPv6 Subnet Planner Tests - Splits Below /64
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  getPlanState,
+  getHostSplitTargets,
+  setHostSplits,
+  splitSubnet,
+  subnetTree,
+} from "../app.js";
+import {
+  getSubnetCount,
+  validatePlanState,
+  buildPlanFromCSV,
+} from "../core.js";
+
+/**
+ * Get the child CIDRs of a node in the live tree
+ * @param {string} cidr - Parent CIDR
+ * @returns {string[]} Child CIDRs
+ */
+function childrenOf(cidr) {
+  return Object.keys(subnetTree[cidr]).filter((k) => !k.startsWith("_"));
+}
+
+describe("Splits Below /64", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"></select>
+      <input type="checkbox" id="hostSplitToggle" />
+      <div id="error"></div>
+      <table><tbody id="tableBody"></tbody></table>
+    `;
+    applyState({
+      network: "2001:db8:0:1::",
+      prefix: 64,
+      tree: { "2001:db8:0:1::/64": { _note: "Transit", _color: "" } },
+    });
+  });
+
+  describe("getSubnetCount", () => {
+    it("should label host-sized subnets by address count", () => {
+      expect(getSubnetCount(64)).toBe("Host Subnet");
+      expect(getSubnetCount(112)).toBe("65,536 addresses");
+      expect(getSubnetCount(126)).toBe("4 addresses");
+      expect(getSubnetCount(127)).toBe("2 addresses (point-to-point)");
+      expect(getSubnetCount(128)).toBe("1 address (loopback)");
+    });
+  });
+
+  describe("setHostSplits", () => {
+    it("should keep /64 unsplittable until the mode is enabled", async () => {
+      expect(getHostSplitTargets(64)).toEqual([]);
+
+      await splitSubnet("2001:db8:0:1::/64", 127);
+      expect(childrenOf("2001:db8:0:1::/64")).toEqual([]);
+
+      await setHostSplits(true);
+      expect(getHostSplitTargets(64)).toEqual([112, 126, 127, 128]);
+      expect(getHostSplitTargets(126)).toEqual([127, 128]);
+      expect(getHostSplitTargets(48)).toEqual([]);
+    });
+
+    it("should add the host prefixes to the prefix select", async () => {
+      await setHostSplits(true);
+      const values = [...document.getElementById("prefixSelect").options].map(
+        (o) => o.value,
+      );
+      expect(values.slice(-5)).toEqual(["64", "112", "126", "127", "128"]);
+    });
+
+    it("should refuse to turn off while subnets below /64 exist", async () => {
+      await setHostSplits(true);
+      await splitSubnet("2001:db8:0:1::/64", 127);
+
+      expect(await setHostSplits(false)).toBe(false);
+      expect(document.getElementById("hostSplitToggle").checked).toBe(true);
+      expect(document.getElementById("error").textContent).toMatch(
+        /Join the subnets longer than \/64/,
+      );
+    });
+
+    it("should be saved with the plan state only when enabled", async () => {
+      expect(getPlanState().hostSplits).toBeUndefined();
+      await setHostSplits(true);
+      expect(getPlanState().hostSplits).toBe(true);
+    });
+  });
+
+  describe("splitSubnet below /64", () => {
+    beforeEach(async () => {
+      await setHostSplits(true);
+    });
+
+    it("should create the first 256 point-to-point /127s of a /64", async () => {
+      await splitSubnet("2001:db8:0:1::/64", 127);
+
+      const children = childrenOf("2001:db8:0:1::/64");
+      expect(children.length).toBe(256);
+      expect(children[0]).toBe("2001:db8:0:1::/127");
+      expect(children[1]).toBe("2001:db8:0:1::2/127");
+      expect(subnetTree["2001:db8:0:1::1fe/127"]._note).toBe("Transit");
+    });
+
+    it("should create every child when the split is small", async () => {
+      await splitSubnet("2001:db8:0:1::/64", 112);
+      await splitSubnet("2001:db8:0:1::/112", 126);
+      await splitSubnet("2001:db8:0:1::/126", 128);
+
+      expect(childrenOf("2001:db8:0:1::/126")).toEqual([
+        "2001:db8:0:1::/128",
+        "2001:db8:0:1::1/128",
+        "2001:db8:0:1::2/128",
+        "2001:db8:0:1::3/128",
+      ]);
+    });
+
+    it("should use the next host prefix for an automatic split", async () => {
+      await splitSubnet("2001:db8:0:1::/64");
+      expect(childrenOf("2001:db8:0:1::/64")[0]).toBe("2001:db8:0:1::/112");
+    });
+
+    it("should ignore prefixes that are not host split targets", async () => {
+      await splitSubnet("2001:db8:0:1::/64", 96);
+      expect(childrenOf("2001:db8:0:1::/64")).toEqual([]);
+    });
+  });
+
+  describe("validatePlanState", () => {
+    const tree = {
+      "2001:db8:0:1::/64": {
+        _note: "",
+        _color: "",
+        "2001:db8:0:1::/127": { _note: "", _color: "" },
+      },
+      "2001:db8:0:1::/127": { _note: "", _color: "" },
+    };
+
+    it("should accept subnets below /64 when the mode is enabled", () => {
+      expect(
+        validatePlanState({
+          network: "2001:db8:0:1::",
+          prefix: 64,
+          tree,
+          hostSplits: true,
+        }),
+      ).toEqual([]);
+    });
+
+    it("should reject subnets below /64 when the mode is off", () => {
+      expect(
+        validatePlanState({ network: "2001:db8:0:1::", prefix: 64, tree }),
+      ).toContain(
+        "Subnet 2001:db8:0:1::/127 is longer than /64 but splits below /64 are not enabled",
+      );
+    });
+  });
+
+  describe("buildPlanFromCSV", () => {
+    it("should import sparse /127 and /128 rows and enable the mode", () => {
+      const result = buildPlanFromCSV(
+        [
+          "Subnet,Note",
+          "2001:db8::/48,Site",
+          "2001:db8:0:ffff::/64,Loopbacks",
+          "2001:db8:0:ffff::a/128,core1",
+          "2001:db8:0:ffff::b/128,core2",
+          "2001:db8:0:fffe::/127,Link",
+          "2001:db8:0:ffff::/100,Unsupported",
+        ].join("\n"),
+      );
+
+      expect(result.hostSplits).toBe(true);
+      expect(result.tree["2001:db8:0:ffff::b/128"]._note).toBe("core2");
+      expect(
+        Object.keys(result.tree["2001:db8:0:ffff::/64"]).filter(
+          (k) => !k.startsWith("_"),
+        ),
+      ).toEqual(["2001:db8:0:ffff::a/128", "2001:db8:0:ffff::b/128"]);
+      expect(result.tree["2001:db8:0:fffe::/64"]._note).toBe("Site");
+      expect(result.tree["2001:db8:0:fffe::/127"]._note).toBe("Link");
+      expect(result.errors.map((e) => e.reason)).toEqual([
+        "is longer than /64 (only /112, /126, /127, /128 are supported)",
+      ]);
+    });
+  });
+});
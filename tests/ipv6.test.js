@@ -5,7 +5,7 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { parseIPv6, formatIPv6, applyPrefix, compareCIDR } from "../app.js";
+import { parseIPv6, formatIPv6, applyPrefix, compareCIDR } from "../core.js";
 
 describe("IPv6 Parsing", () => {
   it("should parse simple IPv6 address", () => {
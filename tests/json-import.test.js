@@ -0,0 +1,255 @@
+/**
+ * IPv6 Subnet Planner Tests - JSON Import/Export
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  createPlanFile,
+  importJSON,
+  createIntermediateLevel,
+  getSubnetNode,
+  getPlanState,
+  subnetTree,
+} from "../app.js";
+import {
+  parsePlanFile,
+  validatePlanState,
+  parseCIDR,
+  cidrContains,
+} from "../core.js";
+
+/**
+ * Build a small valid plan file object for tests
+ * @returns {Object} Plan file object
+ */
+function samplePlanFile() {
+  return {
+    format: "ipv6-subnet-plan",
+    schemaVersion: 1,
+    network: "3fff::",
+    prefix: 20,
+    tree: {
+      "3fff::/20": {
+        _note: "Root",
+        _color: "#E5F3FF",
+        "3fff::/21": { _note: "", _color: "" },
+        "3fff:800::/21": { _note: "", _color: "" },
+      },
+      "3fff::/21": { _note: "Left", _color: "" },
+      "3fff:800::/21": { _note: "Right", _color: "#FFE5E5" },
+    },
+  };
+}
+
+describe("JSON Import/Export", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table><tbody id="tableBody"></tbody></table>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
+  });
+
+  describe("parseCIDR", () => {
+    it("should return masked bytes, prefix and canonical CIDR", () => {
+      const parsed = parseCIDR("3FFF:0:0::1/20");
+      expect(parsed.prefix).toBe(20);
+      expect(parsed.cidr).toBe("3fff::/20");
+    });
+
+    it("should reject invalid CIDRs", () => {
+      expect(parseCIDR("3fff::")).toBeNull();
+      expect(parseCIDR("3fff::/abc")).toBeNull();
+      expect(parseCIDR("3fff::/129")).toBeNull();
+      expect(parseCIDR("not-an-address/20")).toBeNull();
+      expect(parseCIDR(42)).toBeNull();
+    });
+  });
+
+  describe("cidrContains", () => {
+    it("should detect a more specific subnet inside its parent", () => {
+      expect(cidrContains("3fff::/20", "3fff:100::/24")).toBe(true);
+      expect(cidrContains("3fff::/20", "3fff:f00::/24")).toBe(true);
+    });
+
+    it("should reject equal, larger and disjoint subnets", () => {
+      expect(cidrContains("3fff::/20", "3fff::/20")).toBe(false);
+      expect(cidrContains("3fff::/24", "3fff::/20")).toBe(false);
+      expect(cidrContains("3fff::/20", "3fff:1000::/24")).toBe(false);
+    });
+  });
+
+  describe("createPlanFile", () => {
+    it("should wrap the current plan with format and schema version", () => {
+      createIntermediateLevel("3fff::/20", 24);
+      getSubnetNode("3fff:100::/24")._color = "#E5FFE5";
+
+      const file = createPlanFile();
+
+      expect(file.format).toBe("ipv6-subnet-plan");
+      expect(file.schemaVersion).toBe(4);
+      expect(file.network).toBe("3fff::");
+      expect(file.prefix).toBe(20);
+      expect(file.tree["3fff:100::/24"]._color).toBe("#E5FFE5");
+    });
+
+    it("should round-trip through parsePlanFile", () => {
+      createIntermediateLevel("3fff::/20", 24);
+      getSubnetNode("3fff::/24")._note = 'Quoted "note", with comma';
+
+      const text = JSON.stringify(createPlanFile(), null, 2);
+      const state = parsePlanFile(text);
+
+      expect(state.network).toBe("3fff::");
+      expect(state.prefix).toBe(20);
+      expect(state.tree).toEqual(getPlanState().tree);
+      expect(state.tree["3fff::/24"]).toEqual({
+        _note: 'Quoted "note", with comma',
+      });
+    });
+  });
+
+  describe("parsePlanFile", () => {
+    it("should accept a valid plan file", () => {
+      const state = parsePlanFile(JSON.stringify(samplePlanFile()));
+      expect(state.tree["3fff:800::/21"]._note).toBe("Right");
+    });
+
+    it("should reject text that is not JSON", () => {
+      expect(() => parsePlanFile("Subnet,Contains,Note")).toThrow(
+        /not valid JSON/,
+      );
+    });
+
+    it("should reject JSON without the format marker", () => {
+      const file = samplePlanFile();
+      delete file.format;
+      expect(() => parsePlanFile(JSON.stringify(file))).toThrow(
+        /not an IPv6 subnet plan/,
+      );
+    });
+
+    it("should reject files from a newer schema version", () => {
+      const file = samplePlanFile();
+      file.schemaVersion = 5;
+      expect(() => parsePlanFile(JSON.stringify(file))).toThrow(
+        /schema version 5.*up to version 4/,
+      );
+    });
+
+    it("should reject a missing schema version", () => {
+      const file = samplePlanFile();
+      delete file.schemaVersion;
+      expect(() => parsePlanFile(JSON.stringify(file))).toThrow(
+        /schemaVersion/,
+      );
+    });
+
+    it("should summarize validation problems", () => {
+      const file = samplePlanFile();
+      file.tree["3fff::/21"]._color = "red";
+      expect(() => parsePlanFile(JSON.stringify(file))).toThrow(
+        /Invalid plan file: Color for 3fff::\/21/,
+      );
+    });
+  });
+
+  describe("validatePlanState", () => {
+    it("should return no errors for a valid state", () => {
+      const { network, prefix, tree } = samplePlanFile();
+      expect(validatePlanState({ network, prefix, tree })).toEqual([]);
+    });
+
+    it("should reject prefixes outside /16 to /64", () => {
+      const errors = validatePlanState({
+        network: "3fff::",
+        prefix: 12,
+        tree: {},
+      });
+      expect(errors[0]).toMatch(/Prefix must be an integer/);
+    });
+
+    it("should reject a non-canonical network", () => {
+      const errors = validatePlanState({
+        network: "3fff::1",
+        prefix: 20,
+        tree: {},
+      });
+      expect(errors[0]).toMatch(/not in canonical form/);
+    });
+
+    it("should reject a tree without the root subnet", () => {
+      const errors = validatePlanState({
+        network: "3fff::",
+        prefix: 20,
+        tree: { "3fff::/24": { _note: "", _color: "" } },
+      });
+      expect(errors).toContain("Tree is missing the root subnet 3fff::/20");
+    });
+
+    it("should reject subnets outside the root", () => {
+      const { network, prefix, tree } = samplePlanFile();
+      tree["2001:db8::/32"] = { _note: "", _color: "" };
+      expect(validatePlanState({ network, prefix, tree })).toContain(
+        "Subnet 2001:db8::/32 is outside the root 3fff::/20",
+      );
+    });
+
+    it("should reject children that are not inside their parent", () => {
+      const { network, prefix, tree } = samplePlanFile();
+      tree["3fff::/21"]["3fff:800::/22"] = { _note: "", _color: "" };
+      tree["3fff:800::/22"] = { _note: "", _color: "" };
+      expect(validatePlanState({ network, prefix, tree })).toContain(
+        "Child 3fff:800::/22 is not inside its parent 3fff::/21",
+      );
+    });
+
+    it("should reject children without their own tree entry", () => {
+      const { network, prefix, tree } = samplePlanFile();
+      delete tree["3fff:800::/21"];
+      expect(validatePlanState({ network, prefix, tree })).toContain(
+        "Child 3fff:800::/21 of 3fff::/20 has no entry in the tree",
+      );
+    });
+
+    it("should reject unknown metadata and wrong types", () => {
+      const { network, prefix, tree } = samplePlanFile();
+      tree["3fff::/21"]._rack = "R12";
+      tree["3fff::/21"]._note = 5;
+      const errors = validatePlanState({ network, prefix, tree });
+      expect(errors).toContain('Subnet 3fff::/21 has unknown property "_rack"');
+      expect(errors).toContain("Note for 3fff::/21 must be a string");
+    });
+  });
+
+  describe("importJSON", () => {
+    it("should replace the current plan with the imported one", async () => {
+      const imported = await importJSON(JSON.stringify(samplePlanFile()));
+
+      expect(imported).toBe(true);
+      expect(subnetTree["3fff::/20"]._note).toBe("Root");
+      expect(document.getElementById("error").textContent).toBe("");
+    });
+
+    it("should show an error and keep the current plan on failure", async () => {
+      getSubnetNode("3fff::/20")._note = "Keep me";
+
+      const imported = await importJSON("{}");
+
+      expect(imported).toBe(false);
+      expect(subnetTree["3fff::/20"]._note).toBe("Keep me");
+      expect(document.getElementById("error").textContent).toMatch(
+        /not an IPv6 subnet plan/,
+      );
+    });
+  });
+});
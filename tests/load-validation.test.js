@@ -0,0 +1,186 @@
+/**
+ * IPv6 Subnet Planner Tests - Validating Loaded Share Links
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { applyState, loadState, subnetTree } from "../app.js";
+import { buildSubnetTree, decodeStateHash, encodeStateV3 } from "../core.js";
+
+/**
+ * Replace the URL hash without firing hashchange, after letting events from
+ * earlier saves run
+ * @param {string} hash - Hash text without the leading #
+ * @returns {Promise<void>}
+ */
+async function setHash(hash) {
+  await new Promise((resolve) => setTimeout(resolve));
+  window.history.replaceState(null, "", `#${hash}`);
+}
+
+/**
+ * Encode JSON text as a v1 hash
+ * @param {string} json - Plan state JSON, possibly crafted
+ * @returns {string} Hash text
+ */
+function v1Hash(json) {
+  return "v1" + btoa(encodeURIComponent(json));
+}
+
+describe("Validating Loaded Share Links", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Current", _color: "" } },
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Load a hash and return the message shown in the error area
+   * @param {string} hash - Hash text
+   * @returns {Promise<string>} Error text after the load was refused
+   */
+  async function rejectedMessage(hash) {
+    await setHash(hash);
+    expect(await loadState()).toBe(false);
+    expect(subnetTree["3fff::/20"]._note).toBe("Current");
+    return document.getElementById("error").textContent;
+  }
+
+  describe("loadState", () => {
+    it("should reject __proto__ keys without polluting Object.prototype", async () => {
+      const json = `{"network":"3fff::","prefix":20,"tree":{
+        "3fff::/20":{"_note":"x","__proto__":{"polluted":true}},
+        "__proto__":{"polluted":true}}}`;
+
+      const message = await rejectedMessage(v1Hash(json));
+
+      expect(message).toContain("Could not open the plan in this link.");
+      expect(message).toContain('Tree key "__proto__" is not a canonical CIDR');
+      expect(message).toContain('unknown property "__proto__"');
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it("should reject children that are not CIDRs or not inside their parent", async () => {
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: 20,
+        tree: {
+          "3fff::/20": { "not-a-cidr": {}, "2001:db8::/32": {} },
+          "2001:db8::/32": {},
+        },
+      });
+
+      const message = await rejectedMessage(v1Hash(json));
+
+      expect(message).toContain(
+        'Child key "not-a-cidr" under 3fff::/20 is not a canonical CIDR',
+      );
+      expect(message).toContain("Subnet 2001:db8::/32 is outside the root");
+    });
+
+    it("should reject a prefix that is not a number in range", async () => {
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: "20; drop",
+        tree: { "3fff::/20": {} },
+      });
+
+      expect(await rejectedMessage(v1Hash(json))).toContain(
+        'Prefix must be an integer between 16 and 64 (got "20; drop")',
+      );
+    });
+
+    it("should reject metadata of the wrong type", async () => {
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: 20,
+        tree: { "3fff::/20": { _note: 42, _color: "red", _vlan: "ten" } },
+      });
+
+      const invalid = await rejectedMessage(v1Hash(json));
+      expect(invalid).toContain("The plan in this link is invalid:");
+      expect(invalid).toContain("Note for 3fff::/20 must be a string");
+      expect(invalid).toContain("Color for 3fff::/20 must be empty");
+      expect(invalid).toContain("VLAN for 3fff::/20 must be");
+    });
+
+    it("should explain a link that cannot be decoded", async () => {
+      expect(await rejectedMessage(`v2${btoa("x")}`)).toBe(
+        "Could not open the plan in this link. Share link is damaged or incomplete",
+      );
+    });
+
+    it("should validate v3 links after decoding", async () => {
+      const hash = await encodeStateV3({
+        network: "3fff::",
+        prefix: 20,
+        tree: { "3fff::/20": {}, "3fff::/80": {} },
+      });
+
+      expect(await rejectedMessage(hash)).toContain(
+        "Subnet 3fff::/80 is longer than /64",
+      );
+    });
+
+    it("should load a valid legacy link and clear an earlier error", async () => {
+      await rejectedMessage("v1!!!");
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: 20,
+        tree: {
+          "3fff::/20": { _note: "Old", _color: "", "3fff::/21": {} },
+          "3fff::/21": { _note: "Left", _color: "" },
+        },
+      });
+      await setHash(btoa(json));
+
+      expect(await loadState()).toBe(true);
+      expect(subnetTree["3fff::/21"]._note).toBe("Left");
+      expect(document.getElementById("error").textContent).toBe("");
+    });
+  });
+
+  describe("decodeStateHash", () => {
+    it("should turn decoding failures into one readable message", async () => {
+      for (const hash of ["v1%%%", "v2AAAA", "v3AAAA", btoa("{not json")]) {
+        await expect(decodeStateHash(hash)).rejects.toThrow(
+          "Share link is damaged or incomplete",
+        );
+      }
+    });
+  });
+
+  describe("buildSubnetTree", () => {
+    it("should copy only known fields onto fresh nodes", () => {
+      const saved = JSON.parse(
+        `{"3fff::/20":{"_note":"Lab","_evil":"x","__proto__":{"polluted":true}},
+          "constructor":{"_note":"bad"}}`,
+      );
+
+      const tree = buildSubnetTree(saved, "3fff::/20");
+
+      expect(Object.keys(tree)).toEqual(["3fff::/20"]);
+      expect(tree["3fff::/20"]).toEqual({ _note: "Lab", _color: "" });
+      expect(Object.getPrototypeOf(tree["3fff::/20"])).toBe(Object.prototype);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * IPv6 Subnet Planner Tests - Address Lookup
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  findSubnetForAddress,
+  lookupAddressFromInput,
+  setTableFilter,
+  createIntermediateLevel,
+  createIntermediateLevels,
+  getSubnetNode,
+  setHostSplits,
+  splitSubnet,
+} from "../app.js";
+
+describe("Address Lookup", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <input type="checkbox" id="hostSplitToggle" />
+      <input id="searchInput" />
+      <span id="searchStatus"></span>
+      <input id="lookupInput" />
+      <div id="lookupResult"></div>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "2001:db8::",
+      prefix: 48,
+      tree: { "2001:db8::/48": { _note: "Campus", _color: "" } },
+    });
+    createIntermediateLevel("2001:db8::/48", 52);
+    createIntermediateLevel("2001:db8:0:1000::/52", 56);
+    createIntermediateLevel("2001:db8:0:1200::/56", 60);
+    createIntermediateLevel("2001:db8:0:1230::/60", 64);
+    getSubnetNode("2001:db8:0:1000::/52")._note = "Denver DC";
+    getSubnetNode("2001:db8:0:1234::/64")._note = "Web servers";
+  });
+
+  afterEach(() => {
+    setTableFilter("");
+  });
+
+  describe("findSubnetForAddress", () => {
+    it("should return the most specific subnet and its ancestry", () => {
+      const result = findSubnetForAddress(" 2001:DB8:0:1234::80 ");
+
+      expect(result.status).toBe("found");
+      expect(result.address).toBe("2001:db8:0:1234::80");
+      expect(result.cidr).toBe("2001:db8:0:1234::/64");
+      expect(result.path).toEqual([
+        { cidr: "2001:db8::/48", note: "Campus" },
+        { cidr: "2001:db8:0:1000::/52", note: "Denver DC" },
+        { cidr: "2001:db8:0:1200::/56", note: "Campus" },
+        { cidr: "2001:db8:0:1230::/60", note: "Campus" },
+        { cidr: "2001:db8:0:1234::/64", note: "Web servers" },
+      ]);
+    });
+
+    it("should accept bracketed addresses, zones and /128", () => {
+      expect(findSubnetForAddress("[2001:db8:0:1234::1]").cidr).toBe(
+        "2001:db8:0:1234::/64",
+      );
+      expect(findSubnetForAddress("2001:db8:0:1234::1%eth0").cidr).toBe(
+        "2001:db8:0:1234::/64",
+      );
+      expect(findSubnetForAddress("2001:db8:0:1234::1/128").cidr).toBe(
+        "2001:db8:0:1234::/64",
+      );
+    });
+
+    it("should report addresses only covered by an unsplit parent", () => {
+      const result = findSubnetForAddress("2001:db8:0:5000::1");
+
+      expect(result.status).toBe("unsplit");
+      expect(result.cidr).toBe("2001:db8:0:5000::/52");
+    });
+
+    it("should report addresses between the listed subnets of a host split", async () => {
+      await setHostSplits(true);
+      await splitSubnet("2001:db8:0:1234::/64", 127);
+
+      const result = findSubnetForAddress("2001:db8:0:1234:ffff::1");
+
+      expect(result.status).toBe("unlisted");
+      expect(result.cidr).toBe("2001:db8:0:1234::/64");
+    });
+
+    it("should reject addresses outside the root and invalid input", () => {
+      expect(() => findSubnetForAddress("2001:db9::1")).toThrow(
+        "2001:db9::1 is outside the plan root 2001:db8::/48",
+      );
+      expect(() => findSubnetForAddress("denver")).toThrow(
+        "denver is not a valid IPv6 address",
+      );
+      expect(() => findSubnetForAddress("  ")).toThrow(
+        "Please enter an IPv6 address",
+      );
+    });
+  });
+
+  describe("lookupAddressFromInput", () => {
+    it("should list the ancestry and highlight the row", () => {
+      document.getElementById("lookupInput").value = "2001:db8:0:1234::80";
+
+      lookupAddressFromInput();
+
+      const resultDiv = document.getElementById("lookupResult");
+      expect(resultDiv.querySelector("p").textContent).toBe(
+        "2001:db8:0:1234::80 is in 2001:db8:0:1234::/64",
+      );
+      expect(
+        [...resultDiv.querySelectorAll("li")].map((li) => li.textContent),
+      ).toContain("2001:db8:0:1000::/52 — Denver DC");
+      const highlighted = document.querySelectorAll(".lookup-highlight");
+      expect(highlighted.length).toBe(1);
+      expect(highlighted[0].querySelector(".subnet-cell").textContent).toBe(
+        "2001:db8:0:1234::/64",
+      );
+    });
+
+    it("should scroll rows outside the rendered window into view", () => {
+      createIntermediateLevels("2001:db8:0:f000::/52", 60);
+      document.getElementById("lookupInput").value = "2001:db8:0:fff0::1";
+
+      lookupAddressFromInput();
+
+      expect(window.scrollTo).toHaveBeenCalled();
+      const { top } = window.scrollTo.mock.calls[0][0];
+      expect(top).toBeGreaterThan(0);
+    });
+
+    it("should clear a search that hides the matching row", () => {
+      setTableFilter("Web servers");
+      document.getElementById("lookupInput").value = "2001:db8:0:1000::1";
+
+      lookupAddressFromInput();
+
+      expect(document.getElementById("searchInput").value).toBe("");
+      expect(document.querySelector(".lookup-highlight")).not.toBeNull();
+    });
+
+    it("should show errors in the result area", () => {
+      document.getElementById("lookupInput").value = "2001:db9::1";
+
+      expect(lookupAddressFromInput()).toBeNull();
+      expect(document.getElementById("lookupResult").textContent).toBe(
+        "2001:db9::1 is outside the plan root 2001:db8::/48",
+      );
+    });
+  });
+});
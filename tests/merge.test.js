@@ -0,0 +1,243 @@
+/**
+ * IPv6 Subnet Planner Tests - Three-Way Merge
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  previewMergeFromInput,
+  applyMergeFromInput,
+  undo,
+  subnetTree,
+} from "../app.js";
+import {
+  createPlan,
+  encodeStateHash,
+  formatPlanListing,
+  getPlanState,
+  planFromState,
+  joinSubnet,
+  setSubnetNote,
+  splitSubnet,
+  mergePlans,
+} from "../core.js";
+
+/**
+ * Build a base plan and two copies of it to edit
+ * @returns {{base: import("../core.js").Plan, ours: import("../core.js").Plan, theirs: import("../core.js").Plan}} The three versions
+ */
+function branch() {
+  const base = createPlan("3fff::", 20);
+  splitSubnet(base, "3fff::/20", 22);
+  splitSubnet(base, "3fff:c00::/22", 24);
+  setSubnetNote(base, "3fff:400::/22", "Denver");
+
+  const copy = () => planFromState(getPlanState(base));
+  return { base, ours: copy(), theirs: copy() };
+}
+
+describe("Three-Way Merge", () => {
+  describe("mergePlans", () => {
+    it("should combine splits and notes made on either side", () => {
+      const { base, ours, theirs } = branch();
+      splitSubnet(ours, "3fff::/22", 23);
+      setSubnetNote(ours, "3fff:200::/23", "Lab");
+      splitSubnet(theirs, "3fff:800::/22", 23);
+      setSubnetNote(theirs, "3fff:400::/22", "Denver DC");
+      joinSubnet(theirs, "3fff:c00::/22");
+
+      const { plan, conflicts } = mergePlans(base, ours, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(formatPlanListing(plan)).toBe(
+        [
+          "3fff::/20",
+          "  3fff::/22",
+          "    3fff::/23",
+          "    3fff:200::/23  Lab",
+          "  3fff:400::/22  Denver DC",
+          "  3fff:800::/22",
+          "    3fff:800::/23",
+          "    3fff:a00::/23",
+          "  3fff:c00::/22",
+          "",
+        ].join("\n"),
+      );
+      expect(plan.tree["3fff::/22"]["3fff:200::/23"]).toBe(
+        plan.tree["3fff:200::/23"],
+      );
+    });
+
+    it("should keep a note changed on one side of a split both made", () => {
+      const { base, ours, theirs } = branch();
+      setSubnetNote(ours, "3fff:400::/22", "Denver DC");
+      splitSubnet(ours, "3fff:400::/22", 24);
+      splitSubnet(theirs, "3fff:400::/22", 24);
+
+      const { plan, conflicts } = mergePlans(base, ours, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(plan.tree["3fff:500::/24"]._note).toBe("Denver DC");
+    });
+
+    it("should report conflicting notes until a side is chosen", () => {
+      const { base, ours, theirs } = branch();
+      setSubnetNote(ours, "3fff:400::/22", "Denver DC");
+      setSubnetNote(theirs, "3fff:400::/22", "Boulder");
+
+      const merge = mergePlans(base, ours, theirs);
+      expect(merge.plan).toBeNull();
+      expect(merge.conflicts).toEqual([
+        {
+          id: "3fff:400::/22 _note",
+          cidr: "3fff:400::/22",
+          field: "_note",
+          label: "Note",
+          base: "Denver",
+          ours: "Denver DC",
+          theirs: "Boulder",
+          resolution: null,
+        },
+      ]);
+
+      const resolved = mergePlans(base, ours, theirs, {
+        "3fff:400::/22 _note": "theirs",
+      });
+      expect(resolved.conflicts[0].resolution).toBe("theirs");
+      expect(resolved.plan.tree["3fff:400::/22"]._note).toBe("Boulder");
+    });
+
+    it("should not silently drop changes inside a joined subnet", () => {
+      const { base, ours, theirs } = branch();
+      joinSubnet(ours, "3fff:c00::/22");
+      setSubnetNote(theirs, "3fff:d00::/24", "Lab");
+
+      const merge = mergePlans(base, ours, theirs);
+      expect(merge.conflicts).toMatchObject([
+        {
+          id: "3fff:c00::/22",
+          field: null,
+          label: "Split",
+          base: "Split into 4 /24s",
+          ours: "Not split",
+          theirs: "Split into 4 /24s with changes inside",
+        },
+      ]);
+
+      const joined = mergePlans(base, ours, theirs, {
+        "3fff:c00::/22": "ours",
+      }).plan;
+      expect(joined.tree["3fff:d00::/24"]).toBeUndefined();
+
+      const kept = mergePlans(base, ours, theirs, {
+        "3fff:c00::/22": "theirs",
+      }).plan;
+      expect(kept.tree["3fff:d00::/24"]._note).toBe("Lab");
+    });
+
+    it("should report the same subnet split two ways", () => {
+      const { base, ours, theirs } = branch();
+      splitSubnet(ours, "3fff::/22", 23);
+      splitSubnet(theirs, "3fff::/22", 24);
+
+      const merge = mergePlans(base, ours, theirs);
+      expect(merge.conflicts).toMatchObject([
+        {
+          id: "3fff::/22",
+          ours: "Split into 2 /23s",
+          theirs: "Split into 4 /24s",
+        },
+      ]);
+      const plan = mergePlans(base, ours, theirs, {
+        "3fff::/22": "theirs",
+      }).plan;
+      expect(plan.tree["3fff:300::/24"]).toBeDefined();
+      expect(plan.tree["3fff::/23"]).toBeUndefined();
+    });
+
+    it("should refuse plans with different roots", () => {
+      const { base, ours } = branch();
+
+      expect(() =>
+        mergePlans(base, ours, createPlan("2001:db8::", 32)),
+      ).toThrow(
+        "Only plans with the same root can be merged (3fff::/20 and 2001:db8::/32)",
+      );
+    });
+  });
+
+  describe("merge form", () => {
+    let versions;
+
+    beforeEach(async () => {
+      document.body.innerHTML = `
+        <input id="networkInput" />
+        <select id="prefixSelect"><option value="20">/20</option></select>
+        <select id="mergeBaseSource"><option value="link">Share link</option></select>
+        <input id="mergeBaseLink" />
+        <select id="mergeOursSource"><option value="current">Current plan</option></select>
+        <select id="mergeTheirsSource"><option value="link">Share link</option></select>
+        <input id="mergeTheirsLink" />
+        <div id="mergeResult"></div>
+        <div id="error"></div>
+        <table id="subnetTable">
+          <thead><tr><th id="joinHeader"></th></tr></thead>
+          <tbody id="tableBody"></tbody>
+        </table>
+      `;
+      versions = branch();
+      document.getElementById("mergeBaseLink").value = await encodeStateHash(
+        getPlanState(versions.base),
+      );
+    });
+
+    it("should resolve conflicts in the table and write the merge as one undo step", async () => {
+      setSubnetNote(versions.ours, "3fff:400::/22", "Denver DC");
+      splitSubnet(versions.ours, "3fff::/22", 24);
+      setSubnetNote(versions.theirs, "3fff:400::/22", "Boulder");
+      applyState(getPlanState(versions.ours));
+      document.getElementById("mergeTheirsLink").value = await encodeStateHash(
+        getPlanState(versions.theirs),
+      );
+
+      const merge = await previewMergeFromInput();
+      expect(merge.conflicts).toHaveLength(1);
+      const result = document.getElementById("mergeResult");
+      expect(result.querySelector("p").textContent).toBe(
+        "1 of 1 conflicts to resolve. Choose a side for each, then click Apply Merge.",
+      );
+
+      expect(await applyMergeFromInput()).toBe(false);
+      expect(result.querySelector("p").textContent).toBe(
+        "Resolve every conflict before applying the merge",
+      );
+      expect(subnetTree["3fff:400::/22"]._note).toBe("Denver DC");
+
+      const theirsChoice = result.querySelector('input[value="theirs"]');
+      expect(theirsChoice.parentElement.textContent).toBe(" Boulder");
+      theirsChoice.checked = true;
+      theirsChoice.dispatchEvent(new Event("change"));
+      expect(result.querySelector("p").textContent).toBe(
+        "Ready to merge Share link into Current plan: 0 added, 0 removed, 1 changed. Click Apply Merge to replace the current plan.",
+      );
+
+      expect(await applyMergeFromInput()).toBe(true);
+      expect(subnetTree["3fff:400::/22"]._note).toBe("Boulder");
+      expect(subnetTree["3fff:300::/24"]).toBeDefined();
+
+      await undo();
+      expect(subnetTree["3fff:400::/22"]._note).toBe("Denver DC");
+    });
+
+    it("should show why the plans could not be merged", async () => {
+      applyState(getPlanState(versions.ours));
+      expect(await previewMergeFromInput()).toBeNull();
+      expect(document.getElementById("mergeResult").textContent).toBe(
+        "Paste a share link to merge (Theirs)",
+      );
+      expect(await applyMergeFromInput()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * IPv6 Subnet Planner Tests - Subnet Metadata
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  getPlanState,
+  splitSubnet,
+  createIntermediateLevels,
+  getSubnetNode,
+  setSubnetMetadata,
+  generateCSV,
+  saveState,
+  loadState,
+  undo,
+  render,
+  subnetTree,
+} from "../app.js";
+import {
+  parseMetadataValue,
+  formatMetadataValue,
+  validatePlanState,
+  buildPlanFromCSV,
+} from "../core.js";
+
+describe("Subnet Metadata", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Lab", _color: "" } },
+    });
+  });
+
+  describe("parseMetadataValue", () => {
+    it("should parse each field into its stored form", () => {
+      expect(parseMetadataValue("_vlan", " 120 ")).toBe(120);
+      expect(parseMetadataValue("_site", " Denver ")).toBe("Denver");
+      expect(parseMetadataValue("_status", "ALLOCATED")).toBe("allocated");
+      expect(parseMetadataValue("_tags", "dmz, iot,,dmz ")).toEqual([
+        "dmz",
+        "iot",
+      ]);
+    });
+
+    it("should clear a field for empty input", () => {
+      expect(parseMetadataValue("_vlan", "  ")).toBeUndefined();
+      expect(parseMetadataValue("_tags", " , ")).toBeUndefined();
+    });
+
+    it("should reject invalid VLAN IDs and statuses", () => {
+      expect(() => parseMetadataValue("_vlan", "4095")).toThrow(
+        "VLAN must be a whole number from 1 to 4094",
+      );
+      expect(() => parseMetadataValue("_vlan", "1.5")).toThrow(/VLAN/);
+      expect(() => parseMetadataValue("_status", "active")).toThrow(
+        "Status must be one of Reserved, Allocated, Deprecated",
+      );
+    });
+  });
+
+  describe("formatMetadataValue", () => {
+    it("should show statuses by label and tags as a list", () => {
+      expect(formatMetadataValue("_status", "deprecated")).toBe("Deprecated");
+      expect(formatMetadataValue("_tags", ["dmz", "iot"])).toBe("dmz, iot");
+      expect(formatMetadataValue("_vlan", undefined)).toBe("");
+    });
+  });
+
+  describe("setSubnetMetadata", () => {
+    it("should store the value, save it and make it undoable", async () => {
+      expect(await setSubnetMetadata("3fff::/20", "_owner", "NetOps")).toBe(
+        true,
+      );
+      expect(subnetTree["3fff::/20"]._owner).toBe("NetOps");
+
+      await undo();
+      expect(subnetTree["3fff::/20"]._owner).toBeUndefined();
+    });
+
+    it("should remove the field when cleared", async () => {
+      await setSubnetMetadata("3fff::/20", "_vlan", "10");
+      await setSubnetMetadata("3fff::/20", "_vlan", "");
+
+      expect("_vlan" in subnetTree["3fff::/20"]).toBe(false);
+    });
+
+    it("should report invalid input and leave the node unchanged", async () => {
+      await setSubnetMetadata("3fff::/20", "_vlan", "10");
+
+      expect(await setSubnetMetadata("3fff::/20", "_vlan", "9000")).toBe(false);
+      expect(subnetTree["3fff::/20"]._vlan).toBe(10);
+      expect(document.getElementById("error").textContent).toBe(
+        "3fff::/20: VLAN must be a whole number from 1 to 4094",
+      );
+    });
+  });
+
+  describe("inheritance on split", () => {
+    it("should copy metadata to children the same way as notes", async () => {
+      const root = getSubnetNode("3fff::/20");
+      root._vlan = 42;
+      root._status = "reserved";
+      root._tags = ["lab"];
+
+      await splitSubnet("3fff::/20", 28);
+
+      expect(subnetTree["3fff:100::/24"]).toMatchObject({
+        _note: "Lab",
+        _vlan: 42,
+        _status: "reserved",
+        _tags: ["lab"],
+      });
+      expect(subnetTree["3fff:110::/28"]._vlan).toBe(42);
+      // Tags are copied so editing one child does not change its siblings
+      subnetTree["3fff:100::/24"]._tags.push("edited");
+      expect(subnetTree["3fff:200::/24"]._tags).toEqual(["lab"]);
+    });
+  });
+
+  describe("saveState and loadState", () => {
+    it("should round-trip metadata through the URL hash", async () => {
+      await setSubnetMetadata("3fff::/20", "_site", "Denver");
+      await setSubnetMetadata("3fff::/20", "_tags", "core, dmz");
+      await saveState();
+      const expected = getPlanState();
+
+      applyState({
+        network: "3fff::",
+        prefix: 20,
+        tree: { "3fff::/20": { _note: "", _color: "" } },
+      });
+      await loadState();
+
+      expect(getPlanState()).toEqual(expected);
+      expect(subnetTree["3fff::/20"]._tags).toEqual(["core", "dmz"]);
+    });
+  });
+
+  describe("validatePlanState", () => {
+    it("should accept valid metadata and reject wrong values", () => {
+      const tree = {
+        "3fff::/20": { _note: "", _color: "", _vlan: 7, _status: "allocated" },
+      };
+      expect(
+        validatePlanState({ network: "3fff::", prefix: 20, tree }),
+      ).toEqual([]);
+
+      tree["3fff::/20"]._vlan = "7";
+      tree["3fff::/20"]._tags = [];
+      const errors = validatePlanState({ network: "3fff::", prefix: 20, tree });
+      expect(errors).toEqual([
+        "VLAN for 3fff::/20 must be a whole number from 1 to 4094",
+        "Tags for 3fff::/20 must be a list of non-empty strings",
+      ]);
+    });
+  });
+
+  describe("CSV export and import", () => {
+    it("should export metadata columns and read them back", () => {
+      createIntermediateLevels("3fff::/20", 24);
+      Object.assign(getSubnetNode("3fff:100::/24"), {
+        _vlan: 100,
+        _owner: 'Ops "East"',
+        _status: "deprecated",
+        _tags: ["a", "b"],
+      });
+
+      const csv = generateCSV();
+      expect(csv.split("\n")[0]).toBe(
+        "Subnet,Contains,Note,VLAN,Site,Owner,Status,Tags",
+      );
+      expect(csv).toContain(
+        '"  3fff:100::/24","16,777,216 /48s","Lab","100","","Ops ""East""","Deprecated","a, b"',
+      );
+
+      const result = buildPlanFromCSV(csv);
+      expect(result.errors).toEqual([]);
+      expect(result.tree["3fff:100::/24"]).toEqual({
+        _note: "Lab",
+        _color: "",
+        _vlan: 100,
+        _owner: 'Ops "East"',
+        _status: "deprecated",
+        _tags: ["a", "b"],
+      });
+      expect(result.tree["3fff:200::/24"]._vlan).toBeUndefined();
+    });
+
+    it("should report invalid metadata cells and import the row anyway", () => {
+      const result = buildPlanFromCSV(
+        "Subnet,Note,VLAN,Status\n3fff::/20,Root,5000,Active",
+      );
+
+      expect(result.errors.map((e) => e.reason)).toEqual([
+        'VLAN "5000" is not a whole number from 1 to 4094 and was ignored',
+        'Status "Active" is not one of Reserved, Allocated, Deprecated and was ignored',
+      ]);
+      expect(result.tree["3fff::/20"]).toEqual({ _note: "Root", _color: "" });
+    });
+  });
+
+  describe("table editing", () => {
+    it("should show metadata in the row and save edits on change", async () => {
+      getSubnetNode("3fff::/20")._status = "deprecated";
+      render();
+
+      const row = document.querySelector("#tableBody tr");
+      expect(row.dataset.status).toBe("deprecated");
+      expect(row.querySelector('[data-field="_status"]').value).toBe(
+        "Deprecated",
+      );
+
+      const vlanInput = row.querySelector('[data-field="_vlan"]');
+      vlanInput.value = "300";
+      vlanInput.dispatchEvent(new Event("change"));
+      await new Promise((resolve) => setTimeout(resolve));
+
+      expect(subnetTree["3fff::/20"]._vlan).toBe(300);
+    });
+  });
+});
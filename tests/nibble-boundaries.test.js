@@ -5,7 +5,7 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { getNibbleBoundaries } from "../app.js";
+import { getNibbleBoundaries } from "../core.js";
 
 describe("getNibbleBoundaries", () => {
   it("should return [24, 28] for aligned to aligned 20→28", () => {
@@ -0,0 +1,334 @@
+/**
+ * IPv6 Subnet Planner Tests - Plan Library
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from "vitest";
+import {
+  applyState,
+  saveState,
+  serializePlan,
+  undo,
+  getSubnetNode,
+  listLibraryPlans,
+  saveLibraryPlan,
+  openLibraryPlan,
+  duplicateLibraryPlan,
+  deleteLibraryPlan,
+  getCopyName,
+  saveCurrentPlan,
+  deleteSelectedPlan,
+  toggleLinkEncryption,
+  subnetTree,
+} from "../app.js";
+
+/**
+ * Minimal in-memory stand-in for the parts of IndexedDB the plan library uses
+ * (jsdom does not implement IndexedDB). Requests complete asynchronously like
+ * the real API and records are structured-cloned on the way in and out
+ * @returns {{records: Map<number, Object>, pending: number, open: function(): Object}} Fake indexedDB
+ */
+function createFakeIndexedDB() {
+  const records = new Map();
+  const fake = { records, pending: 0 };
+  let nextId = 1;
+
+  const request = (run) => {
+    const req = {};
+    fake.pending++;
+    setTimeout(() => {
+      try {
+        req.result = run();
+        req.onsuccess?.();
+      } catch (e) {
+        req.error = e;
+        req.onerror?.();
+      } finally {
+        fake.pending--;
+      }
+    });
+    return req;
+  };
+
+  const store = {
+    get: (id) => request(() => structuredClone(records.get(id))),
+    getAll: () =>
+      request(() => [...records.values()].map((r) => structuredClone(r))),
+    put: (record) =>
+      request(() => {
+        const id = record.id ?? nextId++;
+        records.set(id, { ...structuredClone(record), id });
+        return id;
+      }),
+    add: (record) => store.put(record),
+    delete: (id) => request(() => records.delete(id) && undefined),
+  };
+
+  const db = {
+    createObjectStore: () => store,
+    transaction: () => ({ objectStore: () => store }),
+  };
+
+  fake.open = () => {
+    const req = { result: db };
+    setTimeout(() => {
+      req.onupgradeneeded?.();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+  return fake;
+}
+
+const fakeIndexedDB = createFakeIndexedDB();
+
+/**
+ * Wait for pending fake IndexedDB requests (such as autosaves) to finish
+ * @returns {Promise<void>}
+ */
+async function flushRequests() {
+  do {
+    await new Promise((resolve) => setTimeout(resolve));
+  } while (fakeIndexedDB.pending > 0);
+}
+
+describe("Plan Library", () => {
+  beforeAll(() => {
+    globalThis.indexedDB = fakeIndexedDB;
+  });
+
+  beforeEach(async () => {
+    await flushRequests();
+    fakeIndexedDB.records.clear();
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <select id="planLibrarySelect"></select>
+      <input id="planNameInput" />
+      <div id="error"></div>
+      <table><tbody id="tableBody"></tbody></table>
+    `;
+    // Start each test with a plan that is not in the library
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Lab", _color: "" } },
+    });
+    sessionStorage.clear();
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    // Every save writes an encrypted hash while encryption is on, so turn it off
+    if (window.location.hash.startsWith("#e1")) {
+      vi.spyOn(window, "confirm").mockReturnValue(true);
+      await toggleLinkEncryption();
+      vi.restoreAllMocks();
+    }
+  });
+
+  describe("saveLibraryPlan", () => {
+    it("should store the current plan under a name", async () => {
+      const id = await saveLibraryPlan("  Campus  ");
+
+      const [record] = await listLibraryPlans();
+      expect(record.id).toBe(id);
+      expect(record.name).toBe("Campus");
+      expect(record.plan).toBe(serializePlan());
+      expect(record.created).toBe(record.updated);
+    });
+
+    it("should update and rename the open plan instead of adding another", async () => {
+      const id = await saveLibraryPlan("Campus");
+      getSubnetNode("3fff::/20")._note = "Changed";
+
+      expect(await saveLibraryPlan("Campus 2025")).toBe(id);
+
+      const plans = await listLibraryPlans();
+      expect(plans.length).toBe(1);
+      expect(plans[0].name).toBe("Campus 2025");
+      expect(JSON.parse(plans[0].plan).tree["3fff::/20"]._note).toBe("Changed");
+    });
+
+    it("should require a name", async () => {
+      await expect(saveLibraryPlan("   ")).rejects.toThrow(/enter a name/);
+    });
+
+    it("should keep the open plan up to date on every saveState", async () => {
+      const id = await saveLibraryPlan("Campus");
+
+      getSubnetNode("3fff::/20")._note = "Autosaved";
+      await saveState();
+      await flushRequests();
+
+      const record = fakeIndexedDB.records.get(id);
+      expect(JSON.parse(record.plan).tree["3fff::/20"]._note).toBe("Autosaved");
+    });
+
+    it("should stop updating the open plan while the link is encrypted", async () => {
+      const id = await saveLibraryPlan("Campus");
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+      await toggleLinkEncryption();
+
+      getSubnetNode("3fff::/20")._note = "Secret";
+      await saveState();
+      await flushRequests();
+
+      expect(window.location.hash).toMatch(/^#e1/);
+      expect(fakeIndexedDB.records.get(id).plan).not.toContain("Secret");
+    });
+
+    it("should refuse to save while the link is encrypted", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+      await toggleLinkEncryption();
+
+      await expect(saveLibraryPlan("Campus")).rejects.toThrow(
+        "The plan library is not encrypted. Remove the link encryption to save this plan",
+      );
+      expect(fakeIndexedDB.records.size).toBe(0);
+    });
+  });
+
+  describe("listLibraryPlans", () => {
+    it("should sort plans by name", async () => {
+      fakeIndexedDB.records.set(1, { id: 1, name: "Zeta", plan: "{}" });
+      fakeIndexedDB.records.set(2, { id: 2, name: "Alpha", plan: "{}" });
+
+      expect((await listLibraryPlans()).map((p) => p.name)).toEqual([
+        "Alpha",
+        "Zeta",
+      ]);
+    });
+  });
+
+  describe("openLibraryPlan", () => {
+    it("should replace the current plan and keep the old one undoable", async () => {
+      fakeIndexedDB.records.set(41, {
+        id: 41,
+        name: "Docs",
+        plan: JSON.stringify({
+          network: "2001:db8::",
+          prefix: 32,
+          tree: { "2001:db8::/32": { _note: "Documentation", _color: "" } },
+        }),
+        created: "2025-01-01T00:00:00.000Z",
+        updated: "2025-01-01T00:00:00.000Z",
+      });
+
+      await openLibraryPlan(41);
+      expect(subnetTree["2001:db8::/32"]._note).toBe("Documentation");
+
+      await undo();
+      expect(subnetTree["3fff::/20"]._note).toBe("Lab");
+    });
+
+    it("should refuse a damaged record and leave the plan alone", async () => {
+      fakeIndexedDB.records.set(7, {
+        id: 7,
+        name: "Broken",
+        plan: JSON.stringify({ network: "3fff::", prefix: 99, tree: {} }),
+      });
+
+      await expect(openLibraryPlan(7)).rejects.toThrow(
+        /Saved plan "Broken" is damaged/,
+      );
+      expect(subnetTree["3fff::/20"]._note).toBe("Lab");
+    });
+  });
+
+  describe("duplicateLibraryPlan", () => {
+    it("should copy a plan under an unused name", async () => {
+      const id = await saveLibraryPlan("Campus");
+
+      await duplicateLibraryPlan(id);
+      await duplicateLibraryPlan(id);
+
+      const plans = await listLibraryPlans();
+      expect(plans.map((p) => p.name)).toEqual([
+        "Campus",
+        "Campus (copy 2)",
+        "Campus (copy)",
+      ]);
+      expect(plans[1].plan).toBe(plans[0].plan);
+    });
+  });
+
+  describe("getCopyName", () => {
+    it("should number copies when the plain copy name is taken", () => {
+      expect(getCopyName("A", ["A"])).toBe("A (copy)");
+      expect(getCopyName("A", ["A", "A (copy)", "A (copy 2)"])).toBe(
+        "A (copy 3)",
+      );
+    });
+  });
+
+  describe("deleteLibraryPlan", () => {
+    it("should remove the plan and stop saving the open plan to it", async () => {
+      const id = await saveLibraryPlan("Campus");
+
+      await deleteLibraryPlan(id);
+      getSubnetNode("3fff::/20")._note = "After delete";
+      await saveState();
+      await flushRequests();
+
+      expect(await listLibraryPlans()).toEqual([]);
+    });
+  });
+
+  describe("toolbar actions", () => {
+    it("should save from the name input and select the plan", async () => {
+      document.getElementById("planNameInput").value = "Branch";
+
+      expect(await saveCurrentPlan()).toBe(true);
+
+      const select = document.getElementById("planLibrarySelect");
+      expect(select.options[select.selectedIndex].textContent).toBe("Branch");
+    });
+
+    it("should show errors in the error area", async () => {
+      expect(await saveCurrentPlan()).toBe(false);
+      expect(document.getElementById("error").textContent).toBe(
+        "Please enter a name for the plan",
+      );
+    });
+
+    it("should not save an encrypted plan from the name input", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("hunter2");
+      await toggleLinkEncryption();
+      document.getElementById("planNameInput").value = "Branch";
+
+      expect(await saveCurrentPlan()).toBe(false);
+      expect(document.getElementById("error").textContent).toBe(
+        "The plan library is not encrypted. Remove the link encryption to save this plan",
+      );
+      expect(await listLibraryPlans()).toEqual([]);
+    });
+
+    it("should only delete after confirmation", async () => {
+      document.getElementById("planNameInput").value = "Branch";
+      await saveCurrentPlan();
+      const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(false);
+
+      await deleteSelectedPlan();
+      expect((await listLibraryPlans()).length).toBe(1);
+
+      confirmSpy.mockReturnValue(true);
+      await deleteSelectedPlan();
+      expect((await listLibraryPlans()).length).toBe(0);
+      expect(confirmSpy).toHaveBeenCalledWith(
+        'Delete the saved plan "Branch"? This cannot be undone.',
+      );
+      confirmSpy.mockRestore();
+    });
+  });
+});
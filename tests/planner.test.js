@@ -0,0 +1,209 @@
+/**
+ * IPv6 Subnet Planner Tests - Requirements Auto-Planner
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  applyRequirementsPlan,
+  previewRequirementsFromInput,
+  applyRequirementsFromInput,
+  splitSubnet,
+  undo,
+  subnetTree,
+} from "../app.js";
+import { parseRequirements, planRequirements } from "../core.js";
+
+describe("Requirements Auto-Planner", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="32">/32</option></select>
+      <textarea id="plannerInput"></textarea>
+      <div id="plannerResult"></div>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "2001:db8::",
+      prefix: 32,
+      tree: { "2001:db8::/32": { _note: "", _color: "" } },
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("parseRequirements", () => {
+    it("should parse each line and default the growth factor to 1", () => {
+      expect(
+        parseRequirements('Sites, 37, 200, 1.5\n\n"Labs, East", 4, 16'),
+      ).toEqual([
+        { name: "Sites", count: 37, perItem: 200, growth: 1.5 },
+        { name: "Labs, East", count: 4, perItem: 16, growth: 1 },
+      ]);
+    });
+
+    it("should name the line of an invalid requirement", () => {
+      expect(() => parseRequirements("Sites, 37, 200\nLabs, 0, 4")).toThrow(
+        "Line 2: count must be a whole number of at least 1",
+      );
+      expect(() => parseRequirements("Sites, 37, 200, 0.5")).toThrow(
+        "Line 1: growth factor must be a number of at least 1",
+      );
+      expect(() => parseRequirements("Sites, 37")).toThrow(/Line 1: expected/);
+      expect(() => parseRequirements(" \n")).toThrow(
+        "Enter at least one requirement",
+      );
+    });
+  });
+
+  describe("planRequirements", () => {
+    it("should round items and blocks out to nibble boundaries", () => {
+      const plan = planRequirements("2001:db8::/32", [
+        { name: "Sites", count: 37, perItem: 200, growth: 1 },
+      ]);
+
+      expect(plan.nibbleAligned).toBe(true);
+      expect(plan.blocks[0]).toMatchObject({
+        cidr: "2001:db8::/48",
+        itemPrefix: 56,
+        itemCapacity: 256,
+        subnetCapacity: 256,
+      });
+      expect(plan.blocks[0].utilization).toBeCloseTo(7400 / 65536);
+      expect(plan.utilization).toBe(1 / 65536);
+    });
+
+    it("should apply the growth factor to items and subnets", () => {
+      const [block] = planRequirements("2001:db8::/32", [
+        { name: "Sites", count: 37, perItem: 200, growth: 2 },
+      ]).blocks;
+
+      expect(block.itemPrefix).toBe(52);
+      expect(block.prefix).toBe(44);
+    });
+
+    it("should place the largest blocks first and keep input order", () => {
+      const plan = planRequirements("2001:db8::/32", [
+        { name: "Labs", count: 2, perItem: 10, growth: 1 },
+        { name: "Sites", count: 20, perItem: 200, growth: 1 },
+      ]);
+
+      expect(plan.blocks.map((b) => [b.name, b.cidr])).toEqual([
+        ["Labs", "2001:db8:1::/56"],
+        ["Sites", "2001:db8::/48"],
+      ]);
+    });
+
+    it("should fall back to exact sizes when nibble-aligned blocks do not fit", () => {
+      const plan = planRequirements("2001:db8::/48", [
+        { name: "Floors", count: 20, perItem: 1000, growth: 1 },
+      ]);
+
+      expect(plan.nibbleAligned).toBe(false);
+      expect(plan.blocks[0]).toMatchObject({
+        cidr: "2001:db8::/49",
+        itemPrefix: 54,
+      });
+    });
+
+    it("should reject requirements larger than the root", () => {
+      expect(() =>
+        planRequirements("2001:db8::/48", [
+          { name: "Sites", count: 300, perItem: 256, growth: 1 },
+        ]),
+      ).toThrow(
+        "The requirements need 131,072 /64s but 2001:db8::/48 only has 65,536",
+      );
+    });
+
+    it("should reject a root longer than /64", () => {
+      expect(() =>
+        planRequirements("3fff::/112", [
+          { name: "a", count: 2, perItem: 1, growth: 1 },
+        ]),
+      ).toThrow(
+        "The planner lays out /64 subnets; the root must be /64 or shorter",
+      );
+      expect(
+        planRequirements("3fff::/64", [
+          { name: "a", count: 1, perItem: 1, growth: 1 },
+        ]).blocks[0].cidr,
+      ).toBe("3fff::/64");
+    });
+  });
+
+  describe("applyRequirementsPlan", () => {
+    it("should build the blocks and number the items as one undo step", async () => {
+      await splitSubnet("2001:db8::/32", 36);
+      subnetTree["2001:db8:1000::/36"]._note = "Old";
+      const plan = planRequirements("2001:db8::/32", [
+        { name: "Sites", count: 37, perItem: 200, growth: 1 },
+      ]);
+
+      await applyRequirementsPlan(plan);
+
+      expect(subnetTree["2001:db8::/48"]._note).toBe("Sites");
+      expect(subnetTree["2001:db8::/56"]._note).toBe("Sites 1");
+      expect(subnetTree["2001:db8:0:2400::/56"]._note).toBe("Sites 37");
+      expect(subnetTree["2001:db8:0:2500::/56"]._note).toBe("Sites");
+      expect(subnetTree["2001:db8:1000::/36"]._note).toBe("");
+
+      await undo();
+      expect(subnetTree["2001:db8:1000::/36"]._note).toBe("Old");
+      expect(subnetTree["2001:db8::/48"]).toBeUndefined();
+    });
+  });
+
+  describe("preview and apply from the input", () => {
+    it("should show utilization and headroom for each block", () => {
+      document.getElementById("plannerInput").value = "Sites, 37, 200";
+
+      previewRequirementsFromInput();
+
+      const resultDiv = document.getElementById("plannerResult");
+      const cells = [...resultDiv.querySelectorAll("tbody td")].map(
+        (td) => td.textContent,
+      );
+      expect(cells).toEqual([
+        "Sites",
+        "2001:db8::/48",
+        "37 of 256 /56s (219 spare)",
+        "200 of 256 /64s (56 spare)",
+        "11.3%",
+      ]);
+      expect(resultDiv.querySelector("p").textContent).toContain(
+        "Every block and item is on a nibble boundary",
+      );
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/32"]);
+    });
+
+    it("should ask before replacing existing subnets", async () => {
+      await splitSubnet("2001:db8::/32", 36);
+      const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(false);
+      document.getElementById("plannerInput").value = "Sites, 37, 200";
+
+      expect(await applyRequirementsFromInput()).toBe(false);
+      expect(confirmSpy).toHaveBeenCalledWith(
+        "Replace the subnets under 2001:db8::/32 with the proposed plan? This can be undone.",
+      );
+      expect(subnetTree["2001:db8::/48"]).toBeUndefined();
+    });
+
+    it("should show errors in the result area", async () => {
+      document.getElementById("plannerInput").value = "Sites, many, 200";
+
+      expect(await applyRequirementsFromInput()).toBe(false);
+      expect(document.getElementById("plannerResult").textContent).toBe(
+        "Line 1: count must be a whole number of at least 1",
+      );
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * IPv6 Subnet Planner Tests - Virtualized Rendering
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  applyState,
+  render,
+  renderVisibleRows,
+  collectTableRows,
+  createIntermediateLevel,
+  createIntermediateLevels,
+  getSubnetNode,
+} from "../app.js";
+
+/**
+ * Get the subnet text of every data row currently in the DOM
+ * @returns {string[]} Rendered CIDRs in order
+ */
+function renderedCidrs() {
+  return [...document.querySelectorAll(".subnet-cell")].map(
+    (td) => td.textContent,
+  );
+}
+
+/**
+ * Pretend the table body has been scrolled so its top is above the viewport
+ * @param {number} top - Top of the table body relative to the viewport in pixels
+ * @returns {void}
+ */
+function scrollTableTo(top) {
+  document.getElementById("tableBody").getBoundingClientRect = () => ({
+    top,
+    height: 0,
+  });
+}
+
+describe("Virtualized Rendering", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
+  });
+
+  describe("collectTableRows", () => {
+    it("should record parents and descendant ranges in display order", () => {
+      createIntermediateLevels("3fff::/20", 28);
+
+      const rows = collectTableRows("3fff::/20");
+
+      expect(rows.length).toBe(273);
+      expect(rows[0]).toMatchObject({
+        cidr: "3fff::/20",
+        parent: -1,
+        end: 273,
+      });
+      expect(rows[1]).toMatchObject({ cidr: "3fff::/24", parent: 0, end: 18 });
+      expect(rows[2]).toMatchObject({ cidr: "3fff::/28", parent: 1, end: 3 });
+      expect(rows[18].cidr).toBe("3fff:100::/24");
+    });
+  });
+
+  describe("render", () => {
+    it("should only put rows near the viewport in the DOM", () => {
+      createIntermediateLevels("3fff::/20", 30);
+      render();
+
+      const tbody = document.getElementById("tableBody");
+      const cidrs = renderedCidrs();
+
+      expect(tbody.dataset.rowCount).toBe("1297");
+      expect(cidrs.length).toBeGreaterThan(0);
+      expect(cidrs.length).toBeLessThan(100);
+      expect(cidrs[0]).toBe("3fff::/20");
+      expect(tbody.lastElementChild.className).toBe("spacer-row");
+      expect(
+        document.getElementById("subnetTable").getAttribute("aria-rowcount"),
+      ).toBe("1298");
+    });
+
+    it("should start the table with a data row when scrolled to the top", () => {
+      createIntermediateLevels("3fff::/20", 30);
+      render();
+
+      const first = document.getElementById("tableBody").firstElementChild;
+      expect(first.getAttribute("aria-rowindex")).toBe("2");
+    });
+
+    it("should span Join cells over each parent's children", () => {
+      createIntermediateLevel("3fff::/20", 24);
+      createIntermediateLevel("3fff::/24", 28);
+      render();
+
+      const rows = document.querySelectorAll("#tableBody tr");
+      const joins = (tr) =>
+        [...tr.querySelectorAll(".join-cell")].map((td) => [
+          td.textContent,
+          td.rowSpan,
+        ]);
+
+      // The /20 span covers 16 /24s and 16 /28s, the /24 span its 16 /28s
+      expect(joins(rows[1])).toEqual([["/20", 32]]);
+      expect(joins(rows[2])).toEqual([["/24", 16]]);
+      // Rows covered by a span get no Join cell of their own
+      expect(rows[3].querySelectorAll(".join-cell").length).toBe(0);
+    });
+
+    it("should clip Join spans to the rendered window", () => {
+      createIntermediateLevels("3fff::/20", 30);
+      scrollTableTo(-41 * 500);
+      render();
+
+      const tbody = document.getElementById("tableBody");
+      const firstDataRow = tbody.querySelector("tr[aria-rowindex]");
+      const start = parseInt(firstDataRow.getAttribute("aria-rowindex")) - 2;
+      const rendered = tbody.querySelectorAll("tr[aria-rowindex]").length;
+
+      expect(tbody.firstElementChild.className).toBe("spacer-row");
+      expect(start).toBe(480);
+      // The first rendered row carries a span for every ancestor
+      const rootJoin = [...firstDataRow.querySelectorAll(".join-cell")].pop();
+      expect(rootJoin.textContent).toBe("/20");
+      expect(rootJoin.rowSpan).toBe(rendered);
+    });
+
+    it("should reuse row elements that did not change", () => {
+      createIntermediateLevel("3fff::/20", 24);
+      render();
+      const before = document.querySelectorAll("#tableBody tr");
+
+      getSubnetNode("3fff:200::/24")._color = "#E5F3FF";
+      getSubnetNode("3fff:100::/24")._note = "Updated";
+      render();
+      const after = document.querySelectorAll("#tableBody tr");
+
+      expect(after[1]).toBe(before[1]);
+      expect(after[2]).toBe(before[2]);
+      expect(after[2].querySelector(".note-input").value).toBe("Updated");
+      expect(after[3]).not.toBe(before[3]);
+      expect(after[3].classList.contains("colored")).toBe(true);
+    });
+
+    it("should render nothing new when the window has not moved", () => {
+      createIntermediateLevel("3fff::/20", 24);
+      render();
+      const row = document.querySelector("#tableBody tr");
+      row.dataset.marker = "kept";
+
+      renderVisibleRows();
+
+      expect(document.querySelector("#tableBody tr").dataset.marker).toBe(
+        "kept",
+      );
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * IPv6 Subnet Planner Tests - Reverse DNS Zones
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  exportReverseZonesFromInput,
+  setRowSelected,
+} from "../app.js";
+import {
+  createPlan,
+  getPlanState,
+  setSubnetNote,
+  splitSubnet,
+  getReverseZones,
+  generateReverseZones,
+} from "../core.js";
+
+/**
+ * Build a plan with a non-nibble /21 that is split and annotated
+ * @returns {import("../core.js").Plan} Plan rooted at 3fff::/20
+ */
+function buildPlan() {
+  const plan = createPlan("3fff::", 20);
+  splitSubnet(plan, "3fff::/20", 21);
+  setSubnetNote(plan, "3fff:800::/21", "Denver");
+  splitSubnet(plan, "3fff:800::/21", 22);
+  setSubnetNote(plan, "3fff:c00::/22", "Lab");
+  splitSubnet(plan, "3fff:c00::/22", 24);
+  setSubnetNote(plan, "3fff:d00::/24", "Servers");
+  return plan;
+}
+
+/**
+ * Read the text of a Blob in jsdom
+ * @param {Blob} blob - Downloaded content
+ * @returns {Promise<string>} Blob text
+ */
+function readBlob(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+describe("Reverse DNS Zones", () => {
+  describe("getReverseZones", () => {
+    it("should name the zone of a nibble-aligned subnet", () => {
+      expect(getReverseZones("3fff::/20")).toEqual([
+        { cidr: "3fff::/20", origin: "0.f.f.f.3.ip6.arpa." },
+      ]);
+      expect(getReverseZones("2001:db8:abcd:12::/64")).toEqual([
+        {
+          cidr: "2001:db8:abcd:12::/64",
+          origin: "2.1.0.0.d.c.b.a.8.b.d.0.1.0.0.2.ip6.arpa.",
+        },
+      ]);
+    });
+
+    it("should expand other prefixes into the covering nibble zones", () => {
+      const zones = getReverseZones("3fff:800::/21");
+      expect(zones).toHaveLength(8);
+      expect(zones[0]).toEqual({
+        cidr: "3fff:800::/24",
+        origin: "8.0.f.f.f.3.ip6.arpa.",
+      });
+      expect(zones[7].origin).toBe("f.0.f.f.f.3.ip6.arpa.");
+
+      expect(
+        getReverseZones("2001:db8:4000::/34").map((zone) => zone.origin),
+      ).toEqual([
+        "4.8.b.d.0.1.0.0.2.ip6.arpa.",
+        "5.8.b.d.0.1.0.0.2.ip6.arpa.",
+        "6.8.b.d.0.1.0.0.2.ip6.arpa.",
+        "7.8.b.d.0.1.0.0.2.ip6.arpa.",
+      ]);
+      expect(getReverseZones("2001:db8::/127")).toHaveLength(2);
+    });
+  });
+
+  describe("generateReverseZones", () => {
+    it("should write a BIND skeleton with the notes as comments", () => {
+      const text = generateReverseZones(buildPlan(), ["3fff::/20"]);
+
+      expect(text).toBe(
+        [
+          "; Reverse DNS zones for 3fff::/20 from IPv6 Subnet Planner",
+          '; Save each zone (from its "; Zone" line) as its own file and replace the',
+          "; example.com SOA and NS placeholders before loading it",
+          ";",
+          "; named.conf:",
+          '; zone "0.f.f.f.3.ip6.arpa" { type master; file "0.f.f.f.3.ip6.arpa.zone"; };',
+          "",
+          "; Zone 0.f.f.f.3.ip6.arpa. for 3fff::/20",
+          "$ORIGIN 0.f.f.f.3.ip6.arpa.",
+          "$TTL 3600",
+          "@\tIN\tSOA\tns1.example.com. hostmaster.example.com. (",
+          "\t\t\t1\t\t; serial",
+          "\t\t\t3600\t\t; refresh",
+          "\t\t\t900\t\t; retry",
+          "\t\t\t1209600\t\t; expire",
+          "\t\t\t3600 )\t\t; negative caching TTL",
+          "@\tIN\tNS\tns1.example.com.",
+          "@\tIN\tNS\tns2.example.com.",
+          "",
+          "; Planned subnets",
+          ";   3fff:800::/21  Denver",
+          ";     3fff:c00::/22  Lab",
+          ";       3fff:d00::/24  Servers",
+          "",
+        ].join("\n"),
+      );
+    });
+
+    it("should note which part of a non-nibble subnet each zone covers", () => {
+      const text = generateReverseZones(buildPlan(), [
+        "3fff:800::/21",
+        "3fff:c00::/22",
+      ]);
+      const zones = text
+        .split("\n")
+        .filter((line) => line.startsWith("; Zone"));
+
+      expect(zones).toHaveLength(8);
+      expect(zones[0]).toBe(
+        "; Zone 8.0.f.f.f.3.ip6.arpa. for 3fff:800::/24 (1 of 8 covering 3fff:800::/21)  Denver",
+      );
+      expect(zones[4]).toBe(
+        "; Zone c.0.f.f.f.3.ip6.arpa. for 3fff:c00::/24 (5 of 8 covering 3fff:800::/21)  Lab",
+      );
+      expect(zones[5]).toBe(
+        "; Zone d.0.f.f.f.3.ip6.arpa. for 3fff:d00::/24 (6 of 8 covering 3fff:800::/21)  Servers",
+      );
+      expect(text.match(/^\$ORIGIN /gm)).toHaveLength(8);
+    });
+
+    it("should keep notes with line breaks inside the comments", () => {
+      const plan = buildPlan();
+      setSubnetNote(plan, "3fff:800::/21", "Denver\n@ IN NS evil.example.");
+      setSubnetNote(plan, "3fff:d00::/24", "Servers\r\n$ORIGIN evil.\tx");
+
+      const text = generateReverseZones(plan, ["3fff::/20", "3fff:d00::/24"]);
+      const noteLines = text
+        .split("\n")
+        .filter((line) => line.includes("evil"));
+
+      expect(noteLines).toEqual([
+        ";   3fff:800::/21  Denver @ IN NS evil.example.",
+        ";       3fff:d00::/24  Servers $ORIGIN evil. x",
+        "; Zone d.0.f.f.f.3.ip6.arpa. for 3fff:d00::/24  Servers $ORIGIN evil. x",
+      ]);
+      expect(text).not.toMatch(/^[^;\n].*evil/m);
+    });
+
+    it("should reject subnets that are not planned", () => {
+      const plan = buildPlan();
+
+      expect(() => generateReverseZones(plan, ["3fff:100::/24"])).toThrow(
+        "3fff:100::/24 is not in the plan",
+      );
+      expect(() => generateReverseZones(plan, ["3fff::/200"])).toThrow(
+        "3fff::/200 is not a valid IPv6 CIDR",
+      );
+    });
+  });
+
+  describe("exportReverseZonesFromInput", () => {
+    let blobs;
+    let downloads;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <input id="networkInput" />
+        <select id="prefixSelect"><option value="20">/20</option></select>
+        <input id="reverseZoneInput" />
+        <div id="error"></div>
+      `;
+      applyState(getPlanState(buildPlan()));
+
+      blobs = [];
+      downloads = [];
+      URL.createObjectURL = vi.fn((blob) => {
+        blobs.push(blob);
+        return "blob:zones";
+      });
+      vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(
+        function () {
+          downloads.push(this.getAttribute("download"));
+        },
+      );
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      delete URL.createObjectURL;
+    });
+
+    it("should download the zones of the typed subnets", async () => {
+      document.getElementById("reverseZoneInput").value =
+        "3fff:d00::/24, 3fff:c00::/22";
+
+      expect(exportReverseZonesFromInput()).toBe(true);
+
+      expect(downloads).toEqual(["ipv6-reverse-zones-3fff::-20.txt"]);
+      const text = await readBlob(blobs[0]);
+      expect(text).toContain("$ORIGIN c.0.f.f.f.3.ip6.arpa.");
+      expect(text.match(/^\$ORIGIN d\.0\.f\.f\.f\.3/gm)).toHaveLength(1);
+    });
+
+    it("should use the ticked rows when the box is empty", async () => {
+      setRowSelected("3fff:d00::/24", true);
+
+      expect(exportReverseZonesFromInput()).toBe(true);
+      expect(await readBlob(blobs[0])).toContain(
+        "; Zone d.0.f.f.f.3.ip6.arpa. for 3fff:d00::/24  Servers",
+      );
+      setRowSelected("3fff:d00::/24", false);
+    });
+
+    it("should explain what to enter", () => {
+      expect(exportReverseZonesFromInput()).toBe(false);
+      expect(document.getElementById("error").textContent).toBe(
+        "Enter subnets or tick rows to export reverse zones",
+      );
+      expect(downloads).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * IPv6 Subnet Planner Tests - Search and Filter
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  applyState,
+  collectTableRows,
+  parseTableFilter,
+  filterTableRows,
+  setTableFilter,
+  clearTableFilter,
+  createIntermediateLevel,
+  getSubnetNode,
+} from "../app.js";
+
+/**
+ * Get the CIDRs of the rows left by a search
+ * @param {string} query - Search text
+ * @returns {string[]} CIDRs in display order
+ */
+function search(query) {
+  return filterTableRows(
+    collectTableRows("3fff::/20"),
+    parseTableFilter(query),
+  ).rows.map((row) => row.cidr);
+}
+
+describe("Search and Filter", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <input id="searchInput" />
+      <span id="searchStatus"></span>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "", _color: "" } },
+    });
+    createIntermediateLevel("3fff::/20", 24);
+    createIntermediateLevel("3fff:100::/24", 28);
+    getSubnetNode("3fff:120::/28")._note = "Denver DC";
+    getSubnetNode("3fff:300::/24")._color = "#E5F3FF";
+  });
+
+  afterEach(() => {
+    clearTableFilter();
+  });
+
+  describe("parseTableFilter", () => {
+    it("should return null for an empty search", () => {
+      expect(parseTableFilter("   ")).toBeNull();
+    });
+
+    it("should match note text case-insensitively and keep ancestors", () => {
+      expect(search("denver")).toEqual([
+        "3fff::/20",
+        "3fff:100::/24",
+        "3fff:120::/28",
+      ]);
+    });
+
+    it("should match colors", () => {
+      expect(search("#e5f3ff")).toEqual(["3fff::/20", "3fff:300::/24"]);
+    });
+
+    it("should match a CIDR and everything inside it", () => {
+      const cidrs = search("3fff:100::/24");
+      expect(cidrs.length).toBe(18);
+      expect(cidrs.slice(0, 3)).toEqual([
+        "3fff::/20",
+        "3fff:100::/24",
+        "3fff:100::/28",
+      ]);
+    });
+
+    it("should match every subnet containing an address", () => {
+      expect(search("3fff:123:4567::1")).toEqual([
+        "3fff::/20",
+        "3fff:100::/24",
+        "3fff:120::/28",
+      ]);
+    });
+
+    it("should match partial CIDR text", () => {
+      expect(search("3fff:12")).toEqual([
+        "3fff::/20",
+        "3fff:100::/24",
+        "3fff:120::/28",
+      ]);
+    });
+
+    it("should search metadata values", () => {
+      getSubnetNode("3fff:f00::/24")._tags = ["guest-wifi"];
+      expect(search("wifi")).toEqual(["3fff::/20", "3fff:f00::/24"]);
+    });
+  });
+
+  describe("filterTableRows", () => {
+    it("should re-link parents and descendant ranges", () => {
+      const { rows, matchCount } = filterTableRows(
+        collectTableRows("3fff::/20"),
+        parseTableFilter("denver"),
+      );
+
+      expect(matchCount).toBe(1);
+      expect(rows.map((r) => [r.parent, r.end, r.context])).toEqual([
+        [-1, 3, true],
+        [0, 3, true],
+        [1, 3, false],
+      ]);
+    });
+  });
+
+  describe("setTableFilter", () => {
+    it("should render only the filtered rows and report the match count", () => {
+      setTableFilter("denver");
+
+      const tbody = document.getElementById("tableBody");
+      expect(tbody.dataset.rowCount).toBe("3");
+      expect(
+        [...tbody.querySelectorAll("tr")].map((tr) =>
+          tr.classList.contains("search-context"),
+        ),
+      ).toEqual([true, true, false]);
+      expect(document.getElementById("searchStatus").textContent).toBe(
+        "1 of 33 subnets match",
+      );
+    });
+
+    it("should say when nothing matches", () => {
+      setTableFilter("nowhere");
+
+      expect(document.getElementById("tableBody").textContent).toContain(
+        "No subnets match the search",
+      );
+    });
+
+    it("should show every row again when cleared", () => {
+      setTableFilter("denver");
+      clearTableFilter();
+
+      expect(document.getElementById("tableBody").dataset.rowCount).toBe("33");
+      expect(document.getElementById("searchStatus").textContent).toBe("");
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * IPv6 Subnet Planner Tests - Split by Count
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  applyState,
+  splitByCount,
+  promptSplitByCount,
+  render,
+  undo,
+  subnetTree,
+} from "../app.js";
+import { parseSplitCount, getSplitForCount } from "../core.js";
+
+describe("Split by Count", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="32">/32</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    applyState({
+      network: "2001:db8::",
+      prefix: 32,
+      tree: { "2001:db8::/32": { _note: "Global", _color: "" } },
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("parseSplitCount", () => {
+    it("should accept a number, a list of names or both", () => {
+      expect(parseSplitCount(" 12 ")).toEqual({ count: 12, names: [] });
+      expect(parseSplitCount("Denver, Austin, Boise")).toEqual({
+        count: 3,
+        names: ["Denver", "Austin", "Boise"],
+      });
+      expect(parseSplitCount('12: Denver, "Austin, TX"')).toEqual({
+        count: 12,
+        names: ["Denver", "Austin, TX"],
+      });
+    });
+
+    it("should reject counts below 2 and too many names", () => {
+      expect(() => parseSplitCount("1")).toThrow(
+        "A split needs at least 2 subnets",
+      );
+      expect(() => parseSplitCount("2: a, b, c")).toThrow(
+        "2 subnets were requested but 3 names were given",
+      );
+      expect(() => parseSplitCount("1.5")).toThrow(
+        "Enter a whole number of subnets or a list of names",
+      );
+    });
+  });
+
+  describe("getSplitForCount", () => {
+    it("should round up to the smallest prefix that fits", () => {
+      expect(getSplitForCount("2001:db8::/32", 12)).toEqual({
+        prefix: 36,
+        children: 16,
+        spare: 4,
+      });
+      expect(getSplitForCount("2001:db8::/32", 17)).toEqual({
+        prefix: 37,
+        children: 32,
+        spare: 15,
+      });
+    });
+
+    it("should round up to the next nibble when asked", () => {
+      expect(getSplitForCount("2001:db8::/32", 17, true)).toEqual({
+        prefix: 40,
+        children: 256,
+        spare: 239,
+      });
+    });
+
+    it("should reject splits past /64", () => {
+      expect(() => getSplitForCount("2001:db8:0:1::/63", 3)).toThrow(
+        "2001:db8:0:1::/63 cannot be split into 3 subnets",
+      );
+    });
+  });
+
+  describe("splitByCount", () => {
+    it("should split and name the first children as one undo step", async () => {
+      await splitByCount("2001:db8::/32", 3, {
+        names: ["Americas", "EMEA", "APAC"],
+      });
+
+      expect(subnetTree["2001:db8::/34"]._note).toBe("Americas");
+      expect(subnetTree["2001:db8:4000::/34"]._note).toBe("EMEA");
+      expect(subnetTree["2001:db8:8000::/34"]._note).toBe("APAC");
+      expect(subnetTree["2001:db8:c000::/34"]._note).toBe("Global");
+
+      await undo();
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/32"]);
+    });
+
+    it("should name children below intermediate nibble levels in order", async () => {
+      await splitByCount("2001:db8::/32", 20, { names: ["a", "b", "c"] });
+
+      expect(subnetTree["2001:db8::/37"]._note).toBe("a");
+      expect(subnetTree["2001:db8:800::/37"]._note).toBe("b");
+      expect(subnetTree["2001:db8:1000::/37"]._note).toBe("c");
+    });
+  });
+
+  describe("promptSplitByCount", () => {
+    it("should show the spares before splitting", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("12: North");
+      const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(true);
+
+      expect(await promptSplitByCount("2001:db8::/32", false)).toBe(36);
+      expect(confirmSpy).toHaveBeenCalledWith(
+        "Split 2001:db8::/32 into 16 /36s for 12 subnets (4 spare)?",
+      );
+      expect(subnetTree["2001:db8::/36"]._note).toBe("North");
+    });
+
+    it("should leave the plan alone when the confirmation is declined", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("12");
+      vi.spyOn(window, "confirm").mockReturnValue(false);
+
+      expect(await promptSplitByCount("2001:db8::/32", true)).toBeNull();
+      expect(Object.keys(subnetTree)).toEqual(["2001:db8::/32"]);
+    });
+
+    it("should report invalid answers in the error area", async () => {
+      vi.spyOn(window, "prompt").mockReturnValue("one");
+
+      expect(await promptSplitByCount("2001:db8::/32", false)).toBeNull();
+      expect(document.getElementById("error").textContent).toBe(
+        "A split needs at least 2 subnets",
+      );
+    });
+  });
+
+  describe("split select", () => {
+    it("should offer split by count options above /64", () => {
+      render();
+
+      const values = [
+        ...document.querySelector(".split-select").querySelectorAll("option"),
+      ].map((option) => option.value);
+      expect(values.slice(-2)).toEqual(["count", "count-nibble"]);
+    });
+  });
+});
@@ -189,7 +189,7 @@ describe("State Management", () => {
     // These unit tests focus on basic function availability and support detection
 
     it("should detect compression support correctly", async () => {
-      const { supportsCompression } = await import("../app.js");
+      const { supportsCompression } = await import("../core.js");
 
       expect(typeof supportsCompression).toBe("function");
       const result = supportsCompression();
@@ -201,7 +201,7 @@ describe("State Management", () => {
 
     it("should have compression functions available", async () => {
       const { compressToDeflateRaw, decompressFromDeflateRaw } =
-        await import("../app.js");
+        await import("../core.js");
 
       expect(typeof compressToDeflateRaw).toBe("function");
       expect(typeof decompressFromDeflateRaw).toBe("function");
@@ -7,17 +7,19 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
 import {
   getSubnetNode,
-  getChildSubnet,
-  getChildSubnetAtTarget,
-  getSubnetCount,
-  getNibbleBoundaries,
   createIntermediateLevel,
-  parseIPv6,
   subnetTree,
   splitSubnet,
   render,
   saveState,
 } from "../app.js";
+import {
+  getChildSubnet,
+  getChildSubnetAtTarget,
+  getSubnetCount,
+  getNibbleBoundaries,
+  parseIPv6,
+} from "../core.js";
 
 describe("Subnet Tree Operations", () => {
   const mockSaveState = vi.fn();
@@ -0,0 +1,211 @@
+/**
+ * IPv6 Subnet Planner Tests - Subnet Tree Storage
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  applyState,
+  getPlanState,
+  serializeTree,
+  splitSubnet,
+  joinSubnet,
+  createIntermediateLevels,
+  getSubnetNode,
+  saveState,
+  loadState,
+  undo,
+  subnetTree,
+} from "../app.js";
+import { buildSubnetTree } from "../core.js";
+
+/**
+ * Build a tree in the nested form older versions saved, where each child is
+ * stored at the top level and again under its parent
+ * @returns {Object<string, Object>} Nested tree for 3fff::/20 split to /21
+ */
+function legacyTree() {
+  return {
+    "3fff::/20": {
+      _note: "Root",
+      _color: "",
+      "3fff::/21": { _note: "Root", _color: "" },
+      "3fff:800::/21": { _note: "Stale copy", _color: "#FFE5E5" },
+    },
+    "3fff::/21": { _note: "Left", _color: "" },
+    "3fff:800::/21": { _note: "Right", _color: "", _vlan: 20 },
+  };
+}
+
+describe("Subnet Tree Storage", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="networkInput" />
+      <select id="prefixSelect"><option value="20">/20</option></select>
+      <div id="error"></div>
+      <table id="subnetTable">
+        <thead><tr><th id="joinHeader"></th></tr></thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    `;
+    window.scrollTo = vi.fn();
+    applyState({
+      network: "3fff::",
+      prefix: 20,
+      tree: { "3fff::/20": { _note: "Lab", _color: "" } },
+    });
+  });
+
+  describe("single node per subnet", () => {
+    it("should link the parent's child key to the same node", async () => {
+      await splitSubnet("3fff::/20", 24);
+
+      expect(subnetTree["3fff::/20"]["3fff:100::/24"]).toBe(
+        subnetTree["3fff:100::/24"],
+      );
+      getSubnetNode("3fff:100::/24")._note = "Denver";
+      expect(subnetTree["3fff::/20"]["3fff:100::/24"]._note).toBe("Denver");
+    });
+
+    it("should keep nodes linked after undo", async () => {
+      await splitSubnet("3fff::/20", 24);
+      await splitSubnet("3fff::/24", 28);
+      await undo();
+
+      expect(subnetTree["3fff::/20"]["3fff::/24"]).toBe(
+        subnetTree["3fff::/24"],
+      );
+      expect(
+        Object.keys(subnetTree["3fff::/24"]).filter((k) => !k.startsWith("_")),
+      ).toEqual([]);
+    });
+
+    it("should unlink joined children from both places", async () => {
+      await splitSubnet("3fff::/20", 24);
+      await joinSubnet("3fff:100::/24", 20);
+
+      expect(Object.keys(subnetTree)).toEqual(["3fff::/20"]);
+      expect(Object.keys(subnetTree["3fff::/20"])).toEqual(["_note", "_color"]);
+    });
+  });
+
+  describe("serializeTree", () => {
+    it("should save each subnet once without child links or empty fields", async () => {
+      await splitSubnet("3fff::/20", 21);
+      getSubnetNode("3fff:800::/21")._color = "#E5F3FF";
+      getSubnetNode("3fff:800::/21")._note = "";
+
+      expect(serializeTree()).toEqual({
+        "3fff::/20": { _note: "Lab" },
+        "3fff::/21": { _note: "Lab" },
+        "3fff:800::/21": { _color: "#E5F3FF" },
+      });
+      expect(getPlanState().tree).toEqual(serializeTree());
+    });
+
+    it("should make the saved plan much smaller than the nested form", () => {
+      createIntermediateLevels("3fff::/20", 28);
+      const flat = JSON.stringify(serializeTree());
+      const nested = JSON.stringify(subnetTree);
+
+      expect(flat.length).toBeLessThan(nested.length / 2);
+    });
+  });
+
+  describe("buildSubnetTree", () => {
+    it("should link subnets by containment from the flat form", () => {
+      const tree = buildSubnetTree(
+        {
+          "3fff:800::/21": { _note: "Right" },
+          "3fff::/20": {},
+          "3fff::/21": {},
+          "3fff:800::/22": {},
+          "3fff:c00::/22": {},
+        },
+        "3fff::/20",
+      );
+
+      expect(Object.keys(tree["3fff::/20"])).toEqual([
+        "_note",
+        "_color",
+        "3fff::/21",
+        "3fff:800::/21",
+      ]);
+      expect(tree["3fff:800::/21"]).toEqual({
+        _note: "Right",
+        _color: "",
+        "3fff:800::/22": tree["3fff:800::/22"],
+        "3fff:c00::/22": tree["3fff:c00::/22"],
+      });
+      expect(tree["3fff::/21"]).toEqual({ _note: "", _color: "" });
+    });
+
+    it("should migrate the nested form and keep the top-level copy", () => {
+      const tree = buildSubnetTree(legacyTree(), "3fff::/20");
+
+      expect(tree["3fff:800::/21"]).toEqual({
+        _note: "Right",
+        _color: "",
+        _vlan: 20,
+      });
+      expect(tree["3fff::/20"]["3fff:800::/21"]).toBe(tree["3fff:800::/21"]);
+    });
+
+    it("should fall back to the nested copy and drop unreachable entries", () => {
+      const legacy = legacyTree();
+      delete legacy["3fff:800::/21"];
+      legacy["3fff:400::/22"] = { _note: "Orphan", _color: "" };
+
+      const tree = buildSubnetTree(legacy, "3fff::/20");
+
+      expect(Object.keys(tree)).toHaveLength(3);
+      expect(tree["3fff:400::/22"]).toBeUndefined();
+      expect(tree["3fff:800::/21"]._note).toBe("Stale copy");
+    });
+
+    it("should copy tags so the saved state is not shared", () => {
+      const saved = { "3fff::/20": { _tags: ["lab"] } };
+      const tree = buildSubnetTree(saved, "3fff::/20");
+
+      tree["3fff::/20"]._tags.push("edited");
+      expect(saved["3fff::/20"]._tags).toEqual(["lab"]);
+    });
+  });
+
+  describe("loading saved state", () => {
+    it("should migrate a nested tree from an older URL hash", async () => {
+      const json = JSON.stringify({
+        network: "3fff::",
+        prefix: 20,
+        tree: legacyTree(),
+      });
+      // Let hashchange events from earlier saves run before the hash is
+      // replaced, and replace it without one so only this load reads it
+      await new Promise((resolve) => setTimeout(resolve));
+      window.history.replaceState(null, "", `#${btoa(json)}`);
+
+      expect(await loadState()).toBe(true);
+
+      expect(subnetTree["3fff::/20"]["3fff:800::/21"]).toBe(
+        subnetTree["3fff:800::/21"],
+      );
+      expect(subnetTree["3fff:800::/21"]._note).toBe("Right");
+    });
+
+    it("should round-trip the flat form through the URL hash", async () => {
+      await splitSubnet("3fff::/20", 22);
+      getSubnetNode("3fff:400::/22")._note = "Denver";
+      await saveState();
+      const expected = getPlanState();
+
+      applyState({ network: "3fff::", prefix: 20, tree: { "3fff::/20": {} } });
+      await loadState();
+
+      expect(getPlanState()).toEqual(expected);
+      expect(subnetTree["3fff::/20"]["3fff:400::/22"]).toBe(
+        subnetTree["3fff:400::/22"],
+      );
+    });
+  });
+});